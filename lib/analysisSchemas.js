@@ -0,0 +1,168 @@
+// server/lib/analysisSchemas.js
+
+// AI 분석 결과 스키마
+// - Gemini responseSchema 형식(type/properties/required/items/enum)을 따릅니다.
+// - minimum/maximum 은 서버 검증에만 쓰이고 모델에는 전달되지 않습니다.
+
+const bilingualChange = {
+  type: 'object',
+  properties: {
+    category: { type: 'string', description: '변경 항목 (예: 길이, 텍스처, 볼륨, 컬러, 스타일링)' },
+    categoryEn: { type: 'string' },
+    from: { type: 'string', description: '현재 상태' },
+    fromEn: { type: 'string' },
+    to: { type: 'string', description: '목표 상태' },
+    toEn: { type: 'string' }
+  },
+  required: ['category', 'categoryEn', 'from', 'fromEn', 'to', 'toEn']
+};
+
+const procedure = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    nameEn: { type: 'string' },
+    koreanName: { type: 'string' },
+    reason: { type: 'string' },
+    reasonEn: { type: 'string' },
+    required: { type: 'boolean' }
+  },
+  required: ['name', 'nameEn', 'reason', 'reasonEn', 'required']
+};
+
+const ANALYSIS_SCHEMAS = {
+  // POST /api/analyze/style-changes
+  'style-changes': {
+    type: 'object',
+    properties: {
+      styleChanges: { type: 'array', items: bilingualChange, minItems: 1 },
+      requiredProcedures: { type: 'array', items: procedure }
+    },
+    required: ['styleChanges', 'requiredProcedures']
+  },
+
+  // POST /api/analyze/feasibility
+  feasibility: {
+    type: 'object',
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 100, description: '실현 가능성 점수 (0-100)' },
+      isFeasible: { type: 'boolean' },
+      requiredProcedures: { type: 'array', items: { type: 'string' } },
+      warnings: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['score', 'isFeasible', 'requiredProcedures', 'warnings']
+  },
+
+  // 시술 명세서 (lib/technicalSpecs.js)
+  'technical-specs': {
+    type: 'object',
+    properties: {
+      sideLength: { type: 'string', description: '옆머리 길이와 커트 방식 (예: 12mm 소프트 투블럭)' },
+      topLength: { type: 'string', description: '윗머리 길이와 커트 방식 (예: 8-10cm 레이어드컷)' },
+      fringe: { type: 'string', description: '앞머리 스타일 (없으면 "없음")' },
+      perm: { type: 'string', description: '펌 종류 (없으면 "없음")' },
+      downPerm: { type: 'boolean', description: '옆머리 다운펌 필요 여부' },
+      color: { type: 'string', description: '목표 컬러 (변경 없으면 현재 컬러 유지)' },
+      additionalServices: { type: 'array', items: { type: 'string' }, description: '추가 시술 (클리닉, 볼륨매직 등)' },
+      notes: { type: 'array', items: { type: 'string' }, description: '모발 상태에 따른 시술 주의사항' }
+    },
+    required: ['sideLength', 'topLength', 'fringe', 'perm', 'downPerm', 'color', 'additionalServices', 'notes']
+  },
+
+  // 고객 사진 품질 점검 (lib/photoQuality.js)
+  'photo-quality': {
+    type: 'object',
+    properties: {
+      faceDetected: { type: 'boolean' },
+      faceCount: { type: 'integer', minimum: 0 },
+      pose: { type: 'string', enum: ['front', 'side', 'back', 'unknown'] },
+      issues: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['faceDetected', 'faceCount', 'pose', 'issues']
+  }
+};
+
+// 모델에 전달하지 않는 서버 전용 키
+const SERVER_ONLY_KEYS = ['minimum', 'maximum', 'minItems'];
+
+/**
+ * 모델 요청용 스키마 (서버 전용 키 제거)
+ */
+const toResponseSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toResponseSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (SERVER_ONLY_KEYS.includes(key)) continue;
+    result[key] = key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, child]) => [name, toResponseSchema(child)]))
+      : toResponseSchema(value);
+  }
+  return result;
+};
+
+/**
+ * 값이 스키마를 만족하는지 검사하고 오류 메시지 목록 반환 (빈 배열이면 통과)
+ */
+const validateSchema = (schema, value, at = '$') => {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${at}: expected object`];
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push(`${at}.${key}: is required`);
+        }
+      }
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined && value[key] !== null) {
+          errors.push(...validateSchema(child, value[key], `${at}.${key}`));
+        }
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        return [`${at}: expected array`];
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${at}: expected at least ${schema.minItems} items`);
+      }
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${at}[${index}]`)));
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return [`${at}: expected number`];
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${at}: must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${at}: must be <= ${schema.maximum}`);
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        return [`${at}: expected string`];
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return [`${at}: expected boolean`];
+      }
+      break;
+    default:
+      break;
+  }
+
+  return errors;
+};
+
+module.exports = { ANALYSIS_SCHEMAS, toResponseSchema, validateSchema };
@@ -0,0 +1,113 @@
+// server/lib/auditLog.js
+
+// 세션 이미지 접근 감사 로그 (추가 전용)
+// - JSON Lines 파일에 한 줄씩 추가만 하며, 수정/삭제 API 는 제공하지 않습니다.
+// - 각 항목은 이전 항목의 해시(prevHash)를 포함한 SHA-256 해시를 가져 중간 변경을 검출할 수 있습니다.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const hashEntry = (entry) => crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+
+class AuditLog {
+  /**
+   * @param {{ filePath: string }} options
+   */
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.lastHash = this.readLastHash();
+    // 기록 순서를 보장하기 위한 쓰기 체인
+    this.chain = Promise.resolve();
+  }
+
+  /**
+   * 마지막 항목의 해시 (체인을 이어갈 값)
+   * 기록 도중 중단되어 줄바꿈 없이 끝난 마지막 줄은 잘라내고 직전의 완전한 항목부터 이어갑니다.
+   */
+  readLastHash() {
+    if (!fs.existsSync(this.filePath)) return GENESIS_HASH;
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    const completeLength = content.lastIndexOf('\n') + 1;
+    if (completeLength < content.length) {
+      const partialBytes = Buffer.byteLength(content.slice(completeLength));
+      console.warn(`⚠️ Incomplete audit log entry truncated (${partialBytes} bytes): ${this.filePath}`);
+      fs.truncateSync(this.filePath, Buffer.byteLength(content.slice(0, completeLength)));
+    }
+
+    const lines = content.slice(0, completeLength).split('\n').filter(Boolean);
+    if (lines.length === 0) return GENESIS_HASH;
+    return JSON.parse(lines[lines.length - 1]).hash;
+  }
+
+  /**
+   * 항목 추가
+   * - event: { sessionId, action, purpose, resources, actor, outcome, detail }
+   * 반환: 기록된 항목 (id, at, prevHash, hash 포함)
+   */
+  record(event) {
+    const write = this.chain.then(async () => {
+      const body = {
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        ...event,
+        prevHash: this.lastHash
+      };
+      const entry = { ...body, hash: hashEntry(body) };
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, { flag: 'a' });
+      this.lastHash = entry.hash;
+      return entry;
+    });
+    // 한 번 실패해도 이후 기록은 계속되도록
+    this.chain = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * 항목 조회 (sessionId 지정 시 해당 세션만)
+   */
+  async list({ sessionId } = {}) {
+    await this.chain;
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .filter((entry) => !sessionId || entry.sessionId === sessionId);
+  }
+
+  /**
+   * 해시 체인 검증
+   * 반환: { valid, entries, brokenAt(첫 번째로 어긋난 항목 id) }
+   */
+  async verify() {
+    const entries = await this.list();
+    let prevHash = GENESIS_HASH;
+    for (const entry of entries) {
+      const { hash, ...body } = entry;
+      if (body.prevHash !== prevHash || hashEntry(body) !== hash) {
+        return { valid: false, entries: entries.length, brokenAt: entry.id };
+      }
+      prevHash = hash;
+    }
+    return { valid: true, entries: entries.length, brokenAt: null };
+  }
+}
+
+/**
+ * 환경 변수에 따라 감사 로그 생성
+ * - AUDIT_LOG_FILE: 로그 파일 경로 (기본 data/audit.log)
+ */
+const createAuditLog = ({ baseDir }) => new AuditLog({
+  filePath: path.resolve(baseDir, process.env.AUDIT_LOG_FILE || path.join('data', 'audit.log'))
+});
+
+module.exports = { AuditLog, createAuditLog };
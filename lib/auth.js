@@ -0,0 +1,194 @@
+// server/lib/auth.js
+
+// API 인증과 살롱 단위 접근 제어
+// - API 키: X-API-Key 헤더 또는 Authorization: Bearer <키>
+// - JWT(HS256): Authorization: Bearer <토큰>, 클레임 { sub, salonId, stylistId, role, exp } (exp 필수)
+// 인증된 호출자는 req.auth = { method, keyId, role, salonId, stylistId } 로 전달됩니다.
+const crypto = require('crypto');
+const { DEFAULT_SALON_ID, ROLES } = require('./tenants');
+
+const AUTH_MODES = ['required', 'off'];
+
+/**
+ * 인증/권한 실패 (status: 401 또는 403)
+ */
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * HS256 JWT 검증 후 클레임 반환 (실패 시 AuthError)
+ * 만료 시각(exp)이 없는 토큰은 영구히 유효해지므로 거부합니다.
+ */
+const verifyJwt = (token, secret, now = Date.now()) => {
+  const [headerPart, payloadPart, signaturePart] = token.split('.');
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(headerPart);
+    claims = decodeSegment(payloadPart);
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+  if (header.alg !== 'HS256') {
+    throw new AuthError('Unsupported token algorithm');
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${headerPart}.${payloadPart}`).digest();
+  const actual = Buffer.from(signaturePart || '', 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new AuthError('Invalid token signature');
+  }
+
+  const seconds = Math.floor(now / 1000);
+  if (typeof claims.exp !== 'number') {
+    throw new AuthError('Token has no expiry (exp)');
+  }
+  if (seconds >= claims.exp) {
+    throw new AuthError('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf) {
+    throw new AuthError('Token not yet valid');
+  }
+  return claims;
+};
+
+/**
+ * 인증 미들웨어 생성
+ * - registry: lib/tenants 의 TenantRegistry
+ * - mode: required | off (off 이면 모든 요청을 기본 살롱의 관리자 권한으로 처리, 로컬 개발용)
+ * - jwtSecret: 설정하지 않으면 JWT 인증을 사용하지 않음
+ * required 모드인데 API 키도 JWT_SECRET 도 없으면 모든 요청이 401 이 되므로 시작 시 오류를 던집니다.
+ */
+const createAuthenticator = ({ registry, mode = 'required', jwtSecret = null }) => {
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`AUTH_MODE must be one of ${AUTH_MODES.join(', ')}`);
+  }
+  if (mode === 'required' && registry.keys.size === 0 && !jwtSecret) {
+    throw new Error('AUTH_MODE=required needs API keys in TENANTS_FILE or JWT_SECRET (use AUTH_MODE=off for local development)');
+  }
+
+  const fromJwt = (token) => {
+    if (!jwtSecret) {
+      throw new AuthError('JWT authentication is not configured');
+    }
+    const claims = verifyJwt(token, jwtSecret);
+    const role = claims.role || 'stylist';
+    if (!ROLES.includes(role)) {
+      throw new AuthError(`Invalid role in token: ${role}`, 403);
+    }
+    if (role !== 'admin') {
+      const salon = registry.getSalon(claims.salonId);
+      if (!salon) {
+        throw new AuthError('Unknown salon in token', 403);
+      }
+      if (role === 'stylist' && !salon.stylists.has(claims.stylistId)) {
+        throw new AuthError('Unknown stylist in token', 403);
+      }
+    }
+    return {
+      method: 'jwt',
+      keyId: claims.sub || null,
+      role,
+      salonId: role === 'admin' ? null : claims.salonId,
+      stylistId: claims.stylistId || null
+    };
+  };
+
+  const fromApiKey = (apiKey) => {
+    const principal = registry.findApiKey(apiKey);
+    if (!principal) {
+      throw new AuthError('Invalid API key');
+    }
+    return { method: 'api-key', ...principal };
+  };
+
+  const resolve = (req) => {
+    const apiKey = req.get('x-api-key');
+    if (apiKey) return fromApiKey(apiKey);
+
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      throw new AuthError('Authentication required');
+    }
+    const credential = match[1].trim();
+    return credential.split('.').length === 3 ? fromJwt(credential) : fromApiKey(credential);
+  };
+
+  return (req, res, next) => {
+    if (mode === 'off') {
+      req.auth = { method: 'none', keyId: null, role: 'admin', salonId: DEFAULT_SALON_ID, stylistId: null };
+      return next();
+    }
+
+    try {
+      const auth = resolve(req);
+      // 브라우저 요청은 호출자 살롱의 허용 origin 에서 온 것만 인정
+      const origin = req.get('origin');
+      if (origin && auth.role !== 'admin' && !registry.isAllowedOrigin(auth.salonId, origin)) {
+        throw new AuthError('Origin not allowed for this salon', 403);
+      }
+      req.auth = auth;
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) return next(error);
+      res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+  };
+};
+
+/**
+ * 역할 제한 미들웨어
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (req.auth && roles.includes(req.auth.role)) return next();
+  res.status(403).json({
+    success: false,
+    message: `Requires role: ${roles.join(' or ')}`
+  });
+};
+
+/**
+ * 호출자가 세션에 접근할 수 있는지
+ * 관리자는 모든 세션, 매니저는 같은 살롱 세션, 디자이너는 본인 세션만 접근합니다.
+ */
+const canAccessSession = (auth, session) => {
+  if (auth.role === 'admin') return true;
+  if ((session.salonId || DEFAULT_SALON_ID) !== auth.salonId) return false;
+  if (auth.role === 'stylist') return session.stylistId === auth.stylistId;
+  return true;
+};
+
+/**
+ * 호출자가 저장소 파일(키)에 접근할 수 있는지 (키는 "<살롱 ID>/<파일명>", 접두사 없는 예전 키는 기본 살롱)
+ */
+const canAccessStorageKey = (auth, key) => {
+  if (auth.role === 'admin') return true;
+  const salonId = key.includes('/') ? key.split('/')[0] : DEFAULT_SALON_ID;
+  return salonId === auth.salonId;
+};
+
+/**
+ * 새 세션/파일을 기록할 살롱 ID
+ */
+const ownerSalonId = (auth) => auth.salonId || DEFAULT_SALON_ID;
+
+module.exports = {
+  AUTH_MODES,
+  AuthError,
+  verifyJwt,
+  createAuthenticator,
+  requireRole,
+  canAccessSession,
+  canAccessStorageKey,
+  ownerSalonId
+};
@@ -0,0 +1,139 @@
+// server/lib/colorPalette.js
+
+// 살롱별 염색 컬러 팔레트 (브랜드/색상 코드)
+// - data/palettes.json 에 { "<살롱 ID>": [컬러, ...] } 형태로 저장합니다.
+// - 팔레트를 수정한 적이 없는 살롱은 config/palette.default.json 의 기본 팔레트를 사용하고,
+//   처음 수정할 때 기본 팔레트를 복사해 살롱 팔레트를 만듭니다.
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { validateSchema } = require('./analysisSchemas');
+
+// 컬러 항목 스키마 (level: 1(블랙) ~ 10(가장 밝은 블론드) 명도 레벨)
+const SHADE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    brand: { type: 'string' },
+    line: { type: 'string' },
+    code: { type: 'string' },
+    name: { type: 'string' },
+    nameEn: { type: 'string' },
+    hex: { type: 'string' },
+    level: { type: 'integer', minimum: 1, maximum: 10 },
+    tone: { type: 'string' },
+    active: { type: 'boolean' }
+  },
+  required: ['id', 'brand', 'code', 'name', 'hex', 'level']
+};
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+
+class ColorPalette {
+  constructor({ filePath, seedPath }) {
+    this.filePath = filePath;
+    this.defaults = JSON.parse(fs.readFileSync(seedPath, 'utf8'));
+    // 살롱 ID → Map(컬러 ID → 컬러)
+    this.palettes = new Map();
+
+    if (fs.existsSync(filePath)) {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const [salonId, shades] of Object.entries(stored)) {
+        this.palettes.set(salonId, new Map(shades.map((shade) => [shade.id, shade])));
+      }
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const data = Object.fromEntries([...this.palettes].map(([salonId, shades]) => [salonId, [...shades.values()]]));
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /** 살롱 팔레트 (없으면 기본 팔레트) */
+  shadesOf(salonId) {
+    return this.palettes.get(salonId) || new Map(this.defaults.map((shade) => [shade.id, shade]));
+  }
+
+  /** 수정용 살롱 팔레트 (없으면 기본 팔레트를 복사해 생성) */
+  ownShadesOf(salonId) {
+    if (!this.palettes.has(salonId)) {
+      this.palettes.set(salonId, new Map(this.defaults.map((shade) => [shade.id, { ...shade }])));
+    }
+    return this.palettes.get(salonId);
+  }
+
+  /** 살롱이 기본 팔레트를 그대로 쓰는지 */
+  isDefault(salonId) {
+    return !this.palettes.has(salonId);
+  }
+
+  /** 전체 목록 (includeInactive 가 false 면 사용 중인 컬러만) */
+  list(salonId, { includeInactive = true } = {}) {
+    return [...this.shadesOf(salonId).values()].filter((shade) => includeInactive || shade.active !== false);
+  }
+
+  get(salonId, id) {
+    return this.shadesOf(salonId).get(id) || null;
+  }
+
+  /**
+   * 입력값 검증 후 저장 가능한 항목 반환
+   * 반환: { shade, errors }
+   */
+  validate(input) {
+    const shade = { active: true, ...input };
+    const errors = validateSchema(SHADE_SCHEMA, shade);
+    if (typeof shade.hex === 'string' && !HEX_COLOR.test(shade.hex)) {
+      errors.push('$.hex: expected #RRGGBB');
+    }
+    if (errors.length === 0) {
+      shade.hex = shade.hex.toUpperCase();
+    }
+    return { shade, errors };
+  }
+
+  create(salonId, input) {
+    const { shade, errors } = this.validate({ id: input?.id || crypto.randomUUID(), ...input });
+    if (errors.length === 0) {
+      if (this.shadesOf(salonId).has(shade.id)) {
+        return { shade: null, errors: [`Shade already exists: ${shade.id}`] };
+      }
+      this.ownShadesOf(salonId).set(shade.id, shade);
+      this.persist();
+    }
+    return { shade, errors };
+  }
+
+  update(salonId, id, input) {
+    const existing = this.shadesOf(salonId).get(id);
+    if (!existing) return null;
+
+    const { shade, errors } = this.validate({ ...existing, ...input, id });
+    if (errors.length === 0) {
+      this.ownShadesOf(salonId).set(id, shade);
+      this.persist();
+    }
+    return { shade, errors };
+  }
+
+  remove(salonId, id) {
+    if (!this.shadesOf(salonId).has(id)) return false;
+    this.ownShadesOf(salonId).delete(id);
+    this.persist();
+    return true;
+  }
+}
+
+/**
+ * 환경 변수에 따라 팔레트 생성
+ * - COLOR_PALETTE_FILE: 저장 경로 (기본 data/palettes.json)
+ */
+const createColorPalette = ({ baseDir }) => new ColorPalette({
+  filePath: process.env.COLOR_PALETTE_FILE || path.join(baseDir, 'data', 'palettes.json'),
+  seedPath: path.join(baseDir, 'config', 'palette.default.json')
+});
+
+module.exports = { ColorPalette, createColorPalette };
@@ -0,0 +1,234 @@
+// server/lib/colorSimulation.js
+
+// 헤어 컬러 시뮬레이션
+// 고객 사진의 헤어스타일은 그대로 두고 팔레트(lib/colorPalette)의 컬러만 적용한 이미지를 컬러별로 생성합니다.
+// 시술 방식: 전체 염색, 하이라이트, 발레아쥬, 뿌리 섀도
+// 현재 모발 레벨과 시술 이력(탈색, 헤나 등)으로 컬러별 리프트(밝히는 단계)와 가능 여부를 함께 판단합니다.
+const crypto = require('crypto');
+const { detectImageFormat, detectImageMime } = require('./imagePipeline');
+const { toLevel } = require('./safetyRules');
+const { GenerationError, ANGLE_LABELS } = require('./styleGenerator');
+
+// 시술 방식 → 프롬프트 지시
+const COLOR_TECHNIQUES = {
+  'all-over': 'All-over colour: apply the shade evenly to all of the hair from root to tip.',
+  highlights: 'Highlights: weave fine strands of the shade through the hair; keep the rest of the hair its current colour.',
+  balayage: 'Balayage: keep the roots and upper section the current colour and hand-paint the shade through the mid-lengths and ends, lightest around the face and at the tips, with a soft blended transition.',
+  'root-shadow': 'Root shadow: apply the shade to the mid-lengths and ends, keeping a soft, darker root (about 2-3 cm) close to the current colour.'
+};
+
+// 일반 염모제로 밝힐 수 있는 최대 레벨 (넘으면 탈색 필요)
+const TINT_MAX_LIFT = 3;
+// 탈색 1회로 밝힐 수 있는 대략적인 레벨
+const BLEACH_LIFT_PER_SESSION = 4;
+// 요청에 현재 레벨이 없을 때 가정하는 레벨 (한국인 자연모 기준)
+const DEFAULT_CURRENT_LEVEL = 4;
+
+/**
+ * 컬러 하나의 리프트/가능 여부 판단
+ * - shade: 팔레트 항목 ({ level, ... })
+ * - technique: COLOR_TECHNIQUES 의 키 (하이라이트/발레아쥬/뿌리 섀도는 밝히는 부분에만 해당)
+ * - currentLevel: 현재 모발 명도 레벨 (1-10, 없으면 DEFAULT_CURRENT_LEVEL 로 가정)
+ * 반환: { currentLevel, assumedLevel, targetLevel, lift, achievability, warnings: [{ code, severity, message, messageEn }] }
+ * (achievability: achievable | needs-bleach | not-recommended, severity: error | warning | info)
+ */
+const assessShade = ({ shade, technique = 'all-over', hairCondition = {}, currentLevel }) => {
+  const history = hairCondition?.chemicalHistory || {};
+  const level = currentLevel || DEFAULT_CURRENT_LEVEL;
+  const lift = shade.level - level;
+  const bleachCount = toLevel(history.bleach);
+  const needsBleach = lift > TINT_MAX_LIFT;
+  const partial = technique !== 'all-over';
+
+  const warnings = [];
+  const add = (code, severity, message, messageEn) => warnings.push({ code, severity, message, messageEn });
+
+  if (!currentLevel) {
+    add('assumed-level', 'info',
+      `현재 모발 레벨을 ${DEFAULT_CURRENT_LEVEL}레벨로 가정했습니다. 정확한 판단을 위해 currentLevel 을 입력하세요.`,
+      `Current hair level assumed to be ${DEFAULT_CURRENT_LEVEL}. Provide currentLevel for an accurate assessment.`);
+  }
+
+  if (history.henna) {
+    if (lift > 0) {
+      add('henna-lift', 'error',
+        '헤나 이력이 있는 모발은 밝게 할 수 없습니다. 헤나가 모두 자라 나올 때까지 밝은 컬러를 권장하지 않습니다.',
+        'Hair with henna history cannot be lightened. Lighter shades are not recommended until the henna has grown out.');
+    } else {
+      add('henna-deposit', 'warning',
+        '헤나 코팅 때문에 컬러가 얹히지 않거나 탁하게 나올 수 있습니다. 스트랜드 테스트가 필요합니다.',
+        'Henna coating may block or muddy the colour. A strand test is required.');
+    }
+  }
+
+  if (history.boxDye && lift > 0) {
+    add('box-dye-lift', 'warning',
+      '박스 염색의 인공 색소는 염모제로 밝아지지 않아 컬러 리무버나 탈색이 필요하고, 얼룩이 생길 수 있습니다.',
+      'Box dye pigment does not lift with tint; a colour remover or bleach is needed and the result may be patchy.');
+  }
+
+  if (needsBleach && !history.henna) {
+    if (history.relaxer) {
+      add('relaxer-bleach', 'error',
+        '릴랙서 이력이 있는 모발은 탈색 시 심각한 손상이 발생합니다.',
+        'Bleaching relaxed hair causes severe damage.');
+    }
+    if (bleachCount >= 3) {
+      add('rebleach-breakage', 'error',
+        '3회 이상 탈색한 모발은 추가 탈색 시 모발이 녹거나 끊어질 수 있습니다.',
+        'Further bleaching on hair bleached three or more times can cause breakage.');
+    } else if (bleachCount >= 2) {
+      add('bleach-damage', 'warning',
+        '2회 이상 탈색한 모발이라 추가 탈색 시 손상 위험이 높습니다. 본드 트리트먼트와 함께 진행하세요.',
+        'Hair bleached twice or more is at high risk from further bleaching; use a bond-building treatment.');
+    }
+    const sessions = Math.ceil((lift - TINT_MAX_LIFT) / BLEACH_LIFT_PER_SESSION);
+    add('bleach-required', 'warning',
+      `${lift}레벨을 밝혀야 해서 ${partial ? '밝히는 부분에 ' : ''}탈색이 필요합니다${sessions > 1 ? ` (${sessions}회 이상 나눠서 진행 권장)` : ''}.`,
+      `Lifting ${lift} levels requires bleach${partial ? ' on the lightened sections' : ''}${sessions > 1 ? ` (${sessions} or more sessions recommended)` : ''}.`);
+  }
+
+  if (lift <= -2 && bleachCount >= 1) {
+    add('porous-fade', 'warning',
+      '탈색모에 어두운 컬러를 넣으면 빨리 빠지거나 탁해질 수 있어 프리 피그먼테이션이 필요할 수 있습니다.',
+      'Dark shades on bleached hair can fade fast or turn muddy; pre-pigmentation may be needed.');
+  }
+
+  if (partial && lift <= 0) {
+    add('low-contrast', 'info',
+      '선택한 컬러가 현재 모발보다 밝지 않아 부분 시술의 대비가 거의 보이지 않을 수 있습니다.',
+      'The shade is not lighter than the current hair, so the partial technique may show little contrast.');
+  }
+
+  let achievability = 'achievable';
+  if (warnings.some((warning) => warning.severity === 'error')) {
+    achievability = 'not-recommended';
+  } else if (needsBleach) {
+    achievability = 'needs-bleach';
+  }
+
+  return {
+    currentLevel: level,
+    assumedLevel: !currentLevel,
+    targetLevel: shade.level,
+    lift,
+    achievability,
+    warnings
+  };
+};
+
+/**
+ * 컬러 시뮬레이션 프롬프트 작성
+ */
+const buildColorPrompt = ({ shade, technique, angle }) => {
+  const angleLabel = ANGLE_LABELS[angle] || angle;
+  const product = [shade.brand, shade.line, shade.code].filter(Boolean).join(' ');
+
+  return `Change ONLY the hair colour of the person in the image.
+
+Image: Customer photo (${angleLabel}) - keep the haircut, face, skin, and body exactly as shown.
+
+Target colour: ${shade.nameEn || shade.name} (${product}), hex ${shade.hex}, level ${shade.level} on a 1-10 scale (1 = black, 10 = lightest blonde)${shade.tone ? `, ${shade.tone} tone` : ''}
+${COLOR_TECHNIQUES[technique]}
+
+Requirements:
+- Keep the haircut, length, volume, curl pattern, parting and styling completely unchanged
+- Render the colour realistically with natural dimension, shine and strand variation under the photo's lighting
+- Do not change the colour of the skin, eyebrows, eyes, clothing or background
+- Keep the same ${angleLabel} viewpoint and framing
+- Generate a single high-quality, photorealistic output image`;
+};
+
+/**
+ * 컬러 시뮬레이터 생성
+ * - aiProvider: lib/providers 의 제공자
+ * - sessionStore: lib/sessionStore 의 저장소
+ * - getImageBuffer: URL → Buffer
+ * - storage: 결과 파일을 저장할 lib/storage 의 파일 저장소
+ */
+const createColorSimulator = ({ aiProvider, sessionStore, getImageBuffer, storage }) => {
+  /**
+   * 고객 사진(angle)에 컬러(shades)를 하나씩 적용해 컬러별 이미지를 생성하고 세션의 colorSimulations 에 기록
+   * 모델 호출이 실패한 컬러는 imageUrl 없이 error 와 함께 반환합니다 (다른 컬러는 계속 진행).
+   * onProgress({ completed, total, shadeId }) 로 컬러 완료를 알립니다.
+   * 반환: { simulationId, technique, angle, results: [{ id, shadeId, ..., imageUrl, imageGenerated, assessment, error }] }
+   */
+  const simulate = async ({ sessionId, shades, technique = 'all-over', angle = 'front', currentLevel, hairCondition }, { onProgress = () => {} } = {}) => {
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      throw new GenerationError('Session not found', 404);
+    }
+    const customerBuffer = await getImageBuffer(session.customerPhotoUrls?.[angle]);
+    if (!customerBuffer) {
+      throw new GenerationError(`No ${angle} customer photo`, 400);
+    }
+
+    console.log(`🎨 Simulating ${shades.length} shade(s) for session: ${sessionId} (${technique}, ${angle})`);
+    const condition = hairCondition || session.hairCondition || {};
+    const simulationId = crypto.randomUUID();
+    const keyPrefix = session.salonId ? `${session.salonId}/` : '';
+    const results = [];
+
+    for (const shade of shades) {
+      const result = {
+        id: crypto.randomUUID(),
+        simulationId,
+        shadeId: shade.id,
+        brand: shade.brand,
+        line: shade.line || null,
+        code: shade.code,
+        name: shade.name,
+        nameEn: shade.nameEn || null,
+        hex: shade.hex,
+        level: shade.level,
+        technique,
+        angle,
+        imageUrl: null,
+        imageGenerated: false,
+        assessment: assessShade({ shade, technique, hairCondition: condition, currentLevel }),
+        error: null,
+        createdAt: new Date().toISOString()
+      };
+
+      try {
+        const generation = await aiProvider.generateImage({
+          prompt: buildColorPrompt({ shade, technique, angle }),
+          images: [{ buffer: customerBuffer, mimeType: detectImageMime(customerBuffer) }]
+        });
+        if (!generation.imageBuffer) {
+          throw new Error('the model did not return an image');
+        }
+        const outputExt = { png: 'png', webp: 'webp' }[detectImageFormat(generation.imageBuffer)] || 'jpg';
+        result.imageUrl = await storage.put(`${keyPrefix}color-${Date.now()}-${Math.round(Math.random() * 1E9)}.${outputExt}`, generation.imageBuffer, {
+          contentType: detectImageMime(generation.imageBuffer)
+        });
+        result.imageGenerated = true;
+        console.log(`✅ Colour simulation saved (${shade.id}):`, result.imageUrl);
+      } catch (error) {
+        console.error(`❌ Colour simulation failed (${shade.id}):`, error.message);
+        result.error = `Colour simulation failed: ${error.message}`;
+      }
+
+      results.push(result);
+      onProgress({ completed: results.length, total: shades.length, shadeId: shade.id });
+    }
+
+    const saved = results.filter((result) => result.imageGenerated);
+    if (saved.length > 0) {
+      await sessionStore.update(sessionId, (stored) => {
+        stored.colorSimulations = [...(stored.colorSimulations || []), ...saved];
+      });
+    }
+
+    return { simulationId, technique, angle, results };
+  };
+
+  return { simulate };
+};
+
+module.exports = {
+  createColorSimulator,
+  assessShade,
+  COLOR_TECHNIQUES,
+  DEFAULT_CURRENT_LEVEL
+};
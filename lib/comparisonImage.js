@@ -0,0 +1,201 @@
+// server/lib/comparisonImage.js
+
+// 공유용 비교 이미지 렌더링 (sharp)
+// - before-after: 시술 전/후 사진을 나란히 (JPEG)
+// - grid: 세션의 생성 이미지 격자 (JPEG)
+// - slider: 구분선이 좌우로 움직이며 전/후를 보여주는 애니메이션 (WebP 또는 GIF)
+// 모든 결과에 살롱 로고 워터마크를 선택적으로 넣을 수 있습니다.
+const sharp = require('sharp');
+
+const COMPARISON_TYPES = ['before-after', 'grid', 'slider'];
+const SLIDER_FORMATS = ['webp', 'gif'];
+
+// 칸 비율 (세로 사진 3:4)
+const CELL_RATIO = 3 / 4;
+const GAP = 8;
+const BACKGROUND = { r: 255, g: 255, b: 255 };
+
+const escapeXml = (value) => String(value).replace(/[<>&"']/g, (char) => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+}[char]));
+
+/**
+ * 이미지를 칸 크기에 맞춰 자르기 (EXIF 회전 반영, 얼굴이 잘리지 않도록 위쪽 기준)
+ */
+const fitCell = (buffer, width, height) => sharp(buffer)
+  .rotate()
+  .resize(width, height, { fit: 'cover', position: 'north' })
+  .flatten({ background: BACKGROUND })
+  .removeAlpha()
+  .toBuffer();
+
+/**
+ * 칸 왼쪽 위에 붙이는 라벨 (반투명 배경 + 흰 글씨)
+ */
+const labelOverlay = (text, cellHeight) => {
+  const fontSize = Math.max(Math.round(cellHeight * 0.035), 12);
+  const padding = Math.round(fontSize * 0.6);
+  const width = Math.round(text.length * fontSize * 0.68 + padding * 2);
+  const height = fontSize + padding * 2;
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <rect width="100%" height="100%" rx="${padding}" fill="black" fill-opacity="0.55"/>
+  <text x="${padding}" y="${padding + fontSize * 0.85}" font-family="sans-serif" font-size="${fontSize}" font-weight="bold" fill="white">${escapeXml(text)}</text>
+</svg>`);
+};
+
+/**
+ * 워터마크 로고를 결과 크기에 맞게 준비 (너비의 18%, 불투명도 70%)
+ * 반환: { input, width, height } 또는 null
+ */
+const prepareWatermark = async (logo, canvasWidth, canvasHeight) => {
+  if (!logo) return null;
+  const targetWidth = Math.max(Math.round(canvasWidth * 0.18), 24);
+  const resized = await sharp(logo)
+    .resize({ width: targetWidth, height: Math.round(canvasHeight * 0.2), fit: 'inside', withoutEnlargement: false })
+    .ensureAlpha()
+    .toBuffer({ resolveWithObject: true });
+  const input = await sharp(resized.data)
+    .composite([{
+      input: Buffer.from([255, 255, 255, Math.round(255 * 0.7)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: 'dest-in'
+    }])
+    .png()
+    .toBuffer();
+  return { input, width: resized.info.width, height: resized.info.height };
+};
+
+/**
+ * 워터마크 합성 항목 (오른쪽 아래, 여백 3%)
+ */
+const watermarkLayer = (watermark, canvasWidth, canvasHeight) => {
+  const margin = Math.round(Math.min(canvasWidth, canvasHeight) * 0.03);
+  return {
+    input: watermark.input,
+    left: canvasWidth - watermark.width - margin,
+    top: canvasHeight - watermark.height - margin
+  };
+};
+
+/**
+ * 전/후 나란히 비교 이미지
+ * - height: 결과 높이 (px)
+ * - labels: [전, 후] 라벨 (null 이면 라벨 없음)
+ * 반환: { buffer, mimeType, ext, width, height }
+ */
+const renderBeforeAfter = async ({ before, after, height = 1024, labels = ['BEFORE', 'AFTER'], logo = null }) => {
+  const cellWidth = Math.round(height * CELL_RATIO);
+  const width = cellWidth * 2 + GAP;
+  const [left, right] = await Promise.all([fitCell(before, cellWidth, height), fitCell(after, cellWidth, height)]);
+
+  const layers = [
+    { input: left, left: 0, top: 0 },
+    { input: right, left: cellWidth + GAP, top: 0 }
+  ];
+  if (labels) {
+    const margin = Math.round(height * 0.025);
+    layers.push(
+      { input: labelOverlay(labels[0], height), left: margin, top: margin },
+      { input: labelOverlay(labels[1], height), left: cellWidth + GAP + margin, top: margin }
+    );
+  }
+  const watermark = await prepareWatermark(logo, width, height);
+  if (watermark) layers.push(watermarkLayer(watermark, width, height));
+
+  const buffer = await sharp({ create: { width, height, channels: 3, background: BACKGROUND } })
+    .composite(layers)
+    .jpeg({ quality: 88 })
+    .toBuffer();
+  return { buffer, mimeType: 'image/jpeg', ext: 'jpg', width, height };
+};
+
+/**
+ * 이미지 격자
+ * - columns: 열 수 (기본: 이미지 수와 3 중 작은 값)
+ * - cellHeight: 칸 높이 (px)
+ * 반환: { buffer, mimeType, ext, width, height }
+ */
+const renderGrid = async ({ images, columns = Math.min(images.length, 3), cellHeight = 512, logo = null }) => {
+  if (images.length === 0) {
+    throw new Error('Grid needs at least one image');
+  }
+  const cellWidth = Math.round(cellHeight * CELL_RATIO);
+  const rows = Math.ceil(images.length / columns);
+  const width = columns * cellWidth + (columns - 1) * GAP;
+  const height = rows * cellHeight + (rows - 1) * GAP;
+
+  const cells = await Promise.all(images.map((image) => fitCell(image, cellWidth, cellHeight)));
+  const layers = cells.map((input, index) => ({
+    input,
+    left: (index % columns) * (cellWidth + GAP),
+    top: Math.floor(index / columns) * (cellHeight + GAP)
+  }));
+  const watermark = await prepareWatermark(logo, width, height);
+  if (watermark) layers.push(watermarkLayer(watermark, width, height));
+
+  const buffer = await sharp({ create: { width, height, channels: 3, background: BACKGROUND } })
+    .composite(layers)
+    .jpeg({ quality: 88 })
+    .toBuffer();
+  return { buffer, mimeType: 'image/jpeg', ext: 'jpg', width, height };
+};
+
+/**
+ * 슬라이더 애니메이션 (왼쪽은 시술 전, 오른쪽은 시술 후, 구분선이 좌우로 왕복)
+ * - format: webp | gif
+ * - frames: 한 번 왕복하는 프레임 수
+ * - frameDelayMs: 프레임 간격
+ * 반환: { buffer, mimeType, ext, width, height, frames }
+ */
+const renderSlider = async ({
+  before,
+  after,
+  format = 'webp',
+  height = 640,
+  frames = 24,
+  frameDelayMs = 90,
+  logo = null
+}) => {
+  const width = Math.round(height * CELL_RATIO);
+  const [beforeCell, afterCell] = await Promise.all([fitCell(before, width, height), fitCell(after, width, height)]);
+  const watermark = await prepareWatermark(logo, width, height);
+  const lineWidth = Math.max(Math.round(width * 0.01), 2);
+  const line = await sharp({ create: { width: lineWidth, height, channels: 3, background: BACKGROUND } }).png().toBuffer();
+
+  const frameBuffers = [];
+  for (let index = 0; index < frames; index++) {
+    // 0 → 1 → 0 으로 부드럽게 움직이는 구분선 위치
+    const progress = (1 - Math.cos((2 * Math.PI * index) / frames)) / 2;
+    const split = Math.min(Math.max(Math.round(width * (0.1 + progress * 0.8)), lineWidth), width - lineWidth);
+
+    const layers = [
+      { input: await sharp(beforeCell).extract({ left: 0, top: 0, width: split, height }).toBuffer(), left: 0, top: 0 },
+      { input: line, left: split - Math.floor(lineWidth / 2), top: 0 }
+    ];
+    if (watermark) layers.push(watermarkLayer(watermark, width, height));
+    frameBuffers.push(await sharp(afterCell).composite(layers).png().toBuffer());
+  }
+
+  const animation = sharp(frameBuffers, { join: { animated: true } });
+  const delay = Array(frames).fill(frameDelayMs);
+  const buffer = format === 'gif'
+    ? await animation.gif({ loop: 0, delay }).toBuffer()
+    : await animation.webp({ loop: 0, delay, quality: 80 }).toBuffer();
+  return {
+    buffer,
+    mimeType: format === 'gif' ? 'image/gif' : 'image/webp',
+    ext: format,
+    width,
+    height,
+    frames
+  };
+};
+
+module.exports = {
+  renderBeforeAfter,
+  renderGrid,
+  renderSlider,
+  COMPARISON_TYPES,
+  SLIDER_FORMATS
+};
@@ -0,0 +1,58 @@
+// server/lib/consent.js
+
+// 고객 사진(생체 정보) 처리 동의
+// 세션의 consent 에 동의한 목적, 개인정보 처리방침 버전, 동의 시각을 기록하고
+// 각 처리(생성, 분석, 저장) 전에 해당 목적의 동의가 있는지 확인합니다.
+
+// 동의 목적
+const CONSENT_PURPOSES = {
+  aiGeneration: 'ai-generation', // 외부 AI 모델로 헤어스타일 이미지 생성
+  analysis: 'analysis', // 외부 AI 모델로 사진 분석 (변경사항, 실현 가능성, 품질 점검)
+  storage: 'storage' // 서버/저장소에 사진 보관
+};
+
+const PURPOSE_VALUES = Object.values(CONSENT_PURPOSES);
+
+/**
+ * 요청의 동의 정보 검증
+ * - input: { purposes: string[], policyVersion: string }
+ * - currentPolicyVersion: 설정되어 있으면 이 버전에 대한 동의만 인정
+ * 반환: { consent, error } (consent: { purposes, policyVersion, consentedAt })
+ */
+const parseConsent = (input, { currentPolicyVersion } = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'consent is required: { purposes, policyVersion }' };
+  }
+
+  const { purposes, policyVersion } = input;
+  if (!Array.isArray(purposes) || purposes.length === 0) {
+    return { error: `consent.purposes must be a non-empty array of ${PURPOSE_VALUES.join(', ')}` };
+  }
+  const unknown = purposes.filter((purpose) => !PURPOSE_VALUES.includes(purpose));
+  if (unknown.length > 0) {
+    return { error: `Unknown consent purposes: ${unknown.join(', ')}` };
+  }
+  if (typeof policyVersion !== 'string' || !policyVersion.trim()) {
+    return { error: 'consent.policyVersion is required' };
+  }
+  if (currentPolicyVersion && policyVersion !== currentPolicyVersion) {
+    return { error: `consent.policyVersion must be the current policy version (${currentPolicyVersion})` };
+  }
+
+  return {
+    consent: {
+      purposes: [...new Set(purposes)],
+      policyVersion,
+      consentedAt: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * 세션에 해당 목적의 동의가 있는지 확인
+ */
+const hasConsent = (session, purpose) => Boolean(
+  session?.consent && !session.consent.withdrawnAt && session.consent.purposes?.includes(purpose)
+);
+
+module.exports = { CONSENT_PURPOSES, parseConsent, hasConsent };
@@ -0,0 +1,230 @@
+// server/lib/hairMasks.js
+
+// 머리카락/얼굴 마스크 서비스
+// - lib/segmentation 의 분할기로 사진의 머리카락·얼굴 마스크(원본 크기의 흑백 PNG)를 만들고 저장소에 캐시합니다.
+//   캐시 키는 사진 내용 해시 + 분할기 이름/버전이므로 같은 사진은 다시 계산하지 않습니다.
+// - 마스크로 머리카락 면적, 얼굴 대비 길이/볼륨/폭 비율을 측정합니다.
+// - 생성 결과에서 머리카락 영역만 원본 사진에 합성해 얼굴 픽셀을 그대로 유지할 수 있습니다.
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// 측정용 축소 크기 (긴 변)
+const MEASURE_SIZE = 256;
+// 얼굴로 인정할 최소 면적 비율
+const MIN_FACE_RATIO = 0.005;
+// 합성 전 원본/생성 결과 얼굴 마스크의 최소 IoU (이보다 작으면 구도가 달라 합성하지 않음)
+const MIN_FACE_IOU = 0.5;
+// 원본/생성 결과 비율 허용 차이
+const MAX_ASPECT_DIFFERENCE = 0.03;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * 마스크 PNG → 측정용 축소 이진 마스크 { width, height, pixels(0/1) }
+ */
+const loadBinaryMask = async (png) => {
+  const { data, info } = await sharp(png)
+    .resize({ width: MEASURE_SIZE, height: MEASURE_SIZE, fit: 'inside' })
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, pixels: Uint8Array.from(data, (value) => (value >= 128 ? 1 : 0)) };
+};
+
+/**
+ * 이진 마스크의 면적과 경계 상자 (비어 있으면 box: null)
+ */
+const maskExtent = ({ width, height, pixels }) => {
+  let area = 0;
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let index = 0; index < pixels.length; index++) {
+    if (!pixels[index]) continue;
+    const x = index % width;
+    const y = (index - x) / width;
+    area++;
+    if (x < left) left = x;
+    if (x > right) right = x;
+    if (y < top) top = y;
+    if (y > bottom) bottom = y;
+  }
+  return { area, box: area > 0 ? { left, top, right, bottom } : null };
+};
+
+/**
+ * 머리카락/얼굴 마스크 측정
+ * 반환: { faceFound, hairAreaRatio, faceAreaRatio, hairToFaceArea, faceBox, hairBox,
+ *         hairTopAboveFace, hairBelowChin, hairWidthToFace }
+ * - 상자 값은 사진 크기 대비 0-1 비율 ({ left, top, width, height })
+ * - hairTopAboveFace: 얼굴 위로 올라온 머리카락 높이 / 얼굴 높이 (정수리 볼륨)
+ * - hairBelowChin: 턱 아래로 내려온 머리카락 길이 / 얼굴 높이 (음수면 턱 위에서 끝남)
+ * - hairWidthToFace: 머리카락 전체 폭 / 얼굴 폭
+ * 얼굴을 찾지 못하면 얼굴 기준 값은 null 입니다.
+ */
+const measureMasks = async ({ hairMask, faceMask }) => {
+  const hair = await loadBinaryMask(hairMask);
+  const face = await loadBinaryMask(faceMask);
+  const total = hair.width * hair.height;
+  const hairExtent = maskExtent(hair);
+  const faceExtent = maskExtent(face);
+  const toBox = (box) => box && {
+    left: round(box.left / hair.width),
+    top: round(box.top / hair.height),
+    width: round((box.right - box.left + 1) / hair.width),
+    height: round((box.bottom - box.top + 1) / hair.height)
+  };
+
+  const faceFound = faceExtent.area / total >= MIN_FACE_RATIO;
+  const faceBox = faceFound ? faceExtent.box : null;
+  const hairBox = hairExtent.box;
+  const faceHeight = faceBox ? faceBox.bottom - faceBox.top + 1 : null;
+  const faceWidth = faceBox ? faceBox.right - faceBox.left + 1 : null;
+
+  return {
+    faceFound,
+    hairAreaRatio: round(hairExtent.area / total),
+    faceAreaRatio: round(faceExtent.area / total),
+    hairToFaceArea: faceFound ? round(hairExtent.area / faceExtent.area) : null,
+    faceBox: toBox(faceBox),
+    hairBox: toBox(hairBox),
+    hairTopAboveFace: faceBox && hairBox ? round((faceBox.top - hairBox.top) / faceHeight) : null,
+    hairBelowChin: faceBox && hairBox ? round((hairBox.bottom - faceBox.bottom) / faceHeight) : null,
+    hairWidthToFace: faceBox && hairBox ? round((hairBox.right - hairBox.left + 1) / faceWidth) : null
+  };
+};
+
+/**
+ * 두 마스크 PNG 의 IoU (측정용 크기로 비교)
+ */
+const maskIoU = async (a, b) => {
+  const first = await loadBinaryMask(a);
+  const { data } = await sharp(b)
+    .resize(first.width, first.height, { fit: 'fill' })
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  let intersection = 0;
+  let union = 0;
+  for (let index = 0; index < first.pixels.length; index++) {
+    const inFirst = first.pixels[index] === 1;
+    const inSecond = data[index] >= 128;
+    if (inFirst && inSecond) intersection++;
+    if (inFirst || inSecond) union++;
+  }
+  return union > 0 ? intersection / union : 0;
+};
+
+/**
+ * 마스크 서비스 생성
+ * - runner: lib/segmentation 의 분할기
+ * - storage: 마스크를 캐시할 lib/storage 의 파일 저장소
+ */
+const createMaskService = ({ runner, storage }) => {
+  const runnerId = `${runner.name}-${runner.version}`;
+
+  /**
+   * 분할기 실행 → 원본 크기 마스크 PNG { width, height, hairMask, faceMask } (저장소에 캐시하지 않음)
+   */
+  const segment = async (buffer) => {
+    const { width, height } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true }).then(({ info }) => info);
+    const result = await runner.segment(buffer);
+    const toPng = (mask) => sharp(mask, { raw: { width: result.width, height: result.height, channels: 1 } })
+      .resize(width, height, { fit: 'fill' })
+      .png()
+      .toBuffer();
+    return { width, height, hairMask: await toPng(result.hair), faceMask: await toPng(result.face) };
+  };
+
+  /**
+   * 사진의 마스크 (저장소에 있으면 재사용)
+   * - keyPrefix: 저장 키 접두사 (살롱 디렉토리, 예: "salon-a/")
+   * 반환: { runner, hairMask, faceMask, hairMaskUrl, faceMaskUrl, metrics, cached }
+   */
+  const getMasks = async (buffer, { keyPrefix = '' } = {}) => {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 24);
+    const keys = {
+      hair: `${keyPrefix}mask-${hash}-${runnerId}-hair.png`,
+      face: `${keyPrefix}mask-${hash}-${runnerId}-face.png`
+    };
+
+    let hairMask = await storage.get(keys.hair);
+    let faceMask = hairMask && await storage.get(keys.face);
+    const cached = Boolean(hairMask && faceMask);
+    if (!cached) {
+      ({ hairMask, faceMask } = await segment(buffer));
+      await storage.put(keys.hair, hairMask, { contentType: 'image/png' });
+      await storage.put(keys.face, faceMask, { contentType: 'image/png' });
+      console.log(`🧩 Hair/face masks created (${runnerId}): ${keys.hair}`);
+    }
+
+    return {
+      runner: runnerId,
+      hairMask,
+      faceMask,
+      hairMaskUrl: storage.url(keys.hair),
+      faceMaskUrl: storage.url(keys.face),
+      metrics: await measureMasks({ hairMask, faceMask }),
+      cached
+    };
+  };
+
+  /**
+   * 생성 결과의 머리카락 영역(원본 + 결과의 머리카락을 조금 넓힌 영역)만 원본 사진에 합성
+   * 나머지(얼굴, 옷, 배경)는 원본 픽셀을 그대로 사용합니다.
+   * 비율이 다르거나 얼굴 위치가 크게 다르면 합성하지 않습니다.
+   * 반환: { applied, reason, faceIoU, hairMaskUrl, faceMaskUrl, buffer(합성한 경우) }
+   * (hairMaskUrl/faceMaskUrl: 원본 사진의 마스크, 세션 삭제 시 함께 지우도록 기록)
+   */
+  const compositeHair = async ({ original, generated, keyPrefix = '' }) => {
+    const originalMasks = await getMasks(original, { keyPrefix });
+    const maskUrls = { hairMaskUrl: originalMasks.hairMaskUrl, faceMaskUrl: originalMasks.faceMaskUrl };
+    const { data: originalPixels, info } = await sharp(original).rotate().removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    const generatedMeta = await sharp(generated).rotate().toBuffer({ resolveWithObject: true }).then((result) => result.info);
+    if (Math.abs(generatedMeta.width / generatedMeta.height - width / height) > MAX_ASPECT_DIFFERENCE) {
+      return { applied: false, reason: 'aspect-mismatch', faceIoU: null, ...maskUrls };
+    }
+    const generatedPixels = await sharp(generated).rotate().removeAlpha().resize(width, height, { fit: 'fill' }).raw().toBuffer();
+    const generatedPng = await sharp(generatedPixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+    const generatedMasks = await segment(generatedPng);
+
+    const faceIoU = round(await maskIoU(originalMasks.faceMask, generatedMasks.faceMask));
+    if (faceIoU < MIN_FACE_IOU) {
+      return { applied: false, reason: 'face-misaligned', faceIoU, ...maskUrls };
+    }
+
+    // 원본/결과 머리카락 합집합 → 넓히기 → 가장자리 부드럽게
+    const [originalHair, generatedHair] = await Promise.all([originalMasks.hairMask, generatedMasks.hairMask]
+      .map((mask) => sharp(mask).extractChannel(0).raw().toBuffer()));
+    const union = Buffer.alloc(width * height);
+    for (let index = 0; index < union.length; index++) {
+      union[index] = Math.max(originalHair[index], generatedHair[index]);
+    }
+    const spread = Math.max(width * 0.01, 1);
+    const alpha = await sharp(union, { raw: { width, height, channels: 1 } })
+      .blur(spread)
+      .threshold(16)
+      .blur(Math.max(spread / 2, 0.5))
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+
+    const output = Buffer.alloc(width * height * 3);
+    for (let index = 0; index < alpha.length; index++) {
+      const weight = alpha[index] / 255;
+      for (let channel = 0; channel < 3; channel++) {
+        const offset = index * 3 + channel;
+        output[offset] = Math.round(generatedPixels[offset] * weight + originalPixels[offset] * (1 - weight));
+      }
+    }
+    const buffer = await sharp(output, { raw: { width, height, channels: 3 } }).jpeg({ quality: 92 }).toBuffer();
+    return { applied: true, reason: null, faceIoU, ...maskUrls, buffer };
+  };
+
+  return { runner: runnerId, segment, getMasks, compositeHair };
+};
+
+module.exports = { createMaskService, measureMasks };
@@ -0,0 +1,226 @@
+// server/lib/identityCheck.js
+
+// 생성 결과 본인 확인
+// 생성 프롬프트는 고객의 얼굴을 바꾸지 말라고 요청하지만 모델이 다른 사람처럼 만드는 경우가 있어,
+// 고객 사진과 생성 결과의 얼굴 영역(lib/hairMasks 의 얼굴 마스크)을 잘라 같은 크기로 맞춘 뒤
+// 얼굴 마스크 안쪽의 구조적 유사도(SSIM)로 점수(0-1)를 매깁니다.
+// 점수가 기준보다 낮으면 결과에 표시하거나(flag) 다시 생성합니다(retry, lib/styleGenerator).
+const sharp = require('sharp');
+
+// 비교용 얼굴 크기 (정사각형, 작게 줄여 약간의 위치·표정 차이와 압축 노이즈에 덜 민감하게 비교)
+const FACE_SIZE = 48;
+// SSIM 윈도우 크기와 간격
+const WINDOW_SIZE = 8;
+const WINDOW_STRIDE = 4;
+// 윈도우를 비교에 포함할 최소 얼굴 마스크 비율
+const MIN_WINDOW_COVERAGE = 0.5;
+// 얼굴 상자 여백 (얼굴 크기 대비)
+const FACE_MARGIN = 0.1;
+// SSIM 안정화 상수 (8비트 명도 기준)
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+const IDENTITY_CHECK_MODES = ['off', 'flag', 'retry'];
+
+const DEFAULT_THRESHOLD = 0.4;
+const DEFAULT_MAX_RETRIES = 1;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * 환경 변수에서 본인 확인 설정 읽기
+ * - IDENTITY_CHECK: off(기본) | flag(점수만 기록) | retry(기준 미달이면 다시 생성)
+ * - IDENTITY_THRESHOLD: 통과 기준 점수 (0-1, 기본 0.4)
+ * - IDENTITY_MAX_RETRIES: retry 모드의 최대 재생성 횟수 (기본 1)
+ * 반환: { mode, threshold, maxRetries } (flag 모드의 maxRetries 는 0)
+ */
+const loadIdentityCheckConfig = (env = process.env) => {
+  const mode = (env.IDENTITY_CHECK || 'off').toLowerCase();
+  if (!IDENTITY_CHECK_MODES.includes(mode)) {
+    throw new Error(`IDENTITY_CHECK must be one of ${IDENTITY_CHECK_MODES.join(', ')}`);
+  }
+
+  const threshold = env.IDENTITY_THRESHOLD === undefined || env.IDENTITY_THRESHOLD === ''
+    ? DEFAULT_THRESHOLD
+    : Number(env.IDENTITY_THRESHOLD);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error('IDENTITY_THRESHOLD must be a number between 0 and 1');
+  }
+
+  const maxRetries = env.IDENTITY_MAX_RETRIES === undefined || env.IDENTITY_MAX_RETRIES === ''
+    ? DEFAULT_MAX_RETRIES
+    : Number(env.IDENTITY_MAX_RETRIES);
+  if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+    throw new Error('IDENTITY_MAX_RETRIES must be a non-negative integer');
+  }
+
+  return { mode, threshold, maxRetries: mode === 'retry' ? maxRetries : 0 };
+};
+
+/**
+ * 얼굴 마스크 PNG → 여백을 둔 얼굴 상자 { left, top, width, height } (얼굴이 없으면 null)
+ */
+const findFaceBox = async (faceMask) => {
+  const { data, info } = await sharp(faceMask).extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  let area = 0;
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let index = 0; index < data.length; index++) {
+    if (data[index] < 128) continue;
+    const x = index % width;
+    const y = (index - x) / width;
+    area++;
+    if (x < left) left = x;
+    if (x > right) right = x;
+    if (y < top) top = y;
+    if (y > bottom) bottom = y;
+  }
+  // 얼굴로 보기에 너무 작은 영역은 무시
+  if (area < width * height * 0.005) return null;
+
+  const marginX = Math.round((right - left + 1) * FACE_MARGIN);
+  const marginY = Math.round((bottom - top + 1) * FACE_MARGIN);
+  const boxLeft = Math.max(left - marginX, 0);
+  const boxTop = Math.max(top - marginY, 0);
+  return {
+    left: boxLeft,
+    top: boxTop,
+    width: Math.min(right + marginX, width - 1) - boxLeft + 1,
+    height: Math.min(bottom + marginY, height - 1) - boxTop + 1
+  };
+};
+
+/**
+ * 사진과 얼굴 마스크에서 얼굴 영역을 FACE_SIZE 로 잘라낸 명도/마스크 { pixels, mask } (얼굴이 없으면 null)
+ */
+const cropFace = async (buffer, faceMask) => {
+  const box = await findFaceBox(faceMask);
+  if (!box) return null;
+  const pixels = await sharp(buffer)
+    .rotate()
+    .extract(box)
+    .resize(FACE_SIZE, FACE_SIZE, { fit: 'fill' })
+    .grayscale()
+    .raw()
+    .toBuffer();
+  const mask = await sharp(faceMask)
+    .extract(box)
+    .resize(FACE_SIZE, FACE_SIZE, { fit: 'fill' })
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+  return { pixels, mask };
+};
+
+/**
+ * 마스크 안쪽 윈도우들의 평균 SSIM (비교할 윈도우가 없으면 null)
+ * - mask: 기준(고객 사진) 얼굴 마스크, 윈도우의 MIN_WINDOW_COVERAGE 이상이 얼굴인 곳만 비교
+ */
+const maskedSsim = (a, b, mask) => {
+  let total = 0;
+  let windows = 0;
+  const count = WINDOW_SIZE * WINDOW_SIZE;
+
+  for (let top = 0; top + WINDOW_SIZE <= FACE_SIZE; top += WINDOW_STRIDE) {
+    for (let left = 0; left + WINDOW_SIZE <= FACE_SIZE; left += WINDOW_STRIDE) {
+      let covered = 0;
+      let sumA = 0;
+      let sumB = 0;
+      for (let y = top; y < top + WINDOW_SIZE; y++) {
+        for (let x = left; x < left + WINDOW_SIZE; x++) {
+          const index = y * FACE_SIZE + x;
+          if (mask[index] >= 128) covered++;
+          sumA += a[index];
+          sumB += b[index];
+        }
+      }
+      if (covered / count < MIN_WINDOW_COVERAGE) continue;
+
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      let varA = 0;
+      let varB = 0;
+      let covariance = 0;
+      for (let y = top; y < top + WINDOW_SIZE; y++) {
+        for (let x = left; x < left + WINDOW_SIZE; x++) {
+          const index = y * FACE_SIZE + x;
+          const diffA = a[index] - meanA;
+          const diffB = b[index] - meanB;
+          varA += diffA * diffA;
+          varB += diffB * diffB;
+          covariance += diffA * diffB;
+        }
+      }
+      varA /= count - 1;
+      varB /= count - 1;
+      covariance /= count - 1;
+
+      total += ((2 * meanA * meanB + C1) * (2 * covariance + C2))
+        / ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+      windows++;
+    }
+  }
+  return windows > 0 ? total / windows : null;
+};
+
+/**
+ * 본인 확인기 생성
+ * - maskService: lib/hairMasks 의 마스크 서비스 (얼굴 위치 확인)
+ * - mode, threshold, maxRetries: loadIdentityCheckConfig() 결과
+ * 반환: { mode, method, threshold, maxRetries, check({ original, generated }) }
+ */
+const createIdentityChecker = ({ maskService, mode, threshold, maxRetries }) => {
+  // 재생성 동안 같은 고객 사진을 다시 분할하지 않도록 버퍼별로 얼굴을 기억
+  const originalFaces = new WeakMap();
+
+  const faceOf = async (buffer) => {
+    const { faceMask } = await maskService.segment(buffer);
+    return cropFace(buffer, faceMask);
+  };
+
+  /**
+   * 고객 사진(original)과 생성 결과(generated)의 얼굴 비교
+   * 반환: { method, score, threshold, passed, reason }
+   * - 고객 사진에서 얼굴을 찾지 못하면 판단하지 않음 (score/passed: null, reason: no-face-in-photo)
+   * - 생성 결과에서 얼굴을 찾지 못하면 실패 (score: 0, reason: no-face)
+   * - 점수가 기준보다 낮으면 실패 (reason: low-similarity)
+   */
+  const check = async ({ original, generated }) => {
+    const result = (score, reason) => ({
+      method: 'masked-face-ssim',
+      score: score === null ? null : round(Math.max(score, 0)),
+      threshold,
+      passed: score === null ? null : score >= threshold,
+      reason
+    });
+
+    if (!originalFaces.has(original)) {
+      originalFaces.set(original, faceOf(original));
+    }
+    const originalFace = await originalFaces.get(original);
+    if (!originalFace) {
+      return result(null, 'no-face-in-photo');
+    }
+    const generatedFace = await faceOf(generated);
+    if (!generatedFace) {
+      return result(0, 'no-face');
+    }
+
+    const score = maskedSsim(originalFace.pixels, generatedFace.pixels, originalFace.mask);
+    if (score === null) {
+      return result(null, 'no-face-in-photo');
+    }
+    return result(score, score >= threshold ? null : 'low-similarity');
+  };
+
+  return { mode, method: 'masked-face-ssim', threshold, maxRetries, check };
+};
+
+module.exports = {
+  loadIdentityCheckConfig,
+  createIdentityChecker,
+  IDENTITY_CHECK_MODES
+};
@@ -0,0 +1,297 @@
+// server/lib/imageLoader.js
+
+// 공용 이미지 로더 (URL → Buffer)
+// - 업로드 파일: 파일 저장소(lib/storage)의 URL 만 저장소 키로 엄격하게 변환해 저장소에서 읽습니다.
+// - data: URL: base64 이미지만 허용합니다.
+// - 외부 URL: 허용 호스트(IMAGE_FETCH_ALLOWED_HOSTS)만 가져오며, 사설/루프백 IP 로 연결되는 요청(SSRF)은 차단합니다.
+// 모든 경로에 최대 크기를, 외부 요청에는 타임아웃과 리다이렉트 횟수 제한을 적용합니다.
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_REDIRECTS = 3;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * 이미지 로드 실패 (status: HTTP 상태 코드)
+ */
+class ImageLoadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImageLoadError';
+    this.status = status;
+  }
+}
+
+// 외부 요청이 연결되면 안 되는 주소 대역
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * 사설/루프백/링크 로컬 등 내부 주소인지 확인 (IPv4-mapped IPv6 포함)
+ */
+const isPrivateAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * 호스트가 허용 목록에 있는지 확인 ("*.example.com" 은 하위 도메인 허용)
+ */
+const isAllowedHost = (hostname, allowedHosts) => allowedHosts.some((allowed) => {
+  if (allowed.startsWith('*.')) {
+    return hostname.endsWith(allowed.slice(1));
+  }
+  return hostname === allowed;
+});
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map((item) => item.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * 이미지 로더 생성
+ * - storage: lib/storage 의 파일 저장소
+ * 나머지 옵션은 환경 변수 기본값을 덮어씁니다:
+ * IMAGE_FETCH_ALLOWED_HOSTS (쉼표 구분, 비어 있으면 외부 URL 차단), IMAGE_FETCH_MAX_BYTES,
+ * IMAGE_FETCH_TIMEOUT_MS, IMAGE_FETCH_MAX_REDIRECTS
+ */
+const createImageLoader = ({
+  storage,
+  allowedHosts = parseList(process.env.IMAGE_FETCH_ALLOWED_HOSTS),
+  maxBytes = parseInt(process.env.IMAGE_FETCH_MAX_BYTES, 10) || DEFAULT_MAX_BYTES,
+  timeoutMs = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+  maxRedirects = Number.isInteger(parseInt(process.env.IMAGE_FETCH_MAX_REDIRECTS, 10))
+    ? parseInt(process.env.IMAGE_FETCH_MAX_REDIRECTS, 10)
+    : DEFAULT_MAX_REDIRECTS
+}) => {
+  /**
+   * URL 분류: { kind: 'data' } | { kind: 'upload', key } | { kind: 'remote', url }
+   * 허용되지 않는 URL 이면 ImageLoadError
+   */
+  const classify = (rawUrl) => {
+    if (typeof rawUrl !== 'string' || !rawUrl.trim()) {
+      throw new ImageLoadError('Image URL must be a non-empty string');
+    }
+    if (rawUrl.startsWith('data:')) {
+      return { kind: 'data' };
+    }
+
+    const key = storage.keyFromUrl(rawUrl);
+    if (key) {
+      return { kind: 'upload', key };
+    }
+
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch (error) {
+      throw new ImageLoadError(`Invalid image URL: ${rawUrl}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new ImageLoadError(`Unsupported image URL scheme: ${url.protocol}`);
+    }
+    if (url.username || url.password) {
+      throw new ImageLoadError('Image URL must not contain credentials');
+    }
+    const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (!isAllowedHost(hostname, allowedHosts)) {
+      throw new ImageLoadError(`Image host is not allowed: ${hostname}`, 403);
+    }
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+      throw new ImageLoadError(`Image host resolves to a private address: ${hostname}`, 403);
+    }
+    return { kind: 'remote', url };
+  };
+
+  /**
+   * 요청 전 URL 검사 (DNS 조회 없이). 문제가 없으면 null, 있으면 오류 메시지
+   */
+  const checkUrl = (rawUrl) => {
+    try {
+      classify(rawUrl);
+      return null;
+    } catch (error) {
+      if (error instanceof ImageLoadError) return error.message;
+      throw error;
+    }
+  };
+
+  const loadDataUrl = (rawUrl) => {
+    const match = rawUrl.match(/^data:(image\/[a-z0-9.+-]+)?;base64,(.*)$/is);
+    if (!match) {
+      throw new ImageLoadError('Only base64 image data URLs are supported');
+    }
+    // base64 4자 → 3바이트
+    if (Math.floor(match[2].length * 3 / 4) > maxBytes) {
+      throw new ImageLoadError(`Image exceeds ${maxBytes} bytes`, 413);
+    }
+    return Buffer.from(match[2], 'base64');
+  };
+
+  /**
+   * 저장소에서 업로드 파일 읽기 (없으면 null)
+   */
+  const loadUpload = async (key) => {
+    const buffer = await storage.get(key);
+    if (buffer && buffer.length > maxBytes) {
+      throw new ImageLoadError(`Image exceeds ${maxBytes} bytes`, 413);
+    }
+    return buffer;
+  };
+
+  // 연결 시점에 DNS 결과를 검사해 DNS 리바인딩도 차단
+  const safeLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+      if (blocked) {
+        return callback(new ImageLoadError(`Image host resolves to a private address: ${hostname}`, 403));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+
+  /**
+   * 외부 URL 한 번 요청 → { redirect } 또는 { buffer }
+   */
+  const requestOnce = (url, deadline) => new Promise((resolvePromise, rejectPromise) => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      rejectPromise(new ImageLoadError(`Image download timed out: ${url.href}`, 504));
+      return;
+    }
+
+    // 소켓 유휴 시간이 아니라 전체 다운로드 시간을 제한 (조금씩 보내는 서버도 끊음)
+    const timer = setTimeout(() => {
+      reject(new ImageLoadError(`Image download timed out: ${url.href}`, 504));
+      req.destroy();
+    }, remaining);
+    const resolve = (value) => {
+      clearTimeout(timer);
+      resolvePromise(value);
+    };
+    const reject = (error) => {
+      clearTimeout(timer);
+      rejectPromise(error);
+    };
+
+    const protocol = url.protocol === 'https:' ? https : http;
+    const req = protocol.get(url, { lookup: safeLookup, headers: { Accept: 'image/*' } }, (res) => {
+      if (REDIRECT_STATUSES.includes(res.statusCode)) {
+        res.resume();
+        if (!res.headers.location) {
+          reject(new ImageLoadError(`Redirect without location: ${url.href}`, 502));
+          return;
+        }
+        resolve({ redirect: new URL(res.headers.location, url).href });
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new ImageLoadError(`Failed to download image: ${res.statusCode}`, 502));
+        return;
+      }
+
+      const contentType = (res.headers['content-type'] || '').toLowerCase();
+      if (contentType && !contentType.startsWith('image/') && !contentType.startsWith('application/octet-stream')) {
+        res.resume();
+        reject(new ImageLoadError(`Remote URL is not an image: ${contentType}`, 415));
+        return;
+      }
+      if (parseInt(res.headers['content-length'], 10) > maxBytes) {
+        reject(new ImageLoadError(`Image exceeds ${maxBytes} bytes`, 413));
+        req.destroy();
+        return;
+      }
+
+      const chunks = [];
+      let received = 0;
+      res.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          reject(new ImageLoadError(`Image exceeds ${maxBytes} bytes`, 413));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({ buffer: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+
+    req.on('error', (error) => {
+      reject(error instanceof ImageLoadError
+        ? error
+        : new ImageLoadError(`Failed to download image: ${error.message}`, 502));
+    });
+  });
+
+  /**
+   * 외부 URL 다운로드 (리다이렉트마다 허용 호스트/주소를 다시 검사)
+   */
+  const loadRemote = async (url) => {
+    const deadline = Date.now() + timeoutMs;
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+      const result = await requestOnce(current, deadline);
+      if (result.buffer) return result.buffer;
+      if (redirects >= maxRedirects) {
+        throw new ImageLoadError(`Too many redirects: ${url.href}`, 502);
+      }
+      const next = classify(result.redirect);
+      if (next.kind !== 'remote') {
+        throw new ImageLoadError(`Redirect target is not allowed: ${result.redirect}`, 403);
+      }
+      current = next.url;
+    }
+  };
+
+  /**
+   * URL 에서 이미지 버퍼 가져오기
+   * URL 이 비어 있거나 업로드 파일이 없으면 null, 허용되지 않거나 실패하면 ImageLoadError
+   */
+  const load = async (rawUrl) => {
+    if (!rawUrl) return null;
+    const target = classify(rawUrl);
+    if (target.kind === 'data') return loadDataUrl(rawUrl);
+    if (target.kind === 'upload') return loadUpload(target.key);
+    return loadRemote(target.url);
+  };
+
+  return { load, checkUrl };
+};
+
+module.exports = { createImageLoader, ImageLoadError, isPrivateAddress };
@@ -0,0 +1,93 @@
+// server/lib/imagePipeline.js
+
+// 업로드 이미지 검증 및 정규화
+// - 확장자나 클라이언트 MIME 대신 파일 내용(매직 바이트)으로 실제 형식을 판별합니다.
+// - EXIF 방향대로 회전한 뒤 EXIF/GPS 등 메타데이터를 제거하고, 최대 크기로 축소합니다.
+const sharp = require('sharp');
+
+const DEFAULT_MAX_DIMENSION = 2048;
+
+// 형식별 저장 방식 (HEIC 는 호환성을 위해 JPEG 로 변환)
+const OUTPUT_FORMATS = {
+  jpeg: { format: 'jpeg', mimeType: 'image/jpeg', ext: 'jpg', options: { quality: 90, mozjpeg: true } },
+  png: { format: 'png', mimeType: 'image/png', ext: 'png', options: {} },
+  webp: { format: 'webp', mimeType: 'image/webp', ext: 'webp', options: { quality: 90 } },
+  heic: { format: 'jpeg', mimeType: 'image/jpeg', ext: 'jpg', options: { quality: 90, mozjpeg: true } }
+};
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  heic: 'image/heic'
+};
+
+/**
+ * 이미지 검증 실패 (status: HTTP 상태 코드)
+ */
+class ImageValidationError extends Error {
+  constructor(message, status = 415) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.status = status;
+  }
+}
+
+/**
+ * 매직 바이트로 이미지 형식 판별 (jpeg | png | webp | heic, 알 수 없으면 null)
+ */
+const detectImageFormat = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return 'heic';
+  }
+  return null;
+};
+
+/**
+ * 버퍼의 실제 MIME 타입 (알 수 없으면 fallback)
+ */
+const detectImageMime = (buffer, fallback = 'image/jpeg') => MIME_TYPES[detectImageFormat(buffer)] || fallback;
+
+/**
+ * 업로드 이미지 정규화
+ * 반환: { buffer, mimeType, ext, width, height, originalFormat }
+ * 이미지가 아니거나 디코딩할 수 없으면 ImageValidationError(415)
+ */
+const normalizeImage = async (buffer, { maxDimension = DEFAULT_MAX_DIMENSION } = {}) => {
+  const originalFormat = detectImageFormat(buffer);
+  if (!originalFormat) {
+    throw new ImageValidationError('Unsupported file type: only JPEG, PNG, WebP and HEIC images are accepted');
+  }
+
+  const output = OUTPUT_FORMATS[originalFormat];
+  try {
+    // rotate(): EXIF 방향 적용, withMetadata 를 쓰지 않으므로 EXIF/GPS 는 제거됨
+    const { data, info } = await sharp(buffer, { failOn: 'error' })
+      .rotate()
+      .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+      .toFormat(output.format, output.options)
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: data,
+      mimeType: output.mimeType,
+      ext: output.ext,
+      width: info.width,
+      height: info.height,
+      originalFormat
+    };
+  } catch (error) {
+    if (originalFormat === 'heic') {
+      throw new ImageValidationError('HEIC images cannot be decoded on this server. Please upload JPEG, PNG or WebP');
+    }
+    throw new ImageValidationError(`Corrupted or unreadable ${originalFormat.toUpperCase()} image`);
+  }
+};
+
+module.exports = { ImageValidationError, detectImageFormat, detectImageMime, normalizeImage };
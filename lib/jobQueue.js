@@ -0,0 +1,111 @@
+// server/lib/jobQueue.js
+
+// 비동기 작업 큐 (메모리)
+// - 동시에 실행되는 작업 수를 concurrency 로 제한합니다.
+// - 상태 변경마다 'update' 이벤트로 작업 스냅샷을 내보냅니다 (SSE 전달용).
+// - 끝난 작업은 retentionMs 동안 조회 가능하며, 서버 재시작 시 사라집니다.
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const TERMINAL_STATUSES = ['done', 'failed'];
+
+class JobQueue extends EventEmitter {
+  constructor({ concurrency = 2, retentionMs = 60 * 60 * 1000 } = {}) {
+    super();
+    // SSE 연결마다 리스너가 추가되므로 제한 해제
+    this.setMaxListeners(0);
+    this.concurrency = concurrency;
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * 작업 등록
+   * handler(payload, reportProgress) 의 반환값이 작업 결과가 됩니다.
+   * handler 가 예외를 던지면 실패 (error.result 가 있으면 실패한 작업의 결과로 보관)
+   */
+  enqueue(type, payload, handler) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      stage: 'queued',
+      sessionId: payload?.sessionId,
+      salonId: payload?.salonId ?? null,
+      stylistId: payload?.stylistId ?? null,
+      createdAt: now,
+      updatedAt: now,
+      result: null,
+      error: null
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push({ job, payload, handler });
+    this.emitUpdate(job);
+    // drain() 이 바로 실행을 시작하므로 등록 시점(queued) 스냅샷을 먼저 만듦
+    const snapshot = this.snapshot(job);
+    this.drain();
+    return snapshot;
+  }
+
+  /** 작업 조회 (없으면 null) */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.snapshot(job) : null;
+  }
+
+  isTerminal(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  snapshot(job) {
+    return { ...job };
+  }
+
+  emitUpdate(job) {
+    job.updatedAt = new Date().toISOString();
+    this.emit('update', this.snapshot(job));
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const entry = this.pending.shift();
+      this.running++;
+      this.run(entry).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async run({ job, payload, handler }) {
+    job.status = 'running';
+    job.stage = 'started';
+    this.emitUpdate(job);
+
+    const reportProgress = (stage) => {
+      job.stage = stage;
+      this.emitUpdate(job);
+    };
+
+    try {
+      job.result = await handler(payload, reportProgress);
+      job.status = 'done';
+      job.stage = 'done';
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.stage = 'failed';
+      job.error = error.message || 'Job failed';
+      job.result = error.result ?? null;
+    }
+    this.emitUpdate(job);
+
+    // 보관 기간이 지나면 삭제
+    setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+  }
+}
+
+module.exports = { JobQueue };
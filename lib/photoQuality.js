@@ -0,0 +1,233 @@
+// server/lib/photoQuality.js
+
+// 고객 사진 품질 사전 점검
+// - 로컬 휴리스틱: 해상도, 흐림(라플라시안 분산), 노출, 역광, 피부색 영역(얼굴 유무 추정)
+// - 선택적으로 비전 모델에 얼굴 유무와 촬영 각도를 물어봅니다 (PHOTO_QUALITY_AI=true).
+// 결과는 사진별 경고 목록과 통과 여부이며, 업로드를 막지 않고 재촬영 안내에 사용합니다.
+const sharp = require('sharp');
+const { runStructuredAnalysis } = require('./structuredAnalysis');
+
+// 판정 기준 (severity: error 는 불합격, warning 은 안내만)
+const DEFAULT_THRESHOLDS = {
+  minDimensionError: 512,
+  minDimensionWarning: 800,
+  blurError: 40,
+  blurWarning: 100,
+  darkMean: 50,
+  brightMean: 205,
+  clippedRatio: 0.25,
+  backlightRatio: 1.6,
+  minFaceSkinRatio: 0.05,
+  maxBackSkinRatio: 0.3
+};
+
+const ANALYSIS_WIDTH = 512;
+const COLOR_WIDTH = 128;
+
+const SLOT_NAMES_KO = { front: '정면', side: '측면', back: '후면' };
+
+/**
+ * 흑백 픽셀의 라플라시안 분산 (값이 작을수록 흐림)
+ */
+const laplacianVariance = (pixels, width, height) => {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+};
+
+/**
+ * 로컬 지표 계산
+ */
+const measurePhoto = async (buffer) => {
+  const { width, height } = await sharp(buffer).metadata();
+
+  // 흐림/노출: 흑백 축소본
+  const grey = await sharp(buffer)
+    .greyscale()
+    .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const pixels = grey.data;
+  let luminanceSum = 0;
+  let highlights = 0;
+  let shadows = 0;
+  for (const value of pixels) {
+    luminanceSum += value;
+    if (value >= 250) highlights++;
+    if (value <= 5) shadows++;
+  }
+
+  // 역광/피부색: 컬러 축소본의 중앙(가로·세로 50%)과 테두리 비교
+  const color = await sharp(buffer)
+    .removeAlpha()
+    .resize({ width: COLOR_WIDTH, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width: cw, height: ch } = color.info;
+  let centerSum = 0;
+  let centerCount = 0;
+  let borderSum = 0;
+  let borderCount = 0;
+  let skin = 0;
+  for (let y = 0; y < ch; y++) {
+    for (let x = 0; x < cw; x++) {
+      const i = (y * cw + x) * 3;
+      const r = color.data[i];
+      const g = color.data[i + 1];
+      const b = color.data[i + 2];
+      const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+      const isCenter = x >= cw / 4 && x < (cw * 3) / 4 && y >= ch / 4 && y < (ch * 3) / 4;
+      if (isCenter) {
+        centerSum += luminance;
+        centerCount++;
+        // YCbCr 피부색 범위
+        const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+        const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+        if (cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173) skin++;
+      } else {
+        borderSum += luminance;
+        borderCount++;
+      }
+    }
+  }
+
+  const centerMean = centerSum / Math.max(centerCount, 1);
+  const borderMean = borderSum / Math.max(borderCount, 1);
+
+  return {
+    width,
+    height,
+    blurVariance: Math.round(laplacianVariance(pixels, grey.info.width, grey.info.height)),
+    meanLuminance: Math.round(luminanceSum / pixels.length),
+    clippedHighlights: Number((highlights / pixels.length).toFixed(3)),
+    clippedShadows: Number((shadows / pixels.length).toFixed(3)),
+    backlightRatio: Number((borderMean / Math.max(centerMean, 1)).toFixed(2)),
+    skinRatio: Number((skin / Math.max(centerCount, 1)).toFixed(3))
+  };
+};
+
+/**
+ * 지표를 기준과 비교해 경고 목록 작성
+ */
+const evaluateMetrics = (slot, metrics, thresholds) => {
+  const warnings = [];
+  const add = (code, severity, message) => warnings.push({ code, severity, source: 'heuristic', message });
+  const minDimension = Math.min(metrics.width, metrics.height);
+
+  if (minDimension < thresholds.minDimensionError) {
+    add('low-resolution', 'error', `해상도가 너무 낮습니다 (${metrics.width}x${metrics.height})`);
+  } else if (minDimension < thresholds.minDimensionWarning) {
+    add('low-resolution', 'warning', `해상도가 낮아 결과 품질이 떨어질 수 있습니다 (${metrics.width}x${metrics.height})`);
+  }
+
+  if (metrics.blurVariance < thresholds.blurError) {
+    add('blurry', 'error', '사진이 흐립니다. 초점을 맞춰 다시 촬영해주세요');
+  } else if (metrics.blurVariance < thresholds.blurWarning) {
+    add('blurry', 'warning', '사진이 약간 흐립니다');
+  }
+
+  if (metrics.meanLuminance < thresholds.darkMean || metrics.clippedShadows > thresholds.clippedRatio) {
+    add('underexposed', 'error', '사진이 너무 어둡습니다');
+  } else if (metrics.meanLuminance > thresholds.brightMean || metrics.clippedHighlights > thresholds.clippedRatio) {
+    add('overexposed', 'error', '사진이 너무 밝거나 빛이 번졌습니다');
+  }
+
+  if (metrics.backlightRatio > thresholds.backlightRatio) {
+    add('backlit', 'warning', '역광입니다. 조명을 정면에 두고 촬영해주세요');
+  }
+
+  if (slot === 'front' && metrics.skinRatio < thresholds.minFaceSkinRatio) {
+    add('face-not-detected', 'warning', '사진 중앙에서 얼굴을 찾기 어렵습니다');
+  }
+  if (slot === 'back' && metrics.skinRatio > thresholds.maxBackSkinRatio) {
+    add('pose-mismatch', 'warning', '후면 사진에 얼굴이 보이는 것 같습니다');
+  }
+
+  return warnings;
+};
+
+const buildQualityPrompt = (slot) => `
+이 사진은 헤어 상담용 고객 사진의 "${SLOT_NAMES_KO[slot] || slot}" 칸에 업로드되었습니다.
+사진을 보고 다음을 판단해주세요.
+- faceDetected: 사람 얼굴(또는 후면 사진이면 사람의 머리)이 보이는지
+- faceCount: 보이는 사람 수
+- pose: 촬영 각도 (front: 정면, side: 측면, back: 후면, unknown: 판단 불가)
+- issues: 헤어스타일 합성에 방해되는 문제 (모자, 손으로 머리 가림, 심한 필터, 여러 사람 등)
+`.trim();
+
+/**
+ * 비전 모델 점검 결과를 경고로 변환
+ */
+const evaluateAIResult = (slot, result) => {
+  const warnings = [];
+  const add = (code, severity, message) => warnings.push({ code, severity, source: 'ai', message });
+
+  if (!result.faceDetected) {
+    add('face-not-detected', 'error', '사진에서 사람을 찾을 수 없습니다');
+  }
+  if (result.faceCount > 1) {
+    add('multiple-people', 'error', '사진에 여러 사람이 있습니다');
+  }
+  if (result.pose !== 'unknown' && result.pose !== slot) {
+    add('pose-mismatch', 'error', `${SLOT_NAMES_KO[slot] || slot} 칸에 ${SLOT_NAMES_KO[result.pose] || result.pose} 사진이 업로드되었습니다`);
+  }
+  for (const issue of result.issues || []) {
+    add('ai-issue', 'warning', issue);
+  }
+  return warnings;
+};
+
+/**
+ * 사진 한 장의 품질 점검
+ * 반환: { slot, pass, warnings, metrics, ai }
+ */
+const checkPhotoQuality = async ({ buffer, mimeType, slot, aiProvider, useAI = false, thresholds = {} }) => {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const metrics = await measurePhoto(buffer);
+  const warnings = evaluateMetrics(slot, metrics, limits);
+
+  let ai = null;
+  if (useAI && aiProvider) {
+    try {
+      const analysis = await runStructuredAnalysis({
+        aiProvider,
+        task: 'photo-quality',
+        prompt: buildQualityPrompt(slot),
+        images: [{ buffer, mimeType }]
+      });
+      if (analysis.degraded) {
+        ai = { degraded: true };
+      } else {
+        ai = analysis.data;
+        // 모델 판단이 있으면 같은 항목의 휴리스틱 추정은 대체
+        const aiWarnings = evaluateAIResult(slot, ai);
+        const replaced = ['face-not-detected', 'pose-mismatch'];
+        warnings.splice(0, warnings.length, ...warnings.filter((warning) => !replaced.includes(warning.code)), ...aiWarnings);
+      }
+    } catch (error) {
+      console.error(`Error running AI photo quality check (${slot}):`, error);
+      ai = { degraded: true };
+    }
+  }
+
+  return {
+    slot,
+    pass: !warnings.some((warning) => warning.severity === 'error'),
+    warnings,
+    metrics,
+    ai
+  };
+};
+
+module.exports = { checkPhotoQuality, DEFAULT_THRESHOLDS };
@@ -0,0 +1,136 @@
+// server/lib/priceEngine.js
+
+// 예상 비용 계산
+// AI 가 제안한 시술을 메뉴 항목에 연결하고, 기본가 + 길이/밀도 보정으로 가격 범위를 계산합니다.
+// 길이나 밀도를 모르면 가능한 보정값 전체를 범위로 반영합니다.
+
+// 밀도 값 별칭 (클라이언트 입력 → 보정 키)
+const DENSITY_ALIASES = {
+  low: 'low', thin: 'low', '적음': 'low', '낮음': 'low',
+  medium: 'medium', normal: 'medium', '보통': 'medium', '중간': 'medium',
+  high: 'high', thick: 'high', '많음': 'high', '높음': 'high'
+};
+
+// 길이 값 별칭
+const LENGTH_ALIASES = {
+  short: 'short', '짧음': 'short', '숏': 'short',
+  medium: 'medium', '중간': 'medium', '미디엄': 'medium',
+  long: 'long', '긺': 'long', '길음': 'long', '롱': 'long'
+};
+
+const resolveLevel = (value, aliases) => aliases[String(value || '').trim().toLowerCase()] || null;
+
+/**
+ * 보정값 범위 계산 (level 을 알면 해당 값, 모르면 최소~최대)
+ */
+const modifierRange = (values = {}, level) => {
+  const amounts = Object.values(values);
+  if (amounts.length === 0) return { min: 0, max: 0 };
+  if (level && values[level] !== undefined) return { min: values[level], max: values[level] };
+  return { min: Math.min(...amounts), max: Math.max(...amounts) };
+};
+
+/**
+ * 가격 범위를 표시용 문자열로 변환 (예: ₩80,000-120,000)
+ */
+const formatPriceRange = ({ min, max }) => {
+  const format = (value) => value.toLocaleString('ko-KR');
+  return min === max ? `₩${format(min)}` : `₩${format(min)}-${format(max)}`;
+};
+
+/**
+ * 메뉴 항목의 조건을 모발 상태에 대해 평가
+ * 반환: [{ type, message, triggered }] (triggered: 이력 때문에 실제로 해당되는지)
+ */
+const evaluateConditions = (service, hairCondition) => {
+  const history = hairCondition?.chemicalHistory || {};
+  const hasBleach = Boolean(history.bleach) && !['없음', 'none', 'no'].includes(String(history.bleach).toLowerCase());
+
+  return (service.conditions || []).map((condition) => {
+    let triggered;
+    switch (condition.type) {
+      case 'not-with-henna':
+        triggered = Boolean(history.henna);
+        break;
+      case 'not-with-relaxer':
+        triggered = Boolean(history.relaxer);
+        break;
+      case 'not-with-box-dye':
+        triggered = Boolean(history.boxDye);
+        break;
+      case 'requires-bleach-history-check':
+        triggered = hasBleach;
+        break;
+      default:
+        // 확인 절차(패치 테스트 등)는 항상 해당
+        triggered = true;
+    }
+    return { type: condition.type, message: condition.message, triggered };
+  });
+};
+
+/**
+ * 시술 목록의 예상 비용 계산
+ * procedures: 시술 이름 문자열 또는 { name, nameEn, koreanName } 객체 배열
+ * 반환: { items, unmatched, total, estimatedCost } (items[].index 는 procedures 의 위치)
+ */
+const estimateCost = ({ catalog, procedures = [], hairCondition }) => {
+  const length = resolveLevel(hairCondition?.length || hairCondition?.hairLength, LENGTH_ALIASES);
+  const density = resolveLevel(hairCondition?.density, DENSITY_ALIASES);
+
+  const items = [];
+  const unmatched = [];
+  const seen = new Set();
+
+  procedures.forEach((procedure, index) => {
+    const names = typeof procedure === 'string'
+      ? [procedure]
+      : [procedure?.koreanName, procedure?.name, procedure?.nameEn].filter(Boolean);
+    const service = names.map((name) => catalog.match(name)).find(Boolean);
+    const label = names[0] || '';
+
+    if (!service) {
+      unmatched.push(label);
+      return;
+    }
+    // 같은 메뉴 항목은 한 번만 합계에 반영
+    const counted = !seen.has(service.id);
+    seen.add(service.id);
+
+    const lengthRange = modifierRange(service.modifiers?.length, length);
+    const densityRange = modifierRange(service.modifiers?.density, density);
+    const price = {
+      min: service.basePrice + lengthRange.min + densityRange.min,
+      max: service.basePrice + lengthRange.max + densityRange.max
+    };
+
+    items.push({
+      index: index,
+      procedure: label,
+      serviceId: service.id,
+      name: service.name,
+      nameEn: service.nameEn,
+      category: service.category,
+      price: price,
+      estimatedCost: formatPriceRange(price),
+      counted: counted,
+      conditions: evaluateConditions(service, hairCondition)
+    });
+  });
+
+  const total = items.filter((item) => item.counted).reduce(
+    (sum, item) => ({ min: sum.min + item.price.min, max: sum.max + item.price.max }),
+    { min: 0, max: 0 }
+  );
+
+  return {
+    items,
+    unmatched,
+    total,
+    currency: 'KRW',
+    basis: { length: length || 'unknown', density: density || 'unknown' },
+    estimatedCost: items.length > 0 ? formatPriceRange(total) : null
+  };
+};
+
+module.exports = { estimateCost, formatPriceRange, evaluateConditions };
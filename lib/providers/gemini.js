@@ -0,0 +1,96 @@
+// server/lib/providers/gemini.js
+
+// Gemini(나노 바나나) 기반 AI 제공자
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { toResponseSchema } = require('../analysisSchemas');
+
+/**
+ * 이미지 목록을 Gemini inlineData 파트로 변환
+ */
+const toInlineParts = (images = []) => images.map((image) => ({
+  inlineData: {
+    mimeType: image.mimeType || 'image/jpeg',
+    data: image.buffer.toString('base64'),
+  },
+}));
+
+/**
+ * Gemini 제공자 생성
+ * - textModelName: 텍스트 분석용 모델
+ * - imageModelName: 이미지 생성용 모델 (Gemini 2.5 Flash Image)
+ */
+const createGeminiProvider = ({ apiKey, textModelName, imageModelName }) => {
+  if (!apiKey) {
+    throw new Error('GOOGLE_API_KEY 환경 변수가 설정되지 않았습니다. .env 파일을 확인하거나 AI_PROVIDER=mock 을 사용하세요.');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const model = genAI.getGenerativeModel({ model: textModelName });
+  const imageModel = genAI.getGenerativeModel({ model: imageModelName });
+
+  return {
+    name: 'gemini',
+    textModelName,
+    imageModelName,
+
+    /**
+     * 이미지 생성: 프롬프트 뒤에 이미지들을 순서대로 전달
+     * 반환: { imageBuffer, mimeType, text } (이미지가 없으면 imageBuffer 는 null)
+     */
+    async generateImage({ prompt, images }) {
+      console.log('📤 Sending request to Gemini API...');
+      const result = await imageModel.generateContent([{ text: prompt }, ...toInlineParts(images)]);
+      const response = await result.response;
+
+      console.log('📝 Gemini response received');
+      console.log('📝 Response structure:', JSON.stringify({
+        candidates: response.candidates?.length,
+        finishReason: response.candidates?.[0]?.finishReason,
+        partsCount: response.candidates?.[0]?.content?.parts?.length
+      }, null, 2));
+
+      let imageBuffer = null;
+      let mimeType = null;
+      const texts = [];
+
+      // 응답에서 이미지 데이터 추출
+      for (const part of response.candidates?.[0]?.content?.parts || []) {
+        if (part.text) {
+          console.log('📝 Text response:', part.text.substring(0, 500));
+          texts.push(part.text);
+        } else if (part.inlineData && !imageBuffer) {
+          imageBuffer = Buffer.from(part.inlineData.data, 'base64');
+          mimeType = part.inlineData.mimeType || 'image/png';
+          console.log('✅ Image generated successfully! Size:', imageBuffer.length, 'bytes');
+        }
+      }
+
+      if (!imageBuffer) {
+        console.log('⚠️ No image data found in response.');
+        console.log('📋 Full response structure:', JSON.stringify(response, null, 2).substring(0, 1000));
+        if (texts.length > 0) {
+          console.log('💡 Gemini returned text instead of image. The model may not support image generation, or the model name may be incorrect.');
+        }
+      }
+
+      return { imageBuffer, mimeType, text: texts.join('\n') };
+    },
+
+    /**
+     * 텍스트 분석: 이미지들 뒤에 프롬프트를 전달하고 응답 텍스트 반환
+     * schema 가 있으면 구조화된 JSON 출력(responseSchema)을 요청합니다.
+     */
+    async analyze({ prompt, images, schema }) {
+      const result = await model.generateContent({
+        contents: [{ role: 'user', parts: [...toInlineParts(images), { text: prompt }] }],
+        generationConfig: schema
+          ? { responseMimeType: 'application/json', responseSchema: toResponseSchema(schema) }
+          : undefined,
+      });
+      const response = await result.response;
+      return response.text();
+    },
+  };
+};
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,34 @@
+// server/lib/providers/index.js
+
+// AI 제공자 선택
+// 모든 제공자는 같은 인터페이스를 구현합니다.
+// - generateImage({ prompt, images: [{ buffer, mimeType }] }) → { imageBuffer, mimeType, text }
+// - analyze({ task, prompt, images: [{ buffer, mimeType }], schema }) → 응답 텍스트 (schema 가 있으면 JSON)
+const { createGeminiProvider } = require('./gemini');
+const { createMockProvider } = require('./mock');
+
+/**
+ * 환경 변수에 따라 AI 제공자 생성
+ * - AI_PROVIDER: gemini(기본) | mock
+ * - GEMINI_TEXT_MODEL / GEMINI_IMAGE_MODEL: 사용할 모델 이름
+ */
+const createAIProvider = () => {
+  const type = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+
+  switch (type) {
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: process.env.GOOGLE_API_KEY,
+        // 텍스트 분석용 모델
+        textModelName: process.env.GEMINI_TEXT_MODEL || 'gemini-2.0-flash-exp',
+        // 나노 바나나는 Gemini 2.5 Flash Image 모델 사용 (이미지 생성 지원)
+        imageModelName: process.env.GEMINI_IMAGE_MODEL || 'gemini-2.5-flash-image',
+      });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown AI_PROVIDER: ${type}`);
+  }
+};
+
+module.exports = { createAIProvider };
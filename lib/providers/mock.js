@@ -0,0 +1,103 @@
+// server/lib/providers/mock.js
+
+// 오프라인/CI 용 모의 AI 제공자
+// - 네트워크 호출 없이 sharp 로 두 이미지를 합성하고, 분석은 고정된 JSON 을 반환합니다.
+// - 같은 입력에는 항상 같은 결과를 돌려줍니다.
+const sharp = require('sharp');
+
+const OUTPUT_WIDTH = 512;
+
+// 작업별 고정 분석 결과
+const CANNED_ANALYSIS = {
+  'style-changes': {
+    styleChanges: [
+      { category: '길이', categoryEn: 'Length', from: '짧음 5cm', fromEn: 'Short 5cm', to: '중간 8-10cm', toEn: 'Medium 8-10cm' },
+      { category: '텍스처', categoryEn: 'Texture', from: '웨이브', fromEn: 'Wavy', to: '스트레이트', toEn: 'Straight' },
+      { category: '볼륨', categoryEn: 'Volume', from: '낮음', fromEn: 'Low', to: '정수리 볼륨', toEn: 'Crown volume' }
+    ],
+    requiredProcedures: [
+      {
+        name: '매직 스트레이트',
+        nameEn: 'Magic Straightening',
+        koreanName: '매직 스트레이트',
+        reason: '자연스러운 웨이브 모발에서 스트레이트 텍스처를 얻기 위해',
+        reasonEn: 'To achieve straight texture from naturally wavy hair',
+        required: true
+      }
+    ]
+  },
+  feasibility: {
+    score: 80,
+    isFeasible: true,
+    requiredProcedures: ['컷', '매직 스트레이트'],
+    warnings: ['모의(mock) 분석 결과입니다']
+  },
+  'technical-specs': {
+    sideLength: '12mm 소프트 투블럭',
+    topLength: '8-10cm 레이어드컷',
+    fringe: '시스루 뱅',
+    perm: '없음',
+    downPerm: true,
+    color: '내추럴 블랙 유지',
+    additionalServices: ['매직 스트레이트'],
+    notes: ['모의(mock) 명세서입니다']
+  },
+  'photo-quality': {
+    faceDetected: true,
+    faceCount: 1,
+    pose: 'unknown',
+    issues: []
+  }
+};
+
+/**
+ * 모의 제공자 생성
+ */
+const createMockProvider = () => ({
+  name: 'mock',
+  textModelName: 'mock-text',
+  imageModelName: 'mock-image',
+
+  /**
+   * 첫 번째 이미지(고객)를 바탕으로 두 번째 이미지(스타일)를 우측 상단에 작게 합성
+   */
+  async generateImage({ images }) {
+    const [base, reference] = images || [];
+    if (!base) {
+      throw new Error('Mock provider requires at least one image');
+    }
+
+    const baseBuffer = await sharp(base.buffer)
+      .rotate()
+      .resize({ width: OUTPUT_WIDTH })
+      .toBuffer();
+    const { height } = await sharp(baseBuffer).metadata();
+
+    const overlays = [];
+    if (reference) {
+      const insetWidth = Math.round(OUTPUT_WIDTH / 3);
+      const inset = await sharp(reference.buffer)
+        .rotate()
+        .resize({ width: insetWidth, height: Math.min(insetWidth, height), fit: 'cover' })
+        .extend({ top: 4, bottom: 4, left: 4, right: 4, background: '#ffffff' })
+        .toBuffer();
+      overlays.push({ input: inset, top: 8, left: OUTPUT_WIDTH - insetWidth - 16 });
+    }
+
+    const imageBuffer = await sharp(baseBuffer)
+      .composite(overlays)
+      .jpeg({ quality: 85 })
+      .toBuffer();
+
+    return { imageBuffer, mimeType: 'image/jpeg', text: 'mock composite' };
+  },
+
+  /**
+   * 작업(task)별 고정 JSON 을 문자열로 반환
+   */
+  async analyze({ task }) {
+    return JSON.stringify(CANNED_ANALYSIS[task] || {});
+  },
+});
+
+module.exports = { createMockProvider, CANNED_ANALYSIS };
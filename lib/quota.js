@@ -0,0 +1,143 @@
+// server/lib/quota.js
+
+// 살롱별 AI 모델 호출 쿼터 (일/월)
+// 호출 수는 lib/usageLedger 의 장부 집계를 사용하며, 남은 쿼터를 응답 헤더로 알려줍니다.
+// - X-Quota-Daily-Limit / X-Quota-Daily-Remaining
+// - X-Quota-Monthly-Limit / X-Quota-Monthly-Remaining
+// 요청 시작 시점의 확인(enforce)과 별도로, 모델 호출마다 reserve() 로 다시 확인하고 진행 중인 호출을 미리 세므로
+// 여러 번 호출하는 요청(일괄 생성, 본인 확인 재생성 등)도 한도를 넘지 않습니다.
+
+// 기본 한도 (0 이면 제한 없음)
+const DEFAULT_QUOTA = {
+  dailyModelCalls: 1000,
+  monthlyModelCalls: 20000
+};
+
+const ENV_NAMES = {
+  dailyModelCalls: 'QUOTA_DAILY_MODEL_CALLS',
+  monthlyModelCalls: 'QUOTA_MONTHLY_MODEL_CALLS'
+};
+
+/**
+ * 모델 호출 시점에 쿼터가 남아 있지 않을 때 (status: 429)
+ */
+class QuotaExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.status = 429;
+  }
+}
+
+/**
+ * 환경 변수에서 기본 쿼터 읽기
+ * 반환: { dailyModelCalls, monthlyModelCalls }
+ */
+const loadQuotaPolicy = (env = process.env) => {
+  const policy = {};
+  for (const [field, name] of Object.entries(ENV_NAMES)) {
+    const value = env[name];
+    if (value === undefined || value === '') {
+      policy[field] = DEFAULT_QUOTA[field];
+      continue;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error(`${name} must be a non-negative integer`);
+    }
+    policy[field] = limit;
+  }
+  return policy;
+};
+
+/**
+ * 쿼터 확인기 생성
+ * - ledger: lib/usageLedger 의 UsageLedger
+ * - registry: lib/tenants 의 TenantRegistry (살롱의 quota 설정이 기본값을 덮어씀)
+ * - policy: loadQuotaPolicy() 결과
+ * 반환: { status(salonId), enforce(resolveSalonId), reserve(salonId) }
+ */
+const createQuotaEnforcer = ({ ledger, registry, policy }) => {
+  const limitsFor = (salonId) => ({ ...policy, ...registry.getSalon(salonId)?.quota });
+  // 살롱 ID → 진행 중인(아직 장부에 기록되지 않은) 모델 호출 수
+  const inFlight = new Map();
+
+  /**
+   * 살롱의 쿼터 상태
+   * 반환: { salonId, daily: { period, limit, used, remaining }, monthly: {...}, exceeded }
+   * (limit 0 은 제한 없음, remaining 은 null, used 에는 진행 중인 호출 포함)
+   */
+  const status = (salonId) => {
+    const limits = limitsFor(salonId);
+    const used = ledger.usage(salonId);
+    const pending = inFlight.get(salonId) || 0;
+    used.day += pending;
+    used.month += pending;
+    const describe = (period, limit, count) => ({
+      period,
+      limit,
+      used: count,
+      remaining: limit > 0 ? Math.max(limit - count, 0) : null
+    });
+    const daily = describe(used.dayKey, limits.dailyModelCalls, used.day);
+    const monthly = describe(used.monthKey, limits.monthlyModelCalls, used.month);
+    return {
+      salonId,
+      daily,
+      monthly,
+      exceeded: daily.remaining === 0 || monthly.remaining === 0
+    };
+  };
+
+  /**
+   * 쿼터 확인 미들웨어 (남은 쿼터가 없으면 429)
+   * - resolveSalonId(req): 사용량을 청구할 살롱 ID
+   */
+  const enforce = (resolveSalonId) => (req, res, next) => {
+    const quota = status(resolveSalonId(req));
+    if (quota.daily.limit > 0) {
+      res.set('X-Quota-Daily-Limit', String(quota.daily.limit));
+      res.set('X-Quota-Daily-Remaining', String(quota.daily.remaining));
+    }
+    if (quota.monthly.limit > 0) {
+      res.set('X-Quota-Monthly-Limit', String(quota.monthly.limit));
+      res.set('X-Quota-Monthly-Remaining', String(quota.monthly.remaining));
+    }
+    if (quota.exceeded) {
+      const period = quota.daily.remaining === 0 ? 'Daily' : 'Monthly';
+      return res.status(429).json({
+        success: false,
+        message: `${period} AI quota exceeded for salon ${quota.salonId}`
+      });
+    }
+    next();
+  };
+
+  /**
+   * 모델 호출 1건 예약 (남은 쿼터가 없으면 QuotaExceededError)
+   * 반환: release() - 호출이 끝나 장부에 기록한 뒤 호출
+   */
+  const reserve = (salonId) => {
+    const quota = status(salonId);
+    if (quota.exceeded) {
+      const period = quota.daily.remaining === 0 ? 'Daily' : 'Monthly';
+      throw new QuotaExceededError(`${period} AI quota exceeded for salon ${quota.salonId}`);
+    }
+    inFlight.set(salonId, (inFlight.get(salonId) || 0) + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const remaining = inFlight.get(salonId) - 1;
+      if (remaining > 0) {
+        inFlight.set(salonId, remaining);
+      } else {
+        inFlight.delete(salonId);
+      }
+    };
+  };
+
+  return { status, enforce, reserve };
+};
+
+module.exports = { loadQuotaPolicy, createQuotaEnforcer, QuotaExceededError, DEFAULT_QUOTA };
@@ -0,0 +1,125 @@
+// server/lib/rateLimit.js
+
+// 요청 속도 제한 (고정 윈도우, 메모리)
+// 경로 그룹별로 호출자(API 키)와 살롱 단위 한도를 함께 적용하고,
+// RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset 헤더로 남은 요청 수를 알려줍니다.
+// 여러 서버 인스턴스로 운영하면 인스턴스마다 따로 계산되므로 공유 저장소(Redis 등)로 바꿔야 합니다.
+
+// 경로 그룹별 기본 한도 (윈도우당 요청 수, 0 이면 제한 없음)
+// pattern 은 /api 마운트 기준 경로이며 처음 일치하는 그룹을 적용합니다.
+const DEFAULT_RULES = [
+  { name: 'generate', pattern: /^\/(generate|jobs\/generate)(\/|-|$)/, perClient: 10, perSalon: 30 },
+  { name: 'analyze', pattern: /^\/analyze\//, perClient: 20, perSalon: 60 },
+  { name: 'render', pattern: /^\/sessions\/[^/]+\/(comparisons|report\.pdf|masks)$/, perClient: 20, perSalon: 60 },
+  { name: 'default', pattern: /^\//, perClient: 120, perSalon: 600 }
+];
+
+const DEFAULT_WINDOW_SECONDS = 60;
+
+const readLimit = (env, name, fallback) => {
+  const value = env[name];
+  if (value === undefined || value === '') return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return limit;
+};
+
+/**
+ * 환경 변수에서 속도 제한 설정 읽기
+ * - RATE_LIMIT_WINDOW_SECONDS: 윈도우 길이 (기본 60초)
+ * - RATE_LIMIT_<GROUP>_PER_CLIENT / RATE_LIMIT_<GROUP>_PER_SALON: 그룹(GENERATE, ANALYZE, RENDER, DEFAULT)별 한도
+ * 반환: { windowMs, rules }
+ */
+const loadRateLimitConfig = (env = process.env) => {
+  const windowSeconds = readLimit(env, 'RATE_LIMIT_WINDOW_SECONDS', DEFAULT_WINDOW_SECONDS) || DEFAULT_WINDOW_SECONDS;
+  const rules = DEFAULT_RULES.map((rule) => {
+    const prefix = `RATE_LIMIT_${rule.name.toUpperCase()}`;
+    return {
+      ...rule,
+      perClient: readLimit(env, `${prefix}_PER_CLIENT`, rule.perClient),
+      perSalon: readLimit(env, `${prefix}_PER_SALON`, rule.perSalon)
+    };
+  });
+  return { windowMs: windowSeconds * 1000, rules };
+};
+
+class FixedWindowCounter {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  /**
+   * key 에 요청 1회 기록
+   * 반환: { allowed, limit, remaining, resetAt(ms) }
+   */
+  hit(key, limit, windowMs, now = Date.now()) {
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    const allowed = window.count < limit;
+    if (allowed) window.count++;
+    return { allowed, limit, remaining: Math.max(limit - window.count, 0), resetAt: window.resetAt };
+  }
+
+  /** 끝난 윈도우 정리 */
+  prune(now = Date.now()) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+/**
+ * 속도 제한 미들웨어 생성 (인증 미들웨어 뒤에 사용)
+ * - rules: [{ name, pattern(RegExp, 마운트 경로 기준 req.path), perClient, perSalon }] 중 처음 일치하는 규칙 적용
+ * - windowMs: 윈도우 길이
+ */
+const createRateLimiter = ({ rules, windowMs }) => {
+  const counter = new FixedWindowCounter();
+  setInterval(() => counter.prune(), windowMs).unref();
+
+  return (req, res, next) => {
+    const rule = rules.find((candidate) => candidate.pattern.test(req.path));
+    if (!rule) return next();
+
+    const clientId = req.auth?.keyId || req.ip;
+    const salonId = req.auth?.salonId || 'none';
+    const limits = [
+      [`${rule.name}:client:${salonId}:${clientId}`, rule.perClient],
+      [`${rule.name}:salon:${salonId}`, rule.perSalon]
+    ].filter(([, limit]) => limit > 0);
+    if (limits.length === 0) return next();
+
+    // 호출자 한도를 넘은 요청은 살롱 한도를 소진하지 않도록 처음 거부된 한도에서 멈춤
+    const results = [];
+    for (const [key, limit] of limits) {
+      const result = counter.hit(key, limit, windowMs);
+      results.push(result);
+      if (!result.allowed) break;
+    }
+
+    // 가장 먼저 소진되는 한도를 헤더로 보고
+    const tightest = results.reduce((a, b) => (b.remaining < a.remaining || !b.allowed ? b : a));
+    const resetSeconds = Math.max(Math.ceil((tightest.resetAt - Date.now()) / 1000), 0);
+    res.set({
+      'RateLimit-Limit': String(tightest.limit),
+      'RateLimit-Remaining': String(tightest.remaining),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (results.some((result) => !result.allowed)) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Rate limit exceeded for ${rule.name} requests. Retry in ${resetSeconds}s`
+      });
+    }
+    next();
+  };
+};
+
+module.exports = { loadRateLimitConfig, createRateLimiter, FixedWindowCounter };
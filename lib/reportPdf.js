@@ -0,0 +1,409 @@
+// server/lib/reportPdf.js
+
+// 상담 리포트 PDF (한국어/영어)
+// 상담이 끝난 세션의 전/후 사진, 스타일 변경사항, 필요 시술과 비용, 실현 가능성, 시술 명세서를 한 문서로 만듭니다.
+// html2pdf.js 는 브라우저 DOM 이 필요하므로 서버에서는 같은 PDF 엔진(jsPDF)으로 직접 그립니다.
+// PDF 기본 글꼴에는 한글이 없어 한국어 리포트는 한글 TTF 글꼴이 필요합니다.
+// 영어 리포트는 글꼴이 없으면 jsPDF 기본 글꼴(Helvetica)로 그리고, 명세서/주의사항 등에 남은 한국어 값은 '?' 로 표시합니다.
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { jsPDF } = require('jspdf');
+
+const REPORT_LANGUAGES = ['ko', 'en'];
+
+// REPORT_FONT_FILE 이 없을 때 찾아보는 시스템 글꼴 (Debian/Ubuntu fonts-nanum 패키지)
+const FALLBACK_FONT_FILES = [
+  '/usr/share/fonts/truetype/nanum/NanumGothic.ttf',
+  '/usr/share/fonts/truetype/nanum/NanumBarunGothic.ttf'
+];
+
+const FONT_NAME = 'ReportFont';
+// 한글 글꼴이 없을 때 영어 리포트에 쓰는 jsPDF 기본 글꼴
+const BUILTIN_FONT_NAME = 'helvetica';
+
+/**
+ * 기본 글꼴(WinAnsi)로 그릴 수 없는 문자열 구간을 '?' 로 바꿈
+ */
+const toBuiltinFontText = (value) => String(value).replace(/[^\u0000-\u00ff\u2022]+/g, '?');
+
+const LABELS = {
+  ko: {
+    title: '헤어 상담 리포트',
+    session: '세션',
+    createdAt: '작성일',
+    customer: '고객',
+    stylist: '담당 디자이너',
+    before: '시술 전',
+    after: '선택한 스타일',
+    noImage: '이미지 없음',
+    styleChanges: '스타일 변경사항',
+    category: '항목',
+    from: '현재',
+    to: '목표',
+    procedures: '필요 시술 및 예상 비용',
+    procedure: '시술',
+    reason: '이유',
+    cost: '예상 비용',
+    required: '필수',
+    optional: '선택',
+    total: '합계',
+    unmatched: '메뉴에 없는 시술 (별도 상담)',
+    feasibility: '실현 가능성',
+    score: '점수',
+    feasible: '시술 가능',
+    notFeasible: '시술 불가',
+    warnings: '주의사항',
+    specs: '시술 명세서 (작업 지시서)',
+    detail: '내용',
+    specFields: {
+      sideLength: '옆머리',
+      topLength: '윗머리',
+      fringe: '앞머리',
+      perm: '펌',
+      downPerm: '다운펌',
+      color: '컬러',
+      additionalServices: '추가 시술',
+      notes: '주의사항'
+    },
+    yes: '필요',
+    no: '불필요',
+    notAnalyzed: '분석 결과가 없습니다.',
+    degraded: 'AI 분석 결과를 검증하지 못해 비어 있습니다.',
+    page: (current, total) => `${current} / ${total}`
+  },
+  en: {
+    title: 'Hair Consultation Report',
+    session: 'Session',
+    createdAt: 'Date',
+    customer: 'Customer',
+    stylist: 'Stylist',
+    before: 'Before',
+    after: 'Chosen style',
+    noImage: 'No image',
+    styleChanges: 'Style changes',
+    category: 'Category',
+    from: 'Current',
+    to: 'Target',
+    procedures: 'Required procedures and estimated cost',
+    procedure: 'Procedure',
+    reason: 'Reason',
+    cost: 'Estimate',
+    required: 'Required',
+    optional: 'Optional',
+    total: 'Total',
+    unmatched: 'Not on the salon menu (quoted separately)',
+    feasibility: 'Feasibility',
+    score: 'Score',
+    feasible: 'Feasible',
+    notFeasible: 'Not feasible',
+    warnings: 'Warnings',
+    specs: 'Technical specs (work order)',
+    detail: 'Detail',
+    specFields: {
+      sideLength: 'Sides',
+      topLength: 'Top',
+      fringe: 'Fringe',
+      perm: 'Perm',
+      downPerm: 'Down perm',
+      color: 'Colour',
+      additionalServices: 'Additional services',
+      notes: 'Notes'
+    },
+    yes: 'Yes',
+    no: 'No',
+    notAnalyzed: 'Not analyzed yet.',
+    degraded: 'Empty because the AI output failed validation.',
+    page: (current, total) => `Page ${current} of ${total}`
+  }
+};
+
+/**
+ * 한국어 리포트에 쓸 한글 글꼴이 없을 때 (status: 503)
+ */
+class ReportFontError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReportFontError';
+    this.status = 503;
+  }
+}
+
+/**
+ * 언어에 맞는 값 선택 (영어 값이 없으면 한국어 값)
+ */
+const pick = (language, korean, english) => (language === 'en' && english ? english : korean) || '';
+
+/**
+ * 세션에서 리포트 내용 구성 (그리기와 분리된 순수 데이터)
+ * - technicalSpecs: 선택한 스타일 이미지의 시술 명세서 (없으면 null)
+ */
+const buildReportContent = ({ session, language, technicalSpecs }) => {
+  const labels = LABELS[language];
+  const styleAnalysis = session.styleAnalysis || null;
+  const feasibility = session.feasibility || null;
+
+  const styleChanges = (styleAnalysis?.styleChanges || []).map((change) => [
+    pick(language, change.category, change.categoryEn),
+    pick(language, change.from, change.fromEn),
+    pick(language, change.to, change.toEn)
+  ]);
+
+  // 필요 시술: 스타일 변경 분석 결과 우선, 없으면 실현 가능성 분석의 비용 계산 결과
+  let procedures = [];
+  let pricing = null;
+  if (styleAnalysis) {
+    pricing = styleAnalysis.pricing;
+    procedures = styleAnalysis.requiredProcedures.map((procedure) => [
+      language === 'en' ? procedure.nameEn || procedure.name : procedure.koreanName || procedure.name,
+      `${pick(language, procedure.reason, procedure.reasonEn)} (${procedure.required ? labels.required : labels.optional})`,
+      procedure.estimatedCost || '-'
+    ]);
+  } else if (feasibility?.pricing) {
+    pricing = feasibility.pricing;
+    procedures = pricing.items.map((item) => [pick(language, item.name, item.nameEn), item.procedure, item.estimatedCost]);
+  }
+
+  const specs = technicalSpecs && !technicalSpecs.degraded
+    ? Object.entries(labels.specFields).map(([field, label]) => {
+      const value = technicalSpecs[field];
+      if (typeof value === 'boolean') return [label, value ? labels.yes : labels.no];
+      if (Array.isArray(value)) return [label, value.join(', ') || '-'];
+      return [label, value || '-'];
+    })
+    : null;
+
+  return {
+    labels,
+    styleChanges: styleAnalysis ? styleChanges : null,
+    procedures: pricing ? procedures : null,
+    total: pricing?.estimatedCost || null,
+    unmatched: pricing?.unmatched || [],
+    feasibility: feasibility
+      ? { score: feasibility.score, isFeasible: feasibility.isFeasible, warnings: feasibility.warnings || [], degraded: feasibility.degraded }
+      : null,
+    specs,
+    specsDegraded: Boolean(technicalSpecs?.degraded)
+  };
+};
+
+/**
+ * 이미지를 PDF 에 넣을 JPEG 로 변환 (EXIF 회전 반영, 최대 1000px)
+ */
+const toReportImage = async (buffer) => {
+  if (!buffer) return null;
+  try {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize(1000, 1000, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  } catch (error) {
+    console.warn(`⚠️ Report image skipped: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * 리포트 생성기
+ * - fontFile: 한글 TTF 글꼴 경로 (기본: REPORT_FONT_FILE 또는 시스템 나눔고딕, 없으면 영어 리포트만 기본 글꼴로 생성)
+ * - timeZone: 작성일 표시 시간대 (기본 Asia/Seoul)
+ * 반환: { fontFile, render({ session, sessionId, language, beforeImage, afterImage, technicalSpecs }) → PDF Buffer }
+ */
+const createReportRenderer = ({
+  fontFile = process.env.REPORT_FONT_FILE || FALLBACK_FONT_FILES.find((file) => fs.existsSync(file)) || null,
+  timeZone = 'Asia/Seoul'
+} = {}) => {
+  // 글꼴은 처음 사용할 때 한 번만 읽음
+  let fontData = null;
+  const loadFont = () => {
+    if (!fontFile) {
+      throw new ReportFontError('PDF reports need a Korean TTF font: set REPORT_FONT_FILE (e.g. NotoSansKR-Regular.ttf)');
+    }
+    if (!fontData) {
+      try {
+        fontData = fs.readFileSync(fontFile).toString('base64');
+      } catch (error) {
+        throw new ReportFontError(`Cannot read REPORT_FONT_FILE ${fontFile}: ${error.message}`);
+      }
+    }
+    return fontData;
+  };
+
+  const render = async ({ session, sessionId, language, beforeImage, afterImage, technicalSpecs }) => {
+    const useBuiltinFont = !fontFile && language === 'en';
+    const font = useBuiltinFont ? null : loadFont();
+    const drawable = useBuiltinFont ? toBuiltinFontText : String;
+    const content = buildReportContent({ session, language, technicalSpecs });
+    const { labels } = content;
+    const [before, after] = await Promise.all([toReportImage(beforeImage), toReportImage(afterImage)]);
+
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    if (useBuiltinFont) {
+      doc.setFont(BUILTIN_FONT_NAME, 'normal');
+    } else {
+      doc.addFileToVFS(path.basename(fontFile), font);
+      doc.addFont(path.basename(fontFile), FONT_NAME, 'normal');
+      doc.setFont(FONT_NAME, 'normal');
+    }
+    doc.setProperties({ title: `${labels.title} - ${sessionId}` });
+
+    const page = { width: 210, height: 297, margin: 16 };
+    const contentWidth = page.width - page.margin * 2;
+    let y = page.margin;
+
+    const lineHeight = (size) => size * 0.3528 * 1.45;
+    const ensureSpace = (height) => {
+      if (y + height <= page.height - page.margin - 6) return;
+      doc.addPage();
+      y = page.margin;
+    };
+
+    const text = (value, { size = 10, x = page.margin, width = contentWidth, color = 20 } = {}) => {
+      doc.setFontSize(size);
+      doc.setTextColor(color);
+      const lines = doc.splitTextToSize(drawable(value), width);
+      for (const line of lines) {
+        ensureSpace(lineHeight(size));
+        doc.text(line, x, y, { baseline: 'top' });
+        y += lineHeight(size);
+      }
+    };
+
+    // 제목만 쪽 끝에 남지 않도록 본문 몇 줄까지 들어갈 공간 확보
+    const heading = (value) => {
+      ensureSpace(32);
+      y += 4;
+      text(value, { size: 13 });
+      doc.setDrawColor(200);
+      doc.line(page.margin, y, page.width - page.margin, y);
+      y += 2.5;
+    };
+
+    // 열 너비 비율(widths)에 맞춘 표, 헤더 행은 회색 배경
+    const table = (headers, rows, widths) => {
+      const columnWidths = widths.map((ratio) => ratio * contentWidth);
+      const drawRow = (cells, { header = false } = {}) => {
+        doc.setFontSize(9.5);
+        const cellLines = cells.map((cell, index) => doc.splitTextToSize(drawable(cell), columnWidths[index] - 3));
+        const height = Math.max(...cellLines.map((lines) => lines.length)) * lineHeight(9.5) + 2.5;
+        ensureSpace(height);
+        if (header) {
+          doc.setFillColor(240);
+          doc.rect(page.margin, y, contentWidth, height, 'F');
+        }
+        let x = page.margin;
+        cellLines.forEach((lines, index) => {
+          doc.setTextColor(header ? 90 : 20);
+          doc.text(lines, x + 1.5, y + 1.25, { baseline: 'top', lineHeightFactor: 1.45 });
+          x += columnWidths[index];
+        });
+        y += height;
+        doc.setDrawColor(225);
+        doc.line(page.margin, y, page.width - page.margin, y);
+      };
+      // 헤더만 쪽 끝에 남지 않도록 첫 행까지 들어갈 공간 확보
+      ensureSpace(lineHeight(9.5) * 3 + 5);
+      drawRow(headers, { header: true });
+      rows.forEach((row) => drawRow(row));
+    };
+
+    // 1. 제목과 기본 정보
+    text(labels.title, { size: 20 });
+    y += 1;
+    const createdAt = new Date().toLocaleString(language === 'en' ? 'en-GB' : 'ko-KR', { timeZone });
+    const meta = [
+      `${labels.session}: ${sessionId}`,
+      `${labels.createdAt}: ${createdAt}`,
+      session.userInfo?.name ? `${labels.customer}: ${session.userInfo.name}` : null,
+      session.stylistId ? `${labels.stylist}: ${session.stylistId}` : null
+    ].filter(Boolean);
+    text(meta.join('   |   '), { size: 9, color: 100 });
+    y += 4;
+
+    // 2. 전/후 사진 (나란히, 비율 유지)
+    const boxWidth = (contentWidth - 8) / 2;
+    const boxHeight = 95;
+    ensureSpace(boxHeight + 8);
+    [[labels.before, before], [labels.after, after]].forEach(([caption, image], index) => {
+      const x = page.margin + index * (boxWidth + 8);
+      doc.setFontSize(10);
+      doc.setTextColor(90);
+      doc.text(caption, x, y, { baseline: 'top' });
+      const top = y + 6;
+      if (!image) {
+        doc.setDrawColor(210);
+        doc.rect(x, top, boxWidth, boxHeight);
+        doc.text(labels.noImage, x + boxWidth / 2, top + boxHeight / 2, { align: 'center', baseline: 'middle' });
+        return;
+      }
+      const scale = Math.min(boxWidth / image.width, boxHeight / image.height);
+      const width = image.width * scale;
+      const height = image.height * scale;
+      doc.addImage(new Uint8Array(image.data), 'JPEG', x + (boxWidth - width) / 2, top + (boxHeight - height) / 2, width, height);
+    });
+    y += boxHeight + 8;
+
+    // 3. 스타일 변경사항
+    heading(labels.styleChanges);
+    if (content.styleChanges?.length) {
+      table([labels.category, labels.from, labels.to], content.styleChanges, [0.2, 0.4, 0.4]);
+    } else {
+      text(labels.notAnalyzed, { color: 120 });
+    }
+
+    // 4. 필요 시술과 비용
+    heading(labels.procedures);
+    if (content.procedures?.length) {
+      table([labels.procedure, labels.reason, labels.cost], content.procedures, [0.28, 0.5, 0.22]);
+      if (content.total) {
+        y += 2;
+        text(`${labels.total}: ${content.total}`, { size: 11 });
+      }
+      if (content.unmatched.length > 0) {
+        text(`${labels.unmatched}: ${content.unmatched.join(', ')}`, { size: 9, color: 110 });
+      }
+    } else {
+      text(labels.notAnalyzed, { color: 120 });
+    }
+
+    // 5. 실현 가능성과 주의사항
+    heading(labels.feasibility);
+    if (content.feasibility && !content.feasibility.degraded) {
+      const verdict = content.feasibility.isFeasible ? labels.feasible : labels.notFeasible;
+      text(`${labels.score}: ${content.feasibility.score} / 100  (${verdict})`, { size: 11 });
+      if (content.feasibility.warnings.length > 0) {
+        y += 1.5;
+        text(`${labels.warnings}:`, { color: 90 });
+        content.feasibility.warnings.forEach((warning) => text(`• ${warning}`, { x: page.margin + 3, width: contentWidth - 3 }));
+      }
+    } else {
+      text(content.feasibility?.degraded ? labels.degraded : labels.notAnalyzed, { color: 120 });
+    }
+
+    // 6. 시술 명세서
+    heading(labels.specs);
+    if (content.specs) {
+      table([labels.category, labels.detail], content.specs, [0.25, 0.75]);
+    } else {
+      text(content.specsDegraded ? labels.degraded : labels.notAnalyzed, { color: 120 });
+    }
+
+    // 쪽 번호
+    const pageCount = doc.getNumberOfPages();
+    for (let index = 1; index <= pageCount; index++) {
+      doc.setPage(index);
+      doc.setFontSize(8);
+      doc.setTextColor(140);
+      doc.text(labels.page(index, pageCount), page.width / 2, page.height - 8, { align: 'center' });
+    }
+
+    return Buffer.from(doc.output('arraybuffer'));
+  };
+
+  return { fontFile, render };
+};
+
+module.exports = { createReportRenderer, buildReportContent, ReportFontError, REPORT_LANGUAGES };
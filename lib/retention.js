@@ -0,0 +1,241 @@
+// server/lib/retention.js
+
+// 업로드 파일 보존 정책과 정리 작업
+// 파일명 접두사로 종류를 구분하고, 종류별 보존 기간이 지난 파일을 저장소에서 삭제한 뒤
+// 세션에 남은 해당 URL 참조도 함께 제거합니다.
+const { DEFAULT_SALON_ID } = require('./tenants');
+
+// 파일 종류 (파일명 접두사 기준, 비교 이미지와 컬러 시뮬레이션 이미지는 생성 이미지와 같은 기간 보존)
+// 머리카락/얼굴 마스크는 고객 사진에서 만든 신체 정보이므로 고객 사진과 같은 기간 보존
+const FILE_TYPES = {
+  customerPhoto: /^(front|side|back|mask)-/,
+  stylePhoto: /^photo[1-3]-/,
+  generatedImage: /^(nano-banana|comparison|color)-/
+};
+
+// 종류별 기본 보존 기간 (시간, 0 이면 삭제하지 않음)
+const DEFAULT_RETENTION_HOURS = {
+  customerPhoto: 72,
+  stylePhoto: 168,
+  generatedImage: 72
+};
+
+const ENV_NAMES = {
+  customerPhoto: 'RETENTION_CUSTOMER_PHOTO_HOURS',
+  stylePhoto: 'RETENTION_STYLE_PHOTO_HOURS',
+  generatedImage: 'RETENTION_GENERATED_IMAGE_HOURS'
+};
+
+/**
+ * 파일 키로 종류 판별 (살롱 디렉토리는 무시, 알 수 없으면 null)
+ */
+const classifyFile = (key) => {
+  const filename = key.split('/').pop();
+  for (const [type, pattern] of Object.entries(FILE_TYPES)) {
+    if (pattern.test(filename)) return type;
+  }
+  return null;
+};
+
+/**
+ * 환경 변수에서 보존 정책 읽기
+ * 반환: { customerPhoto: hours, stylePhoto: hours, generatedImage: hours }
+ */
+const loadRetentionPolicy = (env = process.env) => {
+  const policy = {};
+  for (const [type, name] of Object.entries(ENV_NAMES)) {
+    const value = env[name];
+    if (value === undefined || value === '') {
+      policy[type] = DEFAULT_RETENTION_HOURS[type];
+      continue;
+    }
+    const hours = Number(value);
+    if (!Number.isFinite(hours) || hours < 0) {
+      throw new Error(`${name} must be a non-negative number of hours`);
+    }
+    policy[type] = hours;
+  }
+  return policy;
+};
+
+/**
+ * 세션 데이터에서 삭제된 키를 가리키는 URL 참조 제거
+ * 반환: 제거한 URL 목록 (비어 있으면 변경 없음)
+ */
+const removeSessionReferences = (session, isDeleted) => {
+  const removedUrls = [];
+
+  const pruneSlots = (urlsField, ...relatedFields) => {
+    for (const [slot, url] of Object.entries(session[urlsField] || {})) {
+      if (!isDeleted(url)) continue;
+      delete session[urlsField][slot];
+      removedUrls.push(url);
+      for (const field of relatedFields) {
+        if (session[field]) delete session[field][slot];
+      }
+      if (urlsField === 'customerPhotoUrls' && session.customerPhotoQuality?.photos) {
+        delete session.customerPhotoQuality.photos[slot];
+      }
+    }
+  };
+  pruneSlots('customerPhotoUrls', 'customerPhotoMeta');
+  pruneSlots('stylePhotoUrls', 'stylePhotoMeta');
+
+  if (Array.isArray(session.generatedImages)) {
+    const kept = [];
+    for (const image of session.generatedImages) {
+      if (isDeleted(image.imageUrl)) {
+        removedUrls.push(image.imageUrl);
+      } else {
+        kept.push(image);
+      }
+    }
+    session.generatedImages = kept;
+  }
+
+  if (Array.isArray(session.comparisons)) {
+    session.comparisons = session.comparisons.filter((comparison) => {
+      if (!isDeleted(comparison.imageUrl)) return true;
+      removedUrls.push(comparison.imageUrl);
+      return false;
+    });
+  }
+
+  if (Array.isArray(session.colorSimulations)) {
+    session.colorSimulations = session.colorSimulations.filter((simulation) => {
+      if (!isDeleted(simulation.imageUrl)) return true;
+      removedUrls.push(simulation.imageUrl);
+      return false;
+    });
+  }
+
+  if (Array.isArray(session.masks)) {
+    session.masks = session.masks.filter((mask) => {
+      const deletedUrls = [mask.hairMaskUrl, mask.faceMaskUrl].filter(isDeleted);
+      if (deletedUrls.length === 0 && !isDeleted(mask.imageUrl)) return true;
+      removedUrls.push(...deletedUrls);
+      return false;
+    });
+  }
+
+  return removedUrls;
+};
+
+/**
+ * 정리 작업 생성
+ * - storage: lib/storage 의 파일 저장소
+ * - sessionStore: lib/sessionStore 의 저장소
+ * - policy: loadRetentionPolicy() 결과
+ * - auditLog: lib/auditLog 의 감사 로그 (선택, 세션 참조를 제거할 때 기록)
+ * 반환: { sweep({ dryRun }), start(intervalMs), stop(), lastReport() }
+ */
+const createRetentionSweeper = ({ storage, sessionStore, policy, auditLog = null }) => {
+  let timer = null;
+  let last = null;
+  // 진행 중인 정리 (dryRun 여부별)
+  const running = new Map();
+
+  /**
+   * 보존 기간이 지난 파일 삭제
+   * 반환: { dryRun, startedAt, finishedAt, scanned, removed: [{ key, type, ageHours }], removedByType, sessionsUpdated, errors }
+   */
+  const runSweep = async ({ dryRun = false } = {}) => {
+    const startedAt = new Date();
+    const removed = [];
+    const errors = [];
+
+    const files = await storage.list();
+    for (const file of files) {
+      const type = classifyFile(file.key);
+      const hours = type ? policy[type] : 0;
+      if (!hours) continue;
+
+      const ageHours = (startedAt.getTime() - new Date(file.lastModified).getTime()) / (60 * 60 * 1000);
+      if (ageHours < hours) continue;
+
+      try {
+        if (!dryRun) await storage.remove(file.key);
+        removed.push({ key: file.key, type, ageHours: Math.round(ageHours * 10) / 10 });
+      } catch (error) {
+        errors.push({ key: file.key, message: error.message });
+      }
+    }
+
+    // 세션에서 삭제된 파일 참조 제거
+    const removedKeys = new Set(removed.map((file) => file.key));
+    const isDeleted = (url) => removedKeys.has(storage.keyFromUrl(url));
+    const sessionsUpdated = [];
+    if (removedKeys.size > 0) {
+      for (const record of await sessionStore.list()) {
+        // 사본으로 먼저 확인해 참조가 없는 세션은 건드리지 않음
+        const removedUrls = removeSessionReferences(structuredClone(record.data), isDeleted);
+        if (removedUrls.length === 0) continue;
+        sessionsUpdated.push(record.id);
+        if (!dryRun) {
+          await sessionStore.update(record.id, (session) => {
+            removeSessionReferences(session, isDeleted);
+          });
+          await auditLog?.record({
+            salonId: record.data.salonId || DEFAULT_SALON_ID,
+            sessionId: record.id,
+            action: 'retention-deleted',
+            purpose: null,
+            resources: removedUrls,
+            actor: { system: 'retention-sweeper' }
+          });
+        }
+      }
+    }
+
+    const removedByType = { customerPhoto: 0, stylePhoto: 0, generatedImage: 0 };
+    for (const file of removed) removedByType[file.type]++;
+
+    last = {
+      dryRun,
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      policy,
+      scanned: files.length,
+      removed,
+      removedByType,
+      sessionsUpdated,
+      errors
+    };
+    return last;
+  };
+
+  // 동시에 두 번 실행되지 않도록 진행 중인 정리를 공유
+  // (dry run 요청이 실제 삭제 결과를 받거나 그 반대가 되지 않도록 모드별로 구분)
+  const sweep = ({ dryRun = false } = {}) => {
+    const mode = Boolean(dryRun);
+    if (!running.has(mode)) {
+      running.set(mode, runSweep({ dryRun: mode }).finally(() => {
+        running.delete(mode);
+      }));
+    }
+    return running.get(mode);
+  };
+
+  const start = (intervalMs) => {
+    stop();
+    timer = setInterval(() => {
+      sweep()
+        .then((report) => {
+          if (report.removed.length > 0) {
+            console.log(`🧹 Retention sweep removed ${report.removed.length} files (${report.sessionsUpdated.length} sessions updated)`);
+          }
+        })
+        .catch((error) => console.error('Error running retention sweep:', error));
+    }, intervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return { sweep, start, stop, lastReport: () => last };
+};
+
+module.exports = { loadRetentionPolicy, createRetentionSweeper, classifyFile, DEFAULT_RETENTION_HOURS };
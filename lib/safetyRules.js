@@ -0,0 +1,164 @@
+// server/lib/safetyRules.js
+
+// 시술 이력 기반 안전 규칙
+// - 규칙은 config/safetyRules.json (SAFETY_RULES_FILE) 에 정의합니다.
+// - 각 규칙은 모발 상태 조건(when)과 대상 시술(procedures)이 모두 맞으면 발동합니다.
+// - 발동한 규칙은 AI 점수의 상한(scoreCap)과 실현 가능 여부(isFeasible)를 덮어씁니다.
+const fs = require('fs');
+const { validateSchema } = require('./analysisSchemas');
+
+const RULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    severity: { type: 'string', enum: ['contraindication', 'warning'] },
+    when: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { field: { type: 'string' } },
+        required: ['field']
+      }
+    },
+    procedures: {
+      type: 'object',
+      properties: {
+        categories: { type: 'array', items: { type: 'string' } },
+        serviceIds: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    message: { type: 'string' },
+    messageEn: { type: 'string' },
+    scoreCap: { type: 'number', minimum: 0, maximum: 100 },
+    isFeasible: { type: 'boolean' }
+  },
+  required: ['id', 'severity', 'when', 'message']
+};
+
+/**
+ * 규칙 파일 로드 및 검증 (잘못된 규칙이 있으면 예외)
+ */
+const loadSafetyRules = (filePath) => {
+  const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(rules)) {
+    throw new Error(`Safety rules must be an array: ${filePath}`);
+  }
+
+  const ids = new Set();
+  for (const rule of rules) {
+    const errors = validateSchema(RULE_SCHEMA, rule);
+    if (errors.length > 0) {
+      throw new Error(`Invalid safety rule ${rule?.id || '(no id)'}: ${errors.join(', ')}`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`Duplicate safety rule id: ${rule.id}`);
+    }
+    ids.add(rule.id);
+  }
+  return rules;
+};
+
+const getField = (object, fieldPath) => fieldPath
+  .split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+
+/**
+ * 문자열 값에서 숫자 추출 (예: "2회" → 2, "없음" → 0)
+ */
+const toLevel = (value) => {
+  if (typeof value === 'number') return value;
+  if (value === true) return 1;
+  const match = String(value || '').match(/\d+/);
+  return match ? Number(match[0]) : 0;
+};
+
+/**
+ * 조건 하나 평가 (equals / in / gte / lte)
+ */
+const matchesCondition = (hairCondition, condition) => {
+  const value = getField(hairCondition, condition.field);
+
+  if ('equals' in condition) {
+    return condition.equals === true ? Boolean(value) : value === condition.equals;
+  }
+  if ('in' in condition) {
+    const normalized = String(value ?? '').trim().toLowerCase();
+    return normalized !== '' && condition.in.some((option) => String(option).toLowerCase() === normalized);
+  }
+  if ('gte' in condition) {
+    return toLevel(value) >= condition.gte;
+  }
+  if ('lte' in condition) {
+    return value !== undefined && value !== null && toLevel(value) <= condition.lte;
+  }
+  return false;
+};
+
+/**
+ * 규칙 대상 시술 중 요청된 시술 찾기
+ * procedures: [{ name, serviceId, category }]
+ */
+const matchingProcedures = (rule, procedures) => {
+  if (!rule.procedures) return procedures;
+  const { categories = [], serviceIds = [] } = rule.procedures;
+  return procedures.filter((procedure) =>
+    categories.includes(procedure.category) || serviceIds.includes(procedure.serviceId));
+};
+
+/**
+ * 모발 상태와 필요한 시술에 대해 규칙 평가
+ * 반환: { contraindications, warnings, scoreCap, isFeasible }
+ * (scoreCap/isFeasible 은 발동한 규칙이 없으면 null)
+ */
+const evaluateSafety = ({ rules, hairCondition, procedures }) => {
+  const contraindications = [];
+  const warnings = [];
+  let scoreCap = null;
+  let isFeasible = null;
+
+  for (const rule of rules) {
+    if (!rule.when.every((condition) => matchesCondition(hairCondition || {}, condition))) continue;
+
+    const matched = matchingProcedures(rule, procedures);
+    if (rule.procedures && matched.length === 0) continue;
+
+    const finding = {
+      ruleId: rule.id,
+      message: rule.message,
+      messageEn: rule.messageEn || null,
+      procedures: matched.map((procedure) => procedure.name)
+    };
+    (rule.severity === 'contraindication' ? contraindications : warnings).push(finding);
+
+    if (typeof rule.scoreCap === 'number') {
+      scoreCap = scoreCap === null ? rule.scoreCap : Math.min(scoreCap, rule.scoreCap);
+    }
+    if (rule.isFeasible === false) {
+      isFeasible = false;
+    }
+  }
+
+  return { contraindications, warnings, scoreCap, isFeasible };
+};
+
+/**
+ * 규칙 평가 결과를 AI 실현 가능성 결과에 반영
+ * 원래 AI 점수는 aiScore 로 남기고, 규칙 메시지는 warnings 에 추가합니다.
+ */
+const applySafetyToFeasibility = (feasibility, safety) => {
+  const result = { ...feasibility, aiScore: feasibility.score };
+
+  if (safety.scoreCap !== null && typeof result.score === 'number') {
+    result.score = Math.min(result.score, safety.scoreCap);
+  }
+  if (safety.isFeasible === false) {
+    result.isFeasible = false;
+  }
+
+  const messages = [...safety.contraindications, ...safety.warnings].map((finding) => finding.message);
+  result.warnings = [...new Set([...(feasibility.warnings || []), ...messages])];
+  result.safety = safety;
+  return result;
+};
+
+module.exports = { loadSafetyRules, evaluateSafety, applySafetyToFeasibility, toLevel };
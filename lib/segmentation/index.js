@@ -0,0 +1,61 @@
+// server/lib/segmentation/index.js
+
+// 머리카락/얼굴 분할기 선택
+// 모든 분할기는 같은 인터페이스를 구현합니다.
+// - name, version: 캐시 키에 쓰는 이름과 버전 (버전이 바뀌면 마스크를 다시 만듦)
+// - segment(buffer) → { width, height, hair, face } (hair/face: 픽셀당 0-255 한 채널 Buffer)
+const path = require('path');
+const { createOnnxRunner } = require('./onnx');
+const { createMockRunner } = require('./mock');
+
+const parseClassList = (value, name) => {
+  const classes = value.split(',').map((item) => Number(item.trim()));
+  if (classes.length === 0 || classes.some((label) => !Number.isInteger(label) || label < 0)) {
+    throw new Error(`${name} must be a comma-separated list of class indexes`);
+  }
+  return classes;
+};
+
+/**
+ * 환경 변수에 따라 분할기 생성 (꺼져 있으면 null)
+ * - SEGMENTATION_RUNNER: off(기본) | onnx | mock
+ * - SEGMENTATION_MODEL_FILE: ONNX 모델 경로
+ * - SEGMENTATION_INPUT_SIZE: 모델 입력 크기 (기본 512)
+ * - SEGMENTATION_HAIR_CLASSES / SEGMENTATION_FACE_CLASSES: 머리카락/얼굴 클래스 번호 (쉼표 구분)
+ * - SEGMENTATION_THREADS: 연산 스레드 수 (기본 1)
+ */
+const createSegmentationRunner = ({ baseDir }) => {
+  const type = (process.env.SEGMENTATION_RUNNER || 'off').toLowerCase();
+
+  switch (type) {
+    case 'off':
+      return null;
+    case 'onnx': {
+      const inputSize = Number(process.env.SEGMENTATION_INPUT_SIZE || 512);
+      const threads = Number(process.env.SEGMENTATION_THREADS || 1);
+      if (!Number.isInteger(inputSize) || inputSize < 32) {
+        throw new Error('SEGMENTATION_INPUT_SIZE must be an integer >= 32');
+      }
+      if (!Number.isInteger(threads) || threads < 1) {
+        throw new Error('SEGMENTATION_THREADS must be a positive integer');
+      }
+      return createOnnxRunner({
+        modelFile: process.env.SEGMENTATION_MODEL_FILE && path.resolve(baseDir, process.env.SEGMENTATION_MODEL_FILE),
+        inputSize,
+        threads,
+        ...(process.env.SEGMENTATION_HAIR_CLASSES
+          ? { hairClasses: parseClassList(process.env.SEGMENTATION_HAIR_CLASSES, 'SEGMENTATION_HAIR_CLASSES') }
+          : {}),
+        ...(process.env.SEGMENTATION_FACE_CLASSES
+          ? { faceClasses: parseClassList(process.env.SEGMENTATION_FACE_CLASSES, 'SEGMENTATION_FACE_CLASSES') }
+          : {})
+      });
+    }
+    case 'mock':
+      return createMockRunner();
+    default:
+      throw new Error(`Unknown SEGMENTATION_RUNNER: ${type}`);
+  }
+};
+
+module.exports = { createSegmentationRunner };
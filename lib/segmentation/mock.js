@@ -0,0 +1,45 @@
+// server/lib/segmentation/mock.js
+
+// 오프라인/CI 용 모의 분할기
+// 사진 내용과 관계없이 정면 인물 구도를 가정한 고정 마스크(타원형 얼굴, 그 둘레의 머리카락)를 돌려줍니다.
+const sharp = require('sharp');
+
+const WORK_SIZE = 256;
+
+/**
+ * 모의 분할기 생성
+ */
+const createMockRunner = () => ({
+  name: 'mock',
+  version: '1',
+
+  /**
+   * 반환: { width, height, hair, face } (사진 비율에 맞춘 작업 해상도)
+   */
+  async segment(buffer) {
+    const metadata = await sharp(buffer).rotate().metadata();
+    const rotated = (metadata.orientation || 1) >= 5;
+    const sourceWidth = rotated ? metadata.height : metadata.width;
+    const sourceHeight = rotated ? metadata.width : metadata.height;
+    const scale = WORK_SIZE / Math.max(sourceWidth, sourceHeight);
+    const width = Math.max(Math.round(sourceWidth * scale), 1);
+    const height = Math.max(Math.round(sourceHeight * scale), 1);
+
+    const hair = Buffer.alloc(width * height);
+    const face = Buffer.alloc(width * height);
+    const inEllipse = (x, y, cx, cy, rx, ry) => ((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 <= 1;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        if (inEllipse(x, y, width * 0.5, height * 0.4, width * 0.15, height * 0.2)) {
+          face[index] = 255;
+        } else if (inEllipse(x, y, width * 0.5, height * 0.36, width * 0.24, height * 0.3) && y < height * 0.55) {
+          hair[index] = 255;
+        }
+      }
+    }
+    return { width, height, hair, face };
+  }
+});
+
+module.exports = { createMockRunner };
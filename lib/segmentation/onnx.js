@@ -0,0 +1,102 @@
+// server/lib/segmentation/onnx.js
+
+// ONNX 얼굴 파싱 모델 실행기 (CPU 전용, onnxruntime-node)
+// 입력 [1, 3, S, S] RGB(ImageNet 평균/표준편차 정규화) → 출력 [1, 클래스 수, S, S] 점수인 모델을 사용합니다.
+// 기본 클래스 번호는 CelebAMask-HQ 로 학습한 BiSeNet 얼굴 파싱 모델 기준입니다
+// (1 피부, 2-3 눈썹, 4-5 눈, 6 안경, 10 코, 11 입, 12-13 입술, 17 머리카락).
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const IMAGENET_MEAN = [0.485, 0.456, 0.406];
+const IMAGENET_STD = [0.229, 0.224, 0.225];
+
+/**
+ * ONNX 실행기 생성
+ * - modelFile: .onnx 모델 경로
+ * - inputSize: 모델 입력 크기 S (정사각형)
+ * - hairClasses / faceClasses: 머리카락/얼굴로 볼 클래스 번호
+ * - threads: 연산 스레드 수
+ */
+const createOnnxRunner = ({ modelFile, inputSize = 512, hairClasses = [17], faceClasses = [1, 2, 3, 4, 5, 6, 10, 11, 12, 13], threads = 1 }) => {
+  if (!modelFile || !fs.existsSync(modelFile)) {
+    throw new Error(`SEGMENTATION_MODEL_FILE not found: ${modelFile || '(not set)'}`);
+  }
+  let ort;
+  try {
+    ort = require('onnxruntime-node');
+  } catch (error) {
+    throw new Error('SEGMENTATION_RUNNER=onnx requires the onnxruntime-node package (npm install onnxruntime-node)');
+  }
+
+  // 모델이 바뀌면 캐시된 마스크를 다시 만들도록 모델 파일 해시를 버전으로 사용
+  const modelHash = crypto.createHash('sha256').update(fs.readFileSync(modelFile)).digest('hex').slice(0, 12);
+  let sessionPromise = null;
+  const getSession = () => {
+    if (!sessionPromise) {
+      sessionPromise = ort.InferenceSession.create(modelFile, {
+        executionProviders: ['cpu'],
+        intraOpNumThreads: threads,
+        interOpNumThreads: 1
+      });
+      sessionPromise.catch(() => { sessionPromise = null; });
+    }
+    return sessionPromise;
+  };
+
+  return {
+    name: 'onnx',
+    version: modelHash,
+
+    /**
+     * 반환: { width, height, hair, face } (hair/face: 픽셀당 0-255 한 채널 Buffer, 모델 입력 해상도)
+     */
+    async segment(buffer) {
+      const session = await getSession();
+      const { data } = await sharp(buffer)
+        .rotate()
+        .removeAlpha()
+        .resize(inputSize, inputSize, { fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      // HWC uint8 → CHW float32 (정규화)
+      const area = inputSize * inputSize;
+      const input = new Float32Array(3 * area);
+      for (let index = 0; index < area; index++) {
+        for (let channel = 0; channel < 3; channel++) {
+          input[channel * area + index] = (data[index * 3 + channel] / 255 - IMAGENET_MEAN[channel]) / IMAGENET_STD[channel];
+        }
+      }
+
+      const outputs = await session.run({
+        [session.inputNames[0]]: new ort.Tensor('float32', input, [1, 3, inputSize, inputSize])
+      });
+      const output = outputs[session.outputNames[0]];
+      const [, classCount, outHeight, outWidth] = output.dims;
+      const scores = output.data;
+      const outArea = outHeight * outWidth;
+
+      // 픽셀별 최고 점수 클래스
+      const hair = Buffer.alloc(outArea);
+      const face = Buffer.alloc(outArea);
+      for (let index = 0; index < outArea; index++) {
+        let best = 0;
+        let bestScore = scores[index];
+        for (let label = 1; label < classCount; label++) {
+          const score = scores[label * outArea + index];
+          if (score > bestScore) {
+            best = label;
+            bestScore = score;
+          }
+        }
+        if (hairClasses.includes(best)) hair[index] = 255;
+        else if (faceClasses.includes(best)) face[index] = 255;
+      }
+
+      return { width: outWidth, height: outHeight, hair, face };
+    }
+  };
+};
+
+module.exports = { createOnnxRunner };
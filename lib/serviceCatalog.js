@@ -0,0 +1,177 @@
+// server/lib/serviceCatalog.js
+
+// 살롱 시술 메뉴(카탈로그)
+// - data/services.json 에 저장되며, 파일이 없으면 config/services.default.json 으로 초기화합니다.
+// - 시술 이름/별칭으로 AI 가 제안한 시술(requiredProcedures)을 메뉴 항목에 연결합니다.
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { validateSchema } = require('./analysisSchemas');
+
+// 메뉴 항목 스키마
+const SERVICE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    nameEn: { type: 'string' },
+    category: { type: 'string', enum: ['cut', 'perm', 'color', 'treatment', 'styling', 'other'] },
+    aliases: { type: 'array', items: { type: 'string' } },
+    basePrice: { type: 'number', minimum: 0 },
+    modifiers: {
+      type: 'object',
+      properties: {
+        length: { type: 'object' },
+        density: { type: 'object' }
+      }
+    },
+    conditions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['requires-bleach-history-check', 'requires-patch-test', 'not-with-henna', 'not-with-relaxer', 'not-with-box-dye'] },
+          message: { type: 'string' }
+        },
+        required: ['type', 'message']
+      }
+    },
+    active: { type: 'boolean' }
+  },
+  required: ['id', 'name', 'category', 'basePrice']
+};
+
+/**
+ * 이름 비교용 정규화 (소문자, 공백·기호 제거)
+ */
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[\s\-_·.,()]/g, '');
+
+/**
+ * 가격 보정값 검사 (각 값은 0 이상의 숫자)
+ */
+const validateModifiers = (modifiers = {}) => {
+  const errors = [];
+  for (const [dimension, values] of Object.entries(modifiers)) {
+    for (const [level, amount] of Object.entries(values || {})) {
+      if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+        errors.push(`$.modifiers.${dimension}.${level}: expected number`);
+      }
+    }
+  }
+  return errors;
+};
+
+class ServiceCatalog {
+  constructor({ filePath, seedPath }) {
+    this.filePath = filePath;
+    this.services = new Map();
+
+    const source = fs.existsSync(filePath) ? filePath : seedPath;
+    const services = JSON.parse(fs.readFileSync(source, 'utf8'));
+    for (const service of services) {
+      this.services.set(service.id, service);
+    }
+    if (source !== filePath) {
+      this.persist();
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify([...this.services.values()], null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /** 전체 목록 (includeInactive 가 false 면 판매 중인 항목만) */
+  list({ includeInactive = true } = {}) {
+    return [...this.services.values()].filter((service) => includeInactive || service.active !== false);
+  }
+
+  get(id) {
+    return this.services.get(id) || null;
+  }
+
+  /**
+   * 입력값 검증 후 저장 가능한 항목 반환
+   * 반환: { service, errors }
+   */
+  validate(input) {
+    const service = {
+      aliases: [],
+      modifiers: { length: {}, density: {} },
+      conditions: [],
+      active: true,
+      ...input
+    };
+    const errors = [
+      ...validateSchema(SERVICE_SCHEMA, service),
+      ...validateModifiers(service.modifiers)
+    ];
+    return { service, errors };
+  }
+
+  create(input) {
+    const { service, errors } = this.validate({ id: input?.id || crypto.randomUUID(), ...input });
+    if (errors.length === 0) {
+      if (this.services.has(service.id)) {
+        return { service: null, errors: [`Service already exists: ${service.id}`] };
+      }
+      this.services.set(service.id, service);
+      this.persist();
+    }
+    return { service, errors };
+  }
+
+  update(id, input) {
+    const existing = this.services.get(id);
+    if (!existing) return null;
+
+    const { service, errors } = this.validate({ ...existing, ...input, id });
+    if (errors.length === 0) {
+      this.services.set(id, service);
+      this.persist();
+    }
+    return { service, errors };
+  }
+
+  remove(id) {
+    const removed = this.services.delete(id);
+    if (removed) this.persist();
+    return removed;
+  }
+
+  /**
+   * 시술 이름을 메뉴 항목에 연결 (없으면 null)
+   * 이름/영문명/별칭이 정확히 같으면 우선하고, 아니면 포함되는 이름 중 가장 긴 것을 고릅니다.
+   */
+  match(procedureName) {
+    const target = normalizeName(procedureName);
+    if (!target) return null;
+
+    let best = null;
+    let bestLength = 0;
+    for (const service of this.list({ includeInactive: false })) {
+      const keys = [service.name, service.nameEn, ...(service.aliases || [])].map(normalizeName).filter(Boolean);
+      if (keys.includes(target)) return service;
+      for (const key of keys) {
+        if (target.includes(key) && key.length > bestLength) {
+          best = service;
+          bestLength = key.length;
+        }
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * 환경 변수에 따라 카탈로그 생성
+ * - SERVICE_CATALOG_FILE: 저장 경로 (기본 data/services.json)
+ */
+const createServiceCatalog = ({ baseDir }) => new ServiceCatalog({
+  filePath: process.env.SERVICE_CATALOG_FILE || path.join(baseDir, 'data', 'services.json'),
+  seedPath: path.join(baseDir, 'config', 'services.default.json')
+});
+
+module.exports = { ServiceCatalog, createServiceCatalog, normalizeName };
@@ -0,0 +1,291 @@
+// server/lib/sessionStore.js
+
+// 세션 저장소
+// - 모든 구현체는 같은 비동기 인터페이스(get/set/update/delete/list/purgeExpired)를 따릅니다.
+// - 기본 구현은 디스크에 세션별 JSON 파일을 쓰는 FileSessionStore 입니다.
+// - Redis 같은 외부 저장소는 SessionStore 를 상속해 같은 메서드만 구현하면 됩니다.
+// - 이 프로세스에서 저장/삭제한 세션은 'set'(id, data), 'delete'(id) 이벤트로 알립니다 (색인 갱신용).
+const path = require('path');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const DEFAULT_TTL_MS = 72 * 60 * 60 * 1000; // 72시간
+
+/**
+ * 세션 저장소 인터페이스
+ * 레코드 형식: { id, data, createdAt, updatedAt, expiresAt } (시각은 ISO 문자열)
+ */
+class SessionStore extends EventEmitter {
+  constructor({ ttlMs = DEFAULT_TTL_MS } = {}) {
+    super();
+    this.ttlMs = ttlMs;
+  }
+
+  /** 세션 데이터 조회 (없거나 만료되면 null) */
+  async get(id) {
+    const record = await this.getRecord(id);
+    return record ? record.data : null;
+  }
+
+  /** 메타데이터를 포함한 레코드 조회 */
+  async getRecord(id) {
+    throw new Error('getRecord() is not implemented');
+  }
+
+  /** 세션 데이터 덮어쓰기 (만료 시각 갱신) */
+  async set(id, data) {
+    throw new Error('set() is not implemented');
+  }
+
+  /**
+   * 읽기-수정-쓰기를 하나의 단위로 수행
+   * mutator 는 현재 데이터(없으면 {})를 받아 새 데이터를 반환하거나 직접 수정합니다.
+   */
+  async update(id, mutator) {
+    throw new Error('update() is not implemented');
+  }
+
+  /** 세션 삭제 (삭제된 경우 true) */
+  async delete(id) {
+    throw new Error('delete() is not implemented');
+  }
+
+  /** 만료되지 않은 모든 레코드 */
+  async list() {
+    throw new Error('list() is not implemented');
+  }
+
+  /** 만료된 세션 정리, 삭제된 개수 반환 */
+  async purgeExpired() {
+    throw new Error('purgeExpired() is not implemented');
+  }
+
+  // 새 레코드 생성/갱신 공통 로직
+  buildRecord(id, data, previous) {
+    const now = new Date();
+    return {
+      id,
+      data,
+      createdAt: previous?.createdAt || now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlMs).toISOString()
+    };
+  }
+
+  isExpired(record, now = Date.now()) {
+    return !record || new Date(record.expiresAt).getTime() <= now;
+  }
+}
+
+/**
+ * 메모리 저장소 (개발/단일 프로세스용, 재시작 시 초기화)
+ */
+class MemorySessionStore extends SessionStore {
+  constructor(options) {
+    super(options);
+    this.records = new Map();
+  }
+
+  async getRecord(id) {
+    const record = this.records.get(id);
+    if (!record) return null;
+    if (this.isExpired(record)) {
+      this.records.delete(id);
+      this.emit('delete', id);
+      return null;
+    }
+    return record;
+  }
+
+  async set(id, data) {
+    const record = this.buildRecord(id, data, await this.getRecord(id));
+    this.records.set(id, record);
+    this.emit('set', id, data);
+    return record;
+  }
+
+  async update(id, mutator) {
+    const current = await this.getRecord(id);
+    const data = current ? current.data : {};
+    const next = (await mutator(data)) || data;
+    await this.set(id, next);
+    return next;
+  }
+
+  async delete(id) {
+    const deleted = this.records.delete(id);
+    if (deleted) this.emit('delete', id);
+    return deleted;
+  }
+
+  async list() {
+    await this.purgeExpired();
+    return [...this.records.values()];
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, record] of this.records) {
+      if (this.isExpired(record, now)) {
+        this.records.delete(id);
+        this.emit('delete', id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * 파일 저장소 (기본값)
+ * 세션 하나당 JSON 파일 하나를 저장하며, 쓰기는 임시 파일 + rename 으로 원자적으로 처리합니다.
+ */
+class FileSessionStore extends SessionStore {
+  constructor({ dir, ...options } = {}) {
+    super(options);
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+    // 같은 세션에 대한 쓰기를 순서대로 처리하기 위한 큐
+    this.locks = new Map();
+  }
+
+  filePathFor(id) {
+    // 세션 ID 를 그대로 파일명으로 쓰지 않도록 인코딩
+    return path.join(this.dir, `${encodeURIComponent(String(id))}.json`);
+  }
+
+  async readRecord(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      if (error instanceof SyntaxError) {
+        console.warn(`⚠️ Corrupted session file ignored: ${filePath}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeRecord(record) {
+    const filePath = this.filePathFor(record.id);
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(record));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  // 세션별 직렬화 (같은 ID 의 작업이 겹치지 않도록)
+  async withLock(id, task) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    const settled = run.catch(() => {});
+    this.locks.set(id, settled);
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(id) === settled) {
+        this.locks.delete(id);
+      }
+    }
+  }
+
+  async getRecord(id) {
+    const filePath = this.filePathFor(id);
+    const record = await this.readRecord(filePath);
+    if (!record) return null;
+    if (this.isExpired(record)) {
+      await fs.promises.rm(filePath, { force: true });
+      this.emit('delete', id);
+      return null;
+    }
+    return record;
+  }
+
+  async set(id, data) {
+    return this.withLock(id, async () => {
+      const record = this.buildRecord(id, data, await this.getRecord(id));
+      await this.writeRecord(record);
+      this.emit('set', id, data);
+      return record;
+    });
+  }
+
+  async update(id, mutator) {
+    return this.withLock(id, async () => {
+      const current = await this.getRecord(id);
+      const data = current ? current.data : {};
+      const next = (await mutator(data)) || data;
+      await this.writeRecord(this.buildRecord(id, next, current));
+      this.emit('set', id, next);
+      return next;
+    });
+  }
+
+  async delete(id) {
+    return this.withLock(id, async () => {
+      const filePath = this.filePathFor(id);
+      const exists = fs.existsSync(filePath);
+      await fs.promises.rm(filePath, { force: true });
+      if (exists) this.emit('delete', id);
+      return exists;
+    });
+  }
+
+  async list() {
+    const now = Date.now();
+    const records = [];
+    for (const name of await fs.promises.readdir(this.dir)) {
+      if (!name.endsWith('.json')) continue;
+      const record = await this.readRecord(path.join(this.dir, name));
+      if (record && !this.isExpired(record, now)) {
+        records.push(record);
+      }
+    }
+    return records;
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const name of await fs.promises.readdir(this.dir)) {
+      if (!name.endsWith('.json')) continue;
+      const filePath = path.join(this.dir, name);
+      const record = await this.readRecord(filePath);
+      if (record && this.isExpired(record, now)) {
+        await fs.promises.rm(filePath, { force: true });
+        this.emit('delete', record.id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * 환경 변수에 따라 세션 저장소 생성
+ * - SESSION_STORE: file(기본) | memory
+ * - SESSION_DIR: 파일 저장 경로 (기본 data/sessions)
+ * - SESSION_TTL_HOURS: 세션 유지 시간 (기본 72)
+ */
+const createSessionStore = ({ baseDir }) => {
+  const ttlHours = Number(process.env.SESSION_TTL_HOURS);
+  const ttlMs = ttlHours > 0 ? ttlHours * 60 * 60 * 1000 : DEFAULT_TTL_MS;
+  const type = (process.env.SESSION_STORE || 'file').toLowerCase();
+
+  if (type === 'memory') {
+    return new MemorySessionStore({ ttlMs });
+  }
+  if (type !== 'file') {
+    throw new Error(`Unknown SESSION_STORE: ${type}`);
+  }
+  const dir = process.env.SESSION_DIR || path.join(baseDir, 'data', 'sessions');
+  return new FileSessionStore({ dir, ttlMs });
+};
+
+module.exports = {
+  SessionStore,
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore
+};
@@ -0,0 +1,74 @@
+// server/lib/storage/fileTokens.js
+
+// /uploads 파일 URL 토큰 (?exp=<만료 시각(초)>&sig=<HMAC-SHA256>)
+// <img src> 처럼 인증 헤더를 보낼 수 없는 요청도 파일을 불러올 수 있도록 API 응답의 파일 URL 에
+// 유효 시간이 짧은 토큰을 붙이고, /uploads 는 헤더 인증 대신 토큰으로도 접근을 허용합니다.
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+const TOKEN_PARAMS = ['exp', 'sig'];
+
+/**
+ * URL 에서 토큰 쿼리(exp, sig) 제거
+ */
+const stripToken = (url) => {
+  const index = url.indexOf('?');
+  if (index === -1) return url;
+  const params = new URLSearchParams(url.slice(index + 1));
+  for (const name of TOKEN_PARAMS) params.delete(name);
+  const query = params.toString();
+  return query ? `${url.slice(0, index)}?${query}` : url.slice(0, index);
+};
+
+/**
+ * JSON 값 안의 모든 문자열에 fn 적용 (배열과 일반 객체만 순회, 원본은 그대로)
+ */
+const mapStrings = (value, fn) => {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map((item) => mapStrings(item, fn));
+  if (value && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+};
+
+/**
+ * 토큰 서명기 생성
+ * - secret: HMAC 키 (여러 서버 인스턴스는 같은 값을 사용해야 함)
+ * - ttlSeconds: 토큰 유효 시간
+ * 반환: { sign(url, key), verify(key, { exp, sig }), ttlSeconds }
+ */
+const createFileTokenSigner = ({ secret, ttlSeconds = DEFAULT_TTL_SECONDS }) => {
+  if (!secret) {
+    throw new Error('A secret is required to sign file URLs');
+  }
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0) {
+    throw new Error('File URL token TTL must be a positive number of seconds');
+  }
+
+  const signature = (key, exp) => crypto.createHmac('sha256', secret).update(`${key}\n${exp}`).digest('base64url');
+
+  /**
+   * 저장소 키(key) 파일의 URL 에 토큰 추가 (이미 있던 토큰은 교체)
+   */
+  const sign = (url, key, now = Date.now()) => {
+    const exp = Math.floor(now / 1000) + ttlSeconds;
+    const base = stripToken(url);
+    return `${base}${base.includes('?') ? '&' : '?'}exp=${exp}&sig=${signature(key, exp)}`;
+  };
+
+  /**
+   * 토큰이 해당 키에 대해 서명되었고 아직 유효한지
+   */
+  const verify = (key, { exp, sig } = {}, now = Date.now()) => {
+    if (typeof exp !== 'string' || !/^\d+$/.test(exp) || typeof sig !== 'string') return false;
+    if (Math.floor(now / 1000) >= Number(exp)) return false;
+    const expected = Buffer.from(signature(key, exp));
+    const actual = Buffer.from(sig);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  };
+
+  return { sign, verify, ttlSeconds };
+};
+
+module.exports = { createFileTokenSigner, stripToken, mapStrings, DEFAULT_TTL_SECONDS };
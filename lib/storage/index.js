@@ -0,0 +1,57 @@
+// server/lib/storage/index.js
+
+// 파일 저장소 선택
+// 모든 저장소는 같은 인터페이스를 구현합니다. 키는 파일명 또는 "<살롱 ID>/<파일명>" 입니다.
+// - put(key, buffer, { contentType }) → 공개 URL (세션에 저장하는 고정 URL)
+// - get(key) → Buffer (없으면 null)
+// - remove(key) → 삭제 여부
+// - list() → [{ key, size, lastModified(Date) }]
+// - url(key) → 공개 URL
+// - signedUrl(key) → 지금 내려받을 수 있는 URL (로컬은 /uploads 토큰 URL, S3 signed 모드면 유효 시간이 있는 S3 서명 URL)
+// - keyFromUrl(url) → 이 저장소의 URL 이면 키, 아니면 null
+const path = require('path');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+/**
+ * 환경 변수에 따라 저장소 생성
+ * - STORAGE_BACKEND: local(기본) | s3
+ * - UPLOAD_DIR: 로컬 저장 디렉토리 (기본 uploads)
+ * - S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_FORCE_PATH_STYLE, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PREFIX
+ * - S3_URL_MODE: signed(기본) | public, S3_PUBLIC_URL, S3_SIGNED_URL_TTL_SECONDS
+ * publicBaseUrl 은 서버 공개 주소, localOrigins 는 예전 URL 로 인정할 서버 주소,
+ * tokenSigner 는 /uploads URL 토큰 서명기(lib/storage/fileTokens)입니다.
+ */
+const createStorage = ({ baseDir, publicBaseUrl, localOrigins = [], tokenSigner = null }) => {
+  const type = (process.env.STORAGE_BACKEND || 'local').toLowerCase();
+
+  switch (type) {
+    case 'local':
+      return createLocalStorage({
+        directory: path.resolve(baseDir, process.env.UPLOAD_DIR || 'uploads'),
+        publicBaseUrl,
+        localOrigins,
+        tokenSigner
+      });
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        // MinIO 등은 경로 방식(http://host/bucket/key)이 필요합니다
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX || '',
+        urlMode: (process.env.S3_URL_MODE || 'signed').toLowerCase(),
+        publicUrl: process.env.S3_PUBLIC_URL,
+        publicBaseUrl,
+        localOrigins,
+        signedUrlTtlSeconds: parseInt(process.env.S3_SIGNED_URL_TTL_SECONDS, 10) || undefined
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${type}`);
+  }
+};
+
+module.exports = { createStorage };
@@ -0,0 +1,98 @@
+// server/lib/storage/local.js
+
+// 로컬 디스크 저장소
+// 파일은 directory 아래에 키 경로(살롱 ID 하위 디렉토리/파일명) 그대로 저장되고, 서버의 /uploads 경로로 제공됩니다.
+const fs = require('fs');
+const path = require('path');
+const { isValidKey, keyFromUrl, encodeKey, trimTrailingSlash } = require('./urls');
+
+/**
+ * 로컬 저장소 생성
+ * - directory: 저장 디렉토리
+ * - publicBaseUrl: 새 URL 에 사용할 서버 공개 주소 (예: https://api.example.com)
+ * - localOrigins: 예전 URL 로 인정할 서버 주소 (예: http://localhost:3000)
+ * - tokenSigner: /uploads URL 토큰 서명기 (lib/storage/fileTokens, 없으면 signedUrl 도 토큰 없는 URL)
+ */
+const createLocalStorage = ({ directory, publicBaseUrl, localOrigins = [], tokenSigner = null }) => {
+  fs.mkdirSync(directory, { recursive: true });
+  const root = path.resolve(directory);
+  const uploadBases = [publicBaseUrl, ...localOrigins].map((origin) => `${trimTrailingSlash(origin)}/uploads`);
+
+  const filePath = (key) => {
+    if (!isValidKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(root, key);
+  };
+
+  const url = (key) => `${uploadBases[0]}/${encodeKey(key)}`;
+
+  return {
+    name: 'local',
+    directory: root,
+
+    async put(key, buffer) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer);
+      return url(key);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    // 최상위 파일(예전 키)과 살롱 디렉토리 한 단계까지 조회
+    async list() {
+      const files = [];
+      const scan = async (relativeDir) => {
+        const entries = await fs.promises.readdir(path.join(root, relativeDir), { withFileTypes: true });
+        for (const entry of entries) {
+          const key = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+          if (entry.isDirectory() && !relativeDir) {
+            await scan(entry.name);
+            continue;
+          }
+          if (!entry.isFile() || !isValidKey(key)) continue;
+          try {
+            const stat = await fs.promises.stat(path.join(root, key));
+            files.push({ key, size: stat.size, lastModified: stat.mtime });
+          } catch (error) {
+            // 목록 조회 중 삭제된 파일
+            if (error.code !== 'ENOENT') throw error;
+          }
+        }
+      };
+      await scan('');
+      return files;
+    },
+
+    url,
+
+    // 로컬 파일은 서버의 /uploads 가 제공하므로 인증 헤더 없이 쓸 수 있는 토큰 URL
+    async signedUrl(key) {
+      return tokenSigner ? tokenSigner.sign(url(key), key) : url(key);
+    },
+
+    keyFromUrl(rawUrl) {
+      return keyFromUrl(rawUrl, uploadBases);
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
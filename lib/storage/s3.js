@@ -0,0 +1,139 @@
+// server/lib/storage/s3.js
+
+// S3 호환 저장소 (AWS S3, MinIO 등)
+// - urlMode 'public': 객체를 publicUrl(버킷 공개 주소나 CDN) 아래 URL 로 제공합니다 (서버 인증을 거치지 않음).
+// - urlMode 'signed': 세션에는 서버의 /uploads/<키> URL 을 저장하고,
+//   인증(또는 /uploads URL 토큰)과 살롱 확인을 통과한 요청만 유효 시간이 있는 서명 URL 로 리다이렉트합니다 (server.js).
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { isValidKey, keyFromUrl, encodeKey, trimTrailingSlash } = require('./urls');
+
+const DEFAULT_SIGNED_URL_TTL_SECONDS = 15 * 60;
+
+/**
+ * S3 저장소 생성
+ * - bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey: S3 연결 설정
+ * - prefix: 객체 키 앞에 붙일 경로 (예: uploads/)
+ * - urlMode: public | signed
+ * - publicUrl: public 모드에서 객체 URL 의 기준 주소
+ * - publicBaseUrl / localOrigins: 서버 공개 주소 (signed 모드 URL 과 예전 URL 인식에 사용)
+ * - signedUrlTtlSeconds: 서명 URL 유효 시간
+ */
+const createS3Storage = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle = false,
+  accessKeyId,
+  secretAccessKey,
+  prefix = '',
+  urlMode = 'signed',
+  publicUrl,
+  publicBaseUrl,
+  localOrigins = [],
+  signedUrlTtlSeconds = DEFAULT_SIGNED_URL_TTL_SECONDS
+}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for STORAGE_BACKEND=s3');
+  }
+  if (!['public', 'signed'].includes(urlMode)) {
+    throw new Error(`Unknown S3_URL_MODE: ${urlMode}`);
+  }
+  if (urlMode === 'public' && !publicUrl) {
+    throw new Error('S3_PUBLIC_URL is required for S3_URL_MODE=public');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const uploadBases = [publicBaseUrl, ...localOrigins].map((origin) => `${trimTrailingSlash(origin)}/uploads`);
+  const objectBase = publicUrl ? `${trimTrailingSlash(publicUrl)}/${prefix}`.replace(/\/+$/, '') : null;
+
+  const objectKey = (key) => {
+    if (!isValidKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return `${prefix}${key}`;
+  };
+
+  const url = (key) => (urlMode === 'public'
+    ? `${objectBase}/${encodeKey(key)}`
+    : `${uploadBases[0]}/${encodeKey(key)}`);
+
+  return {
+    name: 's3',
+    urlMode,
+
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return url(key);
+    },
+
+    async get(key) {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return Buffer.from(await result.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    // S3 DeleteObject 는 없는 키도 성공으로 응답합니다
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return true;
+    },
+
+    async list() {
+      const files = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken
+        }));
+        for (const object of page.Contents || []) {
+          const key = object.Key.slice(prefix.length);
+          if (!isValidKey(key)) continue;
+          files.push({ key, size: object.Size, lastModified: new Date(object.LastModified) });
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return files;
+    },
+
+    url,
+
+    async signedUrl(key) {
+      if (urlMode === 'public') return url(key);
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }),
+        { expiresIn: signedUrlTtlSeconds }
+      );
+    },
+
+    keyFromUrl(rawUrl) {
+      return keyFromUrl(rawUrl, objectBase ? [...uploadBases, objectBase] : uploadBases);
+    }
+  };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,52 @@
+// server/lib/storage/urls.js
+
+// 저장소 키와 URL 변환 공용 함수
+// 키는 파일명이나 "<살롱 ID>/<파일명>" 형식만 허용합니다 (예: gangnam/front-1700000000000-123.jpg).
+const KEY_PATTERN = /^(?:[a-z0-9][a-z0-9-]*\/)?[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * 유효한 저장소 키인지 확인
+ */
+const isValidKey = (key) => typeof key === 'string' && KEY_PATTERN.test(key);
+
+const trimTrailingSlash = (value) => value.replace(/\/+$/, '');
+
+/**
+ * URL 경로용 키 인코딩 (구분자 "/" 는 유지)
+ */
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * URL 이 bases(예: https://api.example.com/uploads) 중 하나 아래의 파일을 가리키면 키를 반환 (아니면 null)
+ * "/uploads/<키>" 같은 상대 경로는 relativeBase 기준으로 해석합니다.
+ */
+const keyFromUrl = (rawUrl, bases, relativeBase = '/uploads') => {
+  if (typeof rawUrl !== 'string' || !rawUrl || rawUrl.startsWith('data:')) return null;
+
+  let url;
+  try {
+    url = rawUrl.startsWith('/') && !rawUrl.startsWith('//')
+      ? new URL(rawUrl, `http://relative.invalid${relativeBase}`)
+      : new URL(rawUrl);
+  } catch (error) {
+    return null;
+  }
+  const candidates = url.host === 'relative.invalid' ? [`http://relative.invalid${relativeBase}`] : bases;
+
+  for (const base of candidates) {
+    const baseUrl = new URL(base);
+    const prefix = `${trimTrailingSlash(baseUrl.pathname)}/`;
+    if (url.origin !== baseUrl.origin || !url.pathname.startsWith(prefix)) continue;
+
+    let key;
+    try {
+      key = decodeURIComponent(url.pathname.slice(prefix.length));
+    } catch (error) {
+      return null;
+    }
+    return isValidKey(key) ? key : null;
+  }
+  return null;
+};
+
+module.exports = { isValidKey, keyFromUrl, encodeKey, trimTrailingSlash };
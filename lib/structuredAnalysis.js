@@ -0,0 +1,82 @@
+// server/lib/structuredAnalysis.js
+
+// 스키마 기반 AI 분석 실행
+// 1) 스키마를 지정해 구조화된 JSON 응답을 요청하고 검증
+// 2) 실패하면 오류 내용을 담은 수정(repair) 프롬프트로 한 번 재시도
+// 3) 그래도 실패하면 임의의 기본값 대신 degraded: true 를 반환
+const { ANALYSIS_SCHEMAS, validateSchema } = require('./analysisSchemas');
+
+/**
+ * 응답 텍스트를 JSON 으로 파싱 (```json 코드 블록 허용)
+ */
+const parseJsonResponse = (text) => {
+  const trimmed = String(text || '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return JSON.parse(fenced ? fenced[1] : trimmed);
+};
+
+/**
+ * 응답 텍스트를 파싱·검증하고 { data, errors } 반환
+ */
+const checkResponse = (schema, text) => {
+  let data;
+  try {
+    data = parseJsonResponse(text);
+  } catch (error) {
+    return { data: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+  const errors = validateSchema(schema, data);
+  return { data: errors.length === 0 ? data : null, errors };
+};
+
+const buildRepairPrompt = (prompt, previousText, errors) => `${prompt}
+
+---
+이전 응답이 요구된 JSON 스키마를 만족하지 않았습니다.
+오류:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+이전 응답:
+${String(previousText || '').substring(0, 4000)}
+
+스키마에 맞는 JSON 객체 하나만 다시 출력하세요. 설명이나 코드 블록 없이 JSON만 출력합니다.`;
+
+/**
+ * 구조화된 분석 실행
+ * 반환: { data, degraded, errors, attempts }
+ */
+const runStructuredAnalysis = async ({ aiProvider, task, prompt, images }) => {
+  const schema = ANALYSIS_SCHEMAS[task];
+  if (!schema) {
+    throw new Error(`Unknown analysis task: ${task}`);
+  }
+
+  let attempts = 0;
+  let currentPrompt = prompt;
+  let errors = [];
+
+  while (attempts < 2) {
+    attempts++;
+    let text = '';
+    try {
+      text = await aiProvider.analyze({ task, prompt: currentPrompt, images, schema });
+      console.log(`📝 ${task} analysis response received (attempt ${attempts}), length:`, text.length);
+      const checked = checkResponse(schema, text);
+      if (checked.data) {
+        return { data: checked.data, degraded: false, errors: [], attempts };
+      }
+      errors = checked.errors;
+    } catch (error) {
+      // 첫 호출 자체가 실패하면 호출한 쪽에서 처리 (재시도 중 실패는 degraded)
+      if (attempts === 1) throw error;
+      errors = [error.message];
+    }
+
+    console.warn(`⚠️ ${task} response failed schema validation (attempt ${attempts}):`, errors.slice(0, 5));
+    currentPrompt = buildRepairPrompt(prompt, text, errors);
+  }
+
+  return { data: null, degraded: true, errors, attempts };
+};
+
+module.exports = { runStructuredAnalysis, parseJsonResponse };
@@ -0,0 +1,169 @@
+// server/lib/styleDescription.js
+
+// 참고 사진 없이 생성할 때 사용하는 구조화된 스타일 설명
+// 예: { length: 'shoulder', layers: 'medium', fringe: 'see-through', color: 'ash-brown', perm: 'c-curl', parting: 'center' }
+// 생성 프롬프트(영어)와 분석 프롬프트(한국어)에 같은 설명을 넣을 수 있도록 항목별 라벨을 함께 둡니다.
+
+// 항목별 허용 값 → { en, ko }
+const STYLE_OPTIONS = {
+  length: {
+    buzz: { en: 'buzz cut', ko: '버즈컷' },
+    'very-short': { en: 'very short (crop)', ko: '아주 짧게' },
+    short: { en: 'short', ko: '숏' },
+    ear: { en: 'ear-length', ko: '귀 길이' },
+    chin: { en: 'chin-length bob', ko: '턱 길이 (단발)' },
+    shoulder: { en: 'shoulder-length', ko: '어깨 길이' },
+    collarbone: { en: 'collarbone-length', ko: '쇄골 길이' },
+    chest: { en: 'chest-length', ko: '가슴 길이' },
+    waist: { en: 'waist-length', ko: '허리 길이' }
+  },
+  layers: {
+    none: { en: 'one-length, no layers', ko: '레이어 없음 (원랭스)' },
+    light: { en: 'light layers', ko: '가벼운 레이어' },
+    medium: { en: 'medium layers', ko: '중간 레이어' },
+    heavy: { en: 'heavy, shaggy layers', ko: '많은 레이어 (샤기)' }
+  },
+  fringe: {
+    none: { en: 'no bangs', ko: '앞머리 없음' },
+    'see-through': { en: 'see-through bangs', ko: '시스루 뱅' },
+    full: { en: 'full blunt bangs', ko: '풀뱅' },
+    'side-swept': { en: 'side-swept bangs', ko: '사이드 뱅' },
+    curtain: { en: 'curtain bangs', ko: '커튼 뱅' },
+    short: { en: 'short micro bangs', ko: '짧은 앞머리' }
+  },
+  perm: {
+    none: { en: 'no perm, natural texture', ko: '펌 없음' },
+    'c-curl': { en: 'C-curl perm (ends curled inward)', ko: 'C컬 펌' },
+    's-curl': { en: 'S-curl perm', ko: 'S컬 펌' },
+    wave: { en: 'loose wave perm', ko: '웨이브 펌' },
+    spiral: { en: 'tight spiral perm', ko: '스파이럴 펌' },
+    volume: { en: 'root volume perm', ko: '볼륨 펌' },
+    down: { en: 'down perm (sides pressed flat)', ko: '다운펌' }
+  },
+  parting: {
+    center: { en: 'center part', ko: '가운데 가르마' },
+    left: { en: 'left side part', ko: '왼쪽 가르마' },
+    right: { en: 'right side part', ko: '오른쪽 가르마' },
+    none: { en: 'no visible part (swept back or forward)', ko: '가르마 없음' }
+  }
+};
+
+// 이름으로 지정할 수 있는 염색 색상
+const NAMED_SHADES = {
+  'natural-black': { hex: '#1C1A19', en: 'natural black', ko: '내추럴 블랙' },
+  'blue-black': { hex: '#1A1C26', en: 'blue black', ko: '블루 블랙' },
+  'dark-brown': { hex: '#3B2A20', en: 'dark brown', ko: '다크 브라운' },
+  'chocolate-brown': { hex: '#4E3426', en: 'chocolate brown', ko: '초코 브라운' },
+  'ash-brown': { hex: '#6B5B4E', en: 'ash brown', ko: '애쉬 브라운' },
+  'khaki-brown': { hex: '#6E5E45', en: 'khaki brown', ko: '카키 브라운' },
+  'milk-brown': { hex: '#8A6E55', en: 'milk tea brown', ko: '밀크 브라운' },
+  'pink-brown': { hex: '#7A4F4A', en: 'pink brown', ko: '핑크 브라운' },
+  'red-brown': { hex: '#6A3A2A', en: 'red brown', ko: '레드 브라운' },
+  burgundy: { hex: '#5E1F2B', en: 'burgundy', ko: '버건디' },
+  copper: { hex: '#B0573A', en: 'copper orange', ko: '코퍼 오렌지' },
+  'ash-gray': { hex: '#8C8C88', en: 'ash gray', ko: '애쉬 그레이' },
+  'ash-blonde': { hex: '#B9A88A', en: 'ash blonde', ko: '애쉬 블론드' },
+  platinum: { hex: '#E3DCCB', en: 'platinum blonde', ko: '플래티넘 블론드' }
+};
+
+const HEX_COLOR = /^#?([0-9a-f]{6})$/i;
+const MAX_NOTES_LENGTH = 300;
+
+/**
+ * 색상 값 검증: '#RRGGBB' 또는 NAMED_SHADES 의 이름
+ * 반환: { color: { name, hex } } 또는 { error }
+ */
+const parseColor = (value) => {
+  if (typeof value !== 'string') {
+    return { error: 'styleDescription.color must be a hex color (#RRGGBB) or a named shade' };
+  }
+  const hexMatch = value.trim().match(HEX_COLOR);
+  if (hexMatch) {
+    return { color: { name: null, hex: `#${hexMatch[1].toUpperCase()}` } };
+  }
+  const shade = NAMED_SHADES[value.trim().toLowerCase()];
+  if (!shade) {
+    return { error: `Unknown color: ${value} (use #RRGGBB or one of ${Object.keys(NAMED_SHADES).join(', ')})` };
+  }
+  return { color: { name: value.trim().toLowerCase(), hex: shade.hex } };
+};
+
+/**
+ * 요청의 스타일 설명 검증
+ * - input: { length, layers, fringe, color, perm, parting, notes } (모두 선택, 하나 이상 필요)
+ * 반환: { description, error } (description 의 color 는 { name, hex } 로 정규화)
+ */
+const parseStyleDescription = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'styleDescription must be an object: { length, layers, fringe, color, perm, parting, notes }' };
+  }
+
+  const allowed = [...Object.keys(STYLE_OPTIONS), 'color', 'notes'];
+  const unknown = Object.keys(input).filter((field) => !allowed.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown styleDescription fields: ${unknown.join(', ')}` };
+  }
+
+  const description = {};
+  for (const [field, options] of Object.entries(STYLE_OPTIONS)) {
+    const value = input[field];
+    if (value === undefined || value === null) continue;
+    if (!options[value]) {
+      return { error: `styleDescription.${field} must be one of ${Object.keys(options).join(', ')}` };
+    }
+    description[field] = value;
+  }
+
+  if (input.color !== undefined && input.color !== null) {
+    const { color, error } = parseColor(input.color);
+    if (error) return { error };
+    description.color = color;
+  }
+
+  if (input.notes !== undefined && input.notes !== null) {
+    if (typeof input.notes !== 'string' || input.notes.length > MAX_NOTES_LENGTH) {
+      return { error: `styleDescription.notes must be a string of at most ${MAX_NOTES_LENGTH} characters` };
+    }
+    if (input.notes.trim()) description.notes = input.notes.trim();
+  }
+
+  if (Object.keys(description).length === 0) {
+    return { error: 'styleDescription needs at least one of length, layers, fringe, color, perm, parting, notes' };
+  }
+  return { description };
+};
+
+/**
+ * 스타일 설명을 프롬프트용 목록으로 변환
+ * - language: 'en' (생성 프롬프트) | 'ko' (분석 프롬프트)
+ * 반환: '- Length: shoulder-length' 형식의 줄 목록
+ */
+const describeStyle = (description, language = 'en') => {
+  const names = language === 'ko'
+    ? { length: '길이', layers: '레이어', fringe: '앞머리', color: '컬러', perm: '펌', parting: '가르마', notes: '추가 요청' }
+    : { length: 'Length', layers: 'Layers', fringe: 'Fringe / bangs', color: 'Color', perm: 'Perm / texture', parting: 'Parting', notes: 'Additional notes' };
+
+  const colorLabel = (color) => {
+    const shade = color.name && NAMED_SHADES[color.name];
+    if (shade) return `${shade[language]} (${color.hex})`;
+    return language === 'ko' ? `${color.hex} 색상` : `exact shade ${color.hex}`;
+  };
+
+  const lines = [];
+  for (const field of ['length', 'layers', 'fringe', 'color', 'perm', 'parting', 'notes']) {
+    const value = description[field];
+    if (!value) continue;
+    let label = value;
+    if (field === 'color') label = colorLabel(value);
+    else if (STYLE_OPTIONS[field]) label = STYLE_OPTIONS[field][value][language];
+    lines.push(`- ${names[field]}: ${label}`);
+  }
+  return lines;
+};
+
+module.exports = {
+  parseStyleDescription,
+  describeStyle,
+  STYLE_OPTIONS,
+  NAMED_SHADES
+};
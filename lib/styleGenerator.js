@@ -0,0 +1,760 @@
+// server/lib/styleGenerator.js
+
+// 스타일 이미지 생성 로직 (나노 바나나)
+// /api/generate/style 와 비동기 작업(/api/jobs/generate)이 함께 사용합니다.
+// 스타일 사진 대신 구조화된 스타일 설명(lib/styleDescription)으로도 생성할 수 있습니다.
+// 생성 결과는 id/parentId 로 연결된 버전 트리를 이루며, 수정 요청(/api/generate/refine)은 기존 결과의 자식 버전을 만듭니다.
+const crypto = require('crypto');
+const { deriveTechnicalSpecs, emptyTechnicalSpecs } = require('./technicalSpecs');
+const { detectImageFormat, detectImageMime } = require('./imagePipeline');
+const { describeStyle } = require('./styleDescription');
+const { QuotaExceededError } = require('./quota');
+
+// 고객 사진 각도별 설명 (프롬프트용)
+const ANGLE_LABELS = {
+  front: 'front view',
+  side: 'side profile',
+  back: 'back of the head'
+};
+
+// 명세서 프롬프트용 각도 이름
+const ANGLE_NAMES_KO = { front: '정면', side: '측면', back: '후면' };
+
+// 여러 각도 생성 시 순서 (정면 결과를 다른 각도의 기준으로 사용)
+const ANGLE_ORDER = ['front', 'side', 'back'];
+
+// 수정 요청(refine)의 구조화된 항목 → 프롬프트 이름
+const REFINE_EDIT_FIELDS = {
+  sides: 'Sides',
+  top: 'Top',
+  fringe: 'Fringe / bangs',
+  length: 'Overall length',
+  volume: 'Volume',
+  texture: 'Texture / curl',
+  color: 'Color',
+  parting: 'Parting',
+  styling: 'Styling / finish'
+};
+
+const MAX_INSTRUCTION_LENGTH = 500;
+
+/**
+ * 생성/수정 실패 (status: HTTP 상태 코드)
+ */
+class GenerationError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'GenerationError';
+    this.status = status;
+  }
+}
+
+/**
+ * 수정 요청 검증 → { instruction, edits } (오류 시 GenerationError 400)
+ * - instruction: 자유 입력 (예: "옆머리 조금 더 짧게")
+ * - edits: { sides: 'a bit shorter', color: 'warmer brown', fringe: 'none' } 처럼 REFINE_EDIT_FIELDS 의 항목별 지시
+ */
+const parseRefinement = ({ instruction, edits }) => {
+  const text = typeof instruction === 'string' ? instruction.trim() : '';
+  if (instruction !== undefined && typeof instruction !== 'string') {
+    throw new GenerationError('instruction must be a string', 400);
+  }
+  if (text.length > MAX_INSTRUCTION_LENGTH) {
+    throw new GenerationError(`instruction must be at most ${MAX_INSTRUCTION_LENGTH} characters`, 400);
+  }
+
+  const parsedEdits = {};
+  if (edits !== undefined) {
+    if (!edits || typeof edits !== 'object' || Array.isArray(edits)) {
+      throw new GenerationError('edits must be an object', 400);
+    }
+    for (const [field, value] of Object.entries(edits)) {
+      if (!REFINE_EDIT_FIELDS[field]) {
+        throw new GenerationError(`Unknown edit field: ${field} (allowed: ${Object.keys(REFINE_EDIT_FIELDS).join(', ')})`, 400);
+      }
+      if (typeof value !== 'string' || !value.trim() || value.length > 200) {
+        throw new GenerationError(`edits.${field} must be a non-empty string of at most 200 characters`, 400);
+      }
+      parsedEdits[field] = value.trim();
+    }
+  }
+
+  if (!text && Object.keys(parsedEdits).length === 0) {
+    throw new GenerationError('instruction or edits is required', 400);
+  }
+  return { instruction: text || null, edits: parsedEdits };
+};
+
+/**
+ * 모발 상태를 영어 프롬프트 블록으로 변환
+ */
+const describeHairCondition = (hairCondition) => `
+- Curl pattern: ${hairCondition.curlPattern || 'Not specified'}
+- Strand texture: ${hairCondition.strandTexture || 'Not specified'}
+- Density: ${hairCondition.density || 'Not specified'}
+- Scalp condition: ${hairCondition.scalpCondition || 'Not specified'}
+- Chemical history: Henna(${hairCondition.chemicalHistory?.henna ? 'Yes' : 'No'}), Box dye(${hairCondition.chemicalHistory?.boxDye ? 'Yes' : 'No'}), Relaxer(${hairCondition.chemicalHistory?.relaxer ? 'Yes' : 'No'}), Bleach(${hairCondition.chemicalHistory?.bleach || 'None'})`.trim();
+
+/**
+ * 생성 프롬프트 작성
+ * contextLabels: 세 번째 이미지부터 붙는 참고 이미지 설명 목록
+ */
+const buildGenerationPrompt = ({ hairCondition, angle, contextLabels }) => {
+  const angleLabel = ANGLE_LABELS[angle] || angle;
+  const contextBlock = contextLabels.length > 0
+    ? `\nAdditional context images (for reference only, do NOT copy their viewpoint):\n${contextLabels.map((label, index) => `- Image ${index + 3}: ${label}`).join('\n')}\n`
+    : '';
+
+  return `Apply the hairstyle from the second image to the first image. 
+
+First image: Customer photo (${angleLabel}) - keep face, skin, and body exactly as shown.
+Second image: Reference hairstyle - extract ONLY the hairstyle (hair shape, length, texture, color, styling).
+${contextBlock}
+Requirements:
+- Extract and apply ONLY the hairstyle from the reference image
+- Keep customer's face, facial features, skin tone, and body completely unchanged
+- Match the hairstyle to customer's head size and face shape naturally
+- Keep the same ${angleLabel} viewpoint and framing as the first image
+- Use the context images to keep hair length, volume and color consistent across all angles
+- Generate a single high-quality, photorealistic output image
+
+Customer hair condition for realistic application:
+${describeHairCondition(hairCondition)}`;
+};
+
+/**
+ * 스타일 설명 기반 생성 프롬프트 작성 (참고 사진 없음)
+ * contextLabels: 두 번째 이미지부터 붙는 참고 이미지 설명 목록
+ */
+const buildDescriptionPrompt = ({ hairCondition, angle, styleDescription, contextLabels }) => {
+  const angleLabel = ANGLE_LABELS[angle] || angle;
+  const contextBlock = contextLabels.length > 0
+    ? `\nAdditional context images (for reference only, do NOT copy their viewpoint):\n${contextLabels.map((label, index) => `- Image ${index + 2}: ${label}`).join('\n')}\n`
+    : '';
+
+  return `Give the person in the first image the new hairstyle described below.
+
+First image: Customer photo (${angleLabel}) - keep face, skin, and body exactly as shown.
+${contextBlock}
+Target hairstyle:
+${describeStyle(styleDescription).join('\n')}
+
+Requirements:
+- Apply ONLY the described hairstyle; where an aspect is not described, keep it close to the customer's current hair
+- When a hex color is given, match that hair color as closely as possible under the photo's lighting
+- Keep customer's face, facial features, skin tone, and body completely unchanged
+- Match the hairstyle to customer's head size and face shape naturally
+- Keep the same ${angleLabel} viewpoint and framing as the first image
+- Use the context images to keep hair length, volume and color consistent across all angles
+- Generate a single high-quality, photorealistic output image
+
+Customer hair condition for realistic application:
+${describeHairCondition(hairCondition)}`;
+};
+
+/**
+ * 수정 프롬프트 작성 (이전 결과를 기준으로 지정한 부분만 변경)
+ */
+const buildRefinePrompt = ({ angle, instruction, edits, hasCustomerPhoto }) => {
+  const angleLabel = ANGLE_LABELS[angle] || angle;
+  const editLines = Object.entries(edits).map(([field, value]) => `- ${REFINE_EDIT_FIELDS[field]}: ${value}`);
+  if (instruction) {
+    editLines.push(`- Stylist's request (may be in Korean): ${instruction}`);
+  }
+
+  return `Edit the hairstyle in the first image with small, targeted adjustments.
+
+First image: Current hairstyle result (${angleLabel}) - this is the version to edit.
+${hasCustomerPhoto ? `Second image: Original customer photo - identity reference only (face, skin, body).\n` : ''}
+Requested changes:
+${editLines.join('\n')}
+
+Requirements:
+- Apply ONLY the requested changes; keep every other aspect of the hairstyle exactly as in the first image
+- Keep customer's face, facial features, skin tone, and body completely unchanged
+- Keep the same ${angleLabel} viewpoint, framing, lighting and background as the first image
+- Generate a single high-quality, photorealistic output image`;
+};
+
+/**
+ * 스타일 생성기 생성
+ * - aiProvider: lib/providers 의 제공자
+ * - sessionStore: lib/sessionStore 의 저장소
+ * - getImageBuffer: URL → Buffer
+ * - storage: 결과 파일을 저장할 lib/storage 의 파일 저장소
+ * - faceCompositor: 얼굴 픽셀 보존 합성기 (lib/hairMasks 의 마스크 서비스, 없으면 모델 결과를 그대로 저장)
+ * - identityChecker: 생성 결과 본인 확인기 (lib/identityCheck, 없으면 확인하지 않음)
+ */
+const createStyleGenerator = ({ aiProvider, sessionStore, getImageBuffer, storage, faceCompositor = null, identityChecker = null }) => {
+  /**
+   * 생성 결과의 머리카락 영역만 고객 사진에 합성해 얼굴 픽셀을 유지
+   * 반환: { buffer, faceComposite } (합성하지 않으면 buffer 는 모델 결과 그대로,
+   *       faceComposite: { applied, reason, faceIoU, hairMaskUrl, faceMaskUrl })
+   */
+  const preserveFace = async (customerBuffer, generatedBuffer, keyPrefix) => {
+    if (!faceCompositor || !customerBuffer) {
+      return { buffer: generatedBuffer, faceComposite: null };
+    }
+    try {
+      const { applied, reason, faceIoU, hairMaskUrl, faceMaskUrl, buffer } = await faceCompositor.compositeHair({ original: customerBuffer, generated: generatedBuffer, keyPrefix });
+      if (applied) {
+        console.log(`🧩 Face pixels preserved (face IoU: ${faceIoU})`);
+      } else {
+        console.warn(`⚠️ Face compositing skipped: ${reason}`);
+      }
+      return { buffer: applied ? buffer : generatedBuffer, faceComposite: { applied, reason, faceIoU, hairMaskUrl, faceMaskUrl } };
+    } catch (error) {
+      console.error('❌ Face compositing failed:', error);
+      return { buffer: generatedBuffer, faceComposite: { applied: false, reason: `error: ${error.message}`, faceIoU: null } };
+    }
+  };
+
+  /**
+   * 고객 사진과 생성 결과의 얼굴 비교 (identityChecker 가 없으면 null)
+   * 반환: { method, score, threshold, passed, reason } (확인 중 오류가 나면 score/passed: null)
+   */
+  const verifyIdentity = async (customerBuffer, outputBuffer) => {
+    if (!identityChecker || !customerBuffer) return null;
+    try {
+      const identityCheck = await identityChecker.check({ original: customerBuffer, generated: outputBuffer });
+      if (identityCheck.passed === false) {
+        console.warn(`⚠️ Identity check failed: ${identityCheck.reason} (score: ${identityCheck.score}, threshold: ${identityCheck.threshold})`);
+      } else {
+        console.log(`🪪 Identity check: ${identityCheck.passed === null ? identityCheck.reason : 'passed'} (score: ${identityCheck.score})`);
+      }
+      return identityCheck;
+    } catch (error) {
+      console.error('❌ Identity check failed to run:', error);
+      return { method: identityChecker.method, score: null, threshold: identityChecker.threshold, passed: null, reason: `error: ${error.message}` };
+    }
+  };
+
+  /**
+   * 모델 호출 → (얼굴 픽셀 보존 합성) → (본인 확인)
+   * 본인 확인에 실패하면 identityChecker.maxRetries 만큼 다시 생성하고 점수가 가장 높은 결과를 사용합니다.
+   * 첫 호출의 오류는 그대로 던지고, 다시 생성하다 실패하면 이전 결과를 사용합니다.
+   * - callModel(): { imageBuffer, text } 를 반환하는 모델 호출 (이미지가 없으면 throw)
+   * 반환: { buffer, text, faceComposite, identityCheck } (identityCheck 에 시도 횟수 attempts 포함)
+   */
+  const produceImage = async ({ callModel, customerBuffer, keyPrefix, onProgress }) => {
+    const maxAttempts = 1 + (identityChecker?.maxRetries || 0);
+    let best = null;
+    let attempts = 0;
+
+    while (attempts < maxAttempts) {
+      onProgress('calling-model');
+      let generation;
+      try {
+        generation = await callModel();
+      } catch (error) {
+        if (!best) throw error;
+        console.error(`❌ Regeneration after identity check failed: ${error.message}`);
+        break;
+      }
+      attempts++;
+
+      let buffer = generation.imageBuffer;
+      let faceComposite = null;
+      if (faceCompositor) {
+        onProgress('compositing');
+        ({ buffer, faceComposite } = await preserveFace(customerBuffer, buffer, keyPrefix));
+      }
+      if (identityChecker) onProgress('checking-identity');
+      const identityCheck = await verifyIdentity(customerBuffer, buffer);
+
+      if (!best || (identityCheck?.score ?? -1) > (best.identityCheck?.score ?? -1)) {
+        best = { buffer, text: generation.text, faceComposite, identityCheck };
+      }
+      if (identityCheck?.passed !== false) break;
+      if (attempts < maxAttempts) {
+        console.log(`🔁 Regenerating for identity preservation (${attempts}/${maxAttempts - 1})`);
+      }
+    }
+
+    if (best.identityCheck) {
+      best.identityCheck = { ...best.identityCheck, attempts };
+    }
+    return best;
+  };
+
+  /**
+   * 고객 사진(angle: front/side/back)에 스타일 사진(stylePhotoUrl) 또는 스타일 설명(styleDescription)의 헤어스타일을 적용하고 세션에 결과를 기록
+   * styleDescription 은 parseStyleDescription() 으로 검증한 값이며, 결과 항목에 함께 저장되어 분석에 사용됩니다.
+   * 다른 각도의 고객 사진과 consistencyImageUrl(이미 생성된 정면 결과)은 참고 이미지로 함께 전달합니다.
+   * onProgress(stage) 로 진행 단계를 알립니다: loading-images → calling-model → (compositing) → (checking-identity) → saving
+   * 본인 확인에 실패해 다시 생성하면 calling-model 부터 반복합니다.
+   * 모델 호출이 실패하면 고객 사진을 결과로 사용합니다 (imageGenerated: false, 실패 원인은 error).
+   */
+  const generate = async ({ sessionId, customerPhotoUrls, stylePhotoUrl, styleDescription, hairCondition, angle = 'front', consistencyImageUrl, angleGroupId }, { onProgress = () => {} } = {}) => {
+    console.log(`Generating style image for session: ${sessionId} (angle: ${angle})`);
+
+    const customerPhotoUrl = customerPhotoUrls?.[angle];
+
+    let generatedImageUrl = customerPhotoUrl || stylePhotoUrl;
+    let generatedText = '';
+    let imageGenerated = false;
+    let generationError = null;
+    let technicalSpecs = emptyTechnicalSpecs();
+    let faceComposite = null;
+    let identityCheck = null;
+
+    try {
+      onProgress('loading-images');
+      const customerImageBuffer = await getImageBuffer(customerPhotoUrl);
+      const styleImageBuffer = stylePhotoUrl ? await getImageBuffer(stylePhotoUrl) : null;
+
+      // 참고 이미지: 다른 각도의 고객 사진 + 정면 생성 결과
+      const contextImages = [];
+      for (const otherAngle of ANGLE_ORDER) {
+        if (otherAngle === angle || !customerPhotoUrls?.[otherAngle]) continue;
+        const buffer = await getImageBuffer(customerPhotoUrls[otherAngle]);
+        if (buffer) {
+          contextImages.push({ buffer, label: `Customer photo (${ANGLE_LABELS[otherAngle]}), current hair` });
+        }
+      }
+      if (consistencyImageUrl) {
+        const buffer = await getImageBuffer(consistencyImageUrl);
+        if (buffer) {
+          contextImages.push({ buffer, label: 'Customer with the new hairstyle already applied (front view) - match this result' });
+        }
+      }
+
+      // 나노 바나나 API를 사용하여 이미지 합성
+      if (customerImageBuffer && (styleImageBuffer || styleDescription)) {
+        try {
+          console.log('Using Nano Banana (Gemini) to generate style image...');
+          console.log('📊 Customer image size:', customerImageBuffer.length, 'bytes');
+          if (styleImageBuffer) {
+            console.log('📊 Style image size:', styleImageBuffer.length, 'bytes');
+          } else {
+            console.log('📝 Style description:', JSON.stringify(styleDescription));
+          }
+
+          // 이미지 생성을 위한 프롬프트 (스타일 사진이 없으면 설명으로 작성)
+          const contextLabels = contextImages.map((image) => image.label);
+          const imageGenerationPrompt = styleImageBuffer
+            ? buildGenerationPrompt({ hairCondition, angle, contextLabels })
+            : buildDescriptionPrompt({ hairCondition, angle, styleDescription, contextLabels });
+
+          // 나노 바나나 이미지 생성 (AI_PROVIDER 에 따라 Gemini 또는 모의 제공자)
+          const callModel = async () => {
+            let generation = null;
+            let apiError = null;
+
+            try {
+              generation = await aiProvider.generateImage({
+                prompt: imageGenerationPrompt,
+                images: [
+                  { buffer: customerImageBuffer, mimeType: detectImageMime(customerImageBuffer) },
+                  ...(styleImageBuffer ? [{ buffer: styleImageBuffer, mimeType: detectImageMime(styleImageBuffer) }] : []),
+                  ...contextImages.map((image) => ({ buffer: image.buffer, mimeType: detectImageMime(image.buffer) })),
+                ],
+              });
+            } catch (error) {
+              apiError = error;
+              console.error('❌ Error calling Nano Banana API:', error);
+              console.error('❌ Error details:', {
+                message: error.message,
+                stack: error.stack?.substring(0, 500),
+                name: error.name
+              });
+
+              // 모델 이름 오류인지 확인
+              if (error.message?.includes('model') || error.message?.includes('not found') || error.message?.includes('invalid')) {
+                console.error('💡 Model name may be incorrect. Trying alternative model names...');
+              }
+            }
+
+            // 이미지 생성 실패 시 에러 처리
+            if (!generation?.imageBuffer) {
+              // 쿼터 초과는 모델 설정 문제가 아니므로 그대로 전달
+              if (apiError instanceof QuotaExceededError) throw apiError;
+              if (apiError) {
+                console.error('❌ Image generation failed with error:', apiError.message);
+                throw new Error(`이미지 생성 실패: ${apiError.message}. 모델 이름이나 API 키를 확인하세요.`);
+              } else {
+                console.error('❌ Image generation failed: No image data in response');
+                throw new Error('이미지 생성 실패: API가 이미지를 반환하지 않았습니다. 모델이 이미지 생성을 지원하는지 확인하세요.');
+              }
+            }
+            return generation;
+          };
+
+          // 세션이 속한 살롱 디렉토리에 저장
+          const salonId = (await sessionStore.get(sessionId))?.salonId;
+          const keyPrefix = salonId ? `${salonId}/` : '';
+
+          // 생성 → 머리카락 영역만 고객 사진에 합성 (얼굴 픽셀 유지) → 본인 확인 (실패 시 재생성)
+          let generatedImageBuffer;
+          ({ buffer: generatedImageBuffer, faceComposite, identityCheck } = await produceImage({
+            callModel,
+            customerBuffer: customerImageBuffer,
+            keyPrefix,
+            onProgress
+          }));
+
+          // 생성된 이미지 저장
+          onProgress('saving');
+          // 모델이 돌려준 실제 형식에 맞는 확장자로 저장
+          const outputExt = { png: 'png', webp: 'webp' }[detectImageFormat(generatedImageBuffer)] || 'jpg';
+          const outputFilename = `${keyPrefix}nano-banana-${Date.now()}-${Math.round(Math.random() * 1E9)}.${outputExt}`;
+          generatedImageUrl = await storage.put(outputFilename, generatedImageBuffer, {
+            contentType: detectImageMime(generatedImageBuffer)
+          });
+          generatedText = '헤어스타일 이미지 생성 완료';
+          imageGenerated = true;
+          console.log('✅ Nano Banana image generated and saved:', generatedImageUrl);
+
+          // 현재 사진과 생성 결과를 비교해 시술 명세서 도출
+          onProgress('deriving-specs');
+          technicalSpecs = await deriveTechnicalSpecs({
+            aiProvider,
+            hairCondition,
+            images: [
+              { buffer: customerImageBuffer, mimeType: detectImageMime(customerImageBuffer), label: `고객의 현재 헤어스타일 (${ANGLE_NAMES_KO[angle] || angle})` },
+              { buffer: generatedImageBuffer, mimeType: detectImageMime(generatedImageBuffer), label: `목표 헤어스타일 (AI 합성 결과, ${ANGLE_NAMES_KO[angle] || angle})` }
+            ]
+          });
+
+        } catch (nanoError) {
+          console.error('Error with Nano Banana API:', nanoError);
+          // 에러 발생 시 고객 사진 사용
+          generatedImageUrl = customerPhotoUrl || stylePhotoUrl;
+          generatedText = '스타일 적용 완료';
+          generationError = nanoError.message || 'Image generation failed';
+        }
+      } else {
+        // 이미지 버퍼가 없으면 고객 사진 사용
+        generatedImageUrl = customerPhotoUrl || stylePhotoUrl;
+        generatedText = '이미지를 불러올 수 없습니다';
+        generationError = generatedText;
+      }
+
+    } catch (error) {
+      console.error('Error in image processing:', error);
+      // 에러 발생 시 고객 사진 사용
+      generatedImageUrl = customerPhotoUrl || stylePhotoUrl;
+      generatedText = '스타일 적용 완료';
+      generationError = error.message || 'Image generation failed';
+    }
+
+    // 세션 데이터에 생성된 이미지 저장 (새 버전 트리의 루트)
+    const imageId = crypto.randomUUID();
+    const session = await sessionStore.update(sessionId, (session) => {
+      if (!session.generatedImages) {
+        session.generatedImages = [];
+      }
+      session.generatedImages.push({
+        id: imageId,
+        parentId: null,
+        imageUrl: generatedImageUrl,
+        stylePhotoUrl: stylePhotoUrl || null,
+        styleDescription: styleDescription || null,
+        angle: angle,
+        angleGroupId: angleGroupId || null,
+        prompt: generatedText,
+        imageGenerated: imageGenerated,
+        faceComposite: faceComposite,
+        identityCheck: identityCheck,
+        technicalSpecs: technicalSpecs,
+        createdAt: new Date().toISOString()
+      });
+      if (imageGenerated) {
+        session.activeImageId = imageId;
+      }
+    });
+
+    // 스타일 이름 생성 (어떤 스타일이 적용되었는지 표시)
+    const styleIndex = session.generatedImages ? session.generatedImages.length + 1 : 1;
+    const styleName = `스타일 ${styleIndex} 적용 결과`;
+
+    return {
+      imageId: imageId,
+      generatedImageUrl: generatedImageUrl,
+      angle: angle,
+      styleName: styleName,
+      imageGenerated: imageGenerated,
+      identityCheck: identityCheck,
+      message: generatedText,
+      error: generationError,
+      technicalSpecs: technicalSpecs
+    };
+  };
+
+  /**
+   * 하나의 스타일 사진(또는 스타일 설명)을 여러 각도로 생성
+   * 정면을 먼저 생성하고, 그 결과를 나머지 각도의 일관성 기준 이미지로 전달합니다.
+   * 같은 호출로 생성된 결과는 세션에 같은 angleGroupId 로 기록됩니다.
+   */
+  const generateAngles = async ({ sessionId, customerPhotoUrls, stylePhotoUrl, styleDescription, hairCondition, angles = ANGLE_ORDER }, { onProgress = () => {} } = {}) => {
+    const angleGroupId = crypto.randomUUID();
+    const ordered = ANGLE_ORDER.filter((angle) => angles.includes(angle));
+    const results = {};
+    let consistencyImageUrl = null;
+
+    for (const angle of ordered) {
+      if (!customerPhotoUrls?.[angle]) {
+        results[angle] = { status: 'skipped', error: `No ${angle} customer photo` };
+        continue;
+      }
+      const result = await generate(
+        { sessionId, customerPhotoUrls, stylePhotoUrl, styleDescription, hairCondition, angle, consistencyImageUrl, angleGroupId },
+        { onProgress: (stage) => onProgress(`${angle}:${stage}`) }
+      );
+      results[angle] = {
+        status: result.imageGenerated ? 'done' : 'failed',
+        imageId: result.imageId,
+        generatedImageUrl: result.generatedImageUrl,
+        styleName: result.styleName,
+        identityCheck: result.identityCheck,
+        technicalSpecs: result.technicalSpecs,
+        error: result.imageGenerated ? null : result.error || result.message
+      };
+      if (angle === 'front' && result.imageGenerated) {
+        consistencyImageUrl = result.generatedImageUrl;
+      }
+    }
+
+    return { angleGroupId, angles: results };
+  };
+
+  /**
+   * 세션에 저장된 모든 스타일 사진 × 요청한 고객 사진 각도 조합을 생성
+   * 항목별 상태(done/failed/skipped)를 담은 목록과 스타일×각도 행렬을 반환합니다.
+   * onProgress({ completed, total, item }) 로 항목 완료를 알립니다.
+   */
+  const generateBatch = async ({ sessionId, angles = ['front'], hairCondition }, { concurrency = 2, onProgress = () => {} } = {}) => {
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const customerPhotoUrls = session.customerPhotoUrls || {};
+    const stylePhotoUrls = session.stylePhotoUrls || {};
+    const condition = hairCondition || session.hairCondition;
+
+    if (Object.keys(stylePhotoUrls).length === 0) {
+      throw new Error('No style photos uploaded for this session');
+    }
+    if (!condition) {
+      throw new Error('hairCondition is required');
+    }
+
+    // 스타일 사진 하나당 여러 각도를 묶어서 생성 (각도 간 일관성 유지)
+    const styles = Object.entries(stylePhotoUrls);
+    const total = styles.length * angles.length;
+    let completed = 0;
+
+    const runStyle = async ([styleKey, stylePhotoUrl]) => {
+      try {
+        const { angleGroupId, angles: angleResults } = await generateAngles({
+          sessionId,
+          customerPhotoUrls,
+          stylePhotoUrl,
+          hairCondition: condition,
+          angles
+        });
+        return ANGLE_ORDER
+          .filter((angle) => angles.includes(angle))
+          .map((angle) => ({ styleKey, stylePhotoUrl, angle, angleGroupId, ...angleResults[angle] }));
+      } catch (error) {
+        return angles.map((angle) => ({ styleKey, stylePhotoUrl, angle, status: 'failed', error: error.message }));
+      }
+    };
+
+    // concurrency 개의 스타일을 동시에 실행
+    const groups = new Array(styles.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < styles.length) {
+        const index = next++;
+        groups[index] = await runStyle(styles[index]);
+        for (const item of groups[index]) {
+          completed++;
+          onProgress({ completed, total, item });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, styles.length) }, worker));
+    const results = groups.flat();
+
+    // 스타일 사진 × 각도 행렬
+    const matrix = {};
+    for (const result of results) {
+      matrix[result.styleKey] = matrix[result.styleKey] || {};
+      matrix[result.styleKey][result.angle] = {
+        status: result.status,
+        generatedImageUrl: result.generatedImageUrl || null,
+        error: result.error || null
+      };
+    }
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+
+    return {
+      items: results,
+      matrix: matrix,
+      summary: {
+        total: results.length,
+        done: count('done'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        // 본인 확인 기준에 못 미친 결과 수
+        identityFlagged: results.filter((result) => result.identityCheck?.passed === false).length
+      }
+    };
+  };
+
+  /**
+   * 이전 생성 결과(parentId, 생략 시 현재 활성 버전)에 수정 지시를 적용해 새 버전 생성
+   * 새 결과는 parentId 로 부모와 연결되어 세션의 버전 트리에 추가되고 활성 버전이 됩니다.
+   * onProgress(stage): loading-images → calling-model → (compositing) → (checking-identity) → saving → deriving-specs
+   * 부모를 찾을 수 없거나 모델이 이미지를 만들지 못하면 GenerationError (기록하지 않음)
+   */
+  const refine = async ({ sessionId, parentId, instruction, edits, hairCondition }, { onProgress = () => {} } = {}) => {
+    const refinement = parseRefinement({ instruction, edits });
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      throw new GenerationError('Session not found', 404);
+    }
+
+    const targetId = parentId || session.activeImageId;
+    const parent = (session.generatedImages || []).find((image) => image.id && image.id === targetId);
+    if (!parent) {
+      throw new GenerationError(parentId ? `Generated image not found: ${parentId}` : 'parentId is required (no active version)', parentId ? 404 : 400);
+    }
+    if (parent.imageGenerated === false) {
+      throw new GenerationError('Cannot refine a failed generation', 400);
+    }
+
+    console.log(`Refining generated image ${parent.id} for session: ${sessionId}`);
+    onProgress('loading-images');
+    const customerPhotoUrl = session.customerPhotoUrls?.[parent.angle || 'front'];
+    const parentBuffer = await getImageBuffer(parent.imageUrl);
+    const customerBuffer = await getImageBuffer(customerPhotoUrl);
+    if (!parentBuffer) {
+      throw new GenerationError('Parent image is no longer available', 410);
+    }
+
+    const callModel = async () => {
+      let generation;
+      try {
+        generation = await aiProvider.generateImage({
+          prompt: buildRefinePrompt({
+            angle: parent.angle || 'front',
+            ...refinement,
+            hasCustomerPhoto: Boolean(customerBuffer)
+          }),
+          images: [
+            { buffer: parentBuffer, mimeType: detectImageMime(parentBuffer) },
+            ...(customerBuffer ? [{ buffer: customerBuffer, mimeType: detectImageMime(customerBuffer) }] : [])
+          ]
+        });
+      } catch (error) {
+        // 쿼터 초과는 모델 오류가 아니므로 429 그대로 전달
+        if (error instanceof QuotaExceededError) throw error;
+        console.error('❌ Error calling image model for refinement:', error);
+        throw new GenerationError(`Refinement failed: ${error.message}`);
+      }
+      if (!generation.imageBuffer) {
+        throw new GenerationError('Refinement failed: the model did not return an image');
+      }
+      return generation;
+    };
+
+    const keyPrefix = session.salonId ? `${session.salonId}/` : '';
+    const { buffer: outputBuffer, text: generatedText, faceComposite, identityCheck } = await produceImage({
+      callModel,
+      customerBuffer,
+      keyPrefix,
+      onProgress
+    });
+
+    onProgress('saving');
+    const outputExt = { png: 'png', webp: 'webp' }[detectImageFormat(outputBuffer)] || 'jpg';
+    const imageUrl = await storage.put(`${keyPrefix}nano-banana-${Date.now()}-${Math.round(Math.random() * 1E9)}.${outputExt}`, outputBuffer, {
+      contentType: detectImageMime(outputBuffer)
+    });
+    console.log('✅ Refined image saved:', imageUrl);
+
+    onProgress('deriving-specs');
+    const condition = hairCondition || session.hairCondition;
+    const technicalSpecs = customerBuffer && condition
+      ? await deriveTechnicalSpecs({
+        aiProvider,
+        hairCondition: condition,
+        images: [
+          { buffer: customerBuffer, mimeType: detectImageMime(customerBuffer), label: `고객의 현재 헤어스타일 (${ANGLE_NAMES_KO[parent.angle] || parent.angle})` },
+          { buffer: outputBuffer, mimeType: detectImageMime(outputBuffer), label: `목표 헤어스타일 (AI 수정 결과, ${ANGLE_NAMES_KO[parent.angle] || parent.angle})` }
+        ]
+      })
+      : emptyTechnicalSpecs();
+
+    const image = {
+      id: crypto.randomUUID(),
+      parentId: parent.id,
+      imageUrl: imageUrl,
+      stylePhotoUrl: parent.stylePhotoUrl,
+      styleDescription: parent.styleDescription || null,
+      angle: parent.angle,
+      angleGroupId: null,
+      prompt: generatedText || '헤어스타일 수정 완료',
+      refinement: refinement,
+      imageGenerated: true,
+      faceComposite: faceComposite,
+      identityCheck: identityCheck,
+      technicalSpecs: technicalSpecs,
+      createdAt: new Date().toISOString()
+    };
+    await sessionStore.update(sessionId, (stored) => {
+      stored.generatedImages = [...(stored.generatedImages || []), image];
+      stored.activeImageId = image.id;
+    });
+
+    return image;
+  };
+
+  return { generate, generateAngles, generateBatch, refine };
+};
+
+/**
+ * 세션의 생성 이미지를 버전 트리로 변환
+ * 반환: { activeImageId, roots: [{ id, parentId, imageUrl, ..., children: [...] }] }
+ * (id 가 없는 예전 항목은 루트로 표시되며 수정할 수 없습니다)
+ */
+const buildVersionTree = (session) => {
+  const images = session.generatedImages || [];
+  const nodes = images.map((image) => ({
+    id: image.id || null,
+    parentId: image.parentId || null,
+    imageUrl: image.imageUrl,
+    stylePhotoUrl: image.stylePhotoUrl,
+    styleDescription: image.styleDescription || null,
+    angle: image.angle,
+    imageGenerated: image.imageGenerated !== false,
+    refinement: image.refinement || null,
+    identityCheck: image.identityCheck || null,
+    createdAt: image.createdAt,
+    active: Boolean(image.id) && image.id === session.activeImageId,
+    children: []
+  }));
+  const byId = new Map(nodes.filter((node) => node.id).map((node) => [node.id, node]));
+  const roots = [];
+  for (const node of nodes) {
+    const parent = node.parentId && byId.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  return { activeImageId: session.activeImageId || null, roots };
+};
+
+module.exports = {
+  createStyleGenerator,
+  buildVersionTree,
+  GenerationError,
+  ANGLE_LABELS,
+  REFINE_EDIT_FIELDS
+};
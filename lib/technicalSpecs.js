@@ -0,0 +1,104 @@
+// server/lib/technicalSpecs.js
+
+// 시술 명세서 (살롱 작업 지시서)
+// 현재/목표 이미지와 모발 상태로부터 AI 가 도출하고, 살롱에서 수정한 값은 세션에 저장됩니다.
+const { ANALYSIS_SCHEMAS, validateSchema } = require('./analysisSchemas');
+const { runStructuredAnalysis } = require('./structuredAnalysis');
+
+/**
+ * @typedef {Object} TechnicalSpecs
+ * @property {string} sideLength - 옆머리 길이와 커트 방식
+ * @property {string} topLength - 윗머리 길이와 커트 방식
+ * @property {string} fringe - 앞머리 스타일
+ * @property {string} perm - 펌 종류 ("없음" 가능)
+ * @property {boolean} downPerm - 다운펌 필요 여부
+ * @property {string} color - 목표 컬러
+ * @property {string[]} additionalServices - 추가 시술
+ * @property {string[]} notes - 주의사항
+ * @property {'ai'|'salon'} source - 명세서 출처
+ * @property {boolean} degraded - AI 도출 실패 여부 (true 면 값이 비어 있음)
+ */
+
+const SPEC_FIELDS = Object.keys(ANALYSIS_SCHEMAS['technical-specs'].properties);
+
+/**
+ * 도출 실패 시 사용하는 빈 명세서 (임의의 값을 채우지 않음)
+ * @returns {TechnicalSpecs}
+ */
+const emptyTechnicalSpecs = () => ({
+  sideLength: null,
+  topLength: null,
+  fringe: null,
+  perm: null,
+  downPerm: null,
+  color: null,
+  additionalServices: [],
+  notes: [],
+  source: 'ai',
+  degraded: true
+});
+
+const buildSpecsPrompt = ({ imageLabels, hairCondition, requiredProcedures }) => `
+다음 이미지들을 비교하여 디자이너가 그대로 시술할 수 있는 시술 명세서(작업 지시서)를 작성해주세요.
+
+${imageLabels.map((label, index) => `${index + 1}번째 이미지: ${label}`).join('\n')}
+
+고객 모발 상태:
+- 곱슬 패턴: ${hairCondition?.curlPattern || '미지정'}
+- 모발 굵기: ${hairCondition?.strandTexture || '미지정'}
+- 밀도: ${hairCondition?.density || '미지정'}
+- 두피 상태: ${hairCondition?.scalpCondition || '미지정'}
+- 시술 이력: 
+  * 헤나: ${hairCondition?.chemicalHistory?.henna ? '있음' : '없음'}
+  * 박스 염색: ${hairCondition?.chemicalHistory?.boxDye ? '있음' : '없음'}
+  * 릴랙서: ${hairCondition?.chemicalHistory?.relaxer ? '있음' : '없음'}
+  * 탈색: ${hairCondition?.chemicalHistory?.bleach || '없음'}
+${requiredProcedures?.length ? `\n분석된 필요 시술: ${requiredProcedures.join(', ')}\n` : ''}
+작성 기준:
+- 옆머리(sideLength)와 윗머리(topLength)는 길이(mm/cm)와 커트 방식을 함께 적습니다.
+- 앞머리(fringe), 펌(perm), 컬러(color)는 목표 이미지 기준으로 적고, 변화가 없으면 "없음" 또는 "현재 컬러 유지"로 적습니다.
+- 모발 상태와 시술 이력 때문에 필요한 추가 시술과 주의사항을 additionalServices, notes 에 적습니다.
+- 이미지에서 확인할 수 없는 내용은 추측하지 말고 notes 에 확인 필요로 적습니다.
+`.trim();
+
+/**
+ * 이미지 비교와 모발 상태로 시술 명세서 도출
+ * images: [{ buffer, mimeType, label }] (고객 현재 사진 → 목표 이미지 순)
+ * @returns {Promise<TechnicalSpecs>}
+ */
+const deriveTechnicalSpecs = async ({ aiProvider, images, hairCondition, requiredProcedures }) => {
+  try {
+    const analysis = await runStructuredAnalysis({
+      aiProvider,
+      task: 'technical-specs',
+      prompt: buildSpecsPrompt({ imageLabels: images.map((image) => image.label), hairCondition, requiredProcedures }),
+      images: images
+    });
+
+    if (analysis.degraded) {
+      console.warn('⚠️ Technical specs derivation degraded:', analysis.errors.slice(0, 5));
+      return emptyTechnicalSpecs();
+    }
+    return { ...analysis.data, source: 'ai', degraded: false };
+  } catch (error) {
+    console.error('Error deriving technical specs:', error);
+    return emptyTechnicalSpecs();
+  }
+};
+
+/**
+ * 살롱에서 수정한 명세서 검증
+ * base(기존 명세서)에 input 의 필드를 덮어쓴 뒤 검증합니다.
+ * 반환: { specs, errors } (errors 가 비어 있으면 specs 사용 가능)
+ */
+const normalizeTechnicalSpecs = (input, base = {}) => {
+  const specs = {};
+  for (const field of SPEC_FIELDS) {
+    const value = input?.[field] !== undefined ? input[field] : base?.[field];
+    if (value !== undefined && value !== null) specs[field] = value;
+  }
+  const errors = validateSchema(ANALYSIS_SCHEMAS['technical-specs'], specs);
+  return { specs: { ...specs, source: 'salon', degraded: false }, errors };
+};
+
+module.exports = { deriveTechnicalSpecs, normalizeTechnicalSpecs, emptyTechnicalSpecs };
@@ -0,0 +1,157 @@
+// server/lib/tenants.js
+
+// 살롱(테넌트) 등록 정보
+// 살롱 → 디자이너 → 세션 구조이며, 각 살롱은 자체 API 키와 CORS 허용 origin 목록을 가집니다.
+// API 키는 원문 대신 SHA-256 해시로 저장합니다 (hashApiKey 참고).
+//
+// 파일 형식 (TENANTS_FILE, 기본 data/tenants.json):
+// {
+//   "admins": [{ "id": "ops", "keyHash": "<sha256>" }],
+//   "salons": [{
+//     "id": "gangnam", "name": "강남점",
+//     "corsOrigins": ["https://gangnam.example.com"],
+//     "quota": { "dailyModelCalls": 500, "monthlyModelCalls": 10000 },
+//     "logoFile": "config/logos/gangnam.png",
+//     "stylists": [{ "id": "kim", "name": "김디자이너" }],
+//     "apiKeys": [{ "id": "front-desk", "keyHash": "<sha256>", "role": "manager" },
+//                 { "id": "kim-tablet", "keyHash": "<sha256>", "role": "stylist", "stylistId": "kim" }]
+//   }]
+// }
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 역할: admin(전체 운영), manager(살롱 전체 세션), stylist(본인 세션)
+const ROLES = ['admin', 'manager', 'stylist'];
+
+// 인증 없이 실행하거나 살롱 정보가 없는 예전 세션/파일이 속하는 살롱
+const DEFAULT_SALON_ID = 'default';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * API 키 해시 (등록 파일에는 이 값을 저장)
+ */
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+/**
+ * 살롱별 쿼터 설정 검증 ({ dailyModelCalls, monthlyModelCalls } 중 지정한 값만)
+ */
+const parseQuota = (salon) => {
+  const quota = {};
+  for (const field of ['dailyModelCalls', 'monthlyModelCalls']) {
+    const value = salon.quota?.[field];
+    if (value === undefined) continue;
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid quota.${field} for salon ${salon.id}: ${value}`);
+    }
+    quota[field] = value;
+  }
+  return quota;
+};
+
+class TenantRegistry {
+  /**
+   * @param {{ admins?: object[], salons?: object[] }} config
+   */
+  constructor({ admins = [], salons = [] } = {}) {
+    this.salons = new Map();
+    this.keys = new Map();
+
+    for (const admin of admins) {
+      this.addKey(admin, { role: 'admin', salonId: null, stylistId: null });
+    }
+
+    for (const salon of salons) {
+      if (!ID_PATTERN.test(salon.id || '')) {
+        throw new Error(`Invalid salon id: ${salon.id}`);
+      }
+      if (this.salons.has(salon.id)) {
+        throw new Error(`Duplicate salon id: ${salon.id}`);
+      }
+      const stylists = new Map((salon.stylists || []).map((stylist) => [stylist.id, stylist]));
+      this.salons.set(salon.id, {
+        id: salon.id,
+        name: salon.name || salon.id,
+        corsOrigins: salon.corsOrigins || [],
+        // AI 호출 쿼터 (없으면 QUOTA_* 기본값, lib/quota 참고)
+        quota: parseQuota(salon),
+        // 비교 이미지 워터마크 로고 (서버 기준 경로, 없으면 WATERMARK_LOGO_FILE)
+        logoFile: salon.logoFile || null,
+        stylists
+      });
+
+      for (const key of salon.apiKeys || []) {
+        const role = key.role || 'stylist';
+        if (!['manager', 'stylist'].includes(role)) {
+          throw new Error(`Invalid role for API key ${key.id}: ${role}`);
+        }
+        if (key.stylistId && !stylists.has(key.stylistId)) {
+          throw new Error(`Unknown stylist for API key ${key.id}: ${key.stylistId}`);
+        }
+        if (role === 'stylist' && !key.stylistId) {
+          throw new Error(`API key ${key.id} with role stylist requires stylistId`);
+        }
+        this.addKey(key, { role, salonId: salon.id, stylistId: key.stylistId || null });
+      }
+    }
+  }
+
+  addKey(key, principal) {
+    if (!key.id || !/^[0-9a-f]{64}$/.test(key.keyHash || '')) {
+      throw new Error(`API key entries need id and a sha256 keyHash (${key.id || 'unnamed'})`);
+    }
+    if (this.keys.has(key.keyHash)) {
+      throw new Error(`Duplicate API key hash: ${key.id}`);
+    }
+    this.keys.set(key.keyHash, { keyId: key.id, ...principal });
+  }
+
+  /**
+   * API 키로 호출자 찾기 → { keyId, role, salonId, stylistId } 또는 null
+   */
+  findApiKey(apiKey) {
+    return this.keys.get(hashApiKey(apiKey)) || null;
+  }
+
+  getSalon(salonId) {
+    return this.salons.get(salonId) || null;
+  }
+
+  /**
+   * 어느 살롱이든 허용한 origin 인지 (CORS 사전 요청은 인증 헤더가 없으므로 전체 목록으로 판단)
+   */
+  isKnownOrigin(origin) {
+    for (const salon of this.salons.values()) {
+      if (salon.corsOrigins.includes(origin)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 해당 살롱이 허용한 origin 인지
+   */
+  isAllowedOrigin(salonId, origin) {
+    return Boolean(this.getSalon(salonId)?.corsOrigins.includes(origin));
+  }
+}
+
+/**
+ * 등록 파일에서 살롱 정보 읽기 (파일이 없으면 빈 등록 정보)
+ * - TENANTS_FILE: 파일 경로 (기본 data/tenants.json)
+ */
+const loadTenantRegistry = ({ baseDir }) => {
+  const filePath = path.resolve(baseDir, process.env.TENANTS_FILE || path.join('data', 'tenants.json'));
+  if (!fs.existsSync(filePath)) {
+    return new TenantRegistry();
+  }
+  return new TenantRegistry(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+};
+
+module.exports = {
+  TenantRegistry,
+  loadTenantRegistry,
+  hashApiKey,
+  ROLES,
+  DEFAULT_SALON_ID
+};
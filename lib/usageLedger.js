@@ -0,0 +1,208 @@
+// server/lib/usageLedger.js
+
+// AI 모델 사용량 장부 (과금/쿼터용)
+// - 모델 호출마다 한 줄씩 JSON Lines 파일에 추가합니다.
+//   { id, at, salonId, stylistId, keyId, sessionId, route, provider, operation, task, model,
+//     imagesSent, imageBytes, latencyMs, outcome: success | error, error }
+// - 살롱별 일/월 호출 수는 메모리에 집계해 쿼터 확인에 사용합니다 (시작 시 파일에서 다시 계산).
+// - 일/월 경계는 QUOTA_TIMEZONE(기본 Asia/Seoul) 기준입니다.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEZONE = 'Asia/Seoul';
+
+/**
+ * 시각 → 기간 키 { day: 'YYYY-MM-DD', month: 'YYYY-MM' } 변환기 생성
+ */
+const createPeriodFormatter = (timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+  return (date) => {
+    const day = formatter.format(new Date(date));
+    return { day, month: day.slice(0, 7) };
+  };
+};
+
+class UsageLedger {
+  /**
+   * @param {{ filePath: string, timeZone?: string }} options
+   */
+  constructor({ filePath, timeZone = DEFAULT_TIMEZONE }) {
+    this.filePath = filePath;
+    this.timeZone = timeZone;
+    this.periodOf = createPeriodFormatter(timeZone);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // "<살롱 ID>|<기간 키>" → 호출 수
+    this.counts = new Map();
+    for (const entry of this.readEntriesSync()) {
+      this.count(entry);
+    }
+    // 기록 순서를 보장하기 위한 쓰기 체인
+    this.chain = Promise.resolve();
+  }
+
+  readEntriesSync() {
+    if (!fs.existsSync(this.filePath)) return [];
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  }
+
+  count(entry) {
+    const { day, month } = this.periodOf(entry.at);
+    for (const period of [day, month]) {
+      const key = `${entry.salonId}|${period}`;
+      this.counts.set(key, (this.counts.get(key) || 0) + 1);
+    }
+  }
+
+  /**
+   * 모델 호출 1건 기록 (집계는 즉시 반영, 파일 쓰기는 순서대로)
+   * 반환: 기록된 항목
+   */
+  record(usage) {
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      ...usage
+    };
+    this.count(entry);
+    const write = this.chain.then(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, { flag: 'a' }));
+    // 한 번 실패해도 이후 기록은 계속되도록
+    this.chain = write.catch((error) => console.error('Error writing usage ledger:', error));
+    return write.then(() => entry);
+  }
+
+  /**
+   * 살롱의 현재 일/월 호출 수 → { day, month, dayKey, monthKey }
+   */
+  usage(salonId, now = new Date()) {
+    const { day, month } = this.periodOf(now);
+    return {
+      day: this.counts.get(`${salonId}|${day}`) || 0,
+      month: this.counts.get(`${salonId}|${month}`) || 0,
+      dayKey: day,
+      monthKey: month
+    };
+  }
+
+  /**
+   * 항목 조회
+   * - salonId: 해당 살롱만
+   * - from / to: 'YYYY-MM-DD' (포함, QUOTA_TIMEZONE 기준 날짜)
+   */
+  async list({ salonId, from, to } = {}) {
+    await this.chain;
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .filter((entry) => {
+        if (salonId && entry.salonId !== salonId) return false;
+        const { day } = this.periodOf(entry.at);
+        if (from && day < from) return false;
+        if (to && day > to) return false;
+        return true;
+      });
+  }
+
+  /**
+   * 기간(day | month) × 살롱 × 모델별 합계
+   * 반환: [{ period, salonId, model, calls, errors, imagesSent, imageBytes, totalLatencyMs, avgLatencyMs }]
+   */
+  summarize(entries, { groupBy = 'month' } = {}) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const period = this.periodOf(entry.at)[groupBy];
+      const key = `${period}|${entry.salonId}|${entry.model}`;
+      let group = groups.get(key);
+      if (!group) {
+        group = {
+          period,
+          salonId: entry.salonId,
+          model: entry.model,
+          calls: 0,
+          errors: 0,
+          imagesSent: 0,
+          imageBytes: 0,
+          totalLatencyMs: 0
+        };
+        groups.set(key, group);
+      }
+      group.calls++;
+      if (entry.outcome !== 'success') group.errors++;
+      group.imagesSent += entry.imagesSent || 0;
+      group.imageBytes += entry.imageBytes || 0;
+      group.totalLatencyMs += entry.latencyMs || 0;
+    }
+    return [...groups.values()]
+      .map((group) => ({ ...group, avgLatencyMs: Math.round(group.totalLatencyMs / group.calls) }))
+      .sort((a, b) => a.period.localeCompare(b.period)
+        || String(a.salonId).localeCompare(String(b.salonId))
+        || String(a.model).localeCompare(String(b.model)));
+  }
+}
+
+/**
+ * 사용량을 기록하는 AI 제공자 래퍼 (인터페이스는 원래 제공자와 동일)
+ * - getContext(): 현재 호출의 { salonId, stylistId, keyId, sessionId, route }
+ * - reserveQuota(salonId): 호출 전 쿼터 예약 (lib/quota 의 reserve, 한도를 넘으면 예외를 던져 호출하지 않음)
+ */
+const meterProvider = (provider, { ledger, getContext, reserveQuota = null }) => {
+  const measure = async (operation, model, args, call) => {
+    const images = args.images || [];
+    const context = getContext();
+    const release = reserveQuota && context.salonId ? reserveQuota(context.salonId) : () => {};
+    const startedAt = Date.now();
+    const usage = {
+      ...context,
+      provider: provider.name,
+      operation,
+      task: args.task || null,
+      model,
+      imagesSent: images.length,
+      imageBytes: images.reduce((total, image) => total + (image.buffer?.length || 0), 0)
+    };
+    try {
+      const result = await call();
+      ledger.record({ ...usage, latencyMs: Date.now() - startedAt, outcome: 'success', error: null });
+      return result;
+    } catch (error) {
+      ledger.record({ ...usage, latencyMs: Date.now() - startedAt, outcome: 'error', error: error.message });
+      throw error;
+    } finally {
+      release();
+    }
+  };
+
+  return {
+    ...provider,
+    generateImage: (args) => measure('generateImage', provider.imageModelName, args, () => provider.generateImage(args)),
+    analyze: (args) => measure('analyze', provider.textModelName, args, () => provider.analyze(args))
+  };
+};
+
+/**
+ * 환경 변수에 따라 사용량 장부 생성
+ * - USAGE_LEDGER_FILE: 장부 파일 경로 (기본 data/usage.log)
+ * - QUOTA_TIMEZONE: 일/월 경계 시간대 (기본 Asia/Seoul)
+ */
+const createUsageLedger = ({ baseDir }) => new UsageLedger({
+  filePath: path.resolve(baseDir, process.env.USAGE_LEDGER_FILE || path.join('data', 'usage.log')),
+  timeZone: process.env.QUOTA_TIMEZONE || DEFAULT_TIMEZONE
+});
+
+module.exports = { UsageLedger, createUsageLedger, meterProvider };
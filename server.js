@@ -2,44 +2,182 @@
 
 // 1. .env 파일에서 환경 변수(API 키)를 로드합니다.
 require('dotenv').config();
+const { AsyncLocalStorage } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const querystring = require('querystring');
 const sharp = require('sharp');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createSessionStore } = require('./lib/sessionStore');
+const { createAIProvider } = require('./lib/providers');
+const { createStyleGenerator, buildVersionTree, GenerationError } = require('./lib/styleGenerator');
+const { parseStyleDescription, describeStyle } = require('./lib/styleDescription');
+const { JobQueue } = require('./lib/jobQueue');
+const { runStructuredAnalysis } = require('./lib/structuredAnalysis');
+const { deriveTechnicalSpecs, normalizeTechnicalSpecs } = require('./lib/technicalSpecs');
+const { createServiceCatalog } = require('./lib/serviceCatalog');
+const { createColorPalette } = require('./lib/colorPalette');
+const { createColorSimulator, COLOR_TECHNIQUES } = require('./lib/colorSimulation');
+const { createSegmentationRunner } = require('./lib/segmentation');
+const { createMaskService } = require('./lib/hairMasks');
+const { loadIdentityCheckConfig, createIdentityChecker } = require('./lib/identityCheck');
+const { estimateCost } = require('./lib/priceEngine');
+const { loadSafetyRules, evaluateSafety, applySafetyToFeasibility } = require('./lib/safetyRules');
+const { ImageValidationError, detectImageMime, normalizeImage } = require('./lib/imagePipeline');
+const { checkPhotoQuality } = require('./lib/photoQuality');
+const { createImageLoader, ImageLoadError } = require('./lib/imageLoader');
+const { createStorage } = require('./lib/storage');
+const { createFileTokenSigner, stripToken, mapStrings } = require('./lib/storage/fileTokens');
+const { loadRetentionPolicy, createRetentionSweeper } = require('./lib/retention');
+const { CONSENT_PURPOSES, parseConsent, hasConsent } = require('./lib/consent');
+const { createAuditLog } = require('./lib/auditLog');
+const { loadTenantRegistry, DEFAULT_SALON_ID } = require('./lib/tenants');
+const { loadRateLimitConfig, createRateLimiter } = require('./lib/rateLimit');
+const { createUsageLedger, meterProvider } = require('./lib/usageLedger');
+const { loadQuotaPolicy, createQuotaEnforcer, QuotaExceededError } = require('./lib/quota');
+const { createReportRenderer, ReportFontError, REPORT_LANGUAGES } = require('./lib/reportPdf');
+const {
+  renderBeforeAfter,
+  renderGrid,
+  renderSlider,
+  COMPARISON_TYPES,
+  SLIDER_FORMATS
+} = require('./lib/comparisonImage');
+const {
+  createAuthenticator,
+  requireRole,
+  canAccessSession,
+  canAccessStorageKey,
+  ownerSalonId
+} = require('./lib/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// 클라이언트에 돌려줄 URL 의 서버 공개 주소 (리버스 프록시/Docker 뒤에서는 외부 주소로 설정)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
 
 // ----------------------------------------------------
 // 2. 미들웨어 설정
 // ----------------------------------------------------
-app.use(cors());
+
+// 살롱(테넌트) 등록 정보 (TENANTS_FILE, 기본 data/tenants.json)
+let tenantRegistry;
+try {
+  tenantRegistry = loadTenantRegistry({ baseDir: __dirname });
+} catch (error) {
+  console.error(`FATAL ERROR: Invalid tenants file: ${error.message}`);
+  process.exit(1);
+}
+
+// 인증 (AUTH_MODE: required | off, off 는 로컬 개발용)
+const AUTH_MODE = (process.env.AUTH_MODE || 'required').toLowerCase();
+
+// CORS - 인증을 끈 경우 모든 origin, 그 외에는 등록된 살롱의 origin 만 허용
+// (사전 요청에는 인증 정보가 없으므로 살롱별 검사는 인증 미들웨어에서 합니다)
+app.use(cors(AUTH_MODE === 'off' ? {} : {
+  origin: (origin, callback) => callback(null, !origin || tenantRegistry.isKnownOrigin(origin))
+}));
 app.use(express.json({ limit: '50mb' })); // JSON 본문 크기 제한 증가
 app.use(express.urlencoded({ limit: '50mb', extended: true })); // URL 인코딩 본문 크기 제한
 
-// 정적 파일 서빙을 위한 uploads 디렉토리 생성
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+// 모든 /api 요청과 업로드 파일(/uploads) 인증 (API 키 또는 JWT)
+let authenticate;
+try {
+  authenticate = createAuthenticator({
+    registry: tenantRegistry,
+    mode: AUTH_MODE,
+    jwtSecret: process.env.JWT_SECRET || null
+  });
+} catch (error) {
+  console.error(`FATAL ERROR: ${error.message}`);
+  process.exit(1);
 }
+app.use('/api', authenticate);
 
-// 정적 파일 서빙 설정 (업로드된 파일을 제공)
-app.use('/uploads', express.static(uploadsDir));
+// /uploads 파일 URL 토큰 (UPLOAD_URL_SECRET, UPLOAD_URL_TTL_SECONDS)
+// 비밀 키를 설정하지 않으면 시작할 때마다 새로 만들므로, 재시작하거나 여러 인스턴스로 운영하면 받은 URL 이 맞지 않습니다.
+if (!process.env.UPLOAD_URL_SECRET && AUTH_MODE !== 'off') {
+  console.warn('⚠️ UPLOAD_URL_SECRET is not set; file URLs will stop working after a restart');
+}
+let fileTokens;
+try {
+  fileTokens = createFileTokenSigner({
+    secret: process.env.UPLOAD_URL_SECRET || crypto.randomBytes(32).toString('hex'),
+    ttlSeconds: process.env.UPLOAD_URL_TTL_SECONDS === undefined ? undefined : Number(process.env.UPLOAD_URL_TTL_SECONDS)
+  });
+} catch (error) {
+  console.error(`FATAL ERROR: ${error.message}`);
+  process.exit(1);
+}
 
-// Multer 설정 - 파일을 디스크에 저장
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
+// 요청 속도 제한 (경로 그룹별 호출자/살롱 한도, RATE_LIMIT_*)
+let rateLimitConfig;
+let quotaPolicy;
+try {
+  rateLimitConfig = loadRateLimitConfig();
+  quotaPolicy = loadQuotaPolicy();
+} catch (error) {
+  console.error(`FATAL ERROR: ${error.message}`);
+  process.exit(1);
+}
+app.use('/api', createRateLimiter(rateLimitConfig));
+
+// AI 모델 사용량 장부 (USAGE_LEDGER_FILE) 와 살롱별 일/월 쿼터 (QUOTA_*)
+const usageLedger = createUsageLedger({ baseDir: __dirname });
+const quotaEnforcer = createQuotaEnforcer({ ledger: usageLedger, registry: tenantRegistry, policy: quotaPolicy });
+
+// 모델 호출을 어느 요청(또는 작업)이 했는지 추적 → 장부의 살롱/세션 정보
+// multipart 본문은 스트림 이벤트에서 처리되어 컨텍스트가 끊기므로 multer 뒤에서 다시 연결합니다.
+const usageContext = new AsyncLocalStorage();
+const bindUsageContext = (req, res, next) => usageContext.run({ req }, next);
+app.use('/api', bindUsageContext);
+
+// 파일 저장소 (STORAGE_BACKEND: local | s3)
+// 예전 세션의 http://localhost:<PORT>/uploads/... URL 도 계속 인식합니다.
+let fileStorage;
+try {
+  fileStorage = createStorage({
+    baseDir: __dirname,
+    publicBaseUrl: PUBLIC_BASE_URL,
+    localOrigins: [`http://localhost:${PORT}`, `http://127.0.0.1:${PORT}`],
+    tokenSigner: fileTokens
+  });
+} catch (error) {
+  console.error(`FATAL ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+/**
+ * API 응답의 업로드 파일 URL 에 토큰 추가 (호출자가 볼 수 있는 파일만, S3 public 모드는 객체 URL 그대로)
+ */
+const signFileUrl = (url, auth) => {
+  if (fileStorage.urlMode === 'public' || !auth) return url;
+  const key = fileStorage.keyFromUrl(url);
+  return key && canAccessFile(auth, key) ? fileTokens.sign(url, key) : url;
+};
+
+/**
+ * 요청으로 돌아온 업로드 파일 URL 의 토큰 제거 (세션에 저장된 URL 과 같은 값으로 비교/저장)
+ */
+const stripFileToken = (url) => (url.includes('sig=') && fileStorage.keyFromUrl(url) ? stripToken(url) : url);
+
+// 쿼리(예: ?imageUrl=)와 JSON 본문의 파일 URL 토큰은 떼어내고, 응답의 파일 URL 에는 토큰을 붙여
+// 클라이언트가 인증 헤더 없이 <img src> 로 바로 쓸 수 있게 합니다.
+app.set('query parser', (query) => mapStrings(querystring.parse(query), stripFileToken));
+app.use('/api', (req, res, next) => {
+  if (req.body) req.body = mapStrings(req.body, stripFileToken);
+  const json = res.json.bind(res);
+  res.json = (body) => json(mapStrings(body, (value) => signFileUrl(value, req.auth)));
+  // 서명할 때 세션 파일 색인을 사용하므로 시작 직후에는 색인이 만들어질 때까지 대기
+  sessionFileIndexReady.then(() => next(), next);
 });
 
+// Multer 설정 - 검증/정규화를 위해 메모리에 받은 뒤 디스크에 저장
+const storage = multer.memoryStorage();
+
 const upload = multer({ 
   storage: storage,
   limits: { 
@@ -49,560 +187,1330 @@ const upload = multer({
 });
 
 // ----------------------------------------------------
-// 3. Gemini API 클라이언트 초기화
+// 3. AI 제공자 초기화 (AI_PROVIDER: gemini | mock)
 // ----------------------------------------------------
-const apiKey = process.env.GOOGLE_API_KEY;
 
-if (!apiKey) {
-  console.error("FATAL ERROR: GOOGLE_API_KEY 환경 변수가 설정되지 않았습니다. .env 파일을 확인하세요.");
+/**
+ * 현재 모델 호출의 청구 정보 { salonId, stylistId, keyId, sessionId, route }
+ * 요청 중이면 요청에서, 비동기 작업이면 작업 등록 시 넘긴 정보에서 가져옵니다.
+ */
+const currentUsageContext = () => {
+  const store = usageContext.getStore();
+  if (!store) {
+    return { salonId: null, stylistId: null, keyId: null, sessionId: null, route: null };
+  }
+  if (!store.req) return store;
+
+  const { req } = store;
+  return {
+    salonId: req.sessionSalonId || ownerSalonId(req.auth),
+    stylistId: req.auth?.stylistId || null,
+    keyId: req.auth?.keyId || null,
+    sessionId: req.body?.sessionId || req.params?.id || null,
+    route: `${req.method} ${req.route?.path || req.originalUrl.split('?')[0]}`
+  };
+};
+
+let aiProvider;
+try {
+  // 모델 호출마다 살롱 쿼터를 다시 확인 (일괄 생성/재생성처럼 한 요청이 여러 번 호출해도 한도를 넘지 않도록)
+  aiProvider = meterProvider(createAIProvider(), {
+    ledger: usageLedger,
+    getContext: currentUsageContext,
+    reserveQuota: quotaEnforcer.reserve
+  });
+} catch (error) {
+  console.error(`FATAL ERROR: ${error.message}`);
   process.exit(1);
 }
 
-const genAI = new GoogleGenerativeAI(apiKey);
-// 텍스트 분석용 모델
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
-// 나노 바나나는 Gemini 2.5 Flash Image 모델 사용 (이미지 생성 지원)
-const imageModel = genAI.getGenerativeModel({ model: "gemini-2.5-flash-image" });
-
 // ----------------------------------------------------
-// 4. 세션 데이터 저장 (일회성 체험판용 - 메모리 저장)
+// 4. 세션 데이터 저장 (기본: 디스크 JSON 파일, SESSION_STORE 로 변경 가능)
 // ----------------------------------------------------
-const sessionData = new Map();
+const sessionStore = createSessionStore({ baseDir: __dirname });
+
+// 만료된 세션 주기적 정리 (1시간마다)
+setInterval(() => {
+  sessionStore.purgeExpired()
+    .then((removed) => {
+      if (removed > 0) console.log(`🧹 Expired sessions purged: ${removed}`);
+    })
+    .catch((error) => console.error('Error purging expired sessions:', error));
+}, 60 * 60 * 1000).unref();
 
 // ----------------------------------------------------
 // 5. 헬퍼 함수
 // ----------------------------------------------------
 
+// 공용 이미지 로더 (로컬 업로드, data: URL, 허용된 외부 호스트)
+const imageLoader = createImageLoader({ storage: fileStorage });
+
 /**
  * URL에서 이미지 버퍼 가져오기
+ * 허용되지 않거나 가져오지 못한 이미지는 경고만 남기고 null 을 반환합니다.
  */
 const getImageBuffer = async (url) => {
-  if (!url) return null;
-  
-  // HTTP URL인 경우 (로컬 서버)
-  if (url.startsWith('http://localhost:') || url.startsWith('http://127.0.0.1:')) {
-    const filename = url.split('/').pop();
-    const filePath = path.join(uploadsDir, filename);
-    if (fs.existsSync(filePath)) {
-      return fs.readFileSync(filePath);
-    }
-  }
-  
-  // base64인 경우
-  if (url.startsWith('data:')) {
-    const base64Data = url.split(',')[1];
-    return Buffer.from(base64Data, 'base64');
-  }
-  
-  // 외부 URL인 경우 HTTP 요청
-  if (url.startsWith('http://') || url.startsWith('https://')) {
-    try {
-      const https = require('https');
-      const http = require('http');
-      const urlModule = require('url');
-      
-      return await new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https') ? https : http;
-        protocol.get(url, (res) => {
-          if (res.statusCode !== 200) {
-            reject(new Error(`Failed to download image: ${res.statusCode}`));
-            return;
-          }
-          const chunks = [];
-          res.on('data', chunk => chunks.push(chunk));
-          res.on('end', () => resolve(Buffer.concat(chunks)));
-          res.on('error', reject);
-        }).on('error', reject);
-      });
-    } catch (error) {
-      console.error('Error downloading image from URL:', error);
+  try {
+    return await imageLoader.load(url);
+  } catch (error) {
+    if (error instanceof ImageLoadError) {
+      console.warn(`⚠️ Image not loaded (${error.status}): ${error.message}`);
       return null;
     }
+    throw error;
+  }
+};
+
+/**
+ * 요청에 포함된 이미지 URL 검사 (허용되지 않는 URL 이 있으면 오류 메시지, 없으면 null)
+ * 업로드 파일은 호출자 살롱의 파일만 허용합니다.
+ */
+const findRejectedImageUrl = (urls, auth) => {
+  for (const url of urls) {
+    if (!url) continue;
+    const message = imageLoader.checkUrl(url);
+    if (message) return message;
+    const key = fileStorage.keyFromUrl(url);
+    if (key && !canAccessStorageKey(auth, key)) return `Image belongs to another salon: ${url}`;
   }
-  
   return null;
 };
 
-// ----------------------------------------------------
-// 6. API 엔드포인트 정의
-// ----------------------------------------------------
+// 고객 사진 촬영 각도
+const CUSTOMER_PHOTO_ANGLES = ['front', 'side', 'back'];
 
 /**
- * POST /api/upload/customer
- * 고객 정보 및 사진 업로드
+ * 일괄 생성 요청의 각도 목록 해석 (잘못된 값이면 null)
  */
-app.post('/api/upload/customer', upload.fields([
-  { name: 'front', maxCount: 1 },
-  { name: 'side', maxCount: 1 },
-  { name: 'back', maxCount: 1 }
-]), async (req, res) => {
-  try {
-    const { sessionId, userInfo, hairCondition } = req.body;
+const parseBatchAngles = ({ angles, allAngles }) => {
+  if (allAngles) return [...CUSTOMER_PHOTO_ANGLES];
+  if (angles === undefined) return ['front'];
+  if (!Array.isArray(angles) || angles.length === 0) return null;
+  if (!angles.every((angle) => CUSTOMER_PHOTO_ANGLES.includes(angle))) return null;
+  return [...new Set(angles)];
+};
 
-    if (!sessionId) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'sessionId is required' 
-      });
-    }
+// 분석 프롬프트용 각도 이름
+const ANGLE_NAMES_KO = { front: '정면', side: '측면', back: '후면' };
 
-    // JSON 문자열 파싱
-    const parsedUserInfo = typeof userInfo === 'string' ? JSON.parse(userInfo) : userInfo;
-    const parsedHairCondition = typeof hairCondition === 'string' ? JSON.parse(hairCondition) : hairCondition;
+/**
+ * 분석용 이미지 로드 (고객 사진 전 각도 + 선택한 결과 이미지와 같은 그룹의 다른 각도 결과)
+ * 반환: { images: [{ buffer, mimeType, label }], customerCount, targetCount, styleDescription }
+ * (styleDescription: 선택한 결과가 스타일 설명으로 생성되었으면 그 설명)
+ */
+const loadAnalysisImages = async ({ customerPhotoUrls, selectedStyleImageUrl, session }) => {
+  const images = [];
+  let customerCount = 0;
+  let targetCount = 0;
+
+  for (const angle of CUSTOMER_PHOTO_ANGLES) {
+    const buffer = await getImageBuffer(customerPhotoUrls?.[angle]);
+    if (buffer) {
+      images.push({ buffer, mimeType: detectImageMime(buffer), label: `고객의 현재 헤어스타일 (${ANGLE_NAMES_KO[angle]})` });
+      customerCount++;
+    }
+  }
 
-    // 파일 처리 - 디스크에 저장하고 URL 반환
-    const photoUrls = {};
-    
-    if (req.files) {
-      if (req.files['front'] && req.files['front'][0]) {
-        const file = req.files['front'][0];
-        photoUrls.front = `http://localhost:${PORT}/uploads/${file.filename}`;
-      }
-      if (req.files['side'] && req.files['side'][0]) {
-        const file = req.files['side'][0];
-        photoUrls.side = `http://localhost:${PORT}/uploads/${file.filename}`;
-      }
-      if (req.files['back'] && req.files['back'][0]) {
-        const file = req.files['back'][0];
-        photoUrls.back = `http://localhost:${PORT}/uploads/${file.filename}`;
+  // 선택한 결과와 함께 생성된 다른 각도 결과 찾기
+  const generatedImages = session?.generatedImages || [];
+  const selected = generatedImages.find((image) => image.imageUrl === selectedStyleImageUrl);
+  const targets = [{ url: selectedStyleImageUrl, angle: selected?.angle || 'front' }];
+  if (selected?.angleGroupId) {
+    for (const image of generatedImages) {
+      if (image.angleGroupId === selected.angleGroupId && image.imageUrl !== selectedStyleImageUrl) {
+        targets.push({ url: image.imageUrl, angle: image.angle });
       }
     }
+  }
 
-    // 세션 데이터 저장
-    sessionData.set(sessionId, {
-      userInfo: parsedUserInfo,
-      hairCondition: parsedHairCondition,
-      customerPhotoUrls: photoUrls,
-      ...sessionData.get(sessionId) || {}
-    });
-
-    console.log(`Customer data uploaded for session: ${sessionId}`);
+  for (const target of targets) {
+    const buffer = await getImageBuffer(target.url);
+    if (buffer) {
+      images.push({ buffer, mimeType: detectImageMime(buffer), label: `목표 헤어스타일 (AI 합성 결과, ${ANGLE_NAMES_KO[target.angle] || target.angle})` });
+      targetCount++;
+    }
+  }
 
-    res.json({
-      success: true,
-      sessionId: sessionId,
-      photoUrls: photoUrls,
-      message: 'Upload successful'
-    });
+  return { images, customerCount, targetCount, styleDescription: selected?.styleDescription || null };
+};
 
-  } catch (error) {
-    console.error('Error uploading customer data:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Failed to upload customer data' 
-    });
-  }
-});
+/**
+ * 분석 프롬프트용 요청 스타일 설명 (스타일 설명으로 생성한 결과가 아니면 빈 문자열)
+ */
+const describeRequestedStyle = (styleDescription) => (styleDescription
+  ? `\n\n목표 헤어스타일은 참고 사진 없이 다음 설명으로 생성되었습니다. 이미지와 함께 참고하세요:\n${describeStyle(styleDescription, 'ko').join('\n')}`
+  : '');
 
 /**
- * POST /api/upload/style
- * 스타일 사진 업로드
+ * 분석 프롬프트용 이미지 목록 설명
  */
-app.post('/api/upload/style', upload.fields([
-  { name: 'photo1', maxCount: 1 },
-  { name: 'photo2', maxCount: 1 },
-  { name: 'photo3', maxCount: 1 }
-]), async (req, res) => {
-  try {
-    const { sessionId } = req.body;
+const describeAnalysisImages = (images) => images
+  .map((image, index) => `${index + 1}번째 이미지: ${image.label}`)
+  .join('\n');
 
-    if (!sessionId) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'sessionId is required' 
-      });
-    }
+/**
+ * 결과 이미지에 해당하는 기존 시술 명세서 찾기 (살롱 수정본 우선, 없으면 null)
+ */
+const findTechnicalSpecs = (session, imageUrl) => {
+  if (session?.technicalSpecs && session.technicalSpecs.imageUrl === imageUrl) {
+    return session.technicalSpecs;
+  }
+  const generated = (session?.generatedImages || []).find((image) => image.imageUrl === imageUrl);
+  if (generated?.technicalSpecs && !generated.technicalSpecs.degraded) {
+    return generated.technicalSpecs;
+  }
+  return null;
+};
 
-    const stylePhotoUrls = {};
+/**
+ * 업로드된 사진 검증·정규화 후 저장
+ * 모든 파일을 먼저 검증하고, 하나라도 실패하면 아무것도 저장하지 않습니다.
+ * 파일은 살롱 디렉토리(<salonId>/) 아래에 저장합니다.
+ * 반환: { urls: { field: url }, meta: { field: { mimeType, width, height, originalFormat } }, buffers: { field: Buffer } }
+ */
+const saveUploadedPhotos = async (files, fieldNames, salonId) => {
+  const maxDimension = parseInt(process.env.UPLOAD_MAX_DIMENSION, 10) || undefined;
+  const normalized = [];
 
-    if (req.files) {
-      ['photo1', 'photo2', 'photo3'].forEach((fieldName, index) => {
-        if (req.files[fieldName] && req.files[fieldName][0]) {
-          const file = req.files[fieldName][0];
-          stylePhotoUrls[fieldName] = `http://localhost:${PORT}/uploads/${file.filename}`;
-        }
-      });
+  for (const fieldName of fieldNames) {
+    const file = files?.[fieldName]?.[0];
+    if (!file) continue;
+    try {
+      normalized.push({ fieldName, image: await normalizeImage(file.buffer, { maxDimension }) });
+    } catch (error) {
+      if (error instanceof ImageValidationError) {
+        error.field = fieldName;
+      }
+      throw error;
     }
+  }
 
-    // 세션 데이터에 스타일 사진 URL 저장
-    const session = sessionData.get(sessionId) || {};
-    session.stylePhotoUrls = stylePhotoUrls;
-    sessionData.set(sessionId, session);
-
-    console.log(`Style photos uploaded for session: ${sessionId}`);
-
-    res.json({
-      success: true,
-      sessionId: sessionId,
-      stylePhotoUrls: stylePhotoUrls,
-      message: 'Upload successful'
-    });
+  const urls = {};
+  const meta = {};
+  const buffers = {};
+  for (const { fieldName, image } of normalized) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const filename = `${salonId}/${fieldName}-${uniqueSuffix}.${image.ext}`;
+    urls[fieldName] = await fileStorage.put(filename, image.buffer, { contentType: image.mimeType });
+    meta[fieldName] = {
+      mimeType: image.mimeType,
+      width: image.width,
+      height: image.height,
+      originalFormat: image.originalFormat
+    };
+    buffers[fieldName] = image.buffer;
+  }
+  return { urls, meta, buffers };
+};
 
-  } catch (error) {
-    console.error('Error uploading style photos:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Failed to upload style photos' 
+/**
+ * 고객 사진 품질 사전 점검 (칸별)
+ * PHOTO_QUALITY_AI=true 이고 분석 목적에 동의한 경우 비전 모델로 얼굴/촬영 각도도 확인합니다.
+ * 반환: { passed, photos: { front: { pass, warnings, metrics, ai } } }
+ */
+const checkCustomerPhotos = async (buffers, meta, { allowAI = false } = {}) => {
+  const useAI = allowAI && process.env.PHOTO_QUALITY_AI === 'true';
+  const photos = {};
+  for (const [slot, buffer] of Object.entries(buffers)) {
+    photos[slot] = await checkPhotoQuality({
+      buffer,
+      mimeType: meta[slot].mimeType,
+      slot,
+      aiProvider,
+      useAI
     });
   }
-});
+  return {
+    passed: Object.values(photos).every((photo) => photo.pass),
+    photos,
+    checkedAt: new Date().toISOString()
+  };
+};
 
 /**
- * POST /api/generate/style
- * AI 스타일 이미지 생성 (나노 바나나)
- * 모발 상태 정보를 참고하여 이미지 생성
+ * 세션이 참조하는 저장소 파일 키 목록 (중복 제거)
  */
-app.post('/api/generate/style', async (req, res) => {
-  try {
-    const { sessionId, customerPhotoUrls, stylePhotoUrl, hairCondition } = req.body;
+const collectSessionFileKeys = (session) => {
+  const urls = [
+    ...Object.values(session.customerPhotoUrls || {}),
+    ...Object.values(session.stylePhotoUrls || {}),
+    ...(session.generatedImages || []).map((image) => image.imageUrl),
+    ...(session.comparisons || []).map((comparison) => comparison.imageUrl),
+    ...(session.colorSimulations || []).map((simulation) => simulation.imageUrl),
+    ...(session.masks || []).flatMap((mask) => [mask.hairMaskUrl, mask.faceMaskUrl]),
+    ...(session.generatedImages || []).flatMap((image) => [image.faceComposite?.hairMaskUrl, image.faceComposite?.faceMaskUrl])
+  ];
+  const keys = new Set();
+  for (const url of urls) {
+    const key = fileStorage.keyFromUrl(url);
+    if (key) keys.add(key);
+  }
+  return [...keys];
+};
 
-    if (!sessionId || !stylePhotoUrl || !hairCondition) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Missing required fields' 
-      });
-    }
+// 저장소 파일 키 → 소유 세션 { sessionId, salonId, stylistId } (디자이너별 접근 확인과 파일 읽기 감사 기록용)
+// 시작할 때 한 번 세션 목록으로 만들고, 이후에는 세션 저장소의 'set'/'delete' 이벤트로 갱신합니다.
+const fileOwnerByKey = new Map();
+const fileKeysBySessionId = new Map();
 
-    console.log(`Generating style image for session: ${sessionId}`);
+const unindexSessionFiles = (sessionId) => {
+  for (const key of fileKeysBySessionId.get(sessionId) || []) {
+    if (fileOwnerByKey.get(key)?.sessionId === sessionId) fileOwnerByKey.delete(key);
+  }
+  fileKeysBySessionId.delete(sessionId);
+};
 
-    // 모발 상태 정보를 프롬프트에 포함
-    const hairConditionText = `
-모발 상태 정보:
-- 곱슬 패턴: ${hairCondition.curlPattern || '미지정'}
-- 모발 굵기: ${hairCondition.strandTexture || '미지정'}
-- 밀도: ${hairCondition.density || '미지정'}
-- 두피 상태: ${hairCondition.scalpCondition || '미지정'}
-- 시술 이력: 
-  * 헤나: ${hairCondition.chemicalHistory?.henna ? '있음' : '없음'}
-  * 박스 염색: ${hairCondition.chemicalHistory?.boxDye ? '있음' : '없음'}
-  * 릴랙서: ${hairCondition.chemicalHistory?.relaxer ? '있음' : '없음'}
-  * 탈색: ${hairCondition.chemicalHistory?.bleach || '없음'}
-    `.trim();
+const indexSessionFiles = (sessionId, session) => {
+  unindexSessionFiles(sessionId);
+  const keys = collectSessionFileKeys(session);
+  const owner = { sessionId, salonId: session.salonId || null, stylistId: session.stylistId || null };
+  for (const key of keys) fileOwnerByKey.set(key, owner);
+  fileKeysBySessionId.set(sessionId, keys);
+};
 
-    // 나노 바나나(Gemini API)를 사용하여 이미지 합성
-    let generatedImageUrl = customerPhotoUrls?.front || stylePhotoUrl;
-    let generatedText = '';
-    
-    try {
-      // URL에서 이미지 버퍼 가져오기
-      const getImageBuffer = async (url) => {
-        if (!url) return null;
-        
-        // HTTP URL인 경우
-        if (url.startsWith('http://localhost:')) {
-          const filename = url.split('/').pop();
-          const filePath = path.join(uploadsDir, filename);
-          if (fs.existsSync(filePath)) {
-            return fs.readFileSync(filePath);
-          }
-        }
-        
-        // base64인 경우
-        if (url.startsWith('data:')) {
-          const base64Data = url.split(',')[1];
-          return Buffer.from(base64Data, 'base64');
-        }
-        
-        return null;
-      };
+sessionStore.on('set', indexSessionFiles);
+sessionStore.on('delete', unindexSessionFiles);
+const sessionFileIndexReady = sessionStore.list().then((records) => {
+  for (const record of records) {
+    if (!fileKeysBySessionId.has(record.id)) indexSessionFiles(record.id, record.data);
+  }
+});
 
-      // 이미지를 base64로 변환하는 헬퍼 함수
-      const bufferToBase64 = (buffer, mimeType = 'image/jpeg') => {
-        return `data:${mimeType};base64,${buffer.toString('base64')}`;
-      };
+/**
+ * 저장소 파일 키를 참조하는 세션의 소유 정보 (어느 세션에도 없으면 null)
+ */
+const findFileOwner = (key) => fileOwnerByKey.get(key) || null;
 
-      const customerImageBuffer = await getImageBuffer(customerPhotoUrls?.front);
-      const styleImageBuffer = await getImageBuffer(stylePhotoUrl);
-
-      // 나노 바나나 API를 사용하여 이미지 합성
-      if (customerImageBuffer && styleImageBuffer) {
-        try {
-          console.log('Using Nano Banana (Gemini) to generate style image...');
-          
-          // 이미지를 base64로 변환
-          const customerImageBase64 = bufferToBase64(customerImageBuffer);
-          const styleImageBase64 = bufferToBase64(styleImageBuffer);
-          
-          // 나노 바나나 프롬프트 생성
-          const nanoBananaPrompt = `
-다음 고객의 사진에 참고 스타일 사진의 헤어스타일을 자연스럽게 적용해주세요.
-
-고객의 모발 상태:
-${hairConditionText}
-
-요구사항:
-- 고객의 얼굴과 피부톤은 그대로 유지
-- 참고 스타일 사진의 헤어스타일만 적용
-- 모발 상태를 고려하여 자연스럽게 적용
-- 고객의 얼굴형에 맞게 조정
-- 고품질의 사실적인 결과 생성
-          `.trim();
-
-          // 나노 바나나(Gemini)를 사용하여 이미지 생성
-          // Gemini API의 generateContent에 이미지와 프롬프트를 함께 전송
-          console.log('Sending request to Gemini API (Nano Banana) with images...');
-          
-          // 나노 바나나를 위한 명확한 영어 프롬프트
-          // 스타일 사진의 헤어스타일만 추출하여 고객 사진에 적용
-          const englishPrompt = `
-You are an AI image generation model. Generate a new image by applying ONLY the hairstyle from the reference style image to the customer's photo.
-
-IMPORTANT INSTRUCTIONS:
-1. Extract ONLY the hairstyle (hair shape, length, texture, color, styling) from the reference style image
-2. Keep the customer's face, facial features, skin tone, and body EXACTLY as they are in the customer photo
-3. Apply the extracted hairstyle to the customer's head, matching their face shape and head size
-4. Do NOT change anything else about the customer's appearance
-
-Customer's hair condition (for realistic application):
-- Curl pattern: ${hairCondition.curlPattern || 'Not specified'}
-- Strand texture: ${hairCondition.strandTexture || 'Not specified'}
-- Density: ${hairCondition.density || 'Not specified'}
-- Scalp condition: ${hairCondition.scalpCondition || 'Not specified'}
-- Chemical history: 
-  * Henna: ${hairCondition.chemicalHistory?.henna ? 'Yes' : 'No'}
-  * Box dye: ${hairCondition.chemicalHistory?.boxDye ? 'Yes' : 'No'}
-  * Relaxer: ${hairCondition.chemicalHistory?.relaxer ? 'Yes' : 'No'}
-  * Bleach: ${hairCondition.chemicalHistory?.bleach || 'None'}
-
-Output: Generate a single high-quality, photorealistic image showing the customer with the hairstyle from the reference image applied.
-          `.trim();
-          
-          // 나노 바나나: 이미지 생성 요청
-          // Gemini 2.5 Flash Image 모델을 사용하여 이미지 생성
-          console.log('🎨 Requesting image generation from Nano Banana (Gemini 2.5 Flash Image)...');
-          console.log('📊 Customer image size:', customerImageBuffer.length, 'bytes');
-          console.log('📊 Style image size:', styleImageBuffer.length, 'bytes');
-          
-          // 이미지 생성을 위한 프롬프트
-          const imageGenerationPrompt = `Apply the hairstyle from the second image to the first image. 
-
-First image: Customer photo - keep face, skin, and body exactly as shown.
-Second image: Reference hairstyle - extract ONLY the hairstyle (hair shape, length, texture, color, styling).
-
-Requirements:
-- Extract and apply ONLY the hairstyle from the reference image
-- Keep customer's face, facial features, skin tone, and body completely unchanged
-- Match the hairstyle to customer's head size and face shape naturally
-- Generate a single high-quality, photorealistic output image
-
-Customer hair condition for realistic application:
-- Curl pattern: ${hairCondition.curlPattern || 'Not specified'}
-- Strand texture: ${hairCondition.strandTexture || 'Not specified'}
-- Density: ${hairCondition.density || 'Not specified'}
-- Scalp condition: ${hairCondition.scalpCondition || 'Not specified'}
-- Chemical history: Henna(${hairCondition.chemicalHistory?.henna ? 'Yes' : 'No'}), Box dye(${hairCondition.chemicalHistory?.boxDye ? 'Yes' : 'No'}), Relaxer(${hairCondition.chemicalHistory?.relaxer ? 'Yes' : 'No'}), Bleach(${hairCondition.chemicalHistory?.bleach || 'None'})`;
-
-          let generatedImageBuffer = null;
-          let apiError = null;
-          
-          try {
-            // 나노 바나나 이미지 생성 API 호출 (예제 코드 방식)
-            const prompt = [
-              { text: imageGenerationPrompt },
-              {
-                inlineData: {
-                  mimeType: "image/jpeg",
-                  data: customerImageBuffer.toString('base64'),
-                },
-              },
-              {
-                inlineData: {
-                  mimeType: "image/jpeg",
-                  data: styleImageBuffer.toString('base64'),
-                },
-              },
-            ];
-
-            console.log('📤 Sending request to Gemini API...');
-            const result = await imageModel.generateContent(prompt);
-            const response = await result.response;
-            
-            console.log('📝 Gemini response received');
-            console.log('📝 Response structure:', JSON.stringify({
-              candidates: response.candidates?.length,
-              finishReason: response.candidates?.[0]?.finishReason,
-              partsCount: response.candidates?.[0]?.content?.parts?.length
-            }, null, 2));
-            
-            // 응답에서 이미지 데이터 추출 (예제 코드 방식)
-            if (response.candidates && response.candidates.length > 0) {
-              const parts = response.candidates[0].content?.parts;
-              
-              if (parts) {
-                for (const part of parts) {
-                  if (part.text) {
-                    console.log('📝 Text response:', part.text.substring(0, 500));
-                  } else if (part.inlineData) {
-                    // 이미지 데이터 발견
-                    const imageData = part.inlineData.data;
-                    generatedImageBuffer = Buffer.from(imageData, 'base64');
-                    console.log('✅ Image generated successfully! Size:', generatedImageBuffer.length, 'bytes');
-                    break;
-                  }
-                }
-              }
-            }
-            
-            if (!generatedImageBuffer) {
-              console.log('⚠️ No image data found in response.');
-              console.log('📋 Full response structure:', JSON.stringify(response, null, 2).substring(0, 1000));
-              
-              // 응답이 텍스트만 있는 경우, 에러로 처리하지 않고 로그만 남김
-              const hasText = response.candidates?.[0]?.content?.parts?.some(part => part.text);
-              if (hasText) {
-                console.log('💡 Gemini returned text instead of image. The model may not support image generation, or the model name may be incorrect.');
-              }
-            }
-          } catch (error) {
-            apiError = error;
-            console.error('❌ Error calling Nano Banana API:', error);
-            console.error('❌ Error details:', {
-              message: error.message,
-              stack: error.stack?.substring(0, 500),
-              name: error.name
-            });
-            
-            // 모델 이름 오류인지 확인
-            if (error.message?.includes('model') || error.message?.includes('not found') || error.message?.includes('invalid')) {
-              console.error('💡 Model name may be incorrect. Trying alternative model names...');
-            }
-          }
-          
-          // 이미지 생성 실패 시 에러 처리
-          if (!generatedImageBuffer) {
-            if (apiError) {
-              console.error('❌ Image generation failed with error:', apiError.message);
-              throw new Error(`이미지 생성 실패: ${apiError.message}. 모델 이름이나 API 키를 확인하세요.`);
-            } else {
-              console.error('❌ Image generation failed: No image data in response');
-              throw new Error('이미지 생성 실패: API가 이미지를 반환하지 않았습니다. 모델이 이미지 생성을 지원하는지 확인하세요.');
-            }
-          }
-          
-          // 생성된 이미지 저장
-          const outputFilename = `nano-banana-${Date.now()}-${Math.round(Math.random() * 1E9)}.jpg`;
-          const outputPath = path.join(uploadsDir, outputFilename);
-          
-          if (generatedImageBuffer) {
-            fs.writeFileSync(outputPath, generatedImageBuffer);
-            generatedImageUrl = `http://localhost:${PORT}/uploads/${outputFilename}`;
-            console.log('✅ Nano Banana image generated and saved:', generatedImageUrl);
-            generatedText = '헤어스타일 이미지 생성 완료';
-          } else {
-            // 이미지 생성 실패 (이미 위에서 에러를 throw했으므로 여기 도달하지 않음)
-            throw new Error('이미지 생성에 실패했습니다.');
-          }
-          
-        } catch (nanoError) {
-          console.error('Error with Nano Banana API:', nanoError);
-          // 에러 발생 시 고객 사진 사용
-          generatedImageUrl = customerPhotoUrls?.front || stylePhotoUrl;
-          generatedText = '스타일 적용 완료';
-        }
-      } else {
-        // 이미지 버퍼가 없으면 고객 사진 사용
-        generatedImageUrl = customerPhotoUrls?.front || stylePhotoUrl;
-        generatedText = '이미지를 불러올 수 없습니다';
-      }
-      
-    } catch (error) {
-      console.error('Error in image processing:', error);
-      // 에러 발생 시 고객 사진 사용
-      generatedImageUrl = customerPhotoUrls?.front || stylePhotoUrl;
-      generatedText = '스타일 적용 완료';
-    }
+/**
+ * 호출자가 저장소 파일에 접근할 수 있는지 (살롱 확인 + 세션 파일이면 세션 접근 확인)
+ */
+const canAccessFile = (auth, key) => {
+  if (!canAccessStorageKey(auth, key)) return false;
+  const owner = findFileOwner(key);
+  return !owner || canAccessSession(auth, owner);
+};
 
-    // 세션 데이터에 생성된 이미지 저장
-    const session = sessionData.get(sessionId) || {};
-    if (!session.generatedImages) {
-      session.generatedImages = [];
+/**
+ * 세션 접근 확인 미들웨어
+ * 세션 ID(경로의 :id 또는 본문 sessionId)의 세션이 호출자 살롱(디자이너는 본인) 소속인지 확인합니다.
+ * 다른 살롱의 세션은 존재 여부를 드러내지 않도록 404 로 응답합니다.
+ * allowCreate: 세션이 없으면 새로 만드는 경로 (사진 업로드)
+ */
+const requireSessionAccess = ({ allowCreate = false } = {}) => async (req, res, next) => {
+  try {
+    const sessionId = req.params.id || req.body?.sessionId;
+    if (!sessionId) return next();
+
+    const session = await sessionStore.get(sessionId);
+    if (session ? canAccessSession(req.auth, session) : allowCreate) {
+      // 감사 로그/사용량 장부에 기록할 세션 소속 살롱
+      req.sessionSalonId = session?.salonId || ownerSalonId(req.auth);
+      return next();
     }
-    session.generatedImages.push({
-      imageUrl: generatedImageUrl,
-      stylePhotoUrl: stylePhotoUrl,
-      prompt: generatedText
-    });
-    sessionData.set(sessionId, session);
-
-    // 스타일 이름 생성 (어떤 스타일이 적용되었는지 표시)
-    const styleIndex = session.generatedImages ? session.generatedImages.length + 1 : 1;
-    const styleName = `스타일 ${styleIndex} 적용 결과`;
-
-    res.json({
-      success: true,
-      sessionId: sessionId,
-      generatedImageUrl: generatedImageUrl, // 고객 사진 (나중에 합성 이미지로 교체)
-      styleName: styleName,
-      technicalSpecs: {
-        sideLength: "12mm 소프트 투블럭",
-        topLength: "8-10cm 레이어드컷",
-        downPerm: true,
-        additionalServices: ["볼륨매직 필요"],
-        fringe: "시스루 뱅 스타일",
-        color: "내추럴 블랙 유지"
-      },
-      message: 'Style image generated successfully'
-    });
 
-  } catch (error) {
-    console.error('Error generating style image:', error);
-    res.status(500).json({ 
+    res.status(404).json({ 
       success: false, 
-      message: error.message || 'Failed to generate style image' 
+      message: 'Session not found' 
     });
+  } catch (error) {
+    next(error);
   }
+};
+
+/**
+ * AI 호출 쿼터 확인 미들웨어 (requireSessionAccess 뒤에 사용, 세션 소속 살롱에 청구)
+ */
+const requireModelQuota = quotaEnforcer.enforce((req) => req.sessionSalonId || ownerSalonId(req.auth));
+
+/**
+ * 사진 품질 점검에 비전 모델을 쓸 때만(PHOTO_QUALITY_AI=true) 쿼터 확인
+ */
+const requirePhotoQualityQuota = (req, res, next) => (
+  process.env.PHOTO_QUALITY_AI === 'true' ? requireModelQuota(req, res, next) : next()
+);
+
+/**
+ * 비동기 작업의 사용량 청구 정보 (작업은 요청이 끝난 뒤 실행되므로 등록 시점에 고정)
+ */
+const jobUsageContext = (req, payload, jobType) => ({
+  salonId: payload.salonId,
+  stylistId: req.auth?.stylistId || null,
+  keyId: req.auth?.keyId || null,
+  sessionId: payload.sessionId,
+  route: `job ${jobType}`
 });
 
 /**
- * POST /api/analyze/style-changes
- * 스타일 변경사항 분석 (현재 사진 vs 목표 사진)
+ * 호출자가 작업을 조회할 수 있는지 (작업에 기록된 세션 소유자 기준, 세션과 같은 규칙)
  */
-app.post('/api/analyze/style-changes', async (req, res) => {
-  try {
-    const { sessionId, customerPhotoUrl, selectedStyleImageUrl, hairCondition } = req.body;
+const canAccessJob = (auth, job) => canAccessSession(auth, { salonId: job.salonId, stylistId: job.stylistId });
 
-    if (!sessionId || !customerPhotoUrl || !selectedStyleImageUrl) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Missing required fields: sessionId, customerPhotoUrl, selectedStyleImageUrl' 
-      });
-    }
+/**
+ * 세션 소유 정보 (새 세션이면 호출자 살롱/디자이너로 기록)
+ */
+const sessionOwner = (session, auth) => ({
+  salonId: session.salonId || ownerSalonId(auth),
+  stylistId: session.stylistId || auth.stylistId || null
+});
 
-    console.log(`📊 Analyzing style changes for session: ${sessionId}`);
+// 세션 이미지 접근 감사 로그 (AUDIT_LOG_FILE, 기본 data/audit.log)
+const auditLog = createAuditLog({ baseDir: __dirname });
 
-    // 이미지 버퍼 가져오기
-    const customerImageBuffer = await getImageBuffer(customerPhotoUrl);
-    const styleImageBuffer = await getImageBuffer(selectedStyleImageUrl);
+// 고객이 동의해야 하는 개인정보 처리방침 버전 (설정하지 않으면 버전 일치 검사 생략)
+const CONSENT_POLICY_VERSION = process.env.CONSENT_POLICY_VERSION || null;
 
-    if (!customerImageBuffer || !styleImageBuffer) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Failed to load images' 
-      });
+/**
+ * 감사 로그 기록 (요청 처리를 막지 않도록 실패는 로그만 남김)
+ * event: { sessionId, action, purpose, resources }
+ */
+const recordAudit = (req, event) => {
+  auditLog.record({
+    salonId: req.sessionSalonId || ownerSalonId(req.auth),
+    ...event,
+    actor: {
+      keyId: req.auth?.keyId || null,
+      role: req.auth?.role || null,
+      salonId: req.auth?.salonId || null,
+      stylistId: req.auth?.stylistId || null,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null
     }
+  }).catch((error) => console.error('Error writing audit log:', error));
+};
 
-    // Gemini API를 사용하여 스타일 변경사항 분석
-    const analysisPrompt = `
-다음 두 이미지를 비교하여 헤어스타일의 변경사항을 상세히 분석해주세요.
+/**
+ * 처리 목적에 대한 고객 동의 확인 (동의가 없으면 오류 메시지, 있으면 null)
+ */
+const findMissingConsent = (session, purpose) => {
+  if (hasConsent(session, purpose)) return null;
+  return `Customer consent is required for purpose: ${purpose}`;
+};
 
-첫 번째 이미지: 고객의 현재 헤어스타일
-두 번째 이미지: 목표 헤어스타일 (AI 합성 결과)
+/**
+ * 생성 요청의 스타일 지정 확인 (stylePhotoUrl 또는 styleDescription 중 하나)
+ * 반환: { stylePhotoUrl, styleDescription, error } (styleDescription 은 검증·정규화된 값)
+ */
+const parseStyleSource = ({ stylePhotoUrl, styleDescription }) => {
+  if (stylePhotoUrl && styleDescription) {
+    return { error: 'Use either stylePhotoUrl or styleDescription, not both' };
+  }
+  if (styleDescription) {
+    const { description, error } = parseStyleDescription(styleDescription);
+    return error ? { error } : { styleDescription: description };
+  }
+  return { stylePhotoUrl };
+};
 
-고객 모발 상태:
-- 곱슬 패턴: ${hairCondition?.curlPattern || '미지정'}
-- 모발 굵기: ${hairCondition?.strandTexture || '미지정'}
-- 밀도: ${hairCondition?.density || '미지정'}
-- 두피 상태: ${hairCondition?.scalpCondition || '미지정'}
-- 시술 이력: 
-  * 헤나: ${hairCondition?.chemicalHistory?.henna ? '있음' : '없음'}
-  * 박스 염색: ${hairCondition?.chemicalHistory?.boxDye ? '있음' : '없음'}
-  * 릴랙서: ${hairCondition?.chemicalHistory?.relaxer ? '있음' : '없음'}
-  * 탈색: ${hairCondition?.chemicalHistory?.bleach || '없음'}
+/**
+ * 세션의 고객 사진 URL 목록
+ */
+const sessionCustomerPhotoUrls = (session) => Object.values(session?.customerPhotoUrls || {});
 
-다음 형식으로 JSON 응답을 제공해주세요 (한국어와 영어 모두 포함):
-{
-  "styleChanges": [
-    {
+// 살롱 시술 메뉴 (SERVICE_CATALOG_FILE, 기본 data/services.json)
+const serviceCatalog = createServiceCatalog({ baseDir: __dirname });
+
+// 살롱별 염색 컬러 팔레트 (COLOR_PALETTE_FILE, 기본 data/palettes.json)
+const colorPalette = createColorPalette({ baseDir: __dirname });
+
+// 한 번에 시뮬레이션할 수 있는 최대 컬러 수
+const MAX_COLOR_SHADES_PER_REQUEST = 6;
+
+/**
+ * 팔레트를 조회/수정할 살롱 (관리자는 salonId 쿼리로 다른 살롱 지정 가능)
+ */
+const paletteSalonId = (req) => (req.auth?.role === 'admin' && req.query.salonId) || ownerSalonId(req.auth);
+
+// 시술 이력 안전 규칙 (SAFETY_RULES_FILE, 기본 config/safetyRules.json)
+let safetyRules;
+try {
+  safetyRules = loadSafetyRules(process.env.SAFETY_RULES_FILE || path.join(__dirname, 'config', 'safetyRules.json'));
+} catch (error) {
+  console.error(`FATAL ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+/**
+ * 비용 계산 결과(메뉴에 연결된 시술)에 대해 안전 규칙 평가
+ */
+const evaluateProcedureSafety = (pricing, hairCondition) => evaluateSafety({
+  rules: safetyRules,
+  hairCondition,
+  procedures: pricing.items.map((item) => ({ name: item.procedure, serviceId: item.serviceId, category: item.category }))
+});
+
+// 머리카락/얼굴 분할 (SEGMENTATION_RUNNER: off | onnx | mock, 꺼져 있으면 maskService 는 null)
+let maskService = null;
+try {
+  const segmentationRunner = createSegmentationRunner({ baseDir: __dirname });
+  if (segmentationRunner) {
+    maskService = createMaskService({ runner: segmentationRunner, storage: fileStorage });
+  }
+} catch (error) {
+  console.error(`FATAL ERROR: ${error.message}`);
+  process.exit(1);
+}
+// 생성 결과에서 머리카락 영역만 고객 사진에 합성해 얼굴 픽셀 유지 (SEGMENTATION_PRESERVE_FACE=true)
+const preserveFacePixels = Boolean(maskService) && process.env.SEGMENTATION_PRESERVE_FACE === 'true';
+
+// 생성 결과 본인 확인 (IDENTITY_CHECK: off | flag | retry, 얼굴 위치를 찾기 위해 분할기 필요)
+let identityChecker = null;
+try {
+  const identityConfig = loadIdentityCheckConfig();
+  if (identityConfig.mode !== 'off') {
+    if (!maskService) {
+      throw new Error(`IDENTITY_CHECK=${identityConfig.mode} requires SEGMENTATION_RUNNER`);
+    }
+    identityChecker = createIdentityChecker({ maskService, ...identityConfig });
+  }
+} catch (error) {
+  console.error(`FATAL ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+/**
+ * 세션 이미지의 머리카락/얼굴 마스크를 만들고 (저장소에 있으면 재사용) 세션의 masks 에 기록
+ * 반환: maskService.getMasks 결과, 이미지를 읽을 수 없으면 null
+ */
+const loadSessionMasks = async (sessionId, session, imageUrl) => {
+  const buffer = await getImageBuffer(imageUrl);
+  if (!buffer) return null;
+
+  const masks = await maskService.getMasks(buffer, { keyPrefix: session.salonId ? `${session.salonId}/` : '' });
+  const entry = {
+    imageUrl,
+    runner: masks.runner,
+    hairMaskUrl: masks.hairMaskUrl,
+    faceMaskUrl: masks.faceMaskUrl,
+    metrics: masks.metrics,
+    createdAt: new Date().toISOString()
+  };
+  await sessionStore.update(sessionId, (stored) => {
+    const others = (stored.masks || []).filter((mask) => !(mask.imageUrl === imageUrl && mask.runner === entry.runner));
+    stored.masks = [...others, entry];
+  });
+  return masks;
+};
+
+/**
+ * 분석용 머리카락 측정값 (목표 이미지와 같은 각도의 고객 사진과 비교)
+ * 분할기가 꺼져 있거나 이미지가 없거나 측정에 실패하면 null 을 돌려주고 분석은 측정값 없이 진행합니다.
+ * 반환: { runner, angle, current, target } (current/target: lib/hairMasks 의 measureMasks 결과)
+ */
+const measureHairForAnalysis = async ({ sessionId, session, customerPhotoUrls, selectedStyleImageUrl }) => {
+  if (!maskService || !session) return null;
+  const selected = (session.generatedImages || []).find((image) => image.imageUrl === selectedStyleImageUrl);
+  const angle = selected?.angle || 'front';
+  try {
+    const current = await loadSessionMasks(sessionId, session, customerPhotoUrls?.[angle]);
+    const target = current && await loadSessionMasks(sessionId, session, selectedStyleImageUrl);
+    if (!current || !target) return null;
+    return { runner: maskService.runner, angle, current: current.metrics, target: target.metrics };
+  } catch (error) {
+    console.warn(`⚠️ Hair measurement skipped: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * 분석 프롬프트용 측정값 설명 (측정값이 없으면 빈 문자열)
+ */
+const describeHairMeasurements = (measurements) => {
+  if (!measurements) return '';
+  const { current, target } = measurements;
+  const value = (number) => (number === null || number === undefined ? '측정 불가' : number);
+  const rows = [
+    ['머리카락 면적 (사진 대비)', current.hairAreaRatio, target.hairAreaRatio],
+    ['머리카락 면적 (얼굴 대비)', current.hairToFaceArea, target.hairToFaceArea],
+    ['정수리 볼륨 (얼굴 위 높이 / 얼굴 높이)', current.hairTopAboveFace, target.hairTopAboveFace],
+    ['기장 (턱 아래 길이 / 얼굴 높이, 음수면 턱 위)', current.hairBelowChin, target.hairBelowChin],
+    ['머리카락 폭 / 얼굴 폭', current.hairWidthToFace, target.hairWidthToFace]
+  ];
+  return `\n\n분할 모델(${measurements.runner})로 측정한 머리카락 수치입니다 (${ANGLE_NAMES_KO[measurements.angle] || measurements.angle}, 현재 → 목표). 길이·볼륨 변화를 판단할 때 눈대중보다 이 수치를 우선하세요:\n${rows
+    .map(([label, before, after]) => `- ${label}: ${value(before)} → ${value(after)}`)
+    .join('\n')}`;
+};
+
+// 스타일 이미지 생성기
+const styleGenerator = createStyleGenerator({
+  aiProvider,
+  sessionStore,
+  getImageBuffer,
+  storage: fileStorage,
+  faceCompositor: preserveFacePixels ? maskService : null,
+  identityChecker
+});
+
+const colorSimulator = createColorSimulator({
+  aiProvider,
+  sessionStore,
+  getImageBuffer,
+  storage: fileStorage
+});
+
+// 상담 리포트 PDF (REPORT_FONT_FILE: 한글 TTF 글꼴)
+const reportRenderer = createReportRenderer();
+
+/**
+ * 리포트에 넣을 선택 스타일 이미지 URL
+ * 요청한 URL 은 세션에 있는 생성/분석 이미지일 때만 사용하고, 없으면 분석한 이미지 → 활성 버전 → 마지막 생성 이미지 순
+ * 반환: URL, 세션에 없는 URL 을 요청하면 undefined
+ */
+const selectReportImageUrl = (session, requestedUrl) => {
+  const activeImage = (session.generatedImages || []).find((image) => image.id && image.id === session.activeImageId);
+  const candidates = [
+    session.feasibility?.selectedStyleImageUrl,
+    session.styleAnalysis?.selectedStyleImageUrl,
+    activeImage?.imageUrl,
+    session.technicalSpecs?.imageUrl,
+    ...(session.generatedImages || []).map((image) => image.imageUrl).reverse()
+  ].filter(Boolean);
+  if (requestedUrl) {
+    return candidates.includes(requestedUrl) ? requestedUrl : undefined;
+  }
+  return candidates[0] || null;
+};
+
+// 비교 이미지 워터마크 로고 (살롱 logoFile, 없으면 WATERMARK_LOGO_FILE), 살롱별로 한 번만 읽음
+const salonLogos = new Map();
+const loadSalonLogo = async (salonId) => {
+  if (!salonLogos.has(salonId)) {
+    const logoFile = tenantRegistry.getSalon(salonId)?.logoFile || process.env.WATERMARK_LOGO_FILE;
+    const logo = logoFile
+      ? fs.promises.readFile(path.resolve(__dirname, logoFile)).catch((error) => {
+        console.warn(`⚠️ Watermark logo not loaded for salon ${salonId}: ${error.message}`);
+        return null;
+      })
+      : Promise.resolve(null);
+    salonLogos.set(salonId, logo);
+  }
+  return salonLogos.get(salonId);
+};
+
+// 비동기 생성 작업 큐 (JOB_CONCURRENCY: 동시 실행 수, 기본 2)
+const jobQueue = new JobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2
+});
+
+/**
+ * 생성된 이미지가 하나도 없는 작업 결과를 실패로 처리
+ * (생성기는 모델 실패 시에도 예외 대신 imageGenerated: false 를 반환하므로 작업 상태가 done 이 되지 않도록 예외로 바꾸고,
+ *  결과는 error.result 로 실패한 작업에 함께 보관)
+ */
+const failUnlessGenerated = (result, generated, message) => {
+  if (generated) return result;
+  const error = new Error(message || 'Image generation failed');
+  error.result = result;
+  throw error;
+};
+
+// 업로드 파일 보존 정책 (RETENTION_*_HOURS) 과 주기적 정리 (RETENTION_SWEEP_INTERVAL_MINUTES, 0 이면 끔)
+let retentionPolicy;
+try {
+  retentionPolicy = loadRetentionPolicy();
+} catch (error) {
+  console.error(`FATAL ERROR: ${error.message}`);
+  process.exit(1);
+}
+const retentionSweeper = createRetentionSweeper({
+  storage: fileStorage,
+  sessionStore,
+  policy: retentionPolicy,
+  auditLog
+});
+const retentionSweepMinutes = process.env.RETENTION_SWEEP_INTERVAL_MINUTES === undefined
+  ? 60
+  : Number(process.env.RETENTION_SWEEP_INTERVAL_MINUTES);
+if (retentionSweepMinutes > 0) {
+  retentionSweeper.start(retentionSweepMinutes * 60 * 1000);
+}
+
+// ----------------------------------------------------
+// 6. API 엔드포인트 정의
+// ----------------------------------------------------
+
+/**
+ * GET /uploads/:key
+ * 업로드/생성 파일 제공 (API 응답 URL 의 토큰 ?exp=&sig= 또는 /api 와 같은 인증, 세션 파일 읽기는 감사 로그에 기록)
+ * 로컬 저장소는 파일 내용을, S3 는 유효 시간이 있는 서명 URL 로 리다이렉트합니다.
+ */
+app.get('/uploads/*key', (req, res, next) => {
+  req.fileKey = fileStorage.keyFromUrl(`/uploads/${req.params.key.map(encodeURIComponent).join('/')}`);
+  if (req.query.sig === undefined) return authenticate(req, res, next);
+  if (req.fileKey && fileTokens.verify(req.fileKey, req.query)) return next();
+  res.status(401).json({ 
+    success: false, 
+    message: 'Invalid or expired file URL' 
+  });
+}, async (req, res) => {
+  try {
+    await sessionFileIndexReady;
+    const key = req.fileKey;
+    // 토큰은 서명할 때 접근 권한을 확인했으므로, 헤더 인증 요청만 살롱/세션 확인
+    // 다른 살롱(또는 다른 디자이너 세션)의 파일은 존재 여부를 알리지 않음
+    if (!key || (req.auth && !canAccessFile(req.auth, key))) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'File not found' 
+      });
+    }
+
+    let buffer = null;
+    if (fileStorage.name === 'local') {
+      buffer = await fileStorage.get(key);
+      if (!buffer) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'File not found' 
+        });
+      }
+    }
+
+    const owner = findFileOwner(key);
+    if (owner) {
+      req.sessionSalonId = owner.salonId || DEFAULT_SALON_ID;
+      recordAudit(req, {
+        sessionId: owner.sessionId,
+        action: 'file-read',
+        purpose: null,
+        resources: [key]
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    if (buffer) {
+      res.type(detectImageMime(buffer) || 'application/octet-stream').send(buffer);
+    } else {
+      res.redirect(302, await fileStorage.signedUrl(key));
+    }
+  } catch (error) {
+    console.error('Error serving file:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to serve file' 
+    });
+  }
+});
+
+/**
+ * POST /api/upload/customer
+ * 고객 정보 및 사진 업로드
+ */
+app.post('/api/upload/customer', upload.fields([
+  { name: 'front', maxCount: 1 },
+  { name: 'side', maxCount: 1 },
+  { name: 'back', maxCount: 1 }
+]), bindUsageContext, requireSessionAccess({ allowCreate: true }), requirePhotoQualityQuota, async (req, res) => {
+  try {
+    const { sessionId, userInfo, hairCondition } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'sessionId is required' 
+      });
+    }
+
+    // JSON 문자열 파싱
+    const parsedUserInfo = typeof userInfo === 'string' ? JSON.parse(userInfo) : userInfo;
+    const parsedHairCondition = typeof hairCondition === 'string' ? JSON.parse(hairCondition) : hairCondition;
+    let parsedConsent = req.body.consent;
+    if (typeof parsedConsent === 'string') {
+      try {
+        parsedConsent = JSON.parse(parsedConsent);
+      } catch (error) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'consent must be valid JSON' 
+        });
+      }
+    }
+
+    // 사진 처리 동의 확인 - 사진을 보관하려면 storage 목적 동의가 필요
+    const { consent, error: consentError } = parseConsent(parsedConsent, { currentPolicyVersion: CONSENT_POLICY_VERSION });
+    if (consentError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: consentError 
+      });
+    }
+    const missingConsent = findMissingConsent({ consent }, CONSENT_PURPOSES.storage);
+    if (missingConsent) {
+      return res.status(403).json({ 
+        success: false, 
+        message: missingConsent 
+      });
+    }
+    consent.ip = req.ip;
+    consent.userAgent = req.get('user-agent') || null;
+
+    // 파일 처리 - 검증·정규화 후 디스크에 저장하고 URL 반환
+    const { urls: photoUrls, meta: photoMeta, buffers } = await saveUploadedPhotos(req.files, ['front', 'side', 'back'], ownerSalonId(req.auth));
+
+    // 사진 품질 사전 점검 - 업로드는 유지하고 결과로 재촬영 여부를 안내
+    const photoQuality = await checkCustomerPhotos(buffers, photoMeta, {
+      allowAI: consent.purposes.includes(CONSENT_PURPOSES.analysis)
+    });
+
+    // 세션 데이터 저장
+    await sessionStore.update(sessionId, (session) => ({
+      ...session,
+      ...sessionOwner(session, req.auth),
+      userInfo: parsedUserInfo,
+      hairCondition: parsedHairCondition,
+      customerPhotoUrls: photoUrls,
+      customerPhotoMeta: photoMeta,
+      customerPhotoQuality: photoQuality,
+      consent: consent
+    }));
+
+    recordAudit(req, {
+      sessionId,
+      action: 'consent-captured',
+      purpose: null,
+      resources: [],
+      detail: { purposes: consent.purposes, policyVersion: consent.policyVersion }
+    });
+    recordAudit(req, {
+      sessionId,
+      action: 'photos-uploaded',
+      purpose: CONSENT_PURPOSES.storage,
+      resources: Object.values(photoUrls)
+    });
+
+    console.log(`Customer data uploaded for session: ${sessionId}`);
+    if (!photoQuality.passed) {
+      console.log(`⚠️ Photo quality check failed for session: ${sessionId}`);
+    }
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      photoUrls: photoUrls,
+      photoMeta: photoMeta,
+      photoQuality: photoQuality,
+      consent: consent,
+      message: 'Upload successful'
+    });
+
+  } catch (error) {
+    if (error instanceof ImageValidationError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        field: error.field,
+        message: error.message 
+      });
+    }
+    console.error('Error uploading customer data:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to upload customer data' 
+    });
+  }
+});
+
+/**
+ * POST /api/upload/style
+ * 스타일 사진 업로드
+ */
+app.post('/api/upload/style', upload.fields([
+  { name: 'photo1', maxCount: 1 },
+  { name: 'photo2', maxCount: 1 },
+  { name: 'photo3', maxCount: 1 }
+]), bindUsageContext, requireSessionAccess({ allowCreate: true }), async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'sessionId is required' 
+      });
+    }
+
+    // 파일 처리 - 검증·정규화 후 디스크에 저장하고 URL 반환
+    const { urls: stylePhotoUrls, meta: stylePhotoMeta } = await saveUploadedPhotos(req.files, ['photo1', 'photo2', 'photo3'], ownerSalonId(req.auth));
+
+    // 세션 데이터에 스타일 사진 URL 저장
+    await sessionStore.update(sessionId, (session) => {
+      Object.assign(session, sessionOwner(session, req.auth));
+      session.stylePhotoUrls = stylePhotoUrls;
+      session.stylePhotoMeta = stylePhotoMeta;
+    });
+
+    console.log(`Style photos uploaded for session: ${sessionId}`);
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      stylePhotoUrls: stylePhotoUrls,
+      stylePhotoMeta: stylePhotoMeta,
+      message: 'Upload successful'
+    });
+
+  } catch (error) {
+    if (error instanceof ImageValidationError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        field: error.field,
+        message: error.message 
+      });
+    }
+    console.error('Error uploading style photos:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to upload style photos' 
+    });
+  }
+});
+
+/**
+ * POST /api/generate/style
+ * AI 스타일 이미지 생성 (나노 바나나)
+ * 모발 상태 정보를 참고하여 이미지 생성
+ * 스타일은 stylePhotoUrl(참고 사진) 또는 styleDescription({ length, layers, fringe, color, perm, parting, notes }) 으로 지정
+ */
+app.post('/api/generate/style', requireSessionAccess(), requireModelQuota, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+
+    // 요청 본문에 없으면 세션에 저장된 고객 정보 사용
+    const storedSession = sessionId ? await sessionStore.get(sessionId) || {} : {};
+    const customerPhotoUrls = req.body.customerPhotoUrls || storedSession.customerPhotoUrls;
+    const hairCondition = req.body.hairCondition || storedSession.hairCondition;
+
+    if (!sessionId || !(req.body.stylePhotoUrl || req.body.styleDescription) || !hairCondition) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Missing required fields' 
+      });
+    }
+
+    // 스타일 사진 또는 스타일 설명
+    const { stylePhotoUrl, styleDescription, error: styleError } = parseStyleSource(req.body);
+    if (styleError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: styleError 
+      });
+    }
+
+    const rejectedUrl = findRejectedImageUrl([stylePhotoUrl, ...Object.values(customerPhotoUrls || {})], req.auth);
+    if (rejectedUrl) {
+      return res.status(400).json({ 
+        success: false, 
+        message: rejectedUrl 
+      });
+    }
+
+    const missingConsent = findMissingConsent(storedSession, CONSENT_PURPOSES.aiGeneration);
+    if (missingConsent) {
+      return res.status(403).json({ 
+        success: false, 
+        message: missingConsent 
+      });
+    }
+
+    recordAudit(req, {
+      sessionId,
+      action: 'ai-generation',
+      purpose: CONSENT_PURPOSES.aiGeneration,
+      resources: [...Object.values(customerPhotoUrls || {}), stylePhotoUrl].filter(Boolean),
+      detail: styleDescription ? { styleDescription } : undefined
+    });
+
+    // 여러 각도 생성 (angles 또는 allAngles 지정 시)
+    if (req.body.angles || req.body.allAngles) {
+      const angles = parseBatchAngles(req.body);
+      if (!angles) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `angles must be a non-empty subset of ${CUSTOMER_PHOTO_ANGLES.join(', ')}` 
+        });
+      }
+
+      const { angleGroupId, angles: angleImages } = await styleGenerator.generateAngles({
+        sessionId, customerPhotoUrls, stylePhotoUrl, styleDescription, hairCondition, angles
+      });
+      const primary = angleImages.front?.generatedImageUrl
+        ? angleImages.front
+        : Object.values(angleImages).find((image) => image.generatedImageUrl) || {};
+
+      return res.json({
+        success: true,
+        sessionId: sessionId,
+        generatedImageUrl: primary.generatedImageUrl,
+        styleName: primary.styleName,
+        technicalSpecs: primary.technicalSpecs,
+        identityCheck: primary.identityCheck || null,
+        angleGroupId: angleGroupId,
+        angleImages: angleImages,
+        message: 'Style images generated successfully'
+      });
+    }
+
+    const angle = req.body.angle || 'front';
+    if (!CUSTOMER_PHOTO_ANGLES.includes(angle)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `angle must be one of ${CUSTOMER_PHOTO_ANGLES.join(', ')}` 
+      });
+    }
+
+    const result = await styleGenerator.generate({ sessionId, customerPhotoUrls, stylePhotoUrl, styleDescription, hairCondition, angle });
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      imageId: result.imageId, // 수정 요청(/api/generate/refine)의 parentId
+      generatedImageUrl: result.generatedImageUrl, // 생성 실패 시 고객 사진
+      styleName: result.styleName,
+      technicalSpecs: result.technicalSpecs,
+      identityCheck: result.identityCheck, // 본인 확인 점수 (IDENTITY_CHECK 가 꺼져 있으면 null)
+      message: 'Style image generated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error generating style image:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to generate style image' 
+    });
+  }
+});
+
+/**
+ * POST /api/generate/batch
+ * 세션에 저장된 모든 스타일 사진을 한 번에 생성
+ * 본문: sessionId, angles(선택, 기본 ['front']) 또는 allAngles: true
+ */
+app.post('/api/generate/batch', requireSessionAccess(), requireModelQuota, async (req, res) => {
+  try {
+    const { sessionId, hairCondition } = req.body;
+    const angles = parseBatchAngles(req.body);
+
+    if (!sessionId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'sessionId is required' 
+      });
+    }
+    if (!angles) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `angles must be a non-empty subset of ${CUSTOMER_PHOTO_ANGLES.join(', ')}` 
+      });
+    }
+
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    const missingConsent = findMissingConsent(session, CONSENT_PURPOSES.aiGeneration);
+    if (missingConsent) {
+      return res.status(403).json({ 
+        success: false, 
+        message: missingConsent 
+      });
+    }
+
+    recordAudit(req, {
+      sessionId,
+      action: 'ai-generation-batch',
+      purpose: CONSENT_PURPOSES.aiGeneration,
+      resources: [...sessionCustomerPhotoUrls(session), ...Object.values(session.stylePhotoUrls || {})]
+    });
+
+    const batch = await styleGenerator.generateBatch({ sessionId, angles, hairCondition });
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      ...batch,
+      message: 'Batch generation complete'
+    });
+
+  } catch (error) {
+    console.error('Error generating style batch:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to generate style batch' 
+    });
+  }
+});
+
+/**
+ * POST /api/generate/refine
+ * 이전 생성 결과를 수정 지시에 따라 다시 생성 (새 버전은 부모와 연결)
+ * 본문: sessionId, parentId(선택, 생략 시 활성 버전), instruction(자유 입력) 또는 edits({ sides, top, fringe, color, ... })
+ */
+app.post('/api/generate/refine', requireSessionAccess(), requireModelQuota, async (req, res) => {
+  try {
+    const { sessionId, parentId, instruction, edits, hairCondition } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'sessionId is required' 
+      });
+    }
+
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    const missingConsent = findMissingConsent(session, CONSENT_PURPOSES.aiGeneration);
+    if (missingConsent) {
+      return res.status(403).json({ 
+        success: false, 
+        message: missingConsent 
+      });
+    }
+
+    const image = await styleGenerator.refine({ sessionId, parentId, instruction, edits, hairCondition });
+
+    recordAudit(req, {
+      sessionId,
+      action: 'ai-refinement',
+      purpose: CONSENT_PURPOSES.aiGeneration,
+      resources: [image.imageUrl],
+      detail: { imageId: image.id, parentId: image.parentId }
+    });
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      imageId: image.id,
+      parentId: image.parentId,
+      generatedImageUrl: image.imageUrl,
+      refinement: image.refinement,
+      technicalSpecs: image.technicalSpecs,
+      identityCheck: image.identityCheck,
+      message: 'Style image refined successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof GenerationError || error instanceof QuotaExceededError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    console.error('Error refining style image:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to refine style image' 
+    });
+  }
+});
+
+/**
+ * POST /api/generate/color
+ * 헤어 컬러 시뮬레이션 (고객 사진에 팔레트 컬러를 적용, 컬러당 이미지 1장)
+ * 본문: sessionId, shadeIds(팔레트 컬러 ID 배열), technique(all-over | highlights | balayage | root-shadow),
+ *       angle(선택, 기본 front), currentLevel(선택, 현재 모발 레벨 1-10), hairCondition(선택)
+ */
+app.post('/api/generate/color', requireSessionAccess(), requireModelQuota, async (req, res) => {
+  try {
+    const { sessionId, shadeIds, hairCondition } = req.body;
+    const technique = req.body.technique || 'all-over';
+    const angle = req.body.angle || 'front';
+    const currentLevel = req.body.currentLevel ?? hairCondition?.currentLevel;
+
+    if (!sessionId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'sessionId is required' 
+      });
+    }
+    if (!Array.isArray(shadeIds) || shadeIds.length === 0 || shadeIds.length > MAX_COLOR_SHADES_PER_REQUEST) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `shadeIds must be an array of 1-${MAX_COLOR_SHADES_PER_REQUEST} palette shade IDs` 
+      });
+    }
+    if (!COLOR_TECHNIQUES[technique]) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `technique must be one of ${Object.keys(COLOR_TECHNIQUES).join(', ')}` 
+      });
+    }
+    if (!CUSTOMER_PHOTO_ANGLES.includes(angle)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `angle must be one of ${CUSTOMER_PHOTO_ANGLES.join(', ')}` 
+      });
+    }
+    if (currentLevel !== undefined && currentLevel !== null && !(Number.isInteger(currentLevel) && currentLevel >= 1 && currentLevel <= 10)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'currentLevel must be an integer from 1 to 10' 
+      });
+    }
+
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    // 세션이 속한 살롱의 팔레트에서 사용 중인 컬러만 허용
+    const salonId = session.salonId || DEFAULT_SALON_ID;
+    const uniqueIds = [...new Set(shadeIds)];
+    const shades = uniqueIds.map((id) => colorPalette.get(salonId, id));
+    const unknownIds = uniqueIds.filter((id, index) => !shades[index] || shades[index].active === false);
+    if (unknownIds.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Unknown or inactive shades: ${unknownIds.join(', ')}` 
+      });
+    }
+
+    const missingConsent = findMissingConsent(session, CONSENT_PURPOSES.aiGeneration);
+    if (missingConsent) {
+      return res.status(403).json({ 
+        success: false, 
+        message: missingConsent 
+      });
+    }
+
+    recordAudit(req, {
+      sessionId,
+      action: 'ai-color-simulation',
+      purpose: CONSENT_PURPOSES.aiGeneration,
+      resources: [session.customerPhotoUrls?.[angle]].filter(Boolean),
+      detail: { shadeIds: shades.map((shade) => shade.id), technique }
+    });
+
+    const simulation = await colorSimulator.simulate({
+      sessionId,
+      shades,
+      technique,
+      angle,
+      currentLevel: currentLevel || null,
+      hairCondition
+    });
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      ...simulation,
+      message: `${simulation.results.filter((result) => result.imageGenerated).length} of ${simulation.results.length} shades simulated`
+    });
+
+  } catch (error) {
+    if (error instanceof GenerationError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    console.error('Error simulating hair colour:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to simulate hair colour' 
+    });
+  }
+});
+
+/**
+ * POST /api/analyze/style-changes
+ * 스타일 변경사항 분석 (현재 사진 vs 목표 사진)
+ */
+app.post('/api/analyze/style-changes', requireSessionAccess(), requireModelQuota, async (req, res) => {
+  try {
+    const { sessionId, selectedStyleImageUrl } = req.body;
+
+    // 요청 본문에 없으면 세션에 저장된 고객 정보 사용
+    const storedSession = sessionId ? await sessionStore.get(sessionId) || {} : {};
+    const customerPhotoUrls = {
+      ...storedSession.customerPhotoUrls,
+      ...req.body.customerPhotoUrls,
+      ...(req.body.customerPhotoUrl ? { front: req.body.customerPhotoUrl } : {})
+    };
+    const hairCondition = req.body.hairCondition || storedSession.hairCondition;
+
+    if (!sessionId || Object.keys(customerPhotoUrls).length === 0 || !selectedStyleImageUrl) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Missing required fields: sessionId, customerPhotoUrl, selectedStyleImageUrl' 
+      });
+    }
+
+    const rejectedUrl = findRejectedImageUrl([selectedStyleImageUrl, ...Object.values(customerPhotoUrls)], req.auth);
+    if (rejectedUrl) {
+      return res.status(400).json({ 
+        success: false, 
+        message: rejectedUrl 
+      });
+    }
+
+    const missingConsent = findMissingConsent(storedSession, CONSENT_PURPOSES.analysis);
+    if (missingConsent) {
+      return res.status(403).json({ 
+        success: false, 
+        message: missingConsent 
+      });
+    }
+
+    recordAudit(req, {
+      sessionId,
+      action: 'analysis-style-changes',
+      purpose: CONSENT_PURPOSES.analysis,
+      resources: [...Object.values(customerPhotoUrls), selectedStyleImageUrl]
+    });
+
+    console.log(`📊 Analyzing style changes for session: ${sessionId}`);
+
+    // 이미지 버퍼 가져오기 (모든 각도)
+    const { images, customerCount, targetCount, styleDescription } = await loadAnalysisImages({
+      customerPhotoUrls,
+      selectedStyleImageUrl,
+      session: storedSession
+    });
+
+    if (customerCount === 0 || targetCount === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Failed to load images' 
+      });
+    }
+
+    // 분할 모델로 머리카락 길이/볼륨 측정 (분할기가 꺼져 있으면 null)
+    const measurements = await measureHairForAnalysis({ sessionId, session: storedSession, customerPhotoUrls, selectedStyleImageUrl });
+
+    // Gemini API를 사용하여 스타일 변경사항 분석
+    const analysisPrompt = `
+다음 이미지들을 비교하여 헤어스타일의 변경사항을 상세히 분석해주세요.
+
+${describeAnalysisImages(images)}${describeRequestedStyle(styleDescription)}${describeHairMeasurements(measurements)}
+
+여러 각도의 이미지가 있으면 모두 참고하여 길이(옆머리, 뒷머리 포함)와 볼륨 변화를 판단하세요.
+
+고객 모발 상태:
+- 곱슬 패턴: ${hairCondition?.curlPattern || '미지정'}
+- 모발 굵기: ${hairCondition?.strandTexture || '미지정'}
+- 밀도: ${hairCondition?.density || '미지정'}
+- 두피 상태: ${hairCondition?.scalpCondition || '미지정'}
+- 시술 이력: 
+  * 헤나: ${hairCondition?.chemicalHistory?.henna ? '있음' : '없음'}
+  * 박스 염색: ${hairCondition?.chemicalHistory?.boxDye ? '있음' : '없음'}
+  * 릴랙서: ${hairCondition?.chemicalHistory?.relaxer ? '있음' : '없음'}
+  * 탈색: ${hairCondition?.chemicalHistory?.bleach || '없음'}
+
+다음 형식으로 JSON 응답을 제공해주세요 (한국어와 영어 모두 포함):
+{
+  "styleChanges": [
+    {
       "category": "길이",
       "categoryEn": "Length",
       "from": "현재 상태 (예: 짧음 5cm)",
@@ -642,264 +1550,1625 @@ app.post('/api/analyze/style-changes', async (req, res) => {
       "to": "목표 상태",
       "toEn": "Target state"
     }
-  ],
-  "requiredProcedures": [
-    {
-      "name": "매직 스트레이트",
-      "nameEn": "Magic Straightening",
-      "koreanName": "매직 스트레이트",
-      "reason": "자연스러운 웨이브 모발에서 스트레이트 텍스처를 얻기 위해",
-      "reasonEn": "To achieve straight texture from naturally wavy hair",
-      "estimatedCost": "₩80,000-120,000",
-      "required": true
+  ],
+  "requiredProcedures": [
+    {
+      "name": "매직 스트레이트",
+      "nameEn": "Magic Straightening",
+      "koreanName": "매직 스트레이트",
+      "reason": "자연스러운 웨이브 모발에서 스트레이트 텍스처를 얻기 위해",
+      "reasonEn": "To achieve straight texture from naturally wavy hair",
+      "required": true
+    }
+  ]
+}
+
+중요: 실제 이미지를 분석하여 정확한 변경사항을 파악하세요. 최소 3개 이상의 변경사항을 포함하세요.
+    `.trim();
+
+    // 스키마 기반 구조화 응답 (검증 실패 시 한 번 재시도, 그래도 실패하면 degraded)
+    const analysis = await runStructuredAnalysis({
+      aiProvider,
+      task: 'style-changes',
+      prompt: analysisPrompt,
+      images: images,
+    });
+
+    if (analysis.degraded) {
+      console.warn('⚠️ Style changes analysis degraded:', analysis.errors.slice(0, 5));
+    }
+    const analysisResult = analysis.data || { styleChanges: [], requiredProcedures: [] };
+
+    // 시술을 살롱 메뉴에 연결하고 비용은 서버에서 계산
+    const pricing = estimateCost({
+      catalog: serviceCatalog,
+      procedures: analysisResult.requiredProcedures,
+      hairCondition
+    });
+    analysisResult.requiredProcedures = analysisResult.requiredProcedures.map((procedure, index) => {
+      const item = pricing.items.find((item) => item.index === index);
+      return {
+        ...procedure,
+        serviceId: item?.serviceId || null,
+        estimatedCost: item?.estimatedCost || null,
+        price: item?.price || null
+      };
+    });
+    const safety = evaluateProcedureSafety(pricing, hairCondition);
+
+    // 분석 결과를 세션에 기록
+    await sessionStore.update(sessionId, (session) => {
+      session.styleAnalysis = {
+        selectedStyleImageUrl: selectedStyleImageUrl,
+        styleChanges: analysisResult.styleChanges || [],
+        requiredProcedures: analysisResult.requiredProcedures || [],
+        pricing: pricing,
+        safety: safety,
+        measurements: measurements,
+        degraded: analysis.degraded,
+        analyzedAt: new Date().toISOString()
+      };
+    });
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      styleChanges: analysisResult.styleChanges || [],
+      requiredProcedures: analysisResult.requiredProcedures || [],
+      pricing: pricing,
+      safety: safety,
+      measurements: measurements,
+      degraded: analysis.degraded,
+      ...(analysis.degraded ? { validationErrors: analysis.errors } : {}),
+      message: analysis.degraded
+        ? 'Style changes analysis unavailable: model output failed validation'
+        : 'Style changes analysis complete'
+    });
+
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    console.error('❌ Error analyzing style changes:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to analyze style changes' 
+    });
+  }
+});
+
+/**
+ * POST /api/analyze/feasibility
+ * 실현 가능성 분석
+ */
+app.post('/api/analyze/feasibility', requireSessionAccess(), requireModelQuota, async (req, res) => {
+  try {
+    const { sessionId, selectedStyleImageUrl } = req.body;
+
+    // 요청 본문에 없으면 세션에 저장된 고객 정보 사용
+    const storedSession = sessionId ? await sessionStore.get(sessionId) || {} : {};
+    const customerPhotoUrls = { ...storedSession.customerPhotoUrls, ...req.body.customerPhotoUrls };
+    const hairCondition = req.body.hairCondition || storedSession.hairCondition;
+
+    if (!sessionId || !selectedStyleImageUrl || !hairCondition) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Missing required fields' 
+      });
+    }
+
+    const rejectedUrl = findRejectedImageUrl([selectedStyleImageUrl, ...Object.values(customerPhotoUrls)], req.auth);
+    if (rejectedUrl) {
+      return res.status(400).json({ 
+        success: false, 
+        message: rejectedUrl 
+      });
+    }
+
+    const missingConsent = findMissingConsent(storedSession, CONSENT_PURPOSES.analysis);
+    if (missingConsent) {
+      return res.status(403).json({ 
+        success: false, 
+        message: missingConsent 
+      });
+    }
+
+    recordAudit(req, {
+      sessionId,
+      action: 'analysis-feasibility',
+      purpose: CONSENT_PURPOSES.analysis,
+      resources: [...Object.values(customerPhotoUrls), selectedStyleImageUrl]
+    });
+
+    console.log(`📊 Analyzing feasibility for session: ${sessionId}`);
+    console.log(`📋 Hair condition:`, JSON.stringify(hairCondition, null, 2));
+    console.log(`📷 Customer photo URLs:`, customerPhotoUrls);
+    console.log(`📷 Style image URL:`, selectedStyleImageUrl);
+
+    // 이미지 버퍼 가져오기 (모든 각도)
+    console.log('🖼️ Loading images...');
+    const { images, customerCount, targetCount, styleDescription } = await loadAnalysisImages({
+      customerPhotoUrls,
+      selectedStyleImageUrl,
+      session: storedSession
+    });
+    
+    console.log(`✅ Customer images loaded: ${customerCount}`);
+    console.log(`✅ Style images loaded: ${targetCount}`);
+    
+    if (customerCount === 0 || targetCount === 0) {
+      console.warn('⚠️ Some images failed to load, but continuing with available data');
+    }
+
+    // 분할 모델로 머리카락 길이/볼륨 측정 (분할기가 꺼져 있으면 null)
+    const measurements = await measureHairForAnalysis({ sessionId, session: storedSession, customerPhotoUrls, selectedStyleImageUrl });
+
+    // Gemini API를 사용하여 실현 가능성 분석
+    const analysisPrompt = `
+다음 정보를 바탕으로 헤어스타일의 실현 가능성을 분석해주세요.
+
+${describeAnalysisImages(images)}${describeRequestedStyle(styleDescription)}${describeHairMeasurements(measurements)}
+
+고객 모발 상태:
+- 곱슬 패턴: ${hairCondition.curlPattern || '미지정'}
+- 모발 굵기: ${hairCondition.strandTexture || '미지정'}
+- 밀도: ${hairCondition.density || '미지정'}
+- 두피 상태: ${hairCondition.scalpCondition || '미지정'}
+- 시술 이력: 
+  * 헤나: ${hairCondition.chemicalHistory?.henna ? '있음 (⚠️ 펌/염색 안 먹힘)' : '없음'}
+  * 박스 염색: ${hairCondition.chemicalHistory?.boxDye ? '있음 (얼룩 가능)' : '없음'}
+  * 릴랙서: ${hairCondition.chemicalHistory?.relaxer ? '있음 (강력한 약품 사용 이력)' : '없음'}
+  * 탈색: ${hairCondition.chemicalHistory?.bleach || '없음'}
+
+이미지들을 비교하여 (여러 각도가 있으면 옆머리·뒷머리 길이와 볼륨 변화까지 고려하여) 다음 형식으로 JSON 응답을 제공해주세요:
+{
+  "score": 0-100,
+  "isFeasible": true/false,
+  "requiredProcedures": ["필요한 시술 목록"],
+  "warnings": ["주의사항 목록"]
+}
+    `.trim();
+
+    console.log('🤖 Calling Gemini API for feasibility analysis...');
+    
+    // 스키마 기반 구조화 응답 (검증 실패 시 한 번 재시도, 그래도 실패하면 degraded)
+    const analysis = await runStructuredAnalysis({
+      aiProvider,
+      task: 'feasibility',
+      prompt: analysisPrompt,
+      images: images,
+    });
+    console.log('✅ Gemini API response received');
+
+    let feasibility;
+    if (analysis.degraded) {
+      // 임의의 점수/비용을 만들지 않고 빈 결과를 반환
+      console.warn('⚠️ Feasibility analysis degraded:', analysis.errors.slice(0, 5));
+      feasibility = {
+        score: null,
+        isFeasible: null,
+        requiredProcedures: [],
+        warnings: []
+      };
+    } else {
+      feasibility = analysis.data;
+      console.log('✅ JSON validated successfully:', JSON.stringify(feasibility, null, 2));
+    }
+
+    // 시술을 살롱 메뉴에 연결하고 비용은 서버에서 계산
+    const pricing = estimateCost({
+      catalog: serviceCatalog,
+      procedures: feasibility.requiredProcedures,
+      hairCondition
+    });
+    feasibility.estimatedCost = pricing.estimatedCost;
+    feasibility.pricing = pricing;
+
+    // 규칙 기반 안전 점검: 금기 사항이 있으면 AI 점수 상한/실현 불가 처리
+    feasibility = applySafetyToFeasibility(feasibility, evaluateProcedureSafety(pricing, hairCondition));
+    if (feasibility.safety.contraindications.length > 0) {
+      console.warn('⛔ Safety contraindications:', feasibility.safety.contraindications.map((finding) => finding.ruleId));
+    }
+
+    // 시술 명세서: 살롱 수정본 → 생성 시 도출된 명세서 → 새로 도출 순으로 사용
+    console.log('📋 Generating technical specs...');
+    let technicalSpecs = findTechnicalSpecs(storedSession, selectedStyleImageUrl);
+    if (!technicalSpecs) {
+      technicalSpecs = await deriveTechnicalSpecs({
+        aiProvider,
+        hairCondition,
+        images: images,
+        requiredProcedures: feasibility.requiredProcedures
+      });
+    }
+
+    // 분석 결과를 세션에 기록
+    await sessionStore.update(sessionId, (session) => {
+      session.feasibility = {
+        selectedStyleImageUrl: selectedStyleImageUrl,
+        ...feasibility,
+        technicalSpecs: technicalSpecs,
+        measurements: measurements,
+        degraded: analysis.degraded,
+        analyzedAt: new Date().toISOString()
+      };
+    });
+
+    console.log('✅ Feasibility analysis complete, sending response...');
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      feasibility: feasibility,
+      technicalSpecs: technicalSpecs,
+      measurements: measurements,
+      degraded: analysis.degraded,
+      ...(analysis.degraded ? { validationErrors: analysis.errors } : {}),
+      message: analysis.degraded
+        ? 'Feasibility analysis unavailable: model output failed validation'
+        : 'Analysis complete'
+    });
+    console.log('📤 Response sent successfully');
+
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    console.error('Error analyzing feasibility:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to analyze feasibility' 
+    });
+  }
+});
+
+/**
+ * GET /api/sessions
+ * 세션 목록 조회 (페이지네이션, 생성일 필터)
+ * 쿼리: page(기본 1), pageSize(기본 20, 최대 100), from, to (ISO 날짜, 날짜만 준 to 는 그날 하루 전체 포함)
+ */
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 20, 1), 100);
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    // 날짜만 준 to(YYYY-MM-DD)는 그날 0시가 아니라 다음 날 0시 전까지 (UTC)
+    const toDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(req.query.to || '');
+    if (to && toDateOnly) to.setUTCDate(to.getUTCDate() + 1);
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'from/to must be valid dates' 
+      });
+    }
+
+    const records = (await sessionStore.list())
+      .filter((record) => {
+        if (!canAccessSession(req.auth, record.data)) return false;
+        const createdAt = new Date(record.createdAt);
+        if (from && createdAt < from) return false;
+        if (to && (toDateOnly ? createdAt >= to : createdAt > to)) return false;
+        return true;
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const sessions = records
+      .slice((page - 1) * pageSize, page * pageSize)
+      .map((record) => ({
+        sessionId: record.id,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+        expiresAt: record.expiresAt,
+        userInfo: record.data.userInfo,
+        customerPhotoCount: Object.keys(record.data.customerPhotoUrls || {}).length,
+        stylePhotoCount: Object.keys(record.data.stylePhotoUrls || {}).length,
+        generatedImageCount: (record.data.generatedImages || []).length
+      }));
+
+    res.json({
+      success: true,
+      page: page,
+      pageSize: pageSize,
+      total: records.length,
+      sessions: sessions
+    });
+
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to list sessions' 
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id
+ * 세션 전체 데이터 조회 (상담 이어하기용)
+ */
+app.get('/api/sessions/:id', requireSessionAccess(), async (req, res) => {
+  try {
+    const record = await sessionStore.getRecord(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    recordAudit(req, {
+      sessionId: record.id,
+      action: 'session-viewed',
+      purpose: null,
+      resources: collectSessionFileKeys(record.data)
+    });
+
+    res.json({
+      success: true,
+      sessionId: record.id,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      expiresAt: record.expiresAt,
+      session: record.data
+    });
+
+  } catch (error) {
+    console.error('Error reading session:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to read session' 
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/technical-specs
+ * 현재 시술 명세서 조회 (imageUrl 생략 시 살롱 수정본 또는 마지막 생성 결과 기준)
+ */
+app.get('/api/sessions/:id/technical-specs', requireSessionAccess(), async (req, res) => {
+  try {
+    const session = await sessionStore.get(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    const imageUrl = req.query.imageUrl
+      || session.technicalSpecs?.imageUrl
+      || session.generatedImages?.[session.generatedImages.length - 1]?.imageUrl;
+    const technicalSpecs = findTechnicalSpecs(session, imageUrl);
+
+    if (!technicalSpecs) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No technical specs for this session' 
+      });
+    }
+
+    res.json({
+      success: true,
+      sessionId: req.params.id,
+      imageUrl: imageUrl,
+      technicalSpecs: technicalSpecs
+    });
+
+  } catch (error) {
+    console.error('Error reading technical specs:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to read technical specs' 
+    });
+  }
+});
+
+/**
+ * PUT /api/sessions/:id/technical-specs
+ * 살롱에서 수정한 시술 명세서 저장
+ * 본문: imageUrl(생략 시 마지막 생성 결과), technicalSpecs(수정할 필드만 보내도 됨)
+ */
+app.put('/api/sessions/:id/technical-specs', requireSessionAccess(), async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const session = await sessionStore.get(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    const imageUrl = req.body.imageUrl || session.generatedImages?.[session.generatedImages.length - 1]?.imageUrl;
+    if (!imageUrl) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'imageUrl is required when the session has no generated images' 
+      });
+    }
+
+    const { specs, errors } = normalizeTechnicalSpecs(req.body.technicalSpecs, findTechnicalSpecs(session, imageUrl));
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid technicalSpecs',
+        errors: errors
+      });
+    }
+
+    const technicalSpecs = {
+      ...specs,
+      imageUrl: imageUrl,
+      correctedBy: req.body.correctedBy || null,
+      correctedAt: new Date().toISOString()
+    };
+    await sessionStore.update(sessionId, (session) => {
+      session.technicalSpecs = technicalSpecs;
+    });
+
+    console.log(`📝 Technical specs corrected for session: ${sessionId}`);
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      technicalSpecs: technicalSpecs,
+      message: 'Technical specs saved'
+    });
+
+  } catch (error) {
+    console.error('Error saving technical specs:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to save technical specs' 
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/versions
+ * 생성 이미지 버전 트리 조회 (수정 결과는 부모의 children 에 포함)
+ */
+app.get('/api/sessions/:id/versions', requireSessionAccess(), async (req, res) => {
+  try {
+    const session = await sessionStore.get(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      sessionId: req.params.id,
+      ...buildVersionTree(session)
+    });
+
+  } catch (error) {
+    console.error('Error reading versions:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to read versions' 
+    });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/versions/:imageId/revert
+ * 이전 버전을 활성 버전으로 되돌리기 (이후 수정 요청의 기본 부모, 리포트/비교 이미지의 기본 선택)
+ */
+app.post('/api/sessions/:id/versions/:imageId/revert', requireSessionAccess(), async (req, res) => {
+  try {
+    const { imageId } = req.params;
+    const session = await sessionStore.get(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    const image = (session.generatedImages || []).find((candidate) => candidate.id === imageId);
+    if (!image) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Generated image not found' 
+      });
+    }
+    if (image.imageGenerated === false) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Cannot revert to a failed generation' 
+      });
+    }
+
+    await sessionStore.update(req.params.id, (stored) => {
+      stored.activeImageId = imageId;
+    });
+
+    console.log(`↩️ Active version reverted: ${imageId} (session: ${req.params.id})`);
+
+    res.json({
+      success: true,
+      sessionId: req.params.id,
+      activeImageId: imageId,
+      imageUrl: image.imageUrl,
+      message: 'Active version updated'
+    });
+
+  } catch (error) {
+    console.error('Error reverting version:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to revert version' 
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/report.pdf
+ * 상담 리포트 PDF (전/후 사진, 스타일 변경사항, 필요 시술과 비용, 실현 가능성, 시술 명세서)
+ * 쿼리: lang(ko | en, 기본 ko), imageUrl(선택, 세션의 생성 이미지 중 리포트에 넣을 스타일)
+ */
+app.get('/api/sessions/:id/report.pdf', requireSessionAccess(), async (req, res) => {
+  try {
+    const session = await sessionStore.get(req.params.id);
+    const language = req.query.lang || 'ko';
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+    if (!REPORT_LANGUAGES.includes(language)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `lang must be one of ${REPORT_LANGUAGES.join(', ')}` 
+      });
+    }
+
+    const afterImageUrl = selectReportImageUrl(session, req.query.imageUrl);
+    if (afterImageUrl === undefined) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'imageUrl is not an image of this session' 
+      });
+    }
+    const beforeImageUrl = session.customerPhotoUrls?.front || sessionCustomerPhotoUrls(session)[0] || null;
+    const technicalSpecs = findTechnicalSpecs(session, afterImageUrl)
+      || (session.feasibility?.selectedStyleImageUrl === afterImageUrl ? session.feasibility.technicalSpecs : null);
+
+    const [beforeImage, afterImage] = await Promise.all([
+      getImageBuffer(beforeImageUrl),
+      getImageBuffer(afterImageUrl)
+    ]);
+    const pdf = await reportRenderer.render({
+      session,
+      sessionId: req.params.id,
+      language,
+      beforeImage,
+      afterImage,
+      technicalSpecs
+    });
+
+    recordAudit(req, {
+      sessionId: req.params.id,
+      action: 'report-exported',
+      purpose: null,
+      resources: [beforeImageUrl, afterImageUrl].filter(Boolean),
+      detail: { language }
+    });
+
+    const filename = `consultation-${req.params.id.replace(/[^A-Za-z0-9_-]/g, '_')}-${language}.pdf`;
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.type('application/pdf').send(pdf);
+
+  } catch (error) {
+    if (error instanceof ReportFontError) {
+      return res.status(error.status).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    console.error('Error generating consultation report:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to generate consultation report' 
+    });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/comparisons
+ * 공유용 비교 이미지 생성 후 파일 저장소에 저장
+ * 본문: type(before-after | grid | slider), format(slider 의 webp | gif, 기본 webp),
+ *       angle(전/후 사진 각도, 기본 front), imageUrl(선택, 비교할 생성 이미지), watermark(기본 true), labels(기본 true)
+ */
+app.post('/api/sessions/:id/comparisons', requireSessionAccess(), async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const { type, angle = 'front', watermark = true, labels = true } = req.body;
+    const format = req.body.format || 'webp';
+    const session = await sessionStore.get(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+    if (!COMPARISON_TYPES.includes(type)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `type must be one of ${COMPARISON_TYPES.join(', ')}` 
+      });
+    }
+    if (type === 'slider' && !SLIDER_FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `format must be one of ${SLIDER_FORMATS.join(', ')}` 
+      });
+    }
+    if (!CUSTOMER_PHOTO_ANGLES.includes(angle)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `angle must be one of ${CUSTOMER_PHOTO_ANGLES.join(', ')}` 
+      });
+    }
+
+    const customerUrls = sessionCustomerPhotoUrls(session);
+    let sourceUrls;
+    if (type === 'grid') {
+      // 생성에 실패해 고객 사진이 대신 저장된 항목은 제외
+      sourceUrls = [...new Set((session.generatedImages || [])
+        .map((image) => image.imageUrl)
+        .filter((url) => url && !customerUrls.includes(url)))];
+    } else {
+      const afterUrl = selectReportImageUrl(session, req.body.imageUrl);
+      if (afterUrl === undefined) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'imageUrl is not an image of this session' 
+        });
+      }
+      sourceUrls = [session.customerPhotoUrls?.[angle], afterUrl];
+    }
+
+    const images = await Promise.all(sourceUrls.map((url) => getImageBuffer(url)));
+    if (sourceUrls.length === 0 || images.some((image) => !image)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: type === 'grid'
+          ? 'No generated images to render'
+          : `Before (${angle}) and generated images are required` 
+      });
+    }
+
+    const salonId = session.salonId || DEFAULT_SALON_ID;
+    const logo = watermark ? await loadSalonLogo(salonId) : null;
+    const [before, after] = images;
+    let rendered;
+    if (type === 'before-after') {
+      rendered = await renderBeforeAfter({ before, after, labels: labels ? ['BEFORE', 'AFTER'] : null, logo });
+    } else if (type === 'grid') {
+      rendered = await renderGrid({ images, logo });
+    } else {
+      rendered = await renderSlider({ before, after, format, logo });
+    }
+
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const imageUrl = await fileStorage.put(`${salonId}/comparison-${type}-${uniqueSuffix}.${rendered.ext}`, rendered.buffer, {
+      contentType: rendered.mimeType
+    });
+    const comparison = {
+      type: type,
+      imageUrl: imageUrl,
+      mimeType: rendered.mimeType,
+      width: rendered.width,
+      height: rendered.height,
+      sourceUrls: sourceUrls,
+      watermarked: Boolean(logo),
+      createdAt: new Date().toISOString()
+    };
+    await sessionStore.update(sessionId, (stored) => {
+      stored.comparisons = [...(stored.comparisons || []), comparison];
+    });
+
+    recordAudit(req, {
+      sessionId,
+      action: 'comparison-rendered',
+      purpose: null,
+      resources: sourceUrls,
+      detail: { type, imageUrl }
+    });
+
+    console.log(`🖼️ Comparison image rendered: ${type} (${rendered.width}x${rendered.height}, session: ${sessionId})`);
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      comparison: comparison,
+      message: 'Comparison image rendered'
+    });
+
+  } catch (error) {
+    console.error('Error rendering comparison image:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to render comparison image' 
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/masks
+ * 사진의 머리카락/얼굴 마스크와 측정값 (저장소에 캐시, SEGMENTATION_RUNNER 필요)
+ * 쿼리: imageUrl (세션의 고객 사진 또는 생성 이미지, 기본 정면 고객 사진)
+ */
+app.get('/api/sessions/:id/masks', requireSessionAccess(), async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    if (!maskService) {
+      return res.status(503).json({ 
+        success: false, 
+        message: 'Segmentation is not enabled (SEGMENTATION_RUNNER)' 
+      });
+    }
+
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    const imageUrl = req.query.imageUrl || session.customerPhotoUrls?.front;
+    const sessionImageUrls = [
+      ...sessionCustomerPhotoUrls(session),
+      ...(session.generatedImages || []).map((image) => image.imageUrl)
+    ];
+    if (!imageUrl || !sessionImageUrls.includes(imageUrl)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: imageUrl ? 'imageUrl must be a customer photo or generated image of this session' : 'No front customer photo' 
+      });
+    }
+
+    const masks = await loadSessionMasks(sessionId, session, imageUrl);
+    if (!masks) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Image not found' 
+      });
+    }
+
+    recordAudit(req, {
+      sessionId,
+      action: 'masks-created',
+      purpose: null,
+      resources: [imageUrl],
+      detail: { runner: masks.runner, cached: masks.cached }
+    });
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      imageUrl: imageUrl,
+      runner: masks.runner,
+      hairMaskUrl: masks.hairMaskUrl,
+      faceMaskUrl: masks.faceMaskUrl,
+      metrics: masks.metrics,
+      cached: masks.cached
+    });
+
+  } catch (error) {
+    console.error('Error creating hair masks:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to create hair masks' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * 세션 및 관련 업로드 파일 삭제 (고객 삭제 요청 처리)
+ */
+app.delete('/api/sessions/:id', requireSessionAccess(), async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const session = await sessionStore.get(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    const deletedFiles = [];
+    for (const key of collectSessionFileKeys(session)) {
+      if (await fileStorage.remove(key)) {
+        deletedFiles.push(key);
+      }
+    }
+
+    await sessionStore.delete(sessionId);
+
+    recordAudit(req, {
+      sessionId,
+      action: 'session-deleted',
+      purpose: null,
+      resources: deletedFiles
+    });
+
+    console.log(`🗑️ Session deleted: ${sessionId} (${deletedFiles.length} files)`);
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      deletedFiles: deletedFiles,
+      message: 'Session deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to delete session' 
+    });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/consent/withdraw
+ * 고객 동의 철회 (이후 생성/분석 처리를 거부, 파일 삭제는 DELETE /api/sessions/:id)
+ */
+app.post('/api/sessions/:id/consent/withdraw', requireSessionAccess(), async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const session = await sessionStore.get(sessionId);
+
+    if (!session || !session.consent) {
+      return res.status(404).json({ 
+        success: false, 
+        message: session ? 'No consent recorded for this session' : 'Session not found' 
+      });
+    }
+
+    const withdrawnAt = session.consent.withdrawnAt || new Date().toISOString();
+    const updated = await sessionStore.update(sessionId, (stored) => {
+      stored.consent = { ...stored.consent, withdrawnAt };
+    });
+
+    recordAudit(req, {
+      sessionId,
+      action: 'consent-withdrawn',
+      purpose: null,
+      resources: [],
+      detail: { purposes: updated.consent.purposes, policyVersion: updated.consent.policyVersion }
+    });
+
+    console.log(`🚫 Consent withdrawn for session: ${sessionId}`);
+
+    res.json({
+      success: true,
+      sessionId: sessionId,
+      consent: updated.consent,
+      message: 'Consent withdrawn'
+    });
+
+  } catch (error) {
+    console.error('Error withdrawing consent:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to withdraw consent' 
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/generate
+ * 스타일 이미지 생성 작업 등록 (즉시 jobId 반환)
+ * 본문은 /api/generate/style 과 동일합니다.
+ */
+app.post('/api/jobs/generate', requireSessionAccess(), requireModelQuota, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+
+    // 요청 본문에 없으면 세션에 저장된 고객 정보 사용
+    const storedSession = sessionId ? await sessionStore.get(sessionId) || {} : {};
+    const customerPhotoUrls = req.body.customerPhotoUrls || storedSession.customerPhotoUrls;
+    const hairCondition = req.body.hairCondition || storedSession.hairCondition;
+
+    if (!sessionId || !(req.body.stylePhotoUrl || req.body.styleDescription) || !hairCondition) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Missing required fields' 
+      });
+    }
+
+    // 스타일 사진 또는 스타일 설명
+    const { stylePhotoUrl, styleDescription, error: styleError } = parseStyleSource(req.body);
+    if (styleError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: styleError 
+      });
+    }
+
+    const rejectedUrl = findRejectedImageUrl([stylePhotoUrl, ...Object.values(customerPhotoUrls || {})], req.auth);
+    if (rejectedUrl) {
+      return res.status(400).json({ 
+        success: false, 
+        message: rejectedUrl 
+      });
+    }
+
+    const missingConsent = findMissingConsent(storedSession, CONSENT_PURPOSES.aiGeneration);
+    if (missingConsent) {
+      return res.status(403).json({ 
+        success: false, 
+        message: missingConsent 
+      });
+    }
+
+    recordAudit(req, {
+      sessionId,
+      action: 'ai-generation',
+      purpose: CONSENT_PURPOSES.aiGeneration,
+      resources: [...Object.values(customerPhotoUrls || {}), stylePhotoUrl].filter(Boolean),
+      detail: styleDescription ? { styleDescription } : undefined
+    });
+
+    const multiAngle = Boolean(req.body.angles || req.body.allAngles);
+    const angles = multiAngle ? parseBatchAngles(req.body) : null;
+    if (multiAngle && !angles) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `angles must be a non-empty subset of ${CUSTOMER_PHOTO_ANGLES.join(', ')}` 
+      });
+    }
+
+    const job = multiAngle
+      ? jobQueue.enqueue(
+        'generate-angles',
+        { sessionId, salonId: storedSession.salonId || DEFAULT_SALON_ID, stylistId: storedSession.stylistId || null, customerPhotoUrls, stylePhotoUrl, styleDescription, hairCondition, angles },
+        (payload, reportProgress) => usageContext.run(
+          jobUsageContext(req, payload, 'generate-angles'),
+          () => styleGenerator.generateAngles(payload, { onProgress: reportProgress })
+        ).then((result) => {
+          const angleResults = Object.values(result.angles);
+          return failUnlessGenerated(
+            result,
+            angleResults.some((angleResult) => angleResult.status === 'done'),
+            angleResults.find((angleResult) => angleResult.error)?.error
+          );
+        })
+      )
+      : jobQueue.enqueue(
+        'generate-style',
+        { sessionId, salonId: storedSession.salonId || DEFAULT_SALON_ID, stylistId: storedSession.stylistId || null, customerPhotoUrls, stylePhotoUrl, styleDescription, hairCondition },
+        (payload, reportProgress) => usageContext.run(
+          jobUsageContext(req, payload, 'generate-style'),
+          () => styleGenerator.generate(payload, { onProgress: reportProgress })
+        ).then((result) => failUnlessGenerated(result, result.imageGenerated, result.error))
+      );
+
+    console.log(`🧾 Generation job queued: ${job.id} (session: ${sessionId})`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+      message: 'Job queued'
+    });
+
+  } catch (error) {
+    console.error('Error queueing generation job:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to queue generation job' 
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/generate-batch
+ * 일괄 생성 작업 등록 (본문은 /api/generate/batch 와 동일)
+ */
+app.post('/api/jobs/generate-batch', requireSessionAccess(), requireModelQuota, async (req, res) => {
+  try {
+    const { sessionId, hairCondition } = req.body;
+    const angles = parseBatchAngles(req.body);
+
+    if (!sessionId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'sessionId is required' 
+      });
+    }
+    if (!angles) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `angles must be a non-empty subset of ${CUSTOMER_PHOTO_ANGLES.join(', ')}` 
+      });
+    }
+
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    const missingConsent = findMissingConsent(session, CONSENT_PURPOSES.aiGeneration);
+    if (missingConsent) {
+      return res.status(403).json({ 
+        success: false, 
+        message: missingConsent 
+      });
+    }
+
+    recordAudit(req, {
+      sessionId,
+      action: 'ai-generation-batch',
+      purpose: CONSENT_PURPOSES.aiGeneration,
+      resources: [...sessionCustomerPhotoUrls(session), ...Object.values(session.stylePhotoUrls || {})]
+    });
+
+    const job = jobQueue.enqueue(
+      'generate-batch',
+      { sessionId, salonId: session.salonId || DEFAULT_SALON_ID, stylistId: session.stylistId || null, angles, hairCondition },
+      (payload, reportProgress) => usageContext.run(
+        jobUsageContext(req, payload, 'generate-batch'),
+        () => styleGenerator.generateBatch(payload, {
+          onProgress: ({ completed, total }) => reportProgress(`item-${completed}-of-${total}`)
+        })
+      ).then((result) => failUnlessGenerated(
+        result,
+        result.summary.done > 0,
+        result.items.find((item) => item.error)?.error
+      ))
+    );
+
+    console.log(`🧾 Batch generation job queued: ${job.id} (session: ${sessionId})`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+      message: 'Job queued'
+    });
+
+  } catch (error) {
+    console.error('Error queueing batch generation job:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to queue batch generation job' 
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * 작업 상태 및 결과 조회
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job || !canAccessJob(req.auth, job)) {
+    return res.status(404).json({ 
+      success: false, 
+      message: 'Job not found' 
+    });
+  }
+
+  res.json({
+    success: true,
+    job: job
+  });
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * 작업 상태 변경 SSE 스트림 (done/failed 이후 종료)
+ */
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job || !canAccessJob(req.auth, job)) {
+    return res.status(404).json({ 
+      success: false, 
+      message: 'Job not found' 
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // res.json 을 거치지 않으므로 결과의 파일 URL 에 직접 토큰 추가
+  const send = (snapshot) => {
+    const data = mapStrings(snapshot, (value) => signFileUrl(value, req.auth));
+    res.write(`event: ${snapshot.stage}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const onUpdate = (snapshot) => {
+    if (snapshot.id !== job.id) return;
+    send(snapshot);
+    if (jobQueue.isTerminal(snapshot)) {
+      cleanup();
+      res.end();
     }
-  ]
-}
+  };
 
-중요: 실제 이미지를 분석하여 정확한 변경사항을 파악하세요. 최소 3개 이상의 변경사항을 포함하세요.
-    `.trim();
+  // 연결 유지를 위한 주기적 코멘트
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
 
-    const prompt = [
-      {
-        inlineData: {
-          mimeType: "image/jpeg",
-          data: customerImageBuffer.toString('base64'),
-        },
-      },
-      {
-        inlineData: {
-          mimeType: "image/jpeg",
-          data: styleImageBuffer.toString('base64'),
-        },
-      },
-      { text: analysisPrompt }
-    ];
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobQueue.off('update', onUpdate);
+  };
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const analysisText = response.text();
+  // 현재 상태를 먼저 전송
+  send(job);
+  if (jobQueue.isTerminal(job)) {
+    cleanup();
+    return res.end();
+  }
 
-    console.log('📝 Gemini analysis response received, length:', analysisText.length);
+  jobQueue.on('update', onUpdate);
+  req.on('close', cleanup);
+});
 
-    // JSON 파싱 시도
-    let analysisResult;
-    try {
-      // JSON 코드 블록에서 추출
-      const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        analysisResult = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      console.warn('⚠️ Failed to parse Gemini response, using defaults');
-      // 파싱 실패 시 기본값 사용
-      analysisResult = {
-        styleChanges: [
-          { 
-            category: "길이", 
-            categoryEn: "Length",
-            from: "분석 중", 
-            fromEn: "Analyzing...",
-            to: "분석 중",
-            toEn: "Analyzing..."
-          },
-          { 
-            category: "텍스처", 
-            categoryEn: "Texture",
-            from: "분석 중", 
-            fromEn: "Analyzing...",
-            to: "분석 중",
-            toEn: "Analyzing..."
-          },
-          { 
-            category: "볼륨", 
-            categoryEn: "Volume",
-            from: "분석 중", 
-            fromEn: "Analyzing...",
-            to: "분석 중",
-            toEn: "Analyzing..."
-          }
-        ],
-        requiredProcedures: []
-      };
+/**
+ * GET /api/services
+ * 시술 메뉴 목록 (activeOnly=true 면 판매 중인 항목만)
+ */
+app.get('/api/services', (req, res) => {
+  res.json({
+    success: true,
+    services: serviceCatalog.list({ includeInactive: req.query.activeOnly !== 'true' })
+  });
+});
+
+/**
+ * GET /api/services/:id
+ * 시술 메뉴 항목 조회
+ */
+app.get('/api/services/:id', (req, res) => {
+  const service = serviceCatalog.get(req.params.id);
+
+  if (!service) {
+    return res.status(404).json({ 
+      success: false, 
+      message: 'Service not found' 
+    });
+  }
+
+  res.json({
+    success: true,
+    service: service
+  });
+});
+
+/**
+ * POST /api/services
+ * 시술 메뉴 항목 추가
+ */
+app.post('/api/services', requireRole('admin'), (req, res) => {
+  try {
+    const { service, errors } = serviceCatalog.create(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid service',
+        errors: errors
+      });
     }
 
-    res.json({
+    res.status(201).json({
       success: true,
-      sessionId: sessionId,
-      styleChanges: analysisResult.styleChanges || [],
-      requiredProcedures: analysisResult.requiredProcedures || [],
-      message: 'Style changes analysis complete'
+      service: service
     });
 
   } catch (error) {
-    console.error('❌ Error analyzing style changes:', error);
+    console.error('Error creating service:', error);
     res.status(500).json({ 
       success: false, 
-      message: error.message || 'Failed to analyze style changes' 
+      message: error.message || 'Failed to create service' 
     });
   }
 });
 
 /**
- * POST /api/analyze/feasibility
- * 실현 가능성 분석
+ * PUT /api/services/:id
+ * 시술 메뉴 항목 수정 (보낸 필드만 변경)
  */
-app.post('/api/analyze/feasibility', async (req, res) => {
+app.put('/api/services/:id', requireRole('admin'), (req, res) => {
   try {
-    const { sessionId, customerPhotoUrls, selectedStyleImageUrl, hairCondition } = req.body;
+    const result = serviceCatalog.update(req.params.id, req.body);
 
-    if (!sessionId || !selectedStyleImageUrl || !hairCondition) {
+    if (!result) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Service not found' 
+      });
+    }
+    if (result.errors.length > 0) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Missing required fields' 
+        message: 'Invalid service',
+        errors: result.errors
       });
     }
 
-    console.log(`📊 Analyzing feasibility for session: ${sessionId}`);
-    console.log(`📋 Hair condition:`, JSON.stringify(hairCondition, null, 2));
-    console.log(`📷 Customer photo URL:`, customerPhotoUrls?.front);
-    console.log(`📷 Style image URL:`, selectedStyleImageUrl);
+    res.json({
+      success: true,
+      service: result.service
+    });
 
-    // 이미지 버퍼 가져오기
-    console.log('🖼️ Loading images...');
-    const customerImageBuffer = await getImageBuffer(customerPhotoUrls?.front);
-    const styleImageBuffer = await getImageBuffer(selectedStyleImageUrl);
-    
-    console.log(`✅ Customer image loaded: ${customerImageBuffer ? customerImageBuffer.length + ' bytes' : 'null'}`);
-    console.log(`✅ Style image loaded: ${styleImageBuffer ? styleImageBuffer.length + ' bytes' : 'null'}`);
-    
-    if (!customerImageBuffer || !styleImageBuffer) {
-      console.warn('⚠️ Some images failed to load, but continuing with available data');
+  } catch (error) {
+    console.error('Error updating service:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to update service' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/services/:id
+ * 시술 메뉴 항목 삭제
+ */
+app.delete('/api/services/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (!serviceCatalog.remove(req.params.id)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Service not found' 
+      });
     }
 
-    // Gemini API를 사용하여 실현 가능성 분석
-    const analysisPrompt = `
-다음 정보를 바탕으로 헤어스타일의 실현 가능성을 분석해주세요.
+    res.json({
+      success: true,
+      message: 'Service deleted'
+    });
 
-첫 번째 이미지: 고객의 현재 헤어스타일
-두 번째 이미지: 목표 헤어스타일 (AI 합성 결과)
+  } catch (error) {
+    console.error('Error deleting service:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to delete service' 
+    });
+  }
+});
 
-고객 모발 상태:
-- 곱슬 패턴: ${hairCondition.curlPattern || '미지정'}
-- 모발 굵기: ${hairCondition.strandTexture || '미지정'}
-- 밀도: ${hairCondition.density || '미지정'}
-- 두피 상태: ${hairCondition.scalpCondition || '미지정'}
-- 시술 이력: 
-  * 헤나: ${hairCondition.chemicalHistory?.henna ? '있음 (⚠️ 펌/염색 안 먹힘)' : '없음'}
-  * 박스 염색: ${hairCondition.chemicalHistory?.boxDye ? '있음 (얼룩 가능)' : '없음'}
-  * 릴랙서: ${hairCondition.chemicalHistory?.relaxer ? '있음 (강력한 약품 사용 이력)' : '없음'}
-  * 탈색: ${hairCondition.chemicalHistory?.bleach || '없음'}
+/**
+ * POST /api/services/estimate
+ * 시술 목록의 예상 비용 계산
+ * 본문: procedures(시술 이름 배열), hairCondition(선택, density/length 반영)
+ */
+app.post('/api/services/estimate', (req, res) => {
+  const { procedures, hairCondition } = req.body;
 
-두 이미지를 비교하여 다음 형식으로 JSON 응답을 제공해주세요:
-{
-  "score": 0-100,
-  "isFeasible": true/false,
-  "estimatedCost": "예상 비용",
-  "requiredProcedures": ["필요한 시술 목록"],
-  "warnings": ["주의사항 목록"]
-}
-    `.trim();
+  if (!Array.isArray(procedures)) {
+    return res.status(400).json({ 
+      success: false, 
+      message: 'procedures must be an array' 
+    });
+  }
 
-    console.log('🤖 Calling Gemini API for feasibility analysis...');
-    
-    // 이미지와 함께 프롬프트 전송
-    const prompt = [];
-    
-    if (customerImageBuffer) {
-      prompt.push({
-        inlineData: {
-          mimeType: "image/jpeg",
-          data: customerImageBuffer.toString('base64'),
-        },
+  res.json({
+    success: true,
+    pricing: estimateCost({ catalog: serviceCatalog, procedures, hairCondition })
+  });
+});
+
+/**
+ * GET /api/palette
+ * 살롱 컬러 팔레트 (activeOnly=true 면 사용 중인 컬러만, 관리자는 salonId 로 살롱 지정)
+ */
+app.get('/api/palette', (req, res) => {
+  const salonId = paletteSalonId(req);
+
+  res.json({
+    success: true,
+    salonId: salonId,
+    isDefault: colorPalette.isDefault(salonId),
+    shades: colorPalette.list(salonId, { includeInactive: req.query.activeOnly !== 'true' })
+  });
+});
+
+/**
+ * POST /api/palette
+ * 팔레트 컬러 추가 ({ id, brand, line, code, name, nameEn, hex, level, tone })
+ */
+app.post('/api/palette', requireRole('admin', 'manager'), (req, res) => {
+  try {
+    const { shade, errors } = colorPalette.create(paletteSalonId(req), req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid shade',
+        errors: errors
       });
     }
-    
-    if (styleImageBuffer) {
-      prompt.push({
-        inlineData: {
-          mimeType: "image/jpeg",
-          data: styleImageBuffer.toString('base64'),
-        },
+
+    res.status(201).json({
+      success: true,
+      shade: shade
+    });
+
+  } catch (error) {
+    console.error('Error creating shade:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to create shade' 
+    });
+  }
+});
+
+/**
+ * PUT /api/palette/:id
+ * 팔레트 컬러 수정 (보낸 필드만 변경)
+ */
+app.put('/api/palette/:id', requireRole('admin', 'manager'), (req, res) => {
+  try {
+    const result = colorPalette.update(paletteSalonId(req), req.params.id, req.body);
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Shade not found' 
+      });
+    }
+    if (result.errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid shade',
+        errors: result.errors
       });
     }
-    
-    prompt.push({ text: analysisPrompt });
-    
-    const result = await model.generateContent(prompt);
-    console.log('✅ Gemini API response received');
-    
-    const response = await result.response;
-    const analysisText = response.text();
-    console.log(`📝 Analysis text length: ${analysisText.length} characters`);
-    console.log(`📝 Analysis preview: ${analysisText.substring(0, 200)}...`);
 
-    // JSON 파싱 시도
-    console.log('🔍 Parsing JSON from response...');
-    let feasibility;
-    try {
-      // JSON 코드 블록에서 추출
-      const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        feasibility = JSON.parse(jsonMatch[0]);
-        console.log('✅ JSON parsed successfully:', JSON.stringify(feasibility, null, 2));
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      // 파싱 실패 시 기본값 사용
-      console.warn('⚠️ Failed to parse Gemini response, using defaults');
-      console.warn('Parse error:', parseError.message);
-      feasibility = {
-        score: 75,
-        isFeasible: true,
-        estimatedCost: "150,000원",
-        requiredProcedures: ["컷", "펌", "볼륨매직"],
-        warnings: ["모발 상태에 따라 결과가 달라질 수 있습니다"]
-      };
+    res.json({
+      success: true,
+      shade: result.shade
+    });
+
+  } catch (error) {
+    console.error('Error updating shade:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to update shade' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/palette/:id
+ * 팔레트 컬러 삭제
+ */
+app.delete('/api/palette/:id', requireRole('admin', 'manager'), (req, res) => {
+  try {
+    if (!colorPalette.remove(paletteSalonId(req), req.params.id)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Shade not found' 
+      });
     }
 
-    // 시술 명세서 생성
-    console.log('📋 Generating technical specs...');
-    const technicalSpecs = {
-      sideLength: "12mm 소프트 투블럭",
-      topLength: "8-10cm 레이어드컷",
-      downPerm: true,
-      additionalServices: feasibility.requiredProcedures.filter(p => p !== "컷"),
-      fringe: "시스루 뱅 스타일",
-      color: "내추럴 블랙 유지"
-    };
+    res.json({
+      success: true,
+      message: 'Shade deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting shade:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to delete shade' 
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/audit
+ * 세션 이미지 접근 감사 로그 조회 (삭제된 세션도 조회 가능)
+ */
+app.get('/api/sessions/:id/audit', requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const entries = (await auditLog.list({ sessionId: req.params.id }))
+      .filter((entry) => req.auth.role === 'admin' || entry.salonId === req.auth.salonId);
 
-    console.log('✅ Feasibility analysis complete, sending response...');
     res.json({
       success: true,
-      sessionId: sessionId,
-      feasibility: feasibility,
-      technicalSpecs: technicalSpecs,
-      message: 'Analysis complete'
+      sessionId: req.params.id,
+      entries: entries
     });
-    console.log('📤 Response sent successfully');
 
   } catch (error) {
-    console.error('Error analyzing feasibility:', error);
+    console.error('Error reading audit log:', error);
     res.status(500).json({ 
       success: false, 
-      message: error.message || 'Failed to analyze feasibility' 
+      message: error.message || 'Failed to read audit log' 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit/verify
+ * 감사 로그 해시 체인 검증
+ */
+app.get('/api/admin/audit/verify', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...await auditLog.verify()
+    });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to verify audit log' 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/retention
+ * 보존 정책과 마지막 정리 결과 조회
+ */
+app.get('/api/admin/retention', requireRole('admin'), (req, res) => {
+  res.json({
+    success: true,
+    policy: retentionPolicy,
+    sweepIntervalMinutes: retentionSweepMinutes > 0 ? retentionSweepMinutes : null,
+    lastReport: retentionSweeper.lastReport()
+  });
+});
+
+/**
+ * POST /api/admin/retention/sweep
+ * 보존 기간이 지난 파일 즉시 정리
+ * 본문: dryRun(선택, true 이면 삭제하지 않고 대상만 보고)
+ */
+app.post('/api/admin/retention/sweep', requireRole('admin'), async (req, res) => {
+  try {
+    const report = await retentionSweeper.sweep({ dryRun: req.body?.dryRun === true });
+
+    console.log(`🧹 Retention sweep${report.dryRun ? ' (dry run)' : ''}: ${report.removed.length} files, ${report.sessionsUpdated.length} sessions`);
+
+    res.json({
+      success: true,
+      report: report
+    });
+  } catch (error) {
+    console.error('Error running retention sweep:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to run retention sweep' 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/usage
+ * AI 모델 사용량 조회 (과금용)
+ * 쿼리: salonId, from/to(YYYY-MM-DD, 포함), groupBy(day | month, 기본 month), entries=true(개별 호출 포함)
+ */
+app.get('/api/admin/usage', requireRole('admin'), async (req, res) => {
+  try {
+    const { salonId, from, to } = req.query;
+    const groupBy = req.query.groupBy || 'month';
+
+    if (!['day', 'month'].includes(groupBy)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'groupBy must be day or month' 
+      });
+    }
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'from and to must be YYYY-MM-DD dates' 
+      });
+    }
+
+    const entries = await usageLedger.list({ salonId, from, to });
+    const summary = usageLedger.summarize(entries, { groupBy });
+    const salonIds = salonId ? [salonId] : [...new Set([...tenantRegistry.salons.keys(), ...entries.map((entry) => entry.salonId)])];
+
+    res.json({
+      success: true,
+      timeZone: usageLedger.timeZone,
+      groupBy: groupBy,
+      totals: {
+        calls: entries.length,
+        errors: entries.filter((entry) => entry.outcome !== 'success').length,
+        imageBytes: entries.reduce((total, entry) => total + (entry.imageBytes || 0), 0)
+      },
+      summary: summary,
+      quotas: salonIds.filter(Boolean).map((id) => quotaEnforcer.status(id)),
+      entries: req.query.entries === 'true' ? entries : undefined
+    });
+  } catch (error) {
+    console.error('Error reading usage ledger:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Failed to read usage ledger' 
     });
   }
 });
 
 // ----------------------------------------------------
-// 6. 서버 시작
+// 7. 서버 시작
 // ----------------------------------------------------
 app.listen(PORT, () => {
   console.log(`✨ 백엔드 서버가 http://localhost:${PORT} 에서 실행 중입니다.`);
-  console.log(`API Key 보안 상태: OK (환경 변수 사용)`);
+  console.log(`AI 제공자: ${aiProvider.name} (${aiProvider.textModelName}, ${aiProvider.imageModelName})`);
+  console.log(`파일 저장소: ${fileStorage.name} (공개 주소: ${PUBLIC_BASE_URL})`);
+  console.log(`머리카락 분할: ${maskService ? `${maskService.runner}${preserveFacePixels ? ' (얼굴 픽셀 보존 합성)' : ''}` : '꺼짐'}`);
+  console.log(`본인 확인: ${identityChecker ? `${identityChecker.mode} (${identityChecker.method}, 기준 ${identityChecker.threshold}${identityChecker.maxRetries ? `, 최대 ${identityChecker.maxRetries}회 재생성` : ''})` : '꺼짐'}`);
+  if (!reportRenderer.fontFile) {
+    console.warn('⚠️ REPORT_FONT_FILE 이 없어 한국어 PDF 리포트를 만들 수 없습니다 (한글 TTF 글꼴 필요, 영어 리포트는 기본 글꼴로 생성).');
+  }
   console.log(`\n사용 가능한 엔드포인트:`);
   console.log(`  POST /api/upload/customer - 고객 정보 및 사진 업로드`);
   console.log(`  POST /api/upload/style - 스타일 사진 업로드`);
   console.log(`  POST /api/generate/style - AI 스타일 이미지 생성`);
+  console.log(`  POST /api/generate/refine - 생성 결과 수정 (새 버전)`);
+  console.log(`  POST /api/generate/color - 헤어 컬러 시뮬레이션 (팔레트 컬러별 이미지)`);
   console.log(`  POST /api/analyze/feasibility - 실현 가능성 분석`);
   console.log(`  POST /api/analyze/style-changes - 스타일 변경사항 분석`);
+  console.log(`  POST /api/generate/batch - 스타일 사진 일괄 생성`);
+  console.log(`  POST /api/jobs/generate - 비동기 스타일 이미지 생성`);
+  console.log(`  POST /api/jobs/generate-batch - 비동기 일괄 생성`);
+  console.log(`  GET /api/jobs/:id - 작업 상태 조회`);
+  console.log(`  GET /api/jobs/:id/events - 작업 상태 SSE 스트림`);
+  console.log(`  GET/POST /api/services, GET/PUT/DELETE /api/services/:id - 시술 메뉴 관리`);
+  console.log(`  POST /api/services/estimate - 예상 비용 계산`);
+  console.log(`  GET/POST /api/palette, PUT/DELETE /api/palette/:id - 살롱 컬러 팔레트 관리`);
+  console.log(`  GET /api/sessions - 세션 목록 조회`);
+  console.log(`  GET /api/sessions/:id - 세션 조회`);
+  console.log(`  GET /api/sessions/:id/technical-specs - 시술 명세서 조회`);
+  console.log(`  PUT /api/sessions/:id/technical-specs - 시술 명세서 수정`);
+  console.log(`  POST /api/sessions/:id/consent/withdraw - 고객 동의 철회`);
+  console.log(`  GET /api/sessions/:id/versions - 생성 이미지 버전 트리`);
+  console.log(`  POST /api/sessions/:id/versions/:imageId/revert - 활성 버전 되돌리기`);
+  console.log(`  GET /api/sessions/:id/report.pdf - 상담 리포트 PDF (lang=ko|en)`);
+  console.log(`  POST /api/sessions/:id/comparisons - 전/후 비교, 격자, 슬라이더 이미지 생성`);
+  console.log(`  GET /api/sessions/:id/masks - 머리카락/얼굴 마스크와 측정값`);
+  console.log(`  DELETE /api/sessions/:id - 세션 및 파일 삭제`);
+  console.log(`  GET /api/sessions/:id/audit - 세션 감사 로그 조회`);
+  console.log(`  GET /api/admin/audit/verify - 감사 로그 검증`);
+  console.log(`  GET /api/admin/retention - 보존 정책 및 마지막 정리 결과`);
+  console.log(`  POST /api/admin/retention/sweep - 보존 기간이 지난 파일 정리`);
+  console.log(`  GET /api/admin/usage - AI 모델 사용량 및 쿼터 조회`);
 });
@@ -0,0 +1,79 @@
+// server/test/auditLog.test.js
+
+// 추가 전용 감사 로그: 해시 체인 기록과 검증, 불완전한 마지막 줄 복구
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog } = require('../lib/auditLog');
+
+let directory;
+let filePath;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  filePath = path.join(directory, 'nested', 'audit.log');
+});
+
+afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const readLines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+
+test('chains each entry to the previous hash in write order', async () => {
+  const auditLog = new AuditLog({ filePath });
+  const [first, second] = await Promise.all([
+    auditLog.record({ sessionId: 's1', action: 'upload' }),
+    auditLog.record({ sessionId: 's2', action: 'generate' })
+  ]);
+
+  assert.equal(first.prevHash, '0'.repeat(64));
+  assert.equal(second.prevHash, first.hash);
+  assert.deepEqual((await auditLog.list({ sessionId: 's2' })).map((entry) => entry.action), ['generate']);
+  assert.deepEqual(await auditLog.verify(), { valid: true, entries: 2, brokenAt: null });
+});
+
+test('continues the chain from an existing file', async () => {
+  const last = await new AuditLog({ filePath }).record({ sessionId: 's1', action: 'upload' });
+  const next = await new AuditLog({ filePath }).record({ sessionId: 's1', action: 'delete' });
+  assert.equal(next.prevHash, last.hash);
+  assert.equal((await new AuditLog({ filePath }).verify()).valid, true);
+});
+
+test('verify reports the first modified entry', async () => {
+  const auditLog = new AuditLog({ filePath });
+  await auditLog.record({ sessionId: 's1', action: 'upload' });
+  const tampered = await auditLog.record({ sessionId: 's1', action: 'generate' });
+  await auditLog.record({ sessionId: 's1', action: 'delete' });
+
+  const lines = readLines();
+  lines[1] = lines[1].replace('"generate"', '"analyze"');
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+
+  assert.deepEqual(await auditLog.verify(), { valid: false, entries: 3, brokenAt: tampered.id });
+});
+
+test('truncates an incomplete last line and resumes from the last complete entry', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const complete = await new AuditLog({ filePath }).record({ sessionId: 's1', action: 'upload' });
+  fs.appendFileSync(filePath, '{"id":"partial","action":"gen');
+
+  const auditLog = new AuditLog({ filePath });
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /Incomplete audit log entry truncated/);
+  assert.equal(readLines().length, 1);
+
+  const next = await auditLog.record({ sessionId: 's1', action: 'generate' });
+  assert.equal(next.prevHash, complete.hash);
+  assert.deepEqual(await auditLog.verify(), { valid: true, entries: 2, brokenAt: null });
+});
+
+test('an incomplete first line starts a new chain', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, '{"id":"partial"');
+
+  const entry = await new AuditLog({ filePath }).record({ sessionId: 's1', action: 'upload' });
+  assert.equal(entry.prevHash, '0'.repeat(64));
+  assert.equal((await new AuditLog({ filePath }).verify()).valid, true);
+});
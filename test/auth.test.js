@@ -0,0 +1,86 @@
+// server/test/auth.test.js
+
+// JWT 검증과 인증 설정 확인
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifyJwt, createAuthenticator, canAccessSession, canAccessStorageKey, AuthError } = require('../lib/auth');
+const { TenantRegistry, hashApiKey } = require('../lib/tenants');
+
+const SECRET = 'test-secret';
+const now = Date.now();
+const seconds = Math.floor(now / 1000);
+
+const sign = (claims, { secret = SECRET, alg = 'HS256' } = {}) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+};
+
+const rejects = (fn, pattern) => assert.throws(fn, (error) => error instanceof AuthError && pattern.test(error.message));
+
+describe('verifyJwt', () => {
+  test('accepts a signed token with a future exp', () => {
+    const claims = verifyJwt(sign({ sub: 'kim', exp: seconds + 60 }), SECRET, now);
+    assert.equal(claims.sub, 'kim');
+  });
+
+  test('rejects tokens without exp, expired or not yet valid', () => {
+    rejects(() => verifyJwt(sign({ sub: 'kim' }), SECRET, now), /no expiry/);
+    rejects(() => verifyJwt(sign({ sub: 'kim', exp: seconds }), SECRET, now), /expired/);
+    rejects(() => verifyJwt(sign({ sub: 'kim', exp: seconds + 60, nbf: seconds + 30 }), SECRET, now), /not yet valid/);
+  });
+
+  test('rejects bad signatures and other algorithms', () => {
+    rejects(() => verifyJwt(sign({ exp: seconds + 60 }, { secret: 'other' }), SECRET, now), /signature/);
+    rejects(() => verifyJwt(sign({ exp: seconds + 60 }, { alg: 'none' }), SECRET, now), /algorithm/);
+    rejects(() => verifyJwt('a.b.c', SECRET, now), /Malformed/);
+  });
+});
+
+describe('createAuthenticator', () => {
+  test('fails fast when required auth has no API keys and no JWT secret', () => {
+    assert.throws(() => createAuthenticator({ registry: new TenantRegistry() }), /AUTH_MODE=required/);
+    assert.throws(() => createAuthenticator({ registry: new TenantRegistry(), mode: 'optional' }), /AUTH_MODE must be one of/);
+    assert.equal(typeof createAuthenticator({ registry: new TenantRegistry(), jwtSecret: SECRET }), 'function');
+    assert.equal(typeof createAuthenticator({ registry: new TenantRegistry(), mode: 'off' }), 'function');
+  });
+
+  test('authenticates API keys', () => {
+    const registry = new TenantRegistry({
+      salons: [{ id: 'gangnam', apiKeys: [{ id: 'desk', keyHash: hashApiKey('desk-key'), role: 'manager' }] }]
+    });
+    const authenticate = createAuthenticator({ registry });
+    const call = (headers) => {
+      const req = { auth: null, get: (name) => headers[name.toLowerCase()] };
+      const res = { statusCode: null, status(code) { this.statusCode = code; return this; }, json() { return this; } };
+      let passed = false;
+      authenticate(req, res, () => { passed = true; });
+      return { req, res, passed };
+    };
+
+    const accepted = call({ 'x-api-key': 'desk-key' });
+    assert.equal(accepted.passed, true);
+    assert.deepEqual([accepted.req.auth.salonId, accepted.req.auth.role], ['gangnam', 'manager']);
+    assert.equal(call({ 'x-api-key': 'wrong' }).res.statusCode, 401);
+    assert.equal(call({}).res.statusCode, 401);
+  });
+});
+
+test('canAccessStorageKey limits files to the caller salon', () => {
+  const manager = { role: 'manager', salonId: 'gangnam' };
+  assert.equal(canAccessStorageKey(manager, 'gangnam/front-1.jpg'), true);
+  assert.equal(canAccessStorageKey(manager, 'hongdae/front-1.jpg'), false);
+  assert.equal(canAccessStorageKey({ role: 'manager', salonId: 'default' }, 'front-legacy.jpg'), true);
+  assert.equal(canAccessStorageKey({ role: 'admin', salonId: null }, 'hongdae/front-1.jpg'), true);
+});
+
+test('canAccessSession scopes managers to the salon and stylists to their own sessions', () => {
+  const session = { salonId: 'gangnam', stylistId: 'kim' };
+  assert.equal(canAccessSession({ role: 'manager', salonId: 'gangnam' }, session), true);
+  assert.equal(canAccessSession({ role: 'stylist', salonId: 'gangnam', stylistId: 'kim' }, session), true);
+  assert.equal(canAccessSession({ role: 'stylist', salonId: 'gangnam', stylistId: 'lee' }, session), false);
+  assert.equal(canAccessSession({ role: 'manager', salonId: 'hongdae' }, session), false);
+  assert.equal(canAccessSession({ role: 'manager', salonId: 'default' }, {}), true, 'sessions without a salon belong to the default salon');
+  assert.equal(canAccessSession({ role: 'admin', salonId: null }, session), true);
+});
@@ -0,0 +1,56 @@
+// server/test/colorPalette.test.js
+
+// 살롱별 컬러 팔레트: 기본 팔레트 사용, 첫 수정 시 복사, 항목 검증과 파일 저장
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ColorPalette } = require('../lib/colorPalette');
+
+const seedPath = path.join(__dirname, '..', 'config', 'palette.default.json');
+const defaults = JSON.parse(fs.readFileSync(seedPath, 'utf8'));
+
+let directory;
+let filePath;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'color-palette-'));
+  filePath = path.join(directory, 'palettes.json');
+});
+
+afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('salons use the default palette until they change it', () => {
+  const palette = new ColorPalette({ filePath, seedPath });
+  assert.equal(palette.isDefault('gangnam'), true);
+  assert.equal(palette.list('gangnam').length, defaults.length);
+  assert.equal(palette.get('gangnam', 'wella-koleston-5-5').code, '5/5');
+  assert.equal(fs.existsSync(filePath), false);
+
+  const { shade } = palette.update('gangnam', 'wella-koleston-5-5', { active: false });
+  assert.equal(shade.active, false);
+  assert.equal(palette.isDefault('gangnam'), false);
+  assert.equal(palette.list('gangnam', { includeInactive: false }).length, defaults.length - 1);
+  assert.equal(palette.get('hongdae', 'wella-koleston-5-5').active, true, 'other salons keep the default palette');
+});
+
+test('validates shades and persists salon palettes', () => {
+  const palette = new ColorPalette({ filePath, seedPath });
+  const created = palette.create('gangnam', { id: 'custom-8', brand: 'Salon', code: '8', name: '베이지', hex: '#c8a882', level: 8 });
+  assert.deepEqual(created.errors, []);
+  assert.equal(created.shade.hex, '#C8A882');
+  assert.equal(created.shade.active, true);
+
+  assert.match(palette.create('gangnam', { id: 'custom-8', brand: 'Salon', code: '8', name: '베이지', hex: '#C8A882', level: 8 }).errors[0], /already exists/);
+  assert.ok(palette.create('gangnam', { brand: 'Salon', code: '11', name: '너무 밝음', hex: '#FFFFFF', level: 11 }).errors.length > 0);
+  assert.ok(palette.create('gangnam', { brand: 'Salon', code: 'x', name: '색상 오류', hex: 'beige', level: 5 }).errors.includes('$.hex: expected #RRGGBB'));
+  assert.equal(palette.update('gangnam', 'missing', { level: 5 }), null);
+  assert.equal(palette.remove('gangnam', 'loreal-majirel-4-0'), true);
+  assert.equal(palette.remove('gangnam', 'loreal-majirel-4-0'), false);
+
+  const reloaded = new ColorPalette({ filePath, seedPath });
+  assert.equal(reloaded.get('gangnam', 'custom-8').name, '베이지');
+  assert.equal(reloaded.get('gangnam', 'loreal-majirel-4-0'), null);
+  assert.equal(reloaded.isDefault('hongdae'), true);
+});
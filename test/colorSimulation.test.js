@@ -0,0 +1,111 @@
+// server/test/colorSimulation.test.js
+
+// 컬러 시뮬레이션: 리프트/시술 이력 경고와 모의 제공자로 컬러별 이미지 생성
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createColorSimulator, assessShade } = require('../lib/colorSimulation');
+const { createMockProvider } = require('../lib/providers/mock');
+const { MemorySessionStore } = require('../lib/sessionStore');
+const { createLocalStorage } = require('../lib/storage/local');
+
+const shade = (level, id = `shade-${level}`) => ({ id, brand: 'Salon', code: String(level), name: `${level}레벨`, hex: '#806040', level });
+const codes = (assessment) => assessment.warnings.map((warning) => warning.code);
+
+describe('assessShade', () => {
+  test('tint lifts up to three levels and bleach beyond that', () => {
+    const tint = assessShade({ shade: shade(7), currentLevel: 4 });
+    assert.deepEqual([tint.lift, tint.achievability, codes(tint)], [3, 'achievable', []]);
+
+    const bleach = assessShade({ shade: shade(10), currentLevel: 2 });
+    assert.equal(bleach.achievability, 'needs-bleach');
+    const [warning] = bleach.warnings;
+    assert.equal(warning.code, 'bleach-required');
+    assert.match(warning.messageEn, /Lifting 8 levels requires bleach \(2 or more sessions recommended\)/);
+  });
+
+  test('assumes a level when the current level is missing', () => {
+    const result = assessShade({ shade: shade(5) });
+    assert.deepEqual([result.currentLevel, result.assumedLevel], [4, true]);
+    assert.deepEqual(codes(result), ['assumed-level']);
+  });
+
+  test('flags chemical history that makes a shade unsafe', () => {
+    const henna = assessShade({ shade: shade(6), currentLevel: 4, hairCondition: { chemicalHistory: { henna: true } } });
+    assert.deepEqual([henna.achievability, codes(henna)], ['not-recommended', ['henna-lift']]);
+
+    const rebleach = assessShade({ shade: shade(10), currentLevel: 5, hairCondition: { chemicalHistory: { bleach: '3회', relaxer: true } } });
+    assert.equal(rebleach.achievability, 'not-recommended');
+    assert.deepEqual(codes(rebleach), ['relaxer-bleach', 'rebleach-breakage', 'bleach-required']);
+
+    const dark = assessShade({ shade: shade(3), currentLevel: 8, technique: 'balayage', hairCondition: { chemicalHistory: { bleach: 1 } } });
+    assert.deepEqual([dark.achievability, codes(dark)], ['achievable', ['porous-fade', 'low-contrast']]);
+  });
+});
+
+describe('createColorSimulator', () => {
+  let directory;
+  let sessionStore;
+  let images;
+
+  const createSimulator = (aiProvider = createMockProvider()) => createColorSimulator({
+    aiProvider,
+    sessionStore,
+    getImageBuffer: async (url) => images[url] || null,
+    storage: createLocalStorage({ directory, publicBaseUrl: 'http://localhost:3000' })
+  });
+
+  beforeEach(async (t) => {
+    // 컬러별 진행 로그는 출력하지 않음
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'color-simulation-'));
+    sessionStore = new MemorySessionStore();
+    images = {
+      '/uploads/gangnam/front.jpg': await sharp({ create: { width: 120, height: 160, channels: 3, background: '#204080' } }).jpeg().toBuffer()
+    };
+    await sessionStore.set('s1', { salonId: 'gangnam', customerPhotoUrls: { front: '/uploads/gangnam/front.jpg' } });
+  });
+
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('generates an image per shade and records it on the session', async () => {
+    const progress = [];
+    const result = await createSimulator().simulate(
+      { sessionId: 's1', shades: [shade(6, 'a'), shade(9, 'b')], technique: 'highlights', currentLevel: 5 },
+      { onProgress: (update) => progress.push(update) }
+    );
+
+    assert.deepEqual(result.results.map((item) => [item.shadeId, item.imageGenerated, item.assessment.achievability]), [
+      ['a', true, 'achievable'],
+      ['b', true, 'needs-bleach']
+    ]);
+    assert.ok(result.results.every((item) => fs.existsSync(path.join(directory, 'gangnam', path.basename(item.imageUrl)))));
+    assert.deepEqual(progress.map((update) => update.completed), [1, 2]);
+    const session = await sessionStore.get('s1');
+    assert.deepEqual(session.colorSimulations.map((item) => item.shadeId), ['a', 'b']);
+  });
+
+  test('keeps going when a shade fails and reports missing photos', async () => {
+    const mock = createMockProvider();
+    let calls = 0;
+    const flakyProvider = {
+      ...mock,
+      generateImage: async (request) => {
+        calls += 1;
+        if (calls === 1) throw new Error('model unavailable');
+        return mock.generateImage(request);
+      }
+    };
+    const result = await createSimulator(flakyProvider).simulate({ sessionId: 's1', shades: [shade(5, 'a'), shade(6, 'b')] });
+    assert.deepEqual(result.results.map((item) => item.imageGenerated), [false, true]);
+    assert.match(result.results[0].error, /model unavailable/);
+    assert.deepEqual((await sessionStore.get('s1')).colorSimulations.map((item) => item.shadeId), ['b']);
+
+    await assert.rejects(createSimulator().simulate({ sessionId: 's1', shades: [shade(5)], angle: 'side' }), { status: 400 });
+    await assert.rejects(createSimulator().simulate({ sessionId: 'missing', shades: [shade(5)] }), { status: 404 });
+  });
+});
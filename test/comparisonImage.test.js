@@ -0,0 +1,78 @@
+// server/test/comparisonImage.test.js
+
+// 비교 이미지: 전/후, 격자, 슬라이더 애니메이션의 크기·형식과 워터마크
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { renderBeforeAfter, renderGrid, renderSlider } = require('../lib/comparisonImage');
+
+const solidImage = (color, width = 90, height = 120) => sharp({
+  create: { width, height, channels: 3, background: color }
+}).jpeg().toBuffer();
+
+// (x, y) 픽셀의 RGB
+const pixelAt = async (buffer, x, y) => {
+  const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return [...data.subarray(offset, offset + 3)];
+};
+
+// 채널별 허용 오차 안에서 같은 색인지 (JPEG 손실 압축)
+const assertColor = (actual, expected, tolerance = 12) => {
+  assert.ok(actual.every((value, index) => Math.abs(value - expected[index]) <= tolerance), `${actual} ≈ ${expected}`);
+};
+
+let red;
+let blue;
+
+before(async () => {
+  red = await solidImage('#ff0000');
+  blue = await solidImage('#0000ff');
+});
+
+describe('renderBeforeAfter', () => {
+  test('places before on the left and after on the right', async () => {
+    const result = await renderBeforeAfter({ before: red, after: blue, height: 200, labels: null });
+    assert.deepEqual([result.width, result.height, result.mimeType, result.ext], [308, 200, 'image/jpeg', 'jpg']);
+    const metadata = await sharp(result.buffer).metadata();
+    assert.deepEqual([metadata.format, metadata.width, metadata.height], ['jpeg', 308, 200]);
+    assertColor(await pixelAt(result.buffer, 75, 150), [255, 0, 0]);
+    assertColor(await pixelAt(result.buffer, 233, 150), [0, 0, 255]);
+  });
+
+  test('draws a logo watermark in the bottom right corner', async () => {
+    const logo = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#00ff00' } }).png().toBuffer();
+    const plain = await renderBeforeAfter({ before: red, after: red, height: 200, labels: null });
+    const marked = await renderBeforeAfter({ before: red, after: red, height: 200, labels: null, logo });
+    assertColor(await pixelAt(plain.buffer, 290, 190), [255, 0, 0]);
+    const [r, g] = await pixelAt(marked.buffer, 290, 190);
+    assert.ok(g > 100 && r < 200, 'logo blended over the after image');
+  });
+});
+
+describe('renderGrid', () => {
+  test('lays images out in rows of up to three columns', async () => {
+    const result = await renderGrid({ images: [red, blue, red, blue], cellHeight: 100 });
+    assert.deepEqual([result.width, result.height], [3 * 75 + 2 * 8, 2 * 100 + 8]);
+    assertColor(await pixelAt(result.buffer, 37, 50), [255, 0, 0]);
+    assertColor(await pixelAt(result.buffer, 75 + 8 + 37, 50), [0, 0, 255]);
+    assertColor(await pixelAt(result.buffer, 75 + 8 + 37, 150), [255, 255, 255]);
+  });
+
+  test('rejects an empty grid', async () => {
+    await assert.rejects(renderGrid({ images: [] }), /at least one image/);
+  });
+});
+
+describe('renderSlider', () => {
+  test('renders an animated WebP or GIF with the requested frames', async () => {
+    for (const format of ['webp', 'gif']) {
+      const result = await renderSlider({ before: red, after: blue, format, height: 80, frames: 4, frameDelayMs: 50 });
+      const metadata = await sharp(result.buffer, { animated: true }).metadata();
+      assert.equal(metadata.format, format);
+      assert.equal(metadata.pages, 4);
+      assert.equal(metadata.width, 60);
+      assert.equal(result.mimeType, `image/${format}`);
+    }
+  });
+});
@@ -0,0 +1,37 @@
+// server/test/consent.test.js
+
+// 고객 사진 처리 동의 검증과 목적별 동의 확인
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONSENT_PURPOSES, parseConsent, hasConsent } = require('../lib/consent');
+
+test('parseConsent records the purposes, policy version and time', () => {
+  const { consent, error } = parseConsent({ purposes: ['storage', 'analysis', 'storage'], policyVersion: '2026-01' });
+  assert.equal(error, undefined);
+  assert.deepEqual(consent.purposes, ['storage', 'analysis']);
+  assert.equal(consent.policyVersion, '2026-01');
+  assert.ok(!Number.isNaN(Date.parse(consent.consentedAt)));
+});
+
+test('parseConsent rejects missing or malformed consent', () => {
+  assert.match(parseConsent(undefined).error, /consent is required/);
+  assert.match(parseConsent(['storage']).error, /consent is required/);
+  assert.match(parseConsent({ purposes: [], policyVersion: '2026-01' }).error, /non-empty array/);
+  assert.match(parseConsent({ purposes: ['marketing'], policyVersion: '2026-01' }).error, /Unknown consent purposes: marketing/);
+  assert.match(parseConsent({ purposes: ['storage'] }).error, /policyVersion is required/);
+});
+
+test('parseConsent requires the current policy version when configured', () => {
+  const input = { purposes: ['storage'], policyVersion: '2025-06' };
+  assert.match(parseConsent(input, { currentPolicyVersion: '2026-01' }).error, /current policy version \(2026-01\)/);
+  assert.ok(parseConsent(input).consent);
+});
+
+test('hasConsent checks the purpose and ignores withdrawn consent', () => {
+  const consent = { purposes: [CONSENT_PURPOSES.storage, CONSENT_PURPOSES.analysis], policyVersion: '2026-01' };
+  assert.equal(hasConsent({ consent }, CONSENT_PURPOSES.analysis), true);
+  assert.equal(hasConsent({ consent }, CONSENT_PURPOSES.aiGeneration), false);
+  assert.equal(hasConsent({ consent: { ...consent, withdrawnAt: new Date().toISOString() } }, CONSENT_PURPOSES.analysis), false);
+  assert.equal(hasConsent({}, CONSENT_PURPOSES.storage), false);
+  assert.equal(hasConsent(null, CONSENT_PURPOSES.storage), false);
+});
@@ -0,0 +1,64 @@
+// server/test/fileTokens.test.js
+
+// /uploads 파일 URL 토큰 서명/검증과 URL 토큰 제거
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFileTokenSigner, stripToken, mapStrings } = require('../lib/storage/fileTokens');
+
+const KEY = 'gangnam/front-1.jpg';
+const URL_ = `https://api.example.com/uploads/${KEY}`;
+const now = Date.UTC(2026, 0, 10, 9, 0, 0);
+
+// 서명된 URL 의 토큰 쿼리
+const tokenOf = (url) => Object.fromEntries(new URL(url).searchParams);
+
+describe('createFileTokenSigner', () => {
+  const signer = createFileTokenSigner({ secret: 'test-secret', ttlSeconds: 60 });
+
+  test('signed URLs verify for the same key until they expire', () => {
+    const signed = signer.sign(URL_, KEY, now);
+    const token = tokenOf(signed);
+    assert.equal(token.exp, String(now / 1000 + 60));
+    assert.equal(signer.verify(KEY, token, now), true);
+    assert.equal(signer.verify(KEY, token, now + 59 * 1000), true);
+    assert.equal(signer.verify(KEY, token, now + 60 * 1000), false, 'expired');
+  });
+
+  test('rejects tokens for other keys, tampered expiry or another secret', () => {
+    const token = tokenOf(signer.sign(URL_, KEY, now));
+    assert.equal(signer.verify('gangnam/front-2.jpg', token, now), false);
+    assert.equal(signer.verify(KEY, { ...token, exp: String(Number(token.exp) + 3600) }, now), false);
+    assert.equal(signer.verify(KEY, { ...token, exp: `${token.exp}.5` }, now), false);
+    assert.equal(signer.verify(KEY, { exp: token.exp }, now), false);
+    assert.equal(signer.verify(KEY, {}, now), false);
+    const other = createFileTokenSigner({ secret: 'other-secret' });
+    assert.equal(other.verify(KEY, token, now), false);
+  });
+
+  test('replaces an existing token and keeps other query parameters', () => {
+    const signed = signer.sign(`${URL_}?v=2`, KEY, now);
+    const resigned = signer.sign(signed, KEY, now + 1000);
+    assert.equal(new URL(resigned).searchParams.get('v'), '2');
+    assert.equal(new URL(resigned).searchParams.getAll('sig').length, 1);
+    assert.equal(tokenOf(resigned).exp, String(now / 1000 + 61));
+  });
+
+  test('validates its options', () => {
+    assert.throws(() => createFileTokenSigner({ secret: '' }), /secret is required/);
+    assert.throws(() => createFileTokenSigner({ secret: 's', ttlSeconds: 0 }), /TTL must be a positive number/);
+    assert.throws(() => createFileTokenSigner({ secret: 's', ttlSeconds: NaN }), /TTL must be a positive number/);
+  });
+});
+
+test('stripToken removes only exp and sig', () => {
+  assert.equal(stripToken(`${URL_}?exp=1&sig=abc`), URL_);
+  assert.equal(stripToken(`${URL_}?v=2&exp=1&sig=abc`), `${URL_}?v=2`);
+  assert.equal(stripToken(URL_), URL_);
+});
+
+test('mapStrings maps strings in plain objects and arrays only', () => {
+  const date = new Date(now);
+  const mapped = mapStrings({ a: 'x', list: ['y', 1, null, { b: 'z' }], date }, (value) => value.toUpperCase());
+  assert.deepEqual(mapped, { a: 'X', list: ['Y', 1, null, { b: 'Z' }], date });
+  assert.equal(mapped.date, date);
+});
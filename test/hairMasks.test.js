@@ -0,0 +1,111 @@
+// server/test/hairMasks.test.js
+
+// 머리카락/얼굴 마스크: 모의 분할기로 마스크 캐시, 비율 측정, 얼굴 픽셀을 유지하는 합성
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createMaskService, measureMasks } = require('../lib/hairMasks');
+const { createMockRunner } = require('../lib/segmentation/mock');
+const { createSegmentationRunner } = require('../lib/segmentation');
+const { createLocalStorage } = require('../lib/storage/local');
+
+const solidImage = (color, width = 120, height = 160) => sharp({
+  create: { width, height, channels: 3, background: color }
+}).jpeg({ quality: 95 }).toBuffer();
+
+// 사각형 영역만 흰색인 마스크 PNG
+const boxMask = ({ left, top, width, height }, size = 256) => {
+  const pixels = Buffer.alloc(size * size);
+  for (let y = top; y < top + height; y++) pixels.fill(255, y * size + left, y * size + left + width);
+  return sharp(pixels, { raw: { width: size, height: size, channels: 1 } }).png().toBuffer();
+};
+
+// (x, y) 픽셀의 RGB
+const pixelAt = async (buffer, x, y) => {
+  const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return [...data.subarray(offset, offset + 3)];
+};
+
+test('measureMasks reports hair length, volume and width relative to the face', async () => {
+  const metrics = await measureMasks({
+    hairMask: await boxMask({ left: 64, top: 32, width: 128, height: 192 }),
+    faceMask: await boxMask({ left: 96, top: 96, width: 64, height: 64 })
+  });
+  assert.equal(metrics.faceFound, true);
+  assert.equal(metrics.hairAreaRatio, 0.375);
+  assert.deepEqual(metrics.faceBox, { left: 0.375, top: 0.375, width: 0.25, height: 0.25 });
+  assert.equal(metrics.hairTopAboveFace, 1);
+  assert.equal(metrics.hairBelowChin, 1);
+  assert.equal(metrics.hairWidthToFace, 2);
+
+  const noFace = await measureMasks({
+    hairMask: await boxMask({ left: 0, top: 0, width: 128, height: 128 }),
+    faceMask: await boxMask({ left: 0, top: 0, width: 1, height: 1 })
+  });
+  assert.deepEqual([noFace.faceFound, noFace.faceBox, noFace.hairBelowChin], [false, null, null]);
+});
+
+test('createSegmentationRunner is off by default and validates the ONNX settings', (t) => {
+  const env = { ...process.env };
+  t.after(() => { process.env = env; });
+  delete process.env.SEGMENTATION_RUNNER;
+  assert.equal(createSegmentationRunner({ baseDir: __dirname }), null);
+  process.env.SEGMENTATION_RUNNER = 'mock';
+  assert.equal(createSegmentationRunner({ baseDir: __dirname }).name, 'mock');
+  process.env.SEGMENTATION_RUNNER = 'onnx';
+  process.env.SEGMENTATION_INPUT_SIZE = '16';
+  assert.throws(() => createSegmentationRunner({ baseDir: __dirname }), /SEGMENTATION_INPUT_SIZE must be an integer >= 32/);
+  process.env.SEGMENTATION_RUNNER = 'sam';
+  assert.throws(() => createSegmentationRunner({ baseDir: __dirname }), /Unknown SEGMENTATION_RUNNER: sam/);
+});
+
+describe('createMaskService', () => {
+  let directory;
+  let maskService;
+
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hair-masks-'));
+    maskService = createMaskService({
+      runner: createMockRunner(),
+      storage: createLocalStorage({ directory, publicBaseUrl: 'http://localhost:3000' })
+    });
+  });
+
+  afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('stores masks at the photo size and reuses them', async () => {
+    const photo = await solidImage('#204080');
+    const first = await maskService.getMasks(photo, { keyPrefix: 'gangnam/' });
+    assert.equal(first.cached, false);
+    assert.equal(first.runner, 'mock-1');
+    assert.match(first.hairMaskUrl, /^http:\/\/localhost:3000\/uploads\/gangnam\/mask-[0-9a-f]{24}-mock-1-hair\.png$/);
+    const metadata = await sharp(first.hairMask).metadata();
+    assert.deepEqual([metadata.format, metadata.width, metadata.height], ['png', 120, 160]);
+    assert.equal(first.metrics.faceFound, true);
+
+    const second = await maskService.getMasks(photo, { keyPrefix: 'gangnam/' });
+    assert.equal(second.cached, true);
+    assert.equal(second.faceMaskUrl, first.faceMaskUrl);
+    assert.equal(fs.readdirSync(path.join(directory, 'gangnam')).length, 2);
+  });
+
+  test('compositeHair takes the hair from the result and keeps the original face', async () => {
+    const original = await solidImage('#ff0000');
+    const result = await maskService.compositeHair({ original, generated: await solidImage('#0000ff'), keyPrefix: 'gangnam/' });
+    assert.equal(result.applied, true);
+    assert.equal(result.faceIoU, 1);
+    const [faceR, , faceB] = await pixelAt(result.buffer, 60, 64);
+    assert.ok(faceR > 200 && faceB < 60, 'face pixels come from the original');
+    const [hairR, , hairB] = await pixelAt(result.buffer, 60, 20);
+    assert.ok(hairB > 200 && hairR < 60, 'hair pixels come from the result');
+
+    const mismatch = await maskService.compositeHair({ original, generated: await solidImage('#0000ff', 160, 120) });
+    assert.deepEqual([mismatch.applied, mismatch.reason, mismatch.buffer], [false, 'aspect-mismatch', undefined]);
+    assert.ok(mismatch.hairMaskUrl);
+  });
+});
@@ -0,0 +1,86 @@
+// server/test/identityCheck.test.js
+
+// 본인 확인: 설정 읽기와 모의 분할기 얼굴 영역의 SSIM 점수
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { loadIdentityCheckConfig, createIdentityChecker } = require('../lib/identityCheck');
+const { createMaskService } = require('../lib/hairMasks');
+const { createMockRunner } = require('../lib/segmentation/mock');
+
+const WIDTH = 120;
+const HEIGHT = 160;
+
+// seed 로 정해지는 무늬 사진 (같은 seed 면 같은 사진)
+const patternImage = (seed) => {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+  let state = seed;
+  for (let index = 0; index < WIDTH * HEIGHT; index++) {
+    if (index % 4 === 0) state = (state * 1103515245 + 12345) % 2147483648;
+    pixels.fill(state % 256, index * 3, index * 3 + 3);
+  }
+  return sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 3 } }).png().toBuffer();
+};
+
+describe('loadIdentityCheckConfig', () => {
+  test('is off by default and only retries in retry mode', () => {
+    assert.deepEqual(loadIdentityCheckConfig({}), { mode: 'off', threshold: 0.4, maxRetries: 0 });
+    assert.deepEqual(loadIdentityCheckConfig({ IDENTITY_CHECK: 'flag', IDENTITY_MAX_RETRIES: '3' }), { mode: 'flag', threshold: 0.4, maxRetries: 0 });
+    assert.deepEqual(loadIdentityCheckConfig({ IDENTITY_CHECK: 'RETRY', IDENTITY_THRESHOLD: '0.6', IDENTITY_MAX_RETRIES: '2' }), { mode: 'retry', threshold: 0.6, maxRetries: 2 });
+  });
+
+  test('rejects invalid settings', () => {
+    assert.throws(() => loadIdentityCheckConfig({ IDENTITY_CHECK: 'strict' }), /IDENTITY_CHECK must be one of off, flag, retry/);
+    assert.throws(() => loadIdentityCheckConfig({ IDENTITY_THRESHOLD: '1.5' }), /IDENTITY_THRESHOLD must be a number between 0 and 1/);
+    assert.throws(() => loadIdentityCheckConfig({ IDENTITY_CHECK: 'retry', IDENTITY_MAX_RETRIES: '-1' }), /IDENTITY_MAX_RETRIES must be a non-negative integer/);
+  });
+});
+
+describe('createIdentityChecker', () => {
+  const createChecker = (runner = createMockRunner()) => {
+    const maskService = createMaskService({ runner, storage: null });
+    const counting = {
+      segments: 0,
+      segment(buffer) {
+        this.segments++;
+        return maskService.segment(buffer);
+      }
+    };
+    return { counting, checker: createIdentityChecker({ maskService: counting, mode: 'flag', threshold: 0.4, maxRetries: 0 }) };
+  };
+
+  test('passes the same face and flags a different one', async () => {
+    const { counting, checker } = createChecker();
+    const original = await patternImage(1);
+
+    const same = await checker.check({ original, generated: await patternImage(1) });
+    assert.deepEqual(same, { method: 'masked-face-ssim', score: 1, threshold: 0.4, passed: true, reason: null });
+
+    const different = await checker.check({ original, generated: await patternImage(2) });
+    assert.equal(different.passed, false);
+    assert.equal(different.reason, 'low-similarity');
+    assert.ok(different.score < 0.4);
+    assert.equal(counting.segments, 3, 'the customer photo is segmented once');
+  });
+
+  test('skips photos without a face and fails results without one', async () => {
+    const original = await patternImage(1);
+    const faceless = {
+      name: 'faceless',
+      version: '1',
+      segment: async () => ({ width: 4, height: 4, hair: Buffer.alloc(16), face: Buffer.alloc(16) })
+    };
+    const skipped = await createChecker(faceless).checker.check({ original, generated: original });
+    assert.deepEqual([skipped.score, skipped.passed, skipped.reason], [null, null, 'no-face-in-photo']);
+
+    // 고객 사진에서는 얼굴을 찾고 생성 결과에서는 찾지 못하는 분할기
+    const mock = createMockRunner();
+    let calls = 0;
+    const lostFace = {
+      ...mock,
+      segment: async (buffer) => (calls++ === 0 ? mock.segment(buffer) : faceless.segment(buffer))
+    };
+    const failed = await createChecker(lostFace).checker.check({ original, generated: await patternImage(2) });
+    assert.deepEqual([failed.score, failed.passed, failed.reason], [0, false, 'no-face']);
+  });
+});
@@ -0,0 +1,75 @@
+// server/test/imagePipeline.test.js
+
+// 업로드 이미지 형식 판별(매직 바이트)과 정규화 (회전, 메타데이터 제거, 축소)
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { ImageValidationError, detectImageFormat, detectImageMime, normalizeImage } = require('../lib/imagePipeline');
+
+const createImage = (format, { width = 64, height = 48 } = {}) => sharp({
+  create: { width, height, channels: 3, background: '#808080' }
+}).toFormat(format).toBuffer();
+
+const rejectsWith = (promise, pattern) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof ImageValidationError);
+  assert.equal(error.status, 415);
+  assert.match(error.message, pattern);
+  return true;
+});
+
+describe('detectImageFormat', () => {
+  test('detects formats from the file content', async () => {
+    assert.equal(detectImageFormat(await createImage('jpeg')), 'jpeg');
+    assert.equal(detectImageFormat(await createImage('png')), 'png');
+    assert.equal(detectImageFormat(await createImage('webp')), 'webp');
+    const heicHeader = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic'), Buffer.alloc(8)]);
+    assert.equal(detectImageFormat(heicHeader), 'heic');
+  });
+
+  test('ignores misleading content and short buffers', () => {
+    assert.equal(detectImageFormat(Buffer.from('<html><body>not an image</body></html>')), null);
+    assert.equal(detectImageFormat(Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypisom'), Buffer.alloc(8)])), null);
+    assert.equal(detectImageFormat(Buffer.from([0xff, 0xd8, 0xff])), null);
+    assert.equal(detectImageFormat('ffd8ff'), null);
+  });
+
+  test('detectImageMime falls back for unknown content', async () => {
+    assert.equal(detectImageMime(await createImage('png')), 'image/png');
+    assert.equal(detectImageMime(Buffer.alloc(16)), 'image/jpeg');
+    assert.equal(detectImageMime(Buffer.alloc(16), null), null);
+  });
+});
+
+describe('normalizeImage', () => {
+  test('keeps the format and shrinks large images', async () => {
+    const result = await normalizeImage(await createImage('png', { width: 400, height: 200 }), { maxDimension: 100 });
+    assert.deepEqual([result.mimeType, result.ext, result.width, result.height, result.originalFormat], ['image/png', 'png', 100, 50, 'png']);
+    assert.equal(detectImageFormat(result.buffer), 'png');
+  });
+
+  test('does not enlarge small images', async () => {
+    const result = await normalizeImage(await createImage('jpeg'), { maxDimension: 100 });
+    assert.deepEqual([result.width, result.height], [64, 48]);
+  });
+
+  test('applies the EXIF orientation and strips metadata', async () => {
+    // 방향 6 (시계 방향 90도 회전) + GPS 를 포함한 EXIF
+    const input = await sharp({ create: { width: 64, height: 32, channels: 3, background: '#808080' } })
+      .withMetadata({ orientation: 6, exif: { IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '37/1 33/1 0/1' } } })
+      .jpeg()
+      .toBuffer();
+    assert.ok((await sharp(input).metadata()).exif);
+
+    const result = await normalizeImage(input);
+    const metadata = await sharp(result.buffer).metadata();
+    assert.deepEqual([metadata.width, metadata.height], [32, 64]);
+    assert.equal(metadata.exif, undefined);
+    assert.equal(metadata.orientation, undefined);
+  });
+
+  test('rejects non-images and corrupted images', async () => {
+    await rejectsWith(normalizeImage(Buffer.from('GIF89a............')), /Unsupported file type/);
+    const truncated = (await createImage('png')).subarray(0, 40);
+    await rejectsWith(normalizeImage(truncated), /Corrupted or unreadable PNG image/);
+  });
+});
@@ -0,0 +1,82 @@
+// server/test/jobQueue.test.js
+
+// 비동기 작업 큐 상태 전이
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../lib/jobQueue');
+
+// 작업이 끝날 때('done' 또는 'failed') 스냅샷으로 resolve
+const finished = (queue, id) => new Promise((resolve) => {
+  queue.on('update', (job) => {
+    if (job.id === id && queue.isTerminal(job)) resolve(job);
+  });
+});
+
+test('enqueue returns the queued snapshot even when the job starts immediately', async () => {
+  const queue = new JobQueue({ concurrency: 1 });
+  const job = queue.enqueue('test', { sessionId: 's1' }, async () => 'result');
+  assert.equal(job.status, 'queued');
+  const done = await finished(queue, job.id);
+  assert.equal(done.status, 'done');
+  assert.equal(done.result, 'result');
+});
+
+test('records the salon and stylist that own the job', async () => {
+  const queue = new JobQueue();
+  const job = queue.enqueue('test', { sessionId: 's1', salonId: 'gangnam', stylistId: 'kim' }, async () => 'result');
+  assert.deepEqual([job.salonId, job.stylistId], ['gangnam', 'kim']);
+  const other = queue.enqueue('test', {}, async () => 'result');
+  assert.deepEqual([other.salonId, other.stylistId], [null, null]);
+  await Promise.all([finished(queue, job.id), finished(queue, other.id)]);
+});
+
+test('a throwing handler fails the job and keeps error.result', async () => {
+  const queue = new JobQueue({ concurrency: 1 });
+  const job = queue.enqueue('test', { sessionId: 's1' }, async () => {
+    const error = new Error('no image generated');
+    error.result = { imageGenerated: false };
+    throw error;
+  });
+  const failed = await finished(queue, job.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'no image generated');
+  assert.deepEqual(failed.result, { imageGenerated: false });
+});
+
+test('runs at most concurrency jobs at once and reports progress stages', async () => {
+  const queue = new JobQueue({ concurrency: 1 });
+  const stages = [];
+  queue.on('update', (job) => stages.push(`${job.type}:${job.stage}`));
+
+  let releaseFirst;
+  const first = queue.enqueue('first', {}, (payload, reportProgress) => new Promise((resolve) => {
+    reportProgress('calling-model');
+    releaseFirst = resolve;
+  }));
+  const second = queue.enqueue('second', {}, async () => 'second');
+
+  assert.equal(queue.get(first.id).status, 'running');
+  assert.equal(queue.get(second.id).status, 'queued');
+
+  const secondDone = finished(queue, second.id);
+  releaseFirst('first');
+  await secondDone;
+  assert.deepEqual(stages, [
+    'first:queued',
+    'first:started',
+    'first:calling-model',
+    'second:queued',
+    'first:done',
+    'second:started',
+    'second:done'
+  ]);
+});
+
+test('get returns a copy and null for unknown jobs', async () => {
+  const queue = new JobQueue();
+  const job = queue.enqueue('test', {}, async () => 'result');
+  queue.get(job.id).status = 'tampered';
+  assert.notEqual(queue.get(job.id).status, 'tampered');
+  assert.equal(queue.get('missing'), null);
+  await finished(queue, job.id);
+});
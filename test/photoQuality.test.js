@@ -0,0 +1,109 @@
+// server/test/photoQuality.test.js
+
+// 고객 사진 품질 점검: 해상도, 흐림, 노출, 역광, 피부색 휴리스틱과 비전 모델 판정
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { checkPhotoQuality } = require('../lib/photoQuality');
+const { createMockProvider } = require('../lib/providers/mock');
+
+const SKIN = [224, 172, 140];
+const GREY = [120, 120, 120];
+
+/**
+ * 중앙(가로·세로 50%)과 테두리 색을 나눠 칠하고 ±noise 의 노이즈를 더한 JPEG
+ * (노이즈가 없으면 라플라시안 분산이 0 이라 흐린 사진으로 판정됨)
+ */
+const createPhoto = ({ size = 1000, center = SKIN, border = GREY, noise = 24 } = {}) => {
+  const data = Buffer.alloc(size * size * 3);
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const isCenter = x >= size / 4 && x < (size * 3) / 4 && y >= size / 4 && y < (size * 3) / 4;
+      const color = isCenter ? center : border;
+      for (let c = 0; c < 3; c++) {
+        const value = color[c] + Math.round((random() - 0.5) * 2 * noise);
+        data[(y * size + x) * 3 + c] = Math.max(0, Math.min(255, value));
+      }
+    }
+  }
+  return sharp(data, { raw: { width: size, height: size, channels: 3 } }).jpeg({ quality: 95 }).toBuffer();
+};
+
+const codes = (result) => result.warnings.map((warning) => `${warning.code}:${warning.severity}`);
+
+describe('heuristic checks', () => {
+  test('a sharp, well-lit front photo with a face passes', async () => {
+    const result = await checkPhotoQuality({ buffer: await createPhoto(), slot: 'front' });
+    assert.deepEqual(codes(result), []);
+    assert.equal(result.pass, true);
+    assert.equal(result.ai, null);
+    assert.ok(result.metrics.skinRatio > 0.5);
+  });
+
+  test('small flat images fail on resolution and blur', async () => {
+    const result = await checkPhotoQuality({ buffer: await createPhoto({ size: 300, center: GREY, noise: 0 }), slot: 'side' });
+    assert.deepEqual(codes(result), ['low-resolution:error', 'blurry:error']);
+    assert.equal(result.pass, false);
+  });
+
+  test('dark photos are underexposed', async () => {
+    const result = await checkPhotoQuality({ buffer: await createPhoto({ center: [20, 20, 20], border: [20, 20, 20] }), slot: 'side' });
+    assert.ok(codes(result).includes('underexposed:error'));
+  });
+
+  test('a bright background behind a dark subject is backlit', async () => {
+    const result = await checkPhotoQuality({ buffer: await createPhoto({ center: [70, 70, 70], border: [235, 235, 235], noise: 10 }), slot: 'side' });
+    assert.ok(codes(result).includes('backlit:warning'));
+  });
+
+  test('skin in the centre is expected on front photos and not on back photos', async () => {
+    const grey = await checkPhotoQuality({ buffer: await createPhoto({ center: GREY }), slot: 'front' });
+    assert.deepEqual(codes(grey), ['face-not-detected:warning']);
+    assert.equal(grey.pass, true, 'warnings do not fail the photo');
+
+    const back = await checkPhotoQuality({ buffer: await createPhoto(), slot: 'back' });
+    assert.deepEqual(codes(back), ['pose-mismatch:warning']);
+  });
+});
+
+describe('AI checks', () => {
+  const providerReturning = (result) => ({ analyze: async () => JSON.stringify(result) });
+
+  test('model results replace the heuristic face and pose estimates', async () => {
+    const result = await checkPhotoQuality({
+      buffer: await createPhoto({ center: GREY }),
+      slot: 'front',
+      useAI: true,
+      aiProvider: providerReturning({ faceDetected: true, faceCount: 2, pose: 'side', issues: ['모자 착용'] })
+    });
+    assert.deepEqual(codes(result), ['multiple-people:error', 'pose-mismatch:error', 'ai-issue:warning']);
+    assert.equal(result.warnings[1].source, 'ai');
+    assert.equal(result.pass, false);
+  });
+
+  test('the mock provider accepts the photo', async () => {
+    const result = await checkPhotoQuality({ buffer: await createPhoto(), slot: 'front', useAI: true, aiProvider: createMockProvider() });
+    assert.deepEqual(result.ai, { faceDetected: true, faceCount: 1, pose: 'unknown', issues: [] });
+    assert.equal(result.pass, true);
+  });
+
+  test('a failing or invalid model response keeps the heuristic result', async () => {
+    const failing = { analyze: async () => { throw new Error('model down'); } };
+    const result = await checkPhotoQuality({ buffer: await createPhoto({ center: GREY }), slot: 'front', useAI: true, aiProvider: failing });
+    assert.deepEqual(result.ai, { degraded: true });
+    assert.deepEqual(codes(result), ['face-not-detected:warning']);
+
+    const invalid = await checkPhotoQuality({ buffer: await createPhoto(), slot: 'front', useAI: true, aiProvider: providerReturning({ pose: 'profile' }) });
+    assert.deepEqual(invalid.ai, { degraded: true });
+  });
+
+  test('custom thresholds override the defaults', async () => {
+    const result = await checkPhotoQuality({ buffer: await createPhoto(), slot: 'front', thresholds: { minDimensionError: 2000 } });
+    assert.deepEqual(codes(result), ['low-resolution:error']);
+  });
+});
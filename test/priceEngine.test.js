@@ -0,0 +1,92 @@
+// server/test/priceEngine.test.js
+
+// 메뉴 연결과 길이/밀도 보정 가격 범위
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateCost, formatPriceRange, evaluateConditions } = require('../lib/priceEngine');
+
+const services = [
+  {
+    id: 'cut',
+    name: '커트',
+    nameEn: 'Haircut',
+    category: 'cut',
+    basePrice: 30000,
+    modifiers: { length: { short: 0, medium: 5000, long: 10000 }, density: { low: 0, medium: 0, high: 5000 } },
+    conditions: []
+  },
+  {
+    id: 'perm',
+    name: '일반 펌',
+    nameEn: 'Perm',
+    category: 'perm',
+    basePrice: 80000,
+    modifiers: { length: { short: 0, medium: 20000, long: 40000 }, density: {} },
+    conditions: [
+      { type: 'not-with-henna', message: 'henna' },
+      { type: 'requires-bleach-history-check', message: 'bleach' },
+      { type: 'patch-test', message: 'patch test' }
+    ]
+  }
+];
+
+// 이름/영문명이 정확히 같은 항목만 연결하는 카탈로그
+const catalog = {
+  match: (name) => services.find((service) => [service.name, service.nameEn].includes(name)) || null
+};
+
+describe('estimateCost', () => {
+  test('uses the exact modifiers when length and density are known', () => {
+    const result = estimateCost({ catalog, procedures: ['커트'], hairCondition: { length: 'long', density: 'high' } });
+    assert.deepEqual(result.items[0].price, { min: 45000, max: 45000 });
+    assert.equal(result.estimatedCost, '₩45,000');
+    assert.deepEqual(result.basis, { length: 'long', density: 'high' });
+  });
+
+  test('spans every modifier when length or density is unknown', () => {
+    const result = estimateCost({ catalog, procedures: ['커트'], hairCondition: {} });
+    assert.deepEqual(result.total, { min: 30000, max: 45000 });
+    assert.equal(result.estimatedCost, '₩30,000-45,000');
+    assert.deepEqual(result.basis, { length: 'unknown', density: 'unknown' });
+  });
+
+  test('resolves Korean length/density aliases', () => {
+    const result = estimateCost({ catalog, procedures: ['커트'], hairCondition: { hairLength: '중간', density: '많음' } });
+    assert.deepEqual(result.total, { min: 40000, max: 40000 });
+  });
+
+  test('sums matched services once and reports unmatched procedures', () => {
+    const result = estimateCost({
+      catalog,
+      procedures: ['커트', { name: 'Perm', koreanName: '일반 펌' }, 'Haircut', '두피 스케일링'],
+      hairCondition: { length: 'short' }
+    });
+    assert.deepEqual(result.items.map((item) => [item.index, item.serviceId, item.counted]), [
+      [0, 'cut', true],
+      [1, 'perm', true],
+      [2, 'cut', false]
+    ]);
+    assert.deepEqual(result.total, { min: 110000, max: 115000 });
+    assert.deepEqual(result.unmatched, ['두피 스케일링']);
+  });
+
+  test('returns no estimate when nothing matches', () => {
+    const result = estimateCost({ catalog, procedures: ['없는 시술'] });
+    assert.equal(result.estimatedCost, null);
+    assert.deepEqual(result.total, { min: 0, max: 0 });
+  });
+});
+
+test('formatPriceRange shows a single price when min equals max', () => {
+  assert.equal(formatPriceRange({ min: 80000, max: 80000 }), '₩80,000');
+  assert.equal(formatPriceRange({ min: 80000, max: 120000 }), '₩80,000-120,000');
+});
+
+test('evaluateConditions flags conditions triggered by chemical history', () => {
+  const conditions = evaluateConditions(services[1], { chemicalHistory: { henna: true, bleach: '없음' } });
+  assert.deepEqual(conditions.map((condition) => [condition.type, condition.triggered]), [
+    ['not-with-henna', true],
+    ['requires-bleach-history-check', false],
+    ['patch-test', true]
+  ]);
+});
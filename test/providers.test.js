@@ -0,0 +1,82 @@
+// server/test/providers.test.js
+
+// AI 제공자 선택과 오프라인 모의(mock) 제공자
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createAIProvider } = require('../lib/providers');
+const { createMockProvider, CANNED_ANALYSIS } = require('../lib/providers/mock');
+
+const solidImage = (color, width = 300, height = 400) => sharp({
+  create: { width, height, channels: 3, background: color }
+}).jpeg().toBuffer();
+
+const withEnv = (env, fn) => {
+  const saved = {};
+  for (const key of Object.keys(env)) {
+    saved[key] = process.env[key];
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+};
+
+describe('createAIProvider', () => {
+  test('selects the provider from AI_PROVIDER', () => {
+    assert.equal(withEnv({ AI_PROVIDER: 'mock' }, createAIProvider).name, 'mock');
+    const gemini = withEnv({ AI_PROVIDER: undefined, GOOGLE_API_KEY: 'key', GEMINI_IMAGE_MODEL: 'image-model' }, createAIProvider);
+    assert.equal(gemini.name, 'gemini');
+    assert.equal(gemini.imageModelName, 'image-model');
+  });
+
+  test('requires an API key for gemini and rejects unknown providers', () => {
+    assert.throws(() => withEnv({ AI_PROVIDER: 'gemini', GOOGLE_API_KEY: undefined }, createAIProvider), /GOOGLE_API_KEY/);
+    assert.throws(() => withEnv({ AI_PROVIDER: 'openai' }, createAIProvider), /Unknown AI_PROVIDER: openai/);
+  });
+});
+
+describe('mock provider', () => {
+  const provider = createMockProvider();
+
+  test('composites the reference image onto a resized customer photo', async () => {
+    const customer = await solidImage('#204080');
+    const style = await solidImage('#e0c040', 200, 200);
+    const result = await provider.generateImage({
+      prompt: 'P',
+      images: [{ buffer: customer, mimeType: 'image/jpeg' }, { buffer: style, mimeType: 'image/jpeg' }]
+    });
+
+    assert.equal(result.mimeType, 'image/jpeg');
+    const metadata = await sharp(result.imageBuffer).metadata();
+    assert.deepEqual([metadata.format, metadata.width, metadata.height], ['jpeg', 512, 683]);
+
+    // 우측 상단에는 스타일 이미지, 좌측 하단에는 고객 사진 색이 남아 있음
+    const { data, info } = await sharp(result.imageBuffer).raw().toBuffer({ resolveWithObject: true });
+    const pixel = (x, y) => [...data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3)];
+    assert.ok(pixel(420, 80)[0] > 180, 'reference inset');
+    assert.ok(pixel(20, 600)[2] > 100 && pixel(20, 600)[0] < 80, 'customer photo');
+  });
+
+  test('is deterministic for the same input', async () => {
+    const images = [{ buffer: await solidImage('#336699') }];
+    const first = await provider.generateImage({ images });
+    const second = await provider.generateImage({ images });
+    assert.deepEqual(first.imageBuffer, second.imageBuffer);
+  });
+
+  test('requires a customer image', async () => {
+    await assert.rejects(provider.generateImage({ images: [] }), /at least one image/);
+  });
+
+  test('returns canned JSON per analysis task', async () => {
+    assert.deepEqual(JSON.parse(await provider.analyze({ task: 'feasibility' })), CANNED_ANALYSIS.feasibility);
+    assert.deepEqual(JSON.parse(await provider.analyze({ task: 'unknown' })), {});
+  });
+});
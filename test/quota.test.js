@@ -0,0 +1,82 @@
+// server/test/quota.test.js
+
+// 살롱 쿼터 예약 (진행 중인 호출 포함)과 사용량 기록 래퍼
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createQuotaEnforcer, loadQuotaPolicy, QuotaExceededError } = require('../lib/quota');
+const { UsageLedger, meterProvider } = require('../lib/usageLedger');
+const { TenantRegistry } = require('../lib/tenants');
+
+let directory;
+let ledger;
+let quota;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-'));
+  ledger = new UsageLedger({ filePath: path.join(directory, 'usage.log') });
+  quota = createQuotaEnforcer({
+    ledger,
+    registry: new TenantRegistry({ salons: [{ id: 'gangnam', quota: { dailyModelCalls: 2 } }] }),
+    policy: { dailyModelCalls: 100, monthlyModelCalls: 0 }
+  });
+});
+
+afterEach(async () => {
+  await ledger.chain;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('loadQuotaPolicy validates limits', () => {
+  assert.deepEqual(loadQuotaPolicy({ QUOTA_DAILY_MODEL_CALLS: '5', QUOTA_MONTHLY_MODEL_CALLS: '0' }), { dailyModelCalls: 5, monthlyModelCalls: 0 });
+  assert.throws(() => loadQuotaPolicy({ QUOTA_DAILY_MODEL_CALLS: '-1' }), /QUOTA_DAILY_MODEL_CALLS/);
+});
+
+describe('reserve', () => {
+  test('counts in-flight calls so concurrent calls cannot overshoot', () => {
+    const first = quota.reserve('gangnam');
+    quota.reserve('gangnam');
+    assert.throws(() => quota.reserve('gangnam'), QuotaExceededError);
+    assert.equal(quota.status('gangnam').daily.used, 2);
+
+    first();
+    first();
+    assert.equal(quota.status('gangnam').daily.used, 1, 'release is idempotent');
+    assert.doesNotThrow(() => quota.reserve('gangnam'));
+  });
+
+  test('counts calls already recorded in the ledger', () => {
+    ledger.record({ salonId: 'gangnam', outcome: 'success' });
+    ledger.record({ salonId: 'gangnam', outcome: 'error' });
+    assert.throws(() => quota.reserve('gangnam'), /Daily AI quota exceeded for salon gangnam/);
+    assert.doesNotThrow(() => quota.reserve('hongdae'));
+  });
+});
+
+describe('meterProvider', () => {
+  const provider = {
+    name: 'fake',
+    textModelName: 'text-model',
+    imageModelName: 'image-model',
+    analyze: async () => 'ok',
+    generateImage: async () => ({ imageBuffer: Buffer.alloc(1) })
+  };
+
+  test('records each call and refuses calls once the quota is used up', async () => {
+    let calls = 0;
+    const metered = meterProvider({ ...provider, analyze: async () => { calls++; return 'ok'; } }, {
+      ledger,
+      getContext: () => ({ salonId: 'gangnam', sessionId: 's1' }),
+      reserveQuota: quota.reserve
+    });
+
+    assert.equal(await metered.analyze({ task: 'feasibility' }), 'ok');
+    assert.equal(await metered.analyze({ task: 'feasibility' }), 'ok');
+    await assert.rejects(metered.analyze({ task: 'feasibility' }), QuotaExceededError);
+    assert.equal(calls, 2);
+    assert.equal(ledger.usage('gangnam').day, 2);
+    assert.equal(quota.status('gangnam').daily.used, 2, 'reservations are released after recording');
+  });
+});
@@ -0,0 +1,91 @@
+// server/test/rateLimit.test.js
+
+// 속도 제한: 설정 읽기, 고정 윈도우 카운터, 경로 그룹별 호출자/살롱 한도
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRateLimitConfig, createRateLimiter, FixedWindowCounter } = require('../lib/rateLimit');
+
+// 미들웨어를 한 번 호출하고 응답 상태/헤더 반환 (통과하면 statusCode 는 null)
+const call = (limiter, { path, auth }) => {
+  const req = { path, auth, ip: '127.0.0.1' };
+  const res = {
+    headers: {},
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'string' ? { [name]: value } : name);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  limiter(req, res, () => { passed = true; });
+  return { passed, statusCode: res.statusCode || null, headers: res.headers };
+};
+
+test('loadRateLimitConfig reads per-group limits from the environment', () => {
+  const config = loadRateLimitConfig({ RATE_LIMIT_WINDOW_SECONDS: '30', RATE_LIMIT_GENERATE_PER_CLIENT: '0' });
+  assert.equal(config.windowMs, 30000);
+  const generate = config.rules.find((rule) => rule.name === 'generate');
+  assert.deepEqual([generate.perClient, generate.perSalon], [0, 30]);
+  const groupOf = (path) => config.rules.find((rule) => rule.pattern.test(path)).name;
+  assert.equal(groupOf('/sessions/s1/comparisons'), 'render');
+  assert.equal(groupOf('/sessions/s1/report.pdf'), 'render');
+  assert.equal(groupOf('/sessions/s1/masks'), 'render');
+  assert.equal(groupOf('/sessions/s1'), 'default');
+  assert.throws(() => loadRateLimitConfig({ RATE_LIMIT_ANALYZE_PER_SALON: '-1' }), /RATE_LIMIT_ANALYZE_PER_SALON must be a non-negative integer/);
+});
+
+test('FixedWindowCounter resets after the window', () => {
+  const counter = new FixedWindowCounter();
+  const now = Date.UTC(2026, 0, 10);
+  assert.equal(counter.hit('k', 1, 1000, now).allowed, true);
+  assert.equal(counter.hit('k', 1, 1000, now + 999).allowed, false);
+  assert.deepEqual(counter.hit('k', 1, 1000, now + 1000), { allowed: true, limit: 1, remaining: 0, resetAt: now + 2000 });
+  counter.prune(now + 5000);
+  assert.equal(counter.windows.size, 0);
+});
+
+describe('createRateLimiter', () => {
+  const { rules } = loadRateLimitConfig({
+    RATE_LIMIT_GENERATE_PER_CLIENT: '2',
+    RATE_LIMIT_GENERATE_PER_SALON: '3',
+    RATE_LIMIT_DEFAULT_PER_CLIENT: '0',
+    RATE_LIMIT_DEFAULT_PER_SALON: '0'
+  });
+  const desk = { keyId: 'desk', salonId: 'gangnam' };
+  const tablet = { keyId: 'tablet', salonId: 'gangnam' };
+
+  test('limits each client and the whole salon per route group', () => {
+    const limiter = createRateLimiter({ rules, windowMs: 60000 });
+    const generate = (auth) => call(limiter, { path: '/generate/style', auth });
+
+    const first = generate(desk);
+    assert.equal(first.passed, true);
+    assert.equal(first.headers['RateLimit-Limit'], '2');
+    assert.equal(first.headers['RateLimit-Remaining'], '1');
+    assert.equal(generate(desk).passed, true);
+
+    const limited = generate(desk);
+    assert.equal(limited.statusCode, 429);
+    assert.ok(Number(limited.headers['Retry-After']) > 0);
+
+    assert.equal(generate(tablet).passed, true, 'other clients have their own limit');
+    assert.equal(generate(tablet).statusCode, 429, 'until the salon limit is used up');
+    assert.equal(call(limiter, { path: '/jobs/generate-batch', auth: { keyId: 'desk', salonId: 'hongdae' } }).passed, true);
+  });
+
+  test('skips groups without limits', () => {
+    const limiter = createRateLimiter({ rules, windowMs: 60000 });
+    for (let i = 0; i < 5; i++) {
+      const result = call(limiter, { path: '/sessions', auth: desk });
+      assert.equal(result.passed, true);
+      assert.deepEqual(result.headers, {});
+    }
+  });
+});
@@ -0,0 +1,83 @@
+// server/test/reportPdf.test.js
+
+// 상담 리포트: 언어별 내용 구성과 한글 글꼴이 없을 때의 PDF 생성
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createReportRenderer, buildReportContent, ReportFontError } = require('../lib/reportPdf');
+
+const styleAnalysis = {
+  styleChanges: [{ category: '길이', categoryEn: 'Length', from: '어깨', fromEn: 'Shoulder', to: '턱선', toEn: '' }],
+  requiredProcedures: [
+    { name: 'cut', koreanName: '커트', nameEn: 'Cut', reason: '길이 정리', reasonEn: 'Trim length', required: true, estimatedCost: '30,000원' },
+    { name: 'perm', koreanName: 'C컬 펌', reason: '볼륨', required: false }
+  ],
+  pricing: { estimatedCost: '30,000원 ~ 150,000원', unmatched: ['두피 케어'] }
+};
+
+const feasibility = { score: 80, isFeasible: true, warnings: ['탈색 이력 확인'], degraded: false };
+
+describe('buildReportContent', () => {
+  test('uses English values when present and falls back to Korean', () => {
+    const content = buildReportContent({ session: { styleAnalysis, feasibility }, language: 'en', technicalSpecs: null });
+    assert.deepEqual(content.styleChanges, [['Length', 'Shoulder', '턱선']]);
+    assert.deepEqual(content.procedures, [
+      ['Cut', 'Trim length (Required)', '30,000원'],
+      ['perm', '볼륨 (Optional)', '-']
+    ]);
+    assert.equal(content.total, '30,000원 ~ 150,000원');
+    assert.deepEqual(content.unmatched, ['두피 케어']);
+    assert.equal(content.specs, null);
+  });
+
+  test('uses feasibility pricing without a style analysis', () => {
+    const session = {
+      feasibility: { ...feasibility, pricing: { items: [{ name: '커트', nameEn: 'Cut', procedure: 'cut', estimatedCost: '30,000원' }], estimatedCost: '30,000원' } }
+    };
+    const content = buildReportContent({ session, language: 'ko', technicalSpecs: null });
+    assert.equal(content.styleChanges, null);
+    assert.deepEqual(content.procedures, [['커트', 'cut', '30,000원']]);
+    assert.deepEqual(content.feasibility, { score: 80, isFeasible: true, warnings: ['탈색 이력 확인'], degraded: false });
+  });
+
+  test('formats technical specs and marks degraded specs', () => {
+    const technicalSpecs = { sideLength: '6mm', perm: true, downPerm: false, additionalServices: [], notes: '' };
+    const content = buildReportContent({ session: {}, language: 'ko', technicalSpecs });
+    const specs = Object.fromEntries(content.specs);
+    assert.equal(specs['옆머리'], '6mm');
+    assert.equal(specs['펌'], '필요');
+    assert.equal(specs['다운펌'], '불필요');
+    assert.equal(specs['추가 시술'], '-');
+
+    const degraded = buildReportContent({ session: {}, language: 'ko', technicalSpecs: { degraded: true } });
+    assert.equal(degraded.specs, null);
+    assert.equal(degraded.specsDegraded, true);
+  });
+});
+
+describe('render without a Korean font', () => {
+  const renderer = createReportRenderer({ fontFile: null });
+  const session = { styleAnalysis, feasibility, userInfo: { name: '김고객' } };
+
+  test('renders English reports with the built-in font', async () => {
+    const beforeImage = await sharp({ create: { width: 60, height: 80, channels: 3, background: '#204080' } }).jpeg().toBuffer();
+    const pdf = await renderer.render({ session, sessionId: 's1', language: 'en', beforeImage, afterImage: null, technicalSpecs: null });
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.toString('latin1'), /\/BaseFont \/Helvetica/);
+  });
+
+  test('refuses Korean reports with a 503 font error', async () => {
+    await assert.rejects(
+      renderer.render({ session, sessionId: 's1', language: 'ko', beforeImage: null, afterImage: null, technicalSpecs: null }),
+      (error) => error instanceof ReportFontError && error.status === 503 && /REPORT_FONT_FILE/.test(error.message)
+    );
+  });
+
+  test('reports an unreadable font file', async () => {
+    const missing = createReportRenderer({ fontFile: '/nonexistent/NotoSansKR-Regular.ttf' });
+    await assert.rejects(
+      missing.render({ session, sessionId: 's1', language: 'en', beforeImage: null, afterImage: null, technicalSpecs: null }),
+      /Cannot read REPORT_FONT_FILE/
+    );
+  });
+});
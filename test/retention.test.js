@@ -0,0 +1,144 @@
+// server/test/retention.test.js
+
+// 보존 기간이 지난 파일 정리와 세션 참조 제거
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../lib/storage/local');
+const { MemorySessionStore } = require('../lib/sessionStore');
+const { loadRetentionPolicy, createRetentionSweeper, classifyFile, DEFAULT_RETENTION_HOURS } = require('../lib/retention');
+
+const BASE_URL = 'http://localhost:3000';
+const HOUR_MS = 60 * 60 * 1000;
+
+let directory;
+let storage;
+let sessionStore;
+let auditEvents;
+
+// 파일을 저장하고 수정 시각을 hoursAgo 시간 전으로 맞춤
+const putFile = async (key, hoursAgo) => {
+  const url = await storage.put(key, Buffer.from(key));
+  const time = new Date(Date.now() - hoursAgo * HOUR_MS);
+  fs.utimesSync(path.join(directory, key), time, time);
+  return url;
+};
+
+const createSweeper = (policy = { ...DEFAULT_RETENTION_HOURS }) => createRetentionSweeper({
+  storage,
+  sessionStore,
+  policy,
+  auditLog: { record: async (event) => auditEvents.push(event) }
+});
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+  storage = createLocalStorage({ directory, publicBaseUrl: BASE_URL });
+  sessionStore = new MemorySessionStore();
+  auditEvents = [];
+});
+
+afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('classifyFile uses the filename prefix', () => {
+  assert.equal(classifyFile('front-1.jpg'), 'customerPhoto');
+  assert.equal(classifyFile('photo2-1.jpg'), 'stylePhoto');
+  assert.equal(classifyFile('nano-banana-1.png'), 'generatedImage');
+  assert.equal(classifyFile('color-1.jpg'), 'generatedImage');
+  assert.equal(classifyFile('mask-0a1b-mock-1-hair.png'), 'customerPhoto');
+  assert.equal(classifyFile('logo.png'), null);
+});
+
+describe('loadRetentionPolicy', () => {
+  test('uses defaults and environment overrides', () => {
+    assert.deepEqual(loadRetentionPolicy({}), DEFAULT_RETENTION_HOURS);
+    assert.equal(loadRetentionPolicy({ RETENTION_STYLE_PHOTO_HOURS: '0' }).stylePhoto, 0);
+  });
+
+  test('rejects negative or non-numeric hours', () => {
+    assert.throws(() => loadRetentionPolicy({ RETENTION_CUSTOMER_PHOTO_HOURS: '-1' }), /RETENTION_CUSTOMER_PHOTO_HOURS/);
+    assert.throws(() => loadRetentionPolicy({ RETENTION_GENERATED_IMAGE_HOURS: 'soon' }), /RETENTION_GENERATED_IMAGE_HOURS/);
+  });
+});
+
+describe('sweep', () => {
+  test('deletes expired files, prunes session references and audits the removal', async () => {
+    const oldFront = await putFile('front-old.jpg', 100);
+    const newSide = await putFile('side-new.jpg', 1);
+    const oldStyle = await putFile('photo1-old.jpg', 100);
+    const oldGenerated = await putFile('nano-banana-old.png', 80);
+    await putFile('unknown.txt', 1000);
+
+    await sessionStore.set('s1', {
+      customerPhotoUrls: { front: oldFront, side: newSide },
+      customerPhotoMeta: { front: { width: 1 }, side: { width: 1 } },
+      stylePhotoUrls: { photo1: oldStyle },
+      generatedImages: [{ id: 'g1', imageUrl: oldGenerated }]
+    });
+    await sessionStore.set('s2', { customerPhotoUrls: { side: newSide } });
+
+    const report = await createSweeper().sweep();
+
+    assert.deepEqual(report.removed.map((file) => file.key).sort(), [
+      'front-old.jpg',
+      'nano-banana-old.png'
+    ]);
+    assert.deepEqual(report.removedByType, { customerPhoto: 1, stylePhoto: 0, generatedImage: 1 });
+    assert.deepEqual(report.sessionsUpdated, ['s1']);
+    assert.equal(await storage.get('front-old.jpg'), null);
+    assert.ok(await storage.get('photo1-old.jpg'), 'style photos are kept for 168 hours');
+    assert.ok(await storage.get('unknown.txt'), 'unknown files are never deleted');
+
+    const session = await sessionStore.get('s1');
+    assert.deepEqual(session.customerPhotoUrls, { side: newSide });
+    assert.deepEqual(Object.keys(session.customerPhotoMeta), ['side']);
+    assert.deepEqual(session.generatedImages, []);
+    assert.deepEqual(session.stylePhotoUrls, { photo1: oldStyle });
+
+    assert.equal(auditEvents.length, 1);
+    assert.equal(auditEvents[0].action, 'retention-deleted');
+    assert.deepEqual(auditEvents[0].resources.sort(), [oldFront, oldGenerated].sort());
+  });
+
+  test('dry run reports without deleting or touching sessions', async () => {
+    const oldFront = await putFile('front-old.jpg', 100);
+    await sessionStore.set('s1', { customerPhotoUrls: { front: oldFront } });
+
+    const report = await createSweeper().sweep({ dryRun: true });
+
+    assert.equal(report.dryRun, true);
+    assert.deepEqual(report.removed.map((file) => file.key), ['front-old.jpg']);
+    assert.deepEqual(report.sessionsUpdated, ['s1']);
+    assert.ok(await storage.get('front-old.jpg'));
+    assert.deepEqual((await sessionStore.get('s1')).customerPhotoUrls, { front: oldFront });
+    assert.equal(auditEvents.length, 0);
+  });
+
+  test('a zero retention period keeps files of that type forever', async () => {
+    await putFile('front-old.jpg', 10000);
+    const report = await createSweeper({ ...DEFAULT_RETENTION_HOURS, customerPhoto: 0 }).sweep();
+    assert.deepEqual(report.removed, []);
+    assert.ok(await storage.get('front-old.jpg'));
+  });
+
+  test('shares a running sweep only with requests of the same mode', async () => {
+    await putFile('front-old.jpg', 100);
+    const sweeper = createSweeper();
+
+    const first = sweeper.sweep();
+    const second = sweeper.sweep({ dryRun: false });
+    const dryRun = sweeper.sweep({ dryRun: true });
+    assert.equal(first, second);
+    assert.notEqual(first, dryRun);
+
+    const [report, dryReport] = await Promise.all([first, dryRun]);
+    assert.equal(report.dryRun, false);
+    assert.equal(dryReport.dryRun, true);
+    assert.equal(await storage.get('front-old.jpg'), null);
+    const next = sweeper.sweep();
+    assert.notEqual(next, first, 'a new sweep starts after the previous one finished');
+    await next;
+  });
+});
@@ -0,0 +1,110 @@
+// server/test/safetyRules.test.js
+
+// 시술 이력 안전 규칙 평가와 점수 상한 적용
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSafetyRules, evaluateSafety, applySafetyToFeasibility, toLevel } = require('../lib/safetyRules');
+
+const rules = loadSafetyRules(path.join(__dirname, '..', 'config', 'safetyRules.json'));
+
+const perm = { name: '일반 펌', serviceId: 'perm', category: 'perm' };
+const color = { name: '전체 염색', serviceId: 'color', category: 'color' };
+const cut = { name: '커트', serviceId: 'cut', category: 'cut' };
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safety-rules-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const writeRules = (content) => {
+  const filePath = path.join(tempDir, `rules-${Date.now()}-${Math.random()}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(content));
+  return filePath;
+};
+
+describe('loadSafetyRules', () => {
+  test('loads the bundled rules', () => {
+    assert.ok(rules.length > 0);
+  });
+
+  test('rejects rules that fail the schema or reuse an id', () => {
+    const rule = { id: 'a', severity: 'warning', when: [{ field: 'x', equals: true }], message: 'm' };
+    assert.throws(() => loadSafetyRules(writeRules([{ ...rule, severity: 'fatal' }])), /Invalid safety rule a/);
+    assert.throws(() => loadSafetyRules(writeRules([rule, rule])), /Duplicate safety rule id: a/);
+    assert.throws(() => loadSafetyRules(writeRules({ rules: [rule] })), /must be an array/);
+  });
+});
+
+describe('evaluateSafety', () => {
+  test('henna history blocks perm and colour with the lowest score cap', () => {
+    const safety = evaluateSafety({
+      rules,
+      hairCondition: { chemicalHistory: { henna: true, boxDye: true } },
+      procedures: [perm, color, cut]
+    });
+    const henna = safety.contraindications.find((finding) => finding.ruleId === 'henna-chemical-service');
+    assert.deepEqual(henna.procedures, ['일반 펌', '전체 염색']);
+    assert.ok(safety.warnings.some((finding) => finding.ruleId === 'box-dye-color'));
+    assert.equal(safety.scoreCap, 20);
+    assert.equal(safety.isFeasible, false);
+  });
+
+  test('rules do not fire when the targeted procedures are not requested', () => {
+    const safety = evaluateSafety({
+      rules,
+      hairCondition: { chemicalHistory: { henna: true } },
+      procedures: [cut]
+    });
+    assert.deepEqual(safety, { contraindications: [], warnings: [], scoreCap: null, isFeasible: null });
+  });
+
+  test('supports in / gte / lte conditions', () => {
+    const custom = [
+      { id: 'damaged', severity: 'warning', when: [{ field: 'damage', in: ['High', 'severe'] }], message: 'damaged', scoreCap: 70 },
+      { id: 'bleached', severity: 'warning', when: [{ field: 'chemicalHistory.bleach', gte: 2 }], message: 'bleached', scoreCap: 50 },
+      { id: 'fine', severity: 'warning', when: [{ field: 'thickness', lte: 1 }], message: 'fine' }
+    ];
+    const safety = evaluateSafety({
+      rules: custom,
+      hairCondition: { damage: 'high', chemicalHistory: { bleach: '3회' } },
+      procedures: [cut]
+    });
+    assert.deepEqual(safety.warnings.map((finding) => finding.ruleId), ['damaged', 'bleached']);
+    assert.equal(safety.scoreCap, 50);
+    assert.equal(safety.isFeasible, null);
+  });
+});
+
+describe('applySafetyToFeasibility', () => {
+  test('caps the AI score, keeps the original and merges warnings', () => {
+    const safety = evaluateSafety({
+      rules,
+      hairCondition: { chemicalHistory: { henna: true } },
+      procedures: [perm]
+    });
+    const result = applySafetyToFeasibility({ score: 85, isFeasible: true, warnings: ['기존 경고'] }, safety);
+    assert.equal(result.score, 20);
+    assert.equal(result.aiScore, 85);
+    assert.equal(result.isFeasible, false);
+    assert.equal(result.warnings[0], '기존 경고');
+    assert.equal(result.warnings.length, 2);
+    assert.equal(result.safety, safety);
+  });
+
+  test('leaves scores below the cap unchanged', () => {
+    const result = applySafetyToFeasibility(
+      { score: 10, isFeasible: true, warnings: [] },
+      { contraindications: [], warnings: [], scoreCap: 60, isFeasible: null }
+    );
+    assert.equal(result.score, 10);
+    assert.equal(result.isFeasible, true);
+  });
+});
+
+test('toLevel extracts numbers from history values', () => {
+  assert.equal(toLevel('2회'), 2);
+  assert.equal(toLevel('없음'), 0);
+  assert.equal(toLevel(true), 1);
+  assert.equal(toLevel(3), 3);
+});
@@ -0,0 +1,170 @@
+// server/test/sessionStore.test.js
+
+// 세션 저장소 (메모리/파일) 의 읽기·쓰기, 만료(TTL)와 정리
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySessionStore, FileSessionStore, createSessionStore } = require('../lib/sessionStore');
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+});
+
+afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// 레코드의 만료 시각을 과거로 바꿈
+const expireRecord = (record) => ({ ...record, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+const stores = {
+  memory: () => new MemorySessionStore(),
+  file: () => new FileSessionStore({ dir: directory })
+};
+
+for (const [name, createStore] of Object.entries(stores)) {
+  describe(`${name} store`, () => {
+    test('set/get/delete round-trip', async () => {
+      const store = createStore();
+      await store.set('s1', { userInfo: { name: '김' } });
+      assert.deepEqual(await store.get('s1'), { userInfo: { name: '김' } });
+      assert.equal(await store.delete('s1'), true);
+      assert.equal(await store.get('s1'), null);
+      assert.equal(await store.delete('s1'), false);
+    });
+
+    test('update keeps createdAt and serialises concurrent mutations', async () => {
+      const store = createStore();
+      const created = await store.set('s1', { count: 0 });
+      await Promise.all(Array.from({ length: 5 }, () => store.update('s1', (data) => {
+        data.count++;
+      })));
+      const record = await store.getRecord('s1');
+      assert.equal(record.data.count, 5);
+      assert.equal(record.createdAt, created.createdAt);
+    });
+
+    test('update starts from an empty object for a new session', async () => {
+      const store = createStore();
+      await store.update('new', (data) => ({ ...data, sessionId: 'new' }));
+      assert.deepEqual(await store.get('new'), { sessionId: 'new' });
+    });
+
+    test('expired sessions are hidden, listed out and purged', async () => {
+      const store = createStore();
+      await store.set('live', { a: 1 });
+      const stale = await store.set('stale', { a: 2 });
+      if (store instanceof FileSessionStore) {
+        fs.writeFileSync(store.filePathFor('stale'), JSON.stringify(expireRecord(stale)));
+      } else {
+        store.records.set('stale', expireRecord(stale));
+      }
+
+      assert.deepEqual((await store.list()).map((record) => record.id), ['live']);
+      assert.equal(await store.get('stale'), null);
+      assert.equal(await store.purgeExpired(), 0, 'already removed when read');
+    });
+
+    test('emits set and delete events for writes, deletes and expiry', async () => {
+      const store = createStore();
+      const events = [];
+      store.on('set', (id, data) => events.push(['set', id, data]));
+      store.on('delete', (id) => events.push(['delete', id]));
+
+      await store.set('s1', { a: 1 });
+      await store.update('s1', (data) => ({ ...data, b: 2 }));
+      await store.delete('s1');
+      await store.delete('s1');
+      const stale = await store.set('stale', { a: 3 });
+      if (store instanceof FileSessionStore) {
+        fs.writeFileSync(store.filePathFor('stale'), JSON.stringify(expireRecord(stale)));
+      } else {
+        store.records.set('stale', expireRecord(stale));
+      }
+      await store.purgeExpired();
+
+      assert.deepEqual(events, [
+        ['set', 's1', { a: 1 }],
+        ['set', 's1', { a: 1, b: 2 }],
+        ['delete', 's1'],
+        ['set', 'stale', { a: 3 }],
+        ['delete', 'stale']
+      ]);
+    });
+  });
+}
+
+describe('FileSessionStore', () => {
+  test('records survive a new store instance on the same directory', async () => {
+    await new FileSessionStore({ dir: directory }).set('s1', { a: 1 });
+    assert.deepEqual(await new FileSessionStore({ dir: directory }).get('s1'), { a: 1 });
+  });
+
+  test('purgeExpired removes expired files', async () => {
+    const store = new FileSessionStore({ dir: directory });
+    const record = await store.set('s1', { a: 1 });
+    fs.writeFileSync(store.filePathFor('s1'), JSON.stringify(expireRecord(record)));
+    assert.equal(await store.purgeExpired(), 1);
+    assert.deepEqual(fs.readdirSync(directory), []);
+  });
+
+  test('encodes session IDs so they cannot escape the directory', async () => {
+    const store = new FileSessionStore({ dir: directory });
+    await store.set('../escape', { a: 1 });
+    assert.deepEqual(fs.readdirSync(directory), ['..%2Fescape.json']);
+    assert.deepEqual(await store.get('../escape'), { a: 1 });
+  });
+
+  test('ignores corrupted session files', async () => {
+    const store = new FileSessionStore({ dir: directory });
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{"id":');
+    await store.set('s1', { a: 1 });
+    assert.deepEqual((await store.list()).map((record) => record.id), ['s1']);
+    assert.equal(await store.get('broken'), null);
+  });
+
+  test('uses the configured TTL for expiresAt', async () => {
+    const store = new FileSessionStore({ dir: directory, ttlMs: 60 * 1000 });
+    const record = await store.set('s1', {});
+    const ttl = new Date(record.expiresAt) - new Date(record.updatedAt);
+    assert.equal(ttl, 60 * 1000);
+  });
+});
+
+describe('createSessionStore', () => {
+  const withEnv = (env, fn) => {
+    const saved = {};
+    for (const key of Object.keys(env)) {
+      saved[key] = process.env[key];
+      if (env[key] === undefined) delete process.env[key];
+      else process.env[key] = env[key];
+    }
+    try {
+      return fn();
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+  };
+
+  test('selects the backend and TTL from the environment', () => {
+    const store = withEnv({ SESSION_STORE: 'file', SESSION_DIR: directory, SESSION_TTL_HOURS: '2' }, () => createSessionStore({ baseDir: directory }));
+    assert.ok(store instanceof FileSessionStore);
+    assert.equal(store.ttlMs, 2 * 60 * 60 * 1000);
+
+    const memory = withEnv({ SESSION_STORE: 'memory', SESSION_TTL_HOURS: undefined }, () => createSessionStore({ baseDir: directory }));
+    assert.ok(memory instanceof MemorySessionStore);
+    assert.equal(memory.ttlMs, 72 * 60 * 60 * 1000);
+  });
+
+  test('rejects unknown backends', () => {
+    assert.throws(
+      () => withEnv({ SESSION_STORE: 'redis' }, () => createSessionStore({ baseDir: directory })),
+      /Unknown SESSION_STORE: redis/
+    );
+  });
+});
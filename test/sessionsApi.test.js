@@ -0,0 +1,236 @@
+// server/test/sessionsApi.test.js
+
+// 세션 조회/목록/삭제 API (서버를 자식 프로세스로 띄워 HTTP 로 확인)
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { FileSessionStore } = require('../lib/sessionStore');
+
+const SERVER_ROOT = path.join(__dirname, '..');
+const PUBLIC_BASE_URL = 'https://api.example.com';
+
+let directory;
+let uploadsDir;
+let sessionStore;
+let server;
+let baseUrl;
+
+// 비어 있는 포트 번호
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// 서버가 응답할 때까지 대기 (최대 15초)
+const waitForServer = async () => {
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) throw new Error(`server exited with code ${server.exitCode}`);
+    try {
+      await fetch(`${baseUrl}/api/sessions`);
+      return;
+    } catch (error) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('server did not start');
+};
+
+// 생성 시각을 지정해 세션 레코드 저장
+const seedSession = async (id, data, createdAt) => {
+  const record = await sessionStore.set(id, data);
+  if (createdAt) {
+    fs.writeFileSync(sessionStore.filePathFor(id), JSON.stringify({ ...record, createdAt }));
+  }
+};
+
+// body 가 FormData 면 multipart, 객체면 JSON 으로 전송
+const api = async (method, route, body) => {
+  const init = { method };
+  if (body instanceof FormData) {
+    init.body = body;
+  } else if (body) {
+    init.headers = { 'Content-Type': 'application/json' };
+    init.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${route}`, init);
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-api-'));
+  uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-api-uploads-'));
+  sessionStore = new FileSessionStore({ dir: directory });
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: SERVER_ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      AI_PROVIDER: 'mock',
+      AUTH_MODE: 'off',
+      SESSION_STORE: 'file',
+      SESSION_DIR: directory,
+      STORAGE_BACKEND: 'local',
+      UPLOAD_DIR: uploadsDir,
+      AUDIT_LOG_FILE: path.join(directory, 'audit', 'audit.log'),
+      USAGE_LEDGER_FILE: path.join(directory, 'audit', 'usage.log'),
+      PUBLIC_BASE_URL
+    },
+    stdio: 'ignore'
+  });
+  await waitForServer();
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(directory, { recursive: true, force: true });
+  fs.rmSync(uploadsDir, { recursive: true, force: true });
+});
+
+describe('GET /api/sessions/:id', () => {
+  test('returns the session with its timestamps', async () => {
+    await seedSession('read-1', { userInfo: { name: '김' } });
+    const { status, body } = await api('GET', '/api/sessions/read-1');
+    assert.equal(status, 200);
+    assert.deepEqual(body.session, { userInfo: { name: '김' } });
+    assert.ok(body.expiresAt > body.createdAt);
+  });
+
+  test('returns 404 for an unknown session', async () => {
+    const { status, body } = await api('GET', '/api/sessions/missing');
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+  });
+});
+
+describe('GET /api/sessions', () => {
+  before(async () => {
+    await seedSession('list-old', { userInfo: { name: 'old' } }, '2026-01-10T09:00:00.000Z');
+    await seedSession('list-day', { userInfo: { name: 'day' } }, '2026-01-15T23:30:00.000Z');
+    await seedSession('list-new', { userInfo: { name: 'new' } }, '2026-01-20T09:00:00.000Z');
+  });
+
+  const listIds = async (query) => {
+    const { body } = await api('GET', `/api/sessions?${query}`);
+    return body.sessions.map((session) => session.sessionId).filter((id) => id.startsWith('list-'));
+  };
+
+  test('filters by from/to and sorts newest first', async () => {
+    assert.deepEqual(await listIds('from=2026-01-01&to=2026-01-31T00:00:00Z'), ['list-new', 'list-day', 'list-old']);
+    assert.deepEqual(await listIds('from=2026-01-12&to=2026-01-16T00:00:00Z'), ['list-day']);
+  });
+
+  test('a date-only to includes the whole day', async () => {
+    assert.deepEqual(await listIds('from=2026-01-12&to=2026-01-15'), ['list-day']);
+  });
+
+  test('paginates the filtered list', async () => {
+    const { body } = await api('GET', '/api/sessions?from=2026-01-01&to=2026-01-31&page=2&pageSize=2');
+    assert.equal(body.total, 3);
+    assert.deepEqual(body.sessions.map((session) => session.sessionId), ['list-old']);
+  });
+
+  test('rejects invalid dates', async () => {
+    const { status } = await api('GET', '/api/sessions?from=yesterday');
+    assert.equal(status, 400);
+  });
+});
+
+describe('GET /api/sessions/:id/report.pdf', () => {
+  test('exports an English report and records the export', async () => {
+    await seedSession('report-1', {
+      feasibility: { score: 80, isFeasible: true, warnings: [] },
+      customerPhotoUrls: { front: `${PUBLIC_BASE_URL}/uploads/report-front.jpg` }
+    });
+    const response = await fetch(`${baseUrl}/api/sessions/report-1/report.pdf?lang=en`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.equal(Buffer.from(await response.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+
+    const audit = await api('GET', '/api/sessions/report-1/audit');
+    assert.ok(audit.body.entries.some((entry) => entry.action === 'report-exported'));
+  });
+
+  test('rejects unknown languages and sessions', async () => {
+    await seedSession('report-2', {});
+    assert.equal((await api('GET', '/api/sessions/report-2/report.pdf?lang=fr')).status, 400);
+    assert.equal((await api('GET', '/api/sessions/report-missing/report.pdf?lang=en')).status, 404);
+  });
+});
+
+describe('DELETE /api/sessions/:id', () => {
+  test('removes the session and the upload files it references', async () => {
+    const owned = ['front-1.jpg', 'photo1-1.jpg'];
+    const other = 'front-2.jpg';
+    for (const name of [...owned, other]) {
+      fs.writeFileSync(path.join(uploadsDir, name), 'x');
+    }
+
+    await seedSession('delete-1', {
+      customerPhotoUrls: { front: `${PUBLIC_BASE_URL}/uploads/${owned[0]}` },
+      stylePhotoUrls: { photo1: `/uploads/${owned[1]}` }
+    });
+
+    const { status, body } = await api('DELETE', '/api/sessions/delete-1');
+    assert.equal(status, 200);
+    assert.deepEqual(body.deletedFiles.sort(), owned.sort());
+    for (const name of owned) {
+      assert.equal(fs.existsSync(path.join(uploadsDir, name)), false);
+    }
+    assert.equal(fs.existsSync(path.join(uploadsDir, other)), true, 'files of other sessions are kept');
+    assert.equal((await api('GET', '/api/sessions/delete-1')).status, 404);
+    assert.equal((await api('DELETE', '/api/sessions/delete-1')).status, 404);
+  });
+});
+
+describe('consent', () => {
+  const consent = { purposes: ['storage', 'analysis', 'ai-generation'], policyVersion: '2026-01', consentedAt: '2026-01-10T09:00:00.000Z' };
+
+  test('upload rejects a consent field that is not valid JSON', async () => {
+    const form = new FormData();
+    form.append('sessionId', 'consent-json');
+    form.append('consent', '{"purposes":');
+    const { status, body } = await api('POST', '/api/upload/customer', form);
+    assert.equal(status, 400);
+    assert.deepEqual(body, { success: false, message: 'consent must be valid JSON' });
+  });
+
+  test('withdrawing consent blocks later generation', async () => {
+    await seedSession('consent-1', {
+      consent,
+      customerPhotoUrls: { front: `${PUBLIC_BASE_URL}/uploads/front-1.jpg` },
+      hairCondition: { curlPattern: 'Straight' }
+    });
+
+    const { status, body } = await api('POST', '/api/sessions/consent-1/consent/withdraw');
+    assert.equal(status, 200);
+    assert.ok(body.consent.withdrawnAt);
+    assert.deepEqual(body.consent.purposes, consent.purposes);
+
+    const generate = await api('POST', '/api/generate/style', {
+      sessionId: 'consent-1',
+      stylePhotoUrl: `${PUBLIC_BASE_URL}/uploads/photo1-1.jpg`
+    });
+    assert.equal(generate.status, 403);
+    assert.match(generate.body.message, /ai-generation/);
+
+    const audit = await api('GET', '/api/sessions/consent-1/audit');
+    assert.ok(audit.body.entries.some((entry) => entry.action === 'consent-withdrawn'));
+  });
+
+  test('withdrawing returns 404 without recorded consent', async () => {
+    await seedSession('consent-none', { userInfo: { name: '박' } });
+    assert.equal((await api('POST', '/api/sessions/consent-none/consent/withdraw')).status, 404);
+    assert.equal((await api('POST', '/api/sessions/consent-missing/consent/withdraw')).status, 404);
+  });
+});
@@ -0,0 +1,191 @@
+// server/test/storage.test.js
+
+// 파일 저장소: URL ↔ 키 변환, 로컬 저장소, S3 저장소의 URL 모드 (네트워크 없이 확인)
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isValidKey, keyFromUrl } = require('../lib/storage/urls');
+const { createLocalStorage } = require('../lib/storage/local');
+const { createS3Storage } = require('../lib/storage/s3');
+const { createStorage } = require('../lib/storage');
+const { createFileTokenSigner } = require('../lib/storage/fileTokens');
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+});
+
+afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+describe('urls', () => {
+  test('isValidKey accepts file names with an optional salon prefix', () => {
+    assert.equal(isValidKey('front-1700000000000-123.jpg'), true);
+    assert.equal(isValidKey('gangnam/front-1700000000000-123.jpg'), true);
+    for (const key of ['', '.hidden', '../escape.jpg', 'gangnam/nested/file.jpg', 'Gangnam/file.jpg', '/file.jpg', 'a b.jpg', null]) {
+      assert.equal(isValidKey(key), false, String(key));
+    }
+  });
+
+  test('keyFromUrl matches absolute and relative upload URLs', () => {
+    const bases = ['https://api.example.com/uploads', 'http://localhost:3000/uploads'];
+    assert.equal(keyFromUrl('https://api.example.com/uploads/a.jpg', bases), 'a.jpg');
+    assert.equal(keyFromUrl('http://localhost:3000/uploads/a.jpg', bases), 'a.jpg');
+    assert.equal(keyFromUrl('/uploads/a.jpg', bases), 'a.jpg');
+    assert.equal(keyFromUrl('/uploads/a%2Db.jpg', bases), 'a-b.jpg');
+    assert.equal(keyFromUrl('https://api.example.com/uploads/gangnam/a.jpg?exp=1&sig=x', bases), 'gangnam/a.jpg');
+  });
+
+  test('keyFromUrl rejects other hosts, paths and invalid keys', () => {
+    const bases = ['https://api.example.com/uploads'];
+    for (const url of [
+      'https://evil.example.com/uploads/a.jpg',
+      'https://api.example.com/static/a.jpg',
+      'https://api.example.com/uploads/..%2Fserver.js',
+      'https://api.example.com/uploads/gangnam/nested/a.jpg',
+      '//api.example.com/uploads/a.jpg',
+      'data:image/png;base64,AAAA',
+      'not a url',
+      null
+    ]) {
+      assert.equal(keyFromUrl(url, bases), null, String(url));
+    }
+  });
+});
+
+describe('local storage', () => {
+  const createStore = () => createLocalStorage({
+    directory,
+    publicBaseUrl: 'https://api.example.com/',
+    localOrigins: ['http://localhost:3000']
+  });
+
+  test('put/get/remove round-trip', async () => {
+    const storage = createStore();
+    const url = await storage.put('a.jpg', Buffer.from('image'));
+    assert.equal(url, 'https://api.example.com/uploads/a.jpg');
+    assert.deepEqual(await storage.get('a.jpg'), Buffer.from('image'));
+    assert.equal(await storage.remove('a.jpg'), true);
+    assert.equal(await storage.get('a.jpg'), null);
+    assert.equal(await storage.remove('a.jpg'), false);
+  });
+
+  test('list returns stored files with size and modification time', async () => {
+    const storage = createStore();
+    await storage.put('a.jpg', Buffer.from('image'));
+    fs.writeFileSync(path.join(directory, '.DS_Store'), 'x');
+    fs.mkdirSync(path.join(directory, 'nested'));
+    const files = await storage.list();
+    assert.deepEqual(files.map(({ key, size }) => ({ key, size })), [{ key: 'a.jpg', size: 5 }]);
+    assert.ok(files[0].lastModified instanceof Date);
+  });
+
+  test('recognises its own URLs including older local origins', () => {
+    const storage = createStore();
+    assert.equal(storage.keyFromUrl('https://api.example.com/uploads/a.jpg'), 'a.jpg');
+    assert.equal(storage.keyFromUrl('http://localhost:3000/uploads/a.jpg'), 'a.jpg');
+    assert.equal(storage.keyFromUrl('https://cdn.example.com/uploads/a.jpg'), null);
+  });
+
+  test('rejects keys that would leave the directory', async () => {
+    const storage = createStore();
+    await assert.rejects(storage.put('../escape.jpg', Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(storage.get('gangnam/nested/a.jpg'), /Invalid storage key/);
+  });
+
+  test('stores salon keys in a subdirectory', async () => {
+    const storage = createStore();
+    const url = await storage.put('gangnam/a.jpg', Buffer.from('image'));
+    assert.equal(url, 'https://api.example.com/uploads/gangnam/a.jpg');
+    assert.ok(fs.existsSync(path.join(directory, 'gangnam', 'a.jpg')));
+    assert.equal(storage.keyFromUrl(url), 'gangnam/a.jpg');
+  });
+
+  test('signedUrl adds a file token when a signer is configured', async () => {
+    const tokenSigner = createFileTokenSigner({ secret: 'test-secret' });
+    const storage = createLocalStorage({ directory, publicBaseUrl: 'https://api.example.com', tokenSigner });
+    const signed = new URL(await storage.signedUrl('gangnam/a.jpg'));
+    assert.equal(signed.pathname, '/uploads/gangnam/a.jpg');
+    assert.equal(tokenSigner.verify('gangnam/a.jpg', Object.fromEntries(signed.searchParams)), true);
+    assert.equal(await createStore().signedUrl('gangnam/a.jpg'), 'https://api.example.com/uploads/gangnam/a.jpg');
+  });
+});
+
+describe('s3 storage', () => {
+  const options = {
+    bucket: 'salon-uploads',
+    region: 'us-east-1',
+    accessKeyId: 'AKIAEXAMPLE',
+    secretAccessKey: 'secret',
+    prefix: 'uploads/',
+    publicBaseUrl: 'https://api.example.com'
+  };
+
+  test('validates its configuration', () => {
+    assert.throws(() => createS3Storage({ ...options, bucket: '' }), /S3_BUCKET is required/);
+    assert.throws(() => createS3Storage({ ...options, urlMode: 'private' }), /Unknown S3_URL_MODE/);
+    assert.throws(() => createS3Storage({ ...options, urlMode: 'public' }), /S3_PUBLIC_URL is required/);
+  });
+
+  test('signed mode stores server URLs and signs on request', async () => {
+    const storage = createS3Storage(options);
+    assert.equal(storage.url('a.jpg'), 'https://api.example.com/uploads/a.jpg');
+    assert.equal(storage.keyFromUrl('https://api.example.com/uploads/a.jpg'), 'a.jpg');
+
+    const signed = new URL(await storage.signedUrl('a.jpg'));
+    assert.equal(signed.hostname, 'salon-uploads.s3.us-east-1.amazonaws.com');
+    assert.equal(signed.pathname, '/uploads/a.jpg');
+    assert.equal(signed.searchParams.get('X-Amz-Expires'), '900');
+    assert.ok(signed.searchParams.get('X-Amz-Signature'));
+  });
+
+  test('public mode returns object URLs under the public base', async () => {
+    const storage = createS3Storage({ ...options, urlMode: 'public', publicUrl: 'https://cdn.example.com/' });
+    assert.equal(storage.url('a.jpg'), 'https://cdn.example.com/uploads/a.jpg');
+    assert.equal(await storage.signedUrl('a.jpg'), 'https://cdn.example.com/uploads/a.jpg');
+    assert.equal(storage.keyFromUrl('https://cdn.example.com/uploads/a.jpg'), 'a.jpg');
+    assert.equal(storage.keyFromUrl('https://api.example.com/uploads/a.jpg'), 'a.jpg');
+  });
+});
+
+describe('createStorage', () => {
+  const withEnv = (env, fn) => {
+    const saved = {};
+    for (const key of Object.keys(env)) {
+      saved[key] = process.env[key];
+      process.env[key] = env[key];
+    }
+    try {
+      return fn();
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+  };
+
+  test('selects the backend from the environment', () => {
+    const local = withEnv({ STORAGE_BACKEND: 'local', UPLOAD_DIR: directory }, () => createStorage({
+      baseDir: directory,
+      publicBaseUrl: 'https://api.example.com'
+    }));
+    assert.equal(local.name, 'local');
+    assert.equal(local.directory, directory);
+
+    const s3 = withEnv({ STORAGE_BACKEND: 's3', S3_BUCKET: 'salon-uploads', S3_URL_MODE: 'signed' }, () => createStorage({
+      baseDir: directory,
+      publicBaseUrl: 'https://api.example.com'
+    }));
+    assert.equal(s3.name, 's3');
+  });
+
+  test('rejects unknown backends', () => {
+    assert.throws(
+      () => withEnv({ STORAGE_BACKEND: 'ftp' }, () => createStorage({ baseDir: directory, publicBaseUrl: 'https://api.example.com' })),
+      /Unknown STORAGE_BACKEND: ftp/
+    );
+  });
+});
@@ -0,0 +1,116 @@
+// server/test/structuredAnalysis.test.js
+
+// 분석 스키마 검증과 구조화된 분석의 수정(repair) 재시도
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { ANALYSIS_SCHEMAS, toResponseSchema, validateSchema } = require('../lib/analysisSchemas');
+const { runStructuredAnalysis, parseJsonResponse } = require('../lib/structuredAnalysis');
+
+const feasibility = { score: 72, isFeasible: true, requiredProcedures: ['커트'], warnings: [] };
+
+/**
+ * 응답을 차례로 돌려주는 가짜 AI 제공자 (Error 는 예외로 던짐)
+ */
+const fakeProvider = (...responses) => {
+  const prompts = [];
+  return {
+    prompts,
+    analyze: async ({ prompt }) => {
+      prompts.push(prompt);
+      const response = responses.shift();
+      if (response instanceof Error) throw response;
+      return response;
+    }
+  };
+};
+
+describe('validateSchema', () => {
+  test('accepts a valid feasibility result', () => {
+    assert.deepEqual(validateSchema(ANALYSIS_SCHEMAS.feasibility, feasibility), []);
+  });
+
+  test('reports missing fields, wrong types and out-of-range numbers with paths', () => {
+    const errors = validateSchema(ANALYSIS_SCHEMAS.feasibility, {
+      score: 140,
+      isFeasible: 'yes',
+      requiredProcedures: ['커트', 3]
+    });
+    assert.deepEqual(errors, [
+      '$.warnings: is required',
+      '$.score: must be <= 100',
+      '$.isFeasible: expected boolean',
+      '$.requiredProcedures[1]: expected string'
+    ]);
+  });
+
+  test('checks enums, minItems and nested objects', () => {
+    assert.deepEqual(
+      validateSchema(ANALYSIS_SCHEMAS['photo-quality'], { faceDetected: true, faceCount: 1, pose: 'profile', issues: [] }),
+      ['$.pose: must be one of front, side, back, unknown']
+    );
+    assert.deepEqual(
+      validateSchema(ANALYSIS_SCHEMAS['style-changes'], { styleChanges: [], requiredProcedures: [] }),
+      ['$.styleChanges: expected at least 1 items']
+    );
+    assert.deepEqual(
+      validateSchema(ANALYSIS_SCHEMAS['style-changes'], {
+        styleChanges: [{ category: '길이', categoryEn: 'Length', from: '짧음', to: '중간', toEn: 'Medium' }],
+        requiredProcedures: []
+      }),
+      ['$.styleChanges[0].fromEn: is required']
+    );
+  });
+});
+
+test('toResponseSchema strips server-only keys', () => {
+  const schema = toResponseSchema(ANALYSIS_SCHEMAS.feasibility);
+  assert.deepEqual(schema.properties.score, { type: 'number', description: '실현 가능성 점수 (0-100)' });
+  assert.equal(ANALYSIS_SCHEMAS.feasibility.properties.score.maximum, 100);
+  assert.equal(toResponseSchema(ANALYSIS_SCHEMAS['style-changes']).properties.styleChanges.minItems, undefined);
+});
+
+test('parseJsonResponse accepts fenced JSON', () => {
+  assert.deepEqual(parseJsonResponse('```json\n{"a":1}\n```'), { a: 1 });
+  assert.deepEqual(parseJsonResponse(' {"a":1} '), { a: 1 });
+  assert.throws(() => parseJsonResponse('not json'));
+});
+
+describe('runStructuredAnalysis', () => {
+  test('returns valid data on the first attempt', async () => {
+    const aiProvider = fakeProvider(JSON.stringify(feasibility));
+    const result = await runStructuredAnalysis({ aiProvider, task: 'feasibility', prompt: 'P', images: [] });
+    assert.deepEqual(result, { data: feasibility, degraded: false, errors: [], attempts: 1 });
+  });
+
+  test('repairs an invalid response with the validation errors in the prompt', async () => {
+    const aiProvider = fakeProvider(JSON.stringify({ ...feasibility, score: 'high' }), JSON.stringify(feasibility));
+    const result = await runStructuredAnalysis({ aiProvider, task: 'feasibility', prompt: 'P', images: [] });
+    assert.equal(result.attempts, 2);
+    assert.equal(result.degraded, false);
+    assert.deepEqual(result.data, feasibility);
+    assert.match(aiProvider.prompts[1], /\$\.score: expected number/);
+    assert.ok(aiProvider.prompts[1].startsWith('P'));
+  });
+
+  test('degrades instead of inventing values when the repair also fails', async () => {
+    const aiProvider = fakeProvider('not json', '{"score": 50}');
+    const result = await runStructuredAnalysis({ aiProvider, task: 'feasibility', prompt: 'P', images: [] });
+    assert.equal(result.data, null);
+    assert.equal(result.degraded, true);
+    assert.ok(result.errors.includes('$.isFeasible: is required'));
+  });
+
+  test('throws when the first call fails and degrades when the repair call fails', async () => {
+    await assert.rejects(
+      runStructuredAnalysis({ aiProvider: fakeProvider(new Error('model down')), task: 'feasibility', prompt: 'P' }),
+      /model down/
+    );
+    const result = await runStructuredAnalysis({ aiProvider: fakeProvider('{}', new Error('model down')), task: 'feasibility', prompt: 'P' });
+    assert.equal(result.degraded, true);
+    assert.deepEqual(result.errors, ['model down']);
+  });
+
+  test('rejects unknown tasks', async () => {
+    await assert.rejects(runStructuredAnalysis({ aiProvider: fakeProvider(), task: 'nope', prompt: 'P' }), /Unknown analysis task/);
+  });
+});
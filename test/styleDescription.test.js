@@ -0,0 +1,52 @@
+// server/test/styleDescription.test.js
+
+// 구조화된 스타일 설명: 항목 검증, 색상 정규화, 프롬프트용 목록
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStyleDescription, describeStyle } = require('../lib/styleDescription');
+
+describe('parseStyleDescription', () => {
+  test('keeps known options and normalizes colors', () => {
+    assert.deepEqual(parseStyleDescription({ length: 'shoulder', fringe: 'see-through', color: ' Ash-Brown ', notes: '  끝선 가볍게 ' }), {
+      description: { length: 'shoulder', fringe: 'see-through', color: { name: 'ash-brown', hex: '#6B5B4E' }, notes: '끝선 가볍게' }
+    });
+    assert.deepEqual(parseStyleDescription({ color: 'a0522d', perm: null }).description, { color: { name: null, hex: '#A0522D' } });
+  });
+
+  test('rejects invalid descriptions', () => {
+    const errorOf = (input) => parseStyleDescription(input).error;
+    assert.match(errorOf(null), /must be an object/);
+    assert.match(errorOf(['shoulder']), /must be an object/);
+    assert.match(errorOf({ length: 'shoulder', volume: 'high' }), /Unknown styleDescription fields: volume/);
+    assert.match(errorOf({ length: 'knee' }), /styleDescription.length must be one of buzz/);
+    assert.match(errorOf({ color: 'rainbow' }), /Unknown color: rainbow/);
+    assert.match(errorOf({ color: 42 }), /hex color/);
+    assert.match(errorOf({ notes: 'x'.repeat(301) }), /at most 300 characters/);
+    assert.match(errorOf({ notes: '   ' }), /needs at least one of/);
+    assert.match(errorOf({}), /needs at least one of/);
+  });
+});
+
+describe('describeStyle', () => {
+  const { description } = parseStyleDescription({ parting: 'center', color: 'burgundy', length: 'chin', notes: 'natural look' });
+
+  test('lists fields in a fixed order with English labels', () => {
+    assert.deepEqual(describeStyle(description), [
+      '- Length: chin-length bob',
+      '- Color: burgundy (#5E1F2B)',
+      '- Parting: center part',
+      '- Additional notes: natural look'
+    ]);
+  });
+
+  test('uses Korean labels for the analysis prompt', () => {
+    assert.deepEqual(describeStyle(description, 'ko'), [
+      '- 길이: 턱 길이 (단발)',
+      '- 컬러: 버건디 (#5E1F2B)',
+      '- 가르마: 가운데 가르마',
+      '- 추가 요청: natural look'
+    ]);
+    assert.deepEqual(describeStyle({ color: { name: null, hex: '#A0522D' } }, 'ko'), ['- 컬러: #A0522D 색상']);
+    assert.deepEqual(describeStyle({ color: { name: null, hex: '#A0522D' } }), ['- Color: exact shade #A0522D']);
+  });
+});
@@ -0,0 +1,279 @@
+// server/test/styleGenerator.test.js
+
+// 스타일 생성기: 모의 제공자로 단일/각도별/일괄 생성 결과와 세션 기록 확인
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createStyleGenerator, buildVersionTree, GenerationError } = require('../lib/styleGenerator');
+const { QuotaExceededError } = require('../lib/quota');
+const { createMockProvider } = require('../lib/providers/mock');
+const { MemorySessionStore } = require('../lib/sessionStore');
+const { createLocalStorage } = require('../lib/storage/local');
+
+const hairCondition = { curlPattern: 'Straight', chemicalHistory: {} };
+
+let directory;
+let sessionStore;
+let images;
+
+const solidImage = (color) => sharp({
+  create: { width: 120, height: 160, channels: 3, background: color }
+}).jpeg().toBuffer();
+
+// aiProvider 를 바꿔 끼울 수 있는 생성기
+const createGenerator = (aiProvider = createMockProvider(), options = {}) => createStyleGenerator({
+  aiProvider,
+  sessionStore,
+  getImageBuffer: async (url) => images[url] || fs.promises.readFile(path.join(directory, path.basename(url))).catch(() => null),
+  storage: createLocalStorage({ directory, publicBaseUrl: 'http://localhost:3000' }),
+  ...options
+});
+
+const failingProvider = {
+  ...createMockProvider(),
+  generateImage: async () => {
+    throw new Error('model unavailable');
+  }
+};
+
+beforeEach(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'style-generator-'));
+  sessionStore = new MemorySessionStore();
+  images = {
+    '/uploads/front.jpg': await solidImage('#204080'),
+    '/uploads/side.jpg': await solidImage('#406080'),
+    '/uploads/photo1.jpg': await solidImage('#e0c040'),
+    '/uploads/photo2.jpg': await solidImage('#c04040')
+  };
+  await sessionStore.set('s1', {
+    customerPhotoUrls: { front: '/uploads/front.jpg', side: '/uploads/side.jpg' },
+    stylePhotoUrls: { photo1: '/uploads/photo1.jpg', photo2: '/uploads/photo2.jpg' },
+    hairCondition
+  });
+});
+
+afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+describe('generate', () => {
+  test('saves the generated image and records it on the session', async () => {
+    const result = await createGenerator().generate({
+      sessionId: 's1',
+      customerPhotoUrls: { front: '/uploads/front.jpg' },
+      stylePhotoUrl: '/uploads/photo1.jpg',
+      hairCondition
+    });
+
+    assert.equal(result.imageGenerated, true);
+    assert.equal(result.error, null);
+    const filename = path.basename(result.generatedImageUrl);
+    assert.ok(fs.existsSync(path.join(directory, filename)));
+    const session = await sessionStore.get('s1');
+    assert.equal(session.generatedImages.length, 1);
+    assert.equal(session.generatedImages[0].imageUrl, result.generatedImageUrl);
+  });
+
+  test('falls back to the customer photo and reports the model error', async () => {
+    const result = await createGenerator(failingProvider).generate({
+      sessionId: 's1',
+      customerPhotoUrls: { front: '/uploads/front.jpg' },
+      stylePhotoUrl: '/uploads/photo1.jpg',
+      hairCondition
+    });
+
+    assert.equal(result.imageGenerated, false);
+    assert.equal(result.generatedImageUrl, '/uploads/front.jpg');
+    assert.match(result.error, /model unavailable/);
+    assert.deepEqual(fs.readdirSync(directory), []);
+  });
+
+  test('regenerates when the identity check fails and keeps the best score', async () => {
+    const scores = [0.2, 0.3];
+    const identityChecker = {
+      method: 'stub',
+      threshold: 0.5,
+      maxRetries: 1,
+      check: async () => {
+        const score = scores.shift();
+        return { method: 'stub', score, threshold: 0.5, passed: score >= 0.5, reason: 'low-similarity' };
+      }
+    };
+    const stages = [];
+    const result = await createGenerator(undefined, { identityChecker }).generate({
+      sessionId: 's1',
+      customerPhotoUrls: { front: '/uploads/front.jpg' },
+      stylePhotoUrl: '/uploads/photo1.jpg',
+      hairCondition
+    }, { onProgress: (stage) => stages.push(stage) });
+
+    assert.equal(result.imageGenerated, true);
+    assert.deepEqual(result.identityCheck, { method: 'stub', score: 0.3, threshold: 0.5, passed: false, reason: 'low-similarity', attempts: 2 });
+    assert.deepEqual(stages.filter((stage) => stage === 'calling-model').length, 2);
+    assert.equal((await sessionStore.get('s1')).generatedImages[0].identityCheck.attempts, 2);
+  });
+
+  test('generates from a style description without a style photo', async () => {
+    const calls = [];
+    const mock = createMockProvider();
+    const recordingProvider = {
+      ...mock,
+      generateImage: async (request) => {
+        calls.push(request);
+        return mock.generateImage(request);
+      }
+    };
+    const styleDescription = { length: 'chin', color: { name: 'burgundy', hex: '#5E1F2B' } };
+    const result = await createGenerator(recordingProvider).generate({
+      sessionId: 's1',
+      customerPhotoUrls: { front: '/uploads/front.jpg' },
+      styleDescription,
+      hairCondition
+    });
+
+    assert.equal(result.imageGenerated, true);
+    assert.equal(calls[0].images.length, 1);
+    assert.match(calls[0].prompt, /- Length: chin-length bob/);
+    assert.match(calls[0].prompt, /- Color: burgundy \(#5E1F2B\)/);
+    const session = await sessionStore.get('s1');
+    assert.deepEqual(session.generatedImages[0].styleDescription, styleDescription);
+  });
+});
+
+describe('generateAngles', () => {
+  test('generates the front first and passes it to the other angles', async () => {
+    const calls = [];
+    const mock = createMockProvider();
+    const recordingProvider = {
+      ...mock,
+      generateImage: async (request) => {
+        calls.push(request);
+        return mock.generateImage(request);
+      }
+    };
+    const stages = [];
+    const { angleGroupId, angles } = await createGenerator(recordingProvider).generateAngles(
+      { sessionId: 's1', customerPhotoUrls: { front: '/uploads/front.jpg', side: '/uploads/side.jpg' }, stylePhotoUrl: '/uploads/photo1.jpg', hairCondition, angles: ['side', 'back', 'front'] },
+      { onProgress: (stage) => stages.push(stage) }
+    );
+
+    assert.deepEqual(Object.keys(angles), ['front', 'side', 'back']);
+    assert.equal(angles.front.status, 'done');
+    assert.equal(angles.side.status, 'done');
+    assert.deepEqual(angles.back, { status: 'skipped', error: 'No back customer photo' });
+    assert.equal(stages[0], 'front:loading-images');
+
+    // 정면: 고객 + 스타일 + 측면 사진, 측면: 고객 + 스타일 + 정면 사진 + 정면 생성 결과
+    assert.equal(calls[0].images.length, 3);
+    assert.equal(calls[1].images.length, 4);
+    assert.match(calls[1].prompt, /new hairstyle already applied/);
+
+    const session = await sessionStore.get('s1');
+    assert.deepEqual(session.generatedImages.map((image) => [image.angle, image.angleGroupId]), [
+      ['front', angleGroupId],
+      ['side', angleGroupId]
+    ]);
+  });
+
+  test('reports the model error per angle', async () => {
+    const { angles } = await createGenerator(failingProvider).generateAngles({
+      sessionId: 's1',
+      customerPhotoUrls: { front: '/uploads/front.jpg' },
+      stylePhotoUrl: '/uploads/photo1.jpg',
+      hairCondition,
+      angles: ['front']
+    });
+    assert.equal(angles.front.status, 'failed');
+    assert.match(angles.front.error, /model unavailable/);
+  });
+});
+
+describe('generateBatch', () => {
+  test('generates every style photo for each requested angle', async () => {
+    const progress = [];
+    const batch = await createGenerator().generateBatch(
+      { sessionId: 's1', angles: ['front', 'back'] },
+      { onProgress: ({ completed, total }) => progress.push(`${completed}/${total}`) }
+    );
+
+    assert.deepEqual(batch.summary, { total: 4, done: 2, failed: 0, skipped: 2, identityFlagged: 0 });
+    assert.equal(batch.matrix.photo1.front.status, 'done');
+    assert.equal(batch.matrix.photo2.back.status, 'skipped');
+    assert.equal(batch.matrix.photo2.back.error, 'No back customer photo');
+    assert.deepEqual(progress, ['1/4', '2/4', '3/4', '4/4']);
+    assert.equal((await sessionStore.get('s1')).generatedImages.length, 2);
+  });
+
+  test('marks items failed with the model error', async () => {
+    const batch = await createGenerator(failingProvider).generateBatch({ sessionId: 's1' });
+    assert.deepEqual(batch.summary, { total: 2, done: 0, failed: 2, skipped: 0, identityFlagged: 0 });
+    assert.match(batch.items[0].error, /model unavailable/);
+  });
+
+  test('rejects sessions without style photos or hair condition', async () => {
+    const generator = createGenerator();
+    await assert.rejects(generator.generateBatch({ sessionId: 'missing' }), /Session not found/);
+    await sessionStore.set('empty', { customerPhotoUrls: {}, hairCondition });
+    await assert.rejects(generator.generateBatch({ sessionId: 'empty' }), /No style photos/);
+    await sessionStore.set('no-condition', { stylePhotoUrls: { photo1: '/uploads/photo1.jpg' } });
+    await assert.rejects(generator.generateBatch({ sessionId: 'no-condition' }), /hairCondition is required/);
+  });
+});
+
+describe('refine', () => {
+  // 정면 생성 결과를 만들고 그 이미지 ID 반환
+  const generateRoot = async () => (await createGenerator().generate({
+    sessionId: 's1',
+    customerPhotoUrls: { front: '/uploads/front.jpg' },
+    stylePhotoUrl: '/uploads/photo1.jpg',
+    hairCondition
+  })).imageId;
+
+  test('adds a child version of the active image and makes it active', async () => {
+    const rootId = await generateRoot();
+    const child = await createGenerator().refine({ sessionId: 's1', edits: { sides: '조금 더 짧게' } });
+    assert.equal(child.parentId, rootId);
+    assert.deepEqual(child.refinement.edits, { sides: '조금 더 짧게' });
+
+    const grandchild = await createGenerator().refine({ sessionId: 's1', parentId: rootId, instruction: 'more volume' });
+    const session = await sessionStore.get('s1');
+    assert.equal(session.activeImageId, grandchild.id);
+
+    const tree = buildVersionTree(session);
+    assert.equal(tree.activeImageId, grandchild.id);
+    assert.equal(tree.roots.length, 1);
+    assert.deepEqual(tree.roots[0].children.map((node) => [node.id, node.active]), [[child.id, false], [grandchild.id, true]]);
+  });
+
+  test('rejects invalid instructions and unknown parents', async () => {
+    await generateRoot();
+    const generator = createGenerator();
+    const rejectsWith = (promise, status, pattern) => assert.rejects(promise, (error) => (
+      error instanceof GenerationError && error.status === status && pattern.test(error.message)
+    ));
+    await rejectsWith(generator.refine({ sessionId: 's1' }), 400, /instruction or edits is required/);
+    await rejectsWith(generator.refine({ sessionId: 's1', edits: { shoes: 'red' } }), 400, /Unknown edit field: shoes/);
+    await rejectsWith(generator.refine({ sessionId: 's1', parentId: 'missing', instruction: 'x' }), 404, /Generated image not found/);
+    await rejectsWith(generator.refine({ sessionId: 'missing', instruction: 'x' }), 404, /Session not found/);
+  });
+
+  test('returns 410 when the parent image file is gone', async () => {
+    await generateRoot();
+    const session = await sessionStore.get('s1');
+    fs.rmSync(path.join(directory, path.basename(session.generatedImages[0].imageUrl)));
+    await assert.rejects(createGenerator().refine({ sessionId: 's1', instruction: 'x' }), (error) => error.status === 410);
+  });
+
+  test('passes quota errors through instead of wrapping them', async () => {
+    await generateRoot();
+    const quotaProvider = {
+      ...createMockProvider(),
+      generateImage: async () => {
+        throw new QuotaExceededError('Daily AI quota exceeded for salon gangnam');
+      }
+    };
+    await assert.rejects(createGenerator(quotaProvider).refine({ sessionId: 's1', instruction: 'x' }), QuotaExceededError);
+    assert.equal((await sessionStore.get('s1')).generatedImages.length, 1, 'nothing recorded');
+  });
+});
@@ -0,0 +1,67 @@
+// server/test/technicalSpecs.test.js
+
+// 시술 명세서 도출 (AI) 과 살롱 수정값 검증
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveTechnicalSpecs, normalizeTechnicalSpecs, emptyTechnicalSpecs } = require('../lib/technicalSpecs');
+const { createMockProvider, CANNED_ANALYSIS } = require('../lib/providers/mock');
+
+const images = [
+  { buffer: Buffer.from('current'), mimeType: 'image/jpeg', label: '고객 현재 사진 (정면)' },
+  { buffer: Buffer.from('target'), mimeType: 'image/jpeg', label: '목표 헤어스타일 이미지' }
+];
+
+describe('deriveTechnicalSpecs', () => {
+  test('returns the validated model output marked as AI specs', async () => {
+    const specs = await deriveTechnicalSpecs({ aiProvider: createMockProvider(), images, hairCondition: {} });
+    assert.deepEqual(specs, { ...CANNED_ANALYSIS['technical-specs'], source: 'ai', degraded: false });
+  });
+
+  test('puts the image labels, hair condition and procedures in the prompt', async () => {
+    let prompt;
+    const aiProvider = {
+      analyze: async (request) => {
+        prompt = request.prompt;
+        return JSON.stringify(CANNED_ANALYSIS['technical-specs']);
+      }
+    };
+    await deriveTechnicalSpecs({
+      aiProvider,
+      images,
+      hairCondition: { curlPattern: '곱슬', chemicalHistory: { henna: true } },
+      requiredProcedures: ['매직 스트레이트']
+    });
+    assert.match(prompt, /1번째 이미지: 고객 현재 사진 \(정면\)/);
+    assert.match(prompt, /2번째 이미지: 목표 헤어스타일 이미지/);
+    assert.match(prompt, /곱슬 패턴: 곱슬/);
+    assert.match(prompt, /헤나: 있음/);
+    assert.match(prompt, /분석된 필요 시술: 매직 스트레이트/);
+  });
+
+  test('returns empty degraded specs instead of inventing values', async () => {
+    const invalid = { analyze: async () => JSON.stringify({ sideLength: 12 }) };
+    assert.deepEqual(await deriveTechnicalSpecs({ aiProvider: invalid, images }), emptyTechnicalSpecs());
+
+    const failing = { analyze: async () => { throw new Error('model down'); } };
+    assert.deepEqual(await deriveTechnicalSpecs({ aiProvider: failing, images }), emptyTechnicalSpecs());
+  });
+});
+
+describe('normalizeTechnicalSpecs', () => {
+  const base = { ...CANNED_ANALYSIS['technical-specs'], source: 'ai', degraded: false };
+
+  test('merges salon corrections onto the existing specs', () => {
+    const { specs, errors } = normalizeTechnicalSpecs({ fringe: '없음', downPerm: false, unknownField: 'x' }, base);
+    assert.deepEqual(errors, []);
+    assert.equal(specs.fringe, '없음');
+    assert.equal(specs.downPerm, false);
+    assert.equal(specs.sideLength, base.sideLength);
+    assert.equal(specs.source, 'salon');
+    assert.equal(specs.unknownField, undefined);
+  });
+
+  test('reports invalid or missing fields', () => {
+    assert.deepEqual(normalizeTechnicalSpecs({ downPerm: 'yes' }, base).errors, ['$.downPerm: expected boolean']);
+    assert.ok(normalizeTechnicalSpecs({ fringe: '없음' }, emptyTechnicalSpecs()).errors.includes('$.sideLength: is required'));
+  });
+});
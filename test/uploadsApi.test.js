@@ -0,0 +1,238 @@
+// server/test/uploadsApi.test.js
+
+// 인증이 필요한 서버에서 /uploads 파일 URL 토큰, 살롱/디자이너 범위, 작업 조회 권한 확인
+// (서버를 자식 프로세스로 띄워 HTTP 로 확인, 세션은 서버 시작 전에 저장해 시작 시 색인에 포함)
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { FileSessionStore } = require('../lib/sessionStore');
+const { hashApiKey } = require('../lib/tenants');
+const { createFileTokenSigner } = require('../lib/storage/fileTokens');
+
+const SERVER_ROOT = path.join(__dirname, '..');
+const PUBLIC_BASE_URL = 'https://api.example.com';
+const UPLOAD_URL_SECRET = 'test-upload-secret';
+
+// 호출자별 API 키
+const KEYS = {
+  manager: 'gangnam-desk-key',
+  kim: 'gangnam-kim-key',
+  lee: 'gangnam-lee-key',
+  hongdae: 'hongdae-desk-key'
+};
+
+const consent = { purposes: ['storage', 'analysis', 'ai-generation'], policyVersion: '2026-01', consentedAt: '2026-01-10T09:00:00.000Z' };
+
+let directory;
+let uploadsDir;
+let server;
+let baseUrl;
+
+const fileUrl = (key) => `${PUBLIC_BASE_URL}/uploads/${key}`;
+
+// 비어 있는 포트 번호
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// 서버가 응답할 때까지 대기 (최대 15초)
+const waitForServer = async () => {
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) throw new Error(`server exited with code ${server.exitCode}`);
+    try {
+      await fetch(`${baseUrl}/api/sessions`);
+      return;
+    } catch (error) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('server did not start');
+};
+
+// caller 의 API 키로 /api 요청 (body 는 JSON)
+const api = async (caller, method, route, body) => {
+  const init = { method, headers: { 'X-API-Key': KEYS[caller] } };
+  if (body) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+  const response = await fetch(`${baseUrl}${route}`, init);
+  return { status: response.status, body: await response.json() };
+};
+
+// 응답의 공개 URL 을 테스트 서버 주소로 바꿔 요청 (caller 가 없으면 인증 헤더 없이)
+const getFile = (url, caller) => fetch(url.replace(PUBLIC_BASE_URL, baseUrl), {
+  headers: caller ? { 'X-API-Key': KEYS[caller] } : {},
+  redirect: 'manual'
+});
+
+before(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-api-'));
+  uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-api-files-'));
+  const sessionDir = path.join(directory, 'sessions');
+  const tenantsFile = path.join(directory, 'tenants.json');
+
+  fs.writeFileSync(tenantsFile, JSON.stringify({
+    salons: [
+      {
+        id: 'gangnam',
+        stylists: [{ id: 'kim' }, { id: 'lee' }],
+        apiKeys: [
+          { id: 'desk', keyHash: hashApiKey(KEYS.manager), role: 'manager' },
+          { id: 'kim-tablet', keyHash: hashApiKey(KEYS.kim), role: 'stylist', stylistId: 'kim' },
+          { id: 'lee-tablet', keyHash: hashApiKey(KEYS.lee), role: 'stylist', stylistId: 'lee' }
+        ]
+      },
+      {
+        id: 'hongdae',
+        apiKeys: [{ id: 'desk', keyHash: hashApiKey(KEYS.hongdae), role: 'manager' }]
+      }
+    ]
+  }));
+
+  const image = (color) => sharp({ create: { width: 120, height: 160, channels: 3, background: color } }).jpeg().toBuffer();
+  for (const [key, color] of Object.entries({
+    'gangnam/front-1.jpg': '#204080',
+    'gangnam/photo1-1.jpg': '#e0c040',
+    'gangnam/front-2.jpg': '#406080',
+    'hongdae/front-3.jpg': '#804020'
+  })) {
+    fs.mkdirSync(path.join(uploadsDir, path.dirname(key)), { recursive: true });
+    fs.writeFileSync(path.join(uploadsDir, key), await image(color));
+  }
+
+  const sessionStore = new FileSessionStore({ dir: sessionDir });
+  await sessionStore.set('kim-1', {
+    salonId: 'gangnam',
+    stylistId: 'kim',
+    consent,
+    customerPhotoUrls: { front: fileUrl('gangnam/front-1.jpg') },
+    stylePhotoUrls: { photo1: fileUrl('gangnam/photo1-1.jpg') },
+    hairCondition: { curlPattern: 'Straight' }
+  });
+  await sessionStore.set('lee-1', {
+    salonId: 'gangnam',
+    stylistId: 'lee',
+    customerPhotoUrls: { front: fileUrl('gangnam/front-2.jpg') }
+  });
+  await sessionStore.set('hongdae-1', {
+    salonId: 'hongdae',
+    customerPhotoUrls: { front: fileUrl('hongdae/front-3.jpg') }
+  });
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: SERVER_ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      AI_PROVIDER: 'mock',
+      AUTH_MODE: 'required',
+      TENANTS_FILE: tenantsFile,
+      SESSION_STORE: 'file',
+      SESSION_DIR: sessionDir,
+      STORAGE_BACKEND: 'local',
+      UPLOAD_DIR: uploadsDir,
+      UPLOAD_URL_SECRET,
+      AUDIT_LOG_FILE: path.join(directory, 'audit.log'),
+      USAGE_LEDGER_FILE: path.join(directory, 'usage.log'),
+      RETENTION_SWEEP_INTERVAL_MINUTES: '0',
+      PUBLIC_BASE_URL
+    },
+    stdio: 'ignore'
+  });
+  await waitForServer();
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(directory, { recursive: true, force: true });
+  fs.rmSync(uploadsDir, { recursive: true, force: true });
+});
+
+describe('GET /uploads/:key', () => {
+  test('API responses carry signed file URLs that load without auth headers', async () => {
+    const { status, body } = await api('kim', 'GET', '/api/sessions/kim-1');
+    assert.equal(status, 200);
+    const signed = new URL(body.session.customerPhotoUrls.front);
+    assert.equal(`${signed.origin}${signed.pathname}`, fileUrl('gangnam/front-1.jpg'));
+    assert.ok(signed.searchParams.get('exp'));
+    assert.ok(signed.searchParams.get('sig'));
+
+    const response = await getFile(signed.href);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/jpeg');
+    assert.equal(response.headers.get('cache-control'), 'private, no-store');
+  });
+
+  test('requires a token or auth headers', async () => {
+    assert.equal((await getFile(fileUrl('gangnam/front-1.jpg'))).status, 401);
+    assert.equal((await getFile(fileUrl('gangnam/front-1.jpg'), 'kim')).status, 200);
+    assert.equal((await getFile(fileUrl('gangnam/front-1.jpg'), 'manager')).status, 200);
+  });
+
+  test('rejects tampered, expired or foreign tokens', async () => {
+    const signer = createFileTokenSigner({ secret: UPLOAD_URL_SECRET });
+    const key = 'gangnam/front-1.jpg';
+    assert.equal((await getFile(signer.sign(fileUrl(key), key))).status, 200);
+    assert.equal((await getFile(signer.sign(fileUrl(key), key, Date.now() - 2 * 60 * 60 * 1000))).status, 401);
+    assert.equal((await getFile(signer.sign(fileUrl(key), 'gangnam/front-2.jpg'))).status, 401);
+    assert.equal((await getFile(`${signer.sign(fileUrl(key), key)}x`)).status, 401);
+  });
+
+  test('hides files of other salons and other stylists sessions', async () => {
+    assert.equal((await getFile(fileUrl('gangnam/front-2.jpg'), 'kim')).status, 404);
+    assert.equal((await getFile(fileUrl('gangnam/front-2.jpg'), 'lee')).status, 200);
+    assert.equal((await getFile(fileUrl('hongdae/front-3.jpg'), 'manager')).status, 404);
+    assert.equal((await getFile(fileUrl('gangnam/missing.jpg'), 'manager')).status, 404);
+  });
+
+  test('records session file reads in the audit log', async () => {
+    const { body } = await api('manager', 'GET', '/api/sessions/kim-1');
+    await getFile(body.session.customerPhotoUrls.front);
+    const audit = await api('manager', 'GET', '/api/sessions/kim-1/audit');
+    assert.ok(audit.body.entries.some((entry) => entry.action === 'file-read' && entry.resources.includes('gangnam/front-1.jpg')));
+  });
+});
+
+describe('jobs', () => {
+  test('accepts signed URLs in requests and limits job status to the session owner', async () => {
+    const { body: session } = await api('kim', 'GET', '/api/sessions/kim-1');
+    const queued = await api('kim', 'POST', '/api/jobs/generate', {
+      sessionId: 'kim-1',
+      stylePhotoUrl: session.session.stylePhotoUrls.photo1
+    });
+    assert.equal(queued.status, 202);
+
+    assert.equal((await api('lee', 'GET', queued.body.statusUrl)).status, 404);
+    assert.equal((await api('hongdae', 'GET', queued.body.statusUrl)).status, 404);
+    assert.equal((await api('manager', 'GET', queued.body.statusUrl)).status, 200);
+
+    let job;
+    const deadline = Date.now() + 15000;
+    do {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      ({ job } = (await api('kim', 'GET', queued.body.statusUrl)).body);
+    } while (!['done', 'failed'].includes(job.status) && Date.now() < deadline);
+    assert.equal(job.status, 'done');
+    assert.ok(new URL(job.result.generatedImageUrl).searchParams.get('sig'));
+
+    // 생성 이미지도 세션 색인에 추가되어 다른 디자이너에게는 보이지 않음
+    const generated = new URL(job.result.generatedImageUrl);
+    const unsigned = `${generated.origin}${generated.pathname}`;
+    assert.equal((await getFile(unsigned, 'lee')).status, 404);
+    assert.equal((await getFile(generated.href)).status, 200);
+  });
+});